@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Login Credential Lookup Benchmark
+ *
+ * Usage:
+ *   node scripts/benchmark-auth.js [--users 200] [--runs 5]
+ *
+ * Compares how long admin-auth spends resolving a password to an account:
+ *
+ *   scan    - the old approach: PBKDF2 against every stored hash until one
+ *             matches (O(users) per login, and always O(users) when the
+ *             password is wrong)
+ *   lookup  - HMAC password_lookup finds the single candidate row, then one
+ *             PBKDF2 check (constant per login)
+ *
+ * Accounts are generated in memory with the real hashing code from
+ * hash-password.js (100k PBKDF2 iterations), so the numbers reflect the CPU
+ * cost per login. Database round trips are not included; the lookup adds one
+ * indexed query, the scan one query returning every row.
+ */
+
+import crypto from 'crypto';
+import { performance } from 'perf_hooks';
+import { hashPassword, passwordLookup, verifyPassword } from './hash-password.js';
+
+const LOOKUP_SECRET = crypto.randomBytes(32).toString('base64');
+
+function parseOptions(argv) {
+  const options = { users: 200, runs: 5 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--users') options.users = parseInt(argv[++i], 10);
+    else if (argv[i] === '--runs') options.runs = parseInt(argv[++i], 10);
+  }
+  if (!(options.users > 0) || !(options.runs > 0)) {
+    console.error('Usage: node scripts/benchmark-auth.js [--users 200] [--runs 5]');
+    process.exit(1);
+  }
+  return options;
+}
+
+async function createAccounts(count) {
+  const accounts = [];
+  for (let i = 0; i < count; i++) {
+    const password = `investor-${i}-${crypto.randomBytes(8).toString('hex')}`;
+    accounts.push({
+      id: crypto.randomUUID(),
+      password,
+      password_hash: await hashPassword(password),
+      password_lookup: passwordLookup(password, LOOKUP_SECRET),
+    });
+  }
+  return accounts;
+}
+
+async function scanLogin(accounts, password) {
+  for (const account of accounts) {
+    if (await verifyPassword(password, account.password_hash)) return account;
+  }
+  return null;
+}
+
+async function lookupLogin(byLookup, password) {
+  const candidate = byLookup.get(passwordLookup(password, LOOKUP_SECRET));
+  if (!candidate) return null;
+  return (await verifyPassword(password, candidate.password_hash)) ? candidate : null;
+}
+
+async function time(label, runs, fn) {
+  const samples = [];
+  for (let i = 0; i < runs; i++) {
+    const start = performance.now();
+    await fn(i);
+    samples.push(performance.now() - start);
+  }
+  samples.sort((a, b) => a - b);
+  return {
+    label,
+    runs,
+    'median (ms)': Math.round(samples[Math.floor(samples.length / 2)]),
+    'max (ms)': Math.round(samples[samples.length - 1]),
+  };
+}
+
+async function main() {
+  const { users, runs } = parseOptions(process.argv.slice(2));
+
+  console.log(`Creating ${users} accounts (PBKDF2, this takes a moment)...`);
+  const accounts = await createAccounts(users);
+  const byLookup = new Map(accounts.map((a) => [a.password_lookup, a]));
+
+  // Spread the logins over the table so the scan isn't always lucky
+  const loginFor = (i) => accounts[Math.floor(((i + 0.5) / runs) * users)].password;
+  const wrongPassword = 'not-anyones-password';
+
+  const results = [
+    await time('lookup, valid password', runs, (i) => lookupLogin(byLookup, loginFor(i))),
+    await time('lookup, wrong password', runs, () => lookupLogin(byLookup, wrongPassword)),
+    await time('scan, valid password', runs, (i) => scanLogin(accounts, loginFor(i))),
+    await time('scan, wrong password', Math.min(runs, 2), () => scanLogin(accounts, wrongPassword)),
+  ];
+
+  console.log('');
+  console.log(`Login latency with ${users} investor accounts:`);
+  console.table(results);
+}
+
+main().catch((error) => {
+  console.error('Benchmark failed:', error);
+  process.exit(1);
+});
@@ -11,9 +11,13 @@
  * 
  * Hash format: iterations$salt(base64)$hash(base64)
  * Example: 100000$aGVsbG93b3JsZA==$5K8n7N3M9P2Q4R5S6T7U8V9W0X1Y2Z3A4B5C6D7E8F9G==
+ *
+ * To create users or rotate passwords without pasting SQL (and without
+ * putting the password in your shell history), use scripts/manage-users.js.
  */
 
 import crypto from 'crypto';
+import { pathToFileURL } from 'url';
 
 const ITERATIONS = 100000;  // OWASP recommended minimum
 const HASH_LENGTH = 32;      // 32 bytes = 256 bits
@@ -24,7 +28,7 @@ const SALT_LENGTH = 16;      // 16 bytes = 128 bits
  * @param {string} password - The password to hash
  * @returns {Promise<string>} - The formatted hash string
  */
-async function hashPassword(password) {
+export async function hashPassword(password) {
   return new Promise((resolve, reject) => {
     // Generate random salt
     const salt = crypto.randomBytes(SALT_LENGTH);
@@ -53,7 +57,7 @@ async function hashPassword(password) {
  * @param {string} storedHash - The stored hash to verify against
  * @returns {Promise<boolean>} - True if password matches
  */
-async function verifyPassword(password, storedHash) {
+export async function verifyPassword(password, storedHash) {
   return new Promise((resolve, reject) => {
     try {
       // Parse the stored hash
@@ -91,6 +95,18 @@ async function verifyPassword(password, storedHash) {
   });
 }
 
+/**
+ * Keyed lookup hash that lets admin-auth find an account by its password
+ * without running PBKDF2 against every user (HMAC-SHA256, hex)
+ * @param {string} password - The password
+ * @param {string} [secret] - Defaults to PASSWORD_LOOKUP_SECRET
+ * @returns {string|null} - null when no secret is configured
+ */
+export function passwordLookup(password, secret = process.env.PASSWORD_LOOKUP_SECRET) {
+  if (!secret) return null;
+  return crypto.createHmac('sha256', secret).update(password).digest('hex');
+}
+
 // Main CLI execution
 async function main() {
   const args = process.argv.slice(2);
@@ -161,5 +177,7 @@ async function main() {
   }
 }
 
-// Run the CLI
-main();
+// Run the CLI (skipped when imported by scripts/manage-users.js)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
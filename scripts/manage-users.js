@@ -0,0 +1,479 @@
+#!/usr/bin/env node
+
+/**
+ * Investor User Management CLI
+ *
+ * Usage:
+ *   node scripts/manage-users.js <command> [arguments] [options]
+ *
+ * Commands:
+ *   add <name> [--role <role>]    Create a user (default role: viewer)
+ *   list                          List users, their roles and status
+ *   rotate <user>                 Set a new password and end the user's sessions
+ *   disable <user>                Revoke a user's access and end their sessions
+ *   set-expiry <user> <date>      Expire access on a date (YYYY-MM-DD), or "never"
+ *   reset-2fa <user>              Remove two-factor authentication (lost device)
+ *   unlock <user>                 Clear a lockout caused by failed login codes
+ *   set-role <user> <role>        Change a user's role
+ *   verify <user>                 Check a password against the stored hash
+ *
+ * <user> is a user id or an exact user name.
+ * Roles: viewer, board_member, editor, owner
+ *
+ * Options:
+ *   --password-stdin              Read the password from stdin instead of
+ *                                 prompting (e.g. from a password manager)
+ *
+ * Passwords are never accepted as command-line arguments, so they don't end
+ * up in shell history. When adding or rotating, leave the prompt empty to
+ * generate a strong random password; it is printed once.
+ *
+ * Connection (environment variables, never flags):
+ *   SUPABASE_URL               Project URL, or http://127.0.0.1:54321 for a
+ *                              local stack started with `supabase start`
+ *   SUPABASE_SERVICE_ROLE_KEY  Service role key for that project
+ *   PASSWORD_LOOKUP_SECRET     Same value as the admin-auth secret; lets login
+ *                              find the account without scanning every hash
+ *
+ * Example:
+ *   node --env-file=.env scripts/manage-users.js add "Acme Ventures" --role board_member
+ */
+
+import crypto from 'crypto';
+import readline from 'readline';
+import { createClient } from '@supabase/supabase-js';
+import { hashPassword, passwordLookup, verifyPassword } from './hash-password.js';
+
+const ROLES = ['viewer', 'board_member', 'editor', 'owner'];
+const GENERATED_PASSWORD_BYTES = 18;  // 18 bytes = 24 base64url characters
+const MIN_PASSWORD_LENGTH = 12;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class CliError extends Error {}
+
+/**
+ * Create a Supabase client using the service role key from the environment
+ */
+function getClient() {
+  const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!url || !serviceKey) {
+    throw new CliError(
+      'Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in the environment (e.g. node --env-file=.env ...)'
+    );
+  }
+
+  return createClient(url, serviceKey, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+}
+
+/**
+ * Generate a strong random password
+ * @returns {string}
+ */
+function generatePassword() {
+  return crypto.randomBytes(GENERATED_PASSWORD_BYTES).toString('base64url');
+}
+
+/**
+ * Read all of stdin (for --password-stdin)
+ * @returns {Promise<string>}
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+}
+
+/**
+ * Prompt for a secret on the terminal without echoing it
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>}
+ */
+function promptHidden(question) {
+  if (!process.stdin.isTTY) {
+    throw new CliError('No terminal available for the password prompt. Use --password-stdin.');
+  }
+
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stderr,
+      terminal: true,
+    });
+
+    // Suppress echo of everything typed after the prompt
+    rl._writeToOutput = (text) => {
+      if (text.startsWith(question)) rl.output.write(question);
+    };
+
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Get the password for add/rotate. Empty input generates one.
+ * @returns {Promise<{ password: string, generated: boolean }>}
+ */
+async function obtainNewPassword(options) {
+  let password = options.passwordStdin
+    ? await readStdin()
+    : await promptHidden('New password (leave empty to generate): ');
+
+  if (!password) {
+    return { password: generatePassword(), generated: true };
+  }
+
+  if (!options.passwordStdin) {
+    const confirmation = await promptHidden('Confirm password: ');
+    if (confirmation !== password) {
+      throw new CliError('Passwords do not match');
+    }
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new CliError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  return { password, generated: false };
+}
+
+/**
+ * Columns to store for a new password. Without PASSWORD_LOOKUP_SECRET the
+ * lookup is cleared, and admin-auth fills it in at the next login.
+ */
+async function passwordColumns(password) {
+  const lookup = passwordLookup(password);
+  if (!lookup) {
+    console.warn('Note: PASSWORD_LOOKUP_SECRET is not set; the first login will be slower.');
+  }
+  return { password_hash: await hashPassword(password), password_lookup: lookup };
+}
+
+// Unique index on password_lookup: two accounts can't share a password
+function describeWriteError(error) {
+  return error.code === '23505' && error.message.includes('password_lookup')
+    ? 'That password is already used by another account'
+    : error.message;
+}
+
+function printGeneratedPassword(password) {
+  console.log('');
+  console.log('Generated password (shown once, share it over a secure channel):');
+  console.log('━'.repeat(80));
+  console.log(password);
+  console.log('━'.repeat(80));
+}
+
+function accessStatus(user, now = new Date()) {
+  if (user.revoked_at) return 'disabled';
+  if (user.valid_from && new Date(user.valid_from) > now) return 'pending';
+  if (user.expires_at && new Date(user.expires_at) <= now) return 'expired';
+  return 'active';
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new CliError(`Unknown role "${role}". Expected one of: ${ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+/**
+ * Find exactly one user by id or name
+ */
+async function resolveUser(supabase, ref) {
+  if (!ref) {
+    throw new CliError('Missing <user> argument (id or name)');
+  }
+
+  const column = UUID_PATTERN.test(ref) ? 'id' : 'name';
+  const { data, error } = await supabase
+    .from('investor_password')
+    .select('id, name, role, password_hash, revoked_at')
+    .eq(column, ref);
+
+  if (error) throw new CliError(`Database error: ${error.message}`);
+  if (!data || data.length === 0) throw new CliError(`No user found for "${ref}"`);
+  if (data.length > 1) {
+    throw new CliError(`"${ref}" matches ${data.length} users; use the user id instead`);
+  }
+
+  return data[0];
+}
+
+// ============================================
+// Commands
+// ============================================
+
+async function addUser(supabase, [name], options) {
+  if (!name) throw new CliError('Usage: add <name> [--role <role>]');
+  const role = validateRole(options.role || 'viewer');
+
+  const { password, generated } = await obtainNewPassword(options);
+
+  const { data, error } = await supabase
+    .from('investor_password')
+    .insert({ name, role, ...(await passwordColumns(password)) })
+    .select('id')
+    .single();
+
+  if (error) throw new CliError(`Failed to add user: ${describeWriteError(error)}`);
+
+  console.log(`✅ Added ${name} (${role}) with id ${data.id}`);
+  if (generated) printGeneratedPassword(password);
+}
+
+async function listUsers(supabase) {
+  const { data, error } = await supabase
+    .from('investor_password')
+    .select('id, name, role, created_at, revoked_at, valid_from, expires_at')
+    .order('name', { ascending: true });
+
+  if (error) throw new CliError(`Failed to list users: ${error.message}`);
+
+  if (!data || data.length === 0) {
+    console.log('No users yet. Add one with: node scripts/manage-users.js add <name>');
+    return;
+  }
+
+  console.table(
+    data.map((user) => ({
+      id: user.id,
+      name: user.name || '',
+      role: user.role,
+      status: accessStatus(user),
+      created: user.created_at ? user.created_at.split('T')[0] : '',
+      expires: user.expires_at ? user.expires_at.split('T')[0] : '',
+    }))
+  );
+}
+
+// Data calls check the session row, so this logs the user out everywhere
+async function endSessions(supabase, userId) {
+  const { error } = await supabase
+    .from('investor_session')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (error) throw new CliError(`Failed to end sessions: ${error.message}`);
+}
+
+async function rotatePassword(supabase, [ref], options) {
+  const user = await resolveUser(supabase, ref);
+  const { password, generated } = await obtainNewPassword(options);
+
+  const { error } = await supabase
+    .from('investor_password')
+    .update(await passwordColumns(password))
+    .eq('id', user.id);
+
+  if (error) throw new CliError(`Failed to rotate password: ${describeWriteError(error)}`);
+
+  // Whoever had the old password may still be signed in with it
+  await endSessions(supabase, user.id);
+
+  console.log(`✅ Rotated password for ${user.name || user.id}`);
+  if (generated) printGeneratedPassword(password);
+}
+
+async function disableUser(supabase, [ref]) {
+  const user = await resolveUser(supabase, ref);
+  if (user.revoked_at) {
+    console.log(`${user.name || user.id} is already disabled`);
+    return;
+  }
+
+  const { error } = await supabase
+    .from('investor_password')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', user.id);
+
+  if (error) throw new CliError(`Failed to disable user: ${error.message}`);
+
+  await endSessions(supabase, user.id);
+
+  console.log(`✅ Disabled ${user.name || user.id}`);
+}
+
+async function setExpiry(supabase, [ref, date]) {
+  if (!date) throw new CliError('Usage: set-expiry <user> <YYYY-MM-DD|never>');
+
+  let expiresAt = null;
+  if (date !== 'never') {
+    const parsed = new Date(date);
+    if (Number.isNaN(parsed.getTime())) {
+      throw new CliError(`Invalid date "${date}". Use YYYY-MM-DD or "never"`);
+    }
+    expiresAt = parsed.toISOString();
+  }
+
+  const user = await resolveUser(supabase, ref);
+  const { error } = await supabase
+    .from('investor_password')
+    .update({ expires_at: expiresAt })
+    .eq('id', user.id);
+
+  if (error) throw new CliError(`Failed to set expiry: ${error.message}`);
+
+  console.log(
+    expiresAt
+      ? `✅ Access for ${user.name || user.id} expires ${expiresAt}`
+      : `✅ Access for ${user.name || user.id} no longer expires`
+  );
+}
+
+async function resetTwoFactor(supabase, [ref]) {
+  const user = await resolveUser(supabase, ref);
+
+  const { error } = await supabase
+    .from('investor_password')
+    .update({ totp_secret: null, totp_enabled_at: null, totp_last_step: null })
+    .eq('id', user.id);
+
+  if (error) throw new CliError(`Failed to reset two-factor: ${error.message}`);
+
+  const { error: codesError } = await supabase
+    .from('totp_recovery_code')
+    .delete()
+    .eq('user_id', user.id);
+
+  if (codesError) throw new CliError(`Failed to delete recovery codes: ${codesError.message}`);
+
+  console.log(`✅ Two-factor authentication removed for ${user.name || user.id}; they can enrol again after logging in`);
+}
+
+async function unlockUser(supabase, [ref]) {
+  const user = await resolveUser(supabase, ref);
+
+  const { data, error } = await supabase
+    .from('auth_lockout')
+    .delete()
+    .eq('key', `account:${user.id}`)
+    .select('id');
+
+  if (error) throw new CliError(`Failed to unlock user: ${error.message}`);
+
+  console.log(
+    data && data.length > 0
+      ? `✅ Unlocked ${user.name || user.id}`
+      : `${user.name || user.id} is not locked out`
+  );
+}
+
+async function setRole(supabase, [ref, role]) {
+  validateRole(role);
+  const user = await resolveUser(supabase, ref);
+
+  const { error } = await supabase
+    .from('investor_password')
+    .update({ role })
+    .eq('id', user.id);
+
+  if (error) throw new CliError(`Failed to set role: ${error.message}`);
+
+  console.log(`✅ ${user.name || user.id}: ${user.role} → ${role}`);
+}
+
+async function verifyUserPassword(supabase, [ref], options) {
+  const user = await resolveUser(supabase, ref);
+  if (!user.password_hash) throw new CliError(`${user.name || user.id} has no password set`);
+
+  const password = options.passwordStdin
+    ? await readStdin()
+    : await promptHidden('Password to verify: ');
+
+  if (await verifyPassword(password, user.password_hash)) {
+    console.log(`✅ Password matches ${user.name || user.id}`);
+  } else {
+    console.error(`❌ Password does not match ${user.name || user.id}`);
+    process.exitCode = 1;
+  }
+}
+
+const COMMANDS = {
+  add: addUser,
+  list: listUsers,
+  rotate: rotatePassword,
+  disable: disableUser,
+  'set-expiry': setExpiry,
+  'reset-2fa': resetTwoFactor,
+  unlock: unlockUser,
+  'set-role': setRole,
+  verify: verifyUserPassword,
+};
+
+/**
+ * Split argv into positional arguments and options
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--password-stdin') {
+      options.passwordStdin = true;
+    } else if (arg === '--role') {
+      options.role = argv[++i];
+    } else if (arg === '--password' || arg.startsWith('--password=')) {
+      throw new CliError('Passwords are not accepted as arguments. Use the prompt or --password-stdin.');
+    } else if (arg.startsWith('--')) {
+      throw new CliError(`Unknown option ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { positional, options };
+}
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node scripts/manage-users.js add <name> [--role <role>] [--password-stdin]');
+  console.log('  node scripts/manage-users.js list');
+  console.log('  node scripts/manage-users.js rotate <user> [--password-stdin]');
+  console.log('  node scripts/manage-users.js disable <user>');
+  console.log('  node scripts/manage-users.js set-expiry <user> <YYYY-MM-DD|never>');
+  console.log('  node scripts/manage-users.js reset-2fa <user>');
+  console.log('  node scripts/manage-users.js unlock <user>');
+  console.log('  node scripts/manage-users.js set-role <user> <role>');
+  console.log('  node scripts/manage-users.js verify <user> [--password-stdin]');
+  console.log('');
+  console.log(`Roles: ${ROLES.join(', ')}`);
+}
+
+// Main CLI execution
+async function main() {
+  try {
+    const { positional, options } = parseArgs(process.argv.slice(2));
+    const [commandName, ...args] = positional;
+    const command = COMMANDS[commandName];
+
+    if (!command) {
+      if (commandName) console.error(`Error: Unknown command "${commandName}"\n`);
+      printUsage();
+      process.exit(commandName ? 1 : 0);
+    }
+
+    await command(getClient(), args, options);
+  } catch (error) {
+    if (error instanceof CliError) {
+      console.error(`Error: ${error.message}`);
+    } else {
+      console.error('Unexpected error:', error);
+    }
+    process.exit(1);
+  }
+}
+
+main();
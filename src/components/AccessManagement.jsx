@@ -0,0 +1,476 @@
+import React, { useState, useEffect } from "react";
+import { Card, CardTitle, CardBody } from "@/catalyst/card";
+import { Button } from "@/catalyst/button";
+import { Text, Heading, Input, Field, Label } from "@/catalyst";
+import { Dialog } from "@/catalyst/dialog";
+import toast from "react-hot-toast";
+import { v4 as uuidv4 } from "uuid";
+import { format, differenceInCalendarDays } from "date-fns";
+import {
+  listUsers,
+  listVisibilityRules,
+  createVisibilityRule,
+  deleteVisibilityRule,
+  updateUserAccess,
+} from "@/services/api";
+
+export const ROLE_LABELS = {
+  viewer: "Viewer",
+  board_member: "Board Member",
+  editor: "Editor",
+  owner: "Owner",
+};
+
+const SECTION_OPTIONS = [
+  { value: "customer_list", label: "Customer list" },
+  { value: "pipeline_clients", label: "Pipeline clients" },
+  { value: "pipeline_notes", label: "Pipeline notes" },
+  { value: "arr", label: "ARR" },
+  { value: "cash", label: "Cash position" },
+  { value: "burn", label: "Monthly burn" },
+  { value: "headcount", label: "Headcount" },
+];
+
+// Which actions make sense for each section
+const SECTION_ACTIONS = {
+  customer_list: ["hide", "anonymize", "bucket"],
+  pipeline_clients: ["hide", "anonymize", "bucket"],
+  pipeline_notes: ["hide"],
+  arr: ["hide", "bucket"],
+  cash: ["hide", "bucket"],
+  burn: ["hide", "bucket"],
+  headcount: ["hide", "bucket"],
+};
+
+const ACTION_LABELS = {
+  hide: "Hide",
+  anonymize: "Anonymize names",
+  bucket: "Round to buckets",
+};
+
+const sectionLabel = (section) =>
+  SECTION_OPTIONS.find((s) => s.value === section)?.label || section;
+
+// Access ending within this many days is listed under "Upcoming Expirations"
+const EXPIRY_WARNING_DAYS = 30;
+
+// Mirrors getAccessStatus in supabase/functions/_shared/access.ts
+const getAccessStatus = (user, now = new Date()) => {
+  if (user.revoked_at) return "revoked";
+  if (user.valid_from && new Date(user.valid_from) > now) return "pending";
+  if (user.expires_at && new Date(user.expires_at) <= now) return "expired";
+  return "active";
+};
+
+const STATUS_STYLES = {
+  active: "bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200",
+  pending: "bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200",
+  expired: "bg-zinc-200 text-zinc-700 dark:bg-zinc-700 dark:text-zinc-300",
+  revoked: "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200",
+};
+
+const STATUS_LABELS = {
+  active: "Active",
+  pending: "Not started",
+  expired: "Expired",
+  revoked: "Revoked",
+};
+
+const formatDate = (value) => format(new Date(value), "MMM d, yyyy");
+
+// <input type="date"> values <-> timestamps. Access starts at the beginning
+// of valid_from and runs through the end of the expiry day (local time).
+const toDateInput = (value) =>
+  value ? format(new Date(value), "yyyy-MM-dd") : "";
+const startOfDayISO = (date) =>
+  date ? new Date(`${date}T00:00:00`).toISOString() : null;
+const endOfDayISO = (date) =>
+  date ? new Date(`${date}T23:59:59`).toISOString() : null;
+
+/**
+ * Owner-only panel for per-investor visibility rules
+ */
+export default function AccessManagement() {
+  const [users, setUsers] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showRuleModal, setShowRuleModal] = useState(false);
+  const [ruleValues, setRuleValues] = useState({});
+  const [showAccessModal, setShowAccessModal] = useState(false);
+  const [accessValues, setAccessValues] = useState({});
+
+  useEffect(() => {
+    fetchAccessData();
+  }, []);
+
+  const fetchAccessData = async () => {
+    try {
+      setIsLoading(true);
+      const [userData, ruleData] = await Promise.all([
+        listUsers(),
+        listVisibilityRules(),
+      ]);
+      setUsers(userData || []);
+      setRules(ruleData || []);
+    } catch (error) {
+      console.error("Error fetching access data:", error);
+      toast.error("Failed to load investor access");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const openRuleModal = (user) => {
+    setRuleValues({
+      userId: user.id,
+      userName: user.name,
+      section: "customer_list",
+      action: "anonymize",
+      bucketSize: "",
+    });
+    setShowRuleModal(true);
+  };
+
+  const handleSaveRule = async () => {
+    try {
+      await createVisibilityRule({
+        id: uuidv4(),
+        user_id: ruleValues.userId,
+        section: ruleValues.section,
+        action: ruleValues.action,
+        bucket_size:
+          ruleValues.action === "bucket"
+            ? parseFloat(ruleValues.bucketSize) || null
+            : null,
+      });
+      toast.success("Visibility rule added");
+      setShowRuleModal(false);
+      fetchAccessData();
+    } catch (error) {
+      console.error("Error saving visibility rule:", error);
+      toast.error("Failed to save rule (one rule per section per investor)");
+    }
+  };
+
+  const handleDeleteRule = async (id) => {
+    try {
+      await deleteVisibilityRule(id);
+      toast.success("Visibility rule removed");
+      fetchAccessData();
+    } catch (error) {
+      console.error("Error deleting visibility rule:", error);
+      toast.error("Failed to remove rule");
+    }
+  };
+
+  const openAccessModal = (user) => {
+    setAccessValues({
+      userId: user.id,
+      userName: user.name,
+      validFrom: toDateInput(user.valid_from),
+      expiresAt: toDateInput(user.expires_at),
+    });
+    setShowAccessModal(true);
+  };
+
+  const handleSaveAccess = async () => {
+    if (
+      accessValues.validFrom &&
+      accessValues.expiresAt &&
+      accessValues.expiresAt < accessValues.validFrom
+    ) {
+      toast.error("Expiry date must be after the start date");
+      return;
+    }
+
+    try {
+      await updateUserAccess(accessValues.userId, {
+        valid_from: startOfDayISO(accessValues.validFrom),
+        expires_at: endOfDayISO(accessValues.expiresAt),
+      });
+      toast.success("Access dates updated");
+      setShowAccessModal(false);
+      fetchAccessData();
+    } catch (error) {
+      console.error("Error updating access dates:", error);
+      toast.error(error.message || "Failed to update access dates");
+    }
+  };
+
+  const handleToggleRevoked = async (user) => {
+    const revoking = !user.revoked_at;
+    if (
+      revoking &&
+      !confirm(
+        `Revoke access for ${user.name || "this investor"}? They will be logged out immediately.`
+      )
+    )
+      return;
+
+    try {
+      await updateUserAccess(user.id, {
+        revoked_at: revoking ? new Date().toISOString() : null,
+      });
+      toast.success(revoking ? "Access revoked" : "Access restored");
+      fetchAccessData();
+    } catch (error) {
+      console.error("Error updating access:", error);
+      toast.error(error.message || "Failed to update access");
+    }
+  };
+
+  const availableActions = SECTION_ACTIONS[ruleValues.section] || [];
+
+  const now = new Date();
+  const upcomingExpirations = users
+    .filter(
+      (user) =>
+        getAccessStatus(user, now) === "active" &&
+        user.expires_at &&
+        differenceInCalendarDays(new Date(user.expires_at), now) <=
+          EXPIRY_WARNING_DAYS
+    )
+    .sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at));
+
+  return (
+    <Card className="mb-8 w-full !max-w-none" style={{ maxWidth: "100%" }}>
+      <CardTitle>Investor Access</CardTitle>
+      <CardBody>
+        {isLoading ? (
+          <Text>Loading investor access...</Text>
+        ) : users.length === 0 ? (
+          <Text className="text-zinc-500 dark:text-zinc-400">
+            No investor accounts yet.
+          </Text>
+        ) : (
+          <div className="space-y-3">
+            {upcomingExpirations.length > 0 && (
+              <div className="p-4 bg-yellow-50 dark:bg-yellow-900/20 rounded-lg border border-yellow-200 dark:border-yellow-800">
+                <h3 className="text-sm font-semibold text-zinc-950 dark:text-white mb-2">
+                  Upcoming Expirations
+                </h3>
+                <ul className="space-y-1">
+                  {upcomingExpirations.map((user) => {
+                    const days = differenceInCalendarDays(
+                      new Date(user.expires_at),
+                      now
+                    );
+                    return (
+                      <li
+                        key={user.id}
+                        className="text-sm text-zinc-700 dark:text-zinc-300"
+                      >
+                        <span className="font-medium">
+                          {user.name || "Unnamed user"}
+                        </span>{" "}
+                        · {formatDate(user.expires_at)} (
+                        {days <= 0
+                          ? "today"
+                          : `in ${days} day${days === 1 ? "" : "s"}`}
+                        )
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            )}
+            {users.map((user) => {
+              const userRules = rules.filter((r) => r.user_id === user.id);
+              const status = getAccessStatus(user, now);
+              return (
+                <div
+                  key={user.id}
+                  className="p-4 bg-zinc-50 dark:bg-zinc-800 rounded-lg border border-zinc-200 dark:border-zinc-700"
+                >
+                  <div className="flex justify-between items-start mb-2">
+                    <div>
+                      <div className="font-semibold text-zinc-950 dark:text-white">
+                        {user.name || "Unnamed user"}
+                      </div>
+                      <div className="flex items-center gap-2 text-xs text-zinc-500 dark:text-zinc-400">
+                        {ROLE_LABELS[user.role] || user.role}
+                        <span
+                          className={`rounded-full px-2 py-0.5 font-medium ${STATUS_STYLES[status]}`}
+                        >
+                          {STATUS_LABELS[status]}
+                        </span>
+                        {user.valid_from && status === "pending" && (
+                          <span>Starts {formatDate(user.valid_from)}</span>
+                        )}
+                        {user.expires_at && status !== "revoked" && (
+                          <span>
+                            {status === "expired" ? "Expired" : "Expires"}{" "}
+                            {formatDate(user.expires_at)}
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <Button
+                        onClick={() => openAccessModal(user)}
+                        outline
+                        className="text-xs"
+                      >
+                        Access Dates
+                      </Button>
+                      <Button
+                        onClick={() => handleToggleRevoked(user)}
+                        outline
+                        className="text-xs"
+                      >
+                        {user.revoked_at ? "Restore" : "Revoke"}
+                      </Button>
+                      <Button
+                        onClick={() => openRuleModal(user)}
+                        outline
+                        className="text-xs"
+                      >
+                        Add Rule
+                      </Button>
+                    </div>
+                  </div>
+                  {userRules.length > 0 ? (
+                    <div className="flex flex-wrap gap-2">
+                      {userRules.map((rule) => (
+                        <span
+                          key={rule.id}
+                          className="inline-flex items-center gap-2 rounded-full bg-zinc-200 dark:bg-zinc-700 px-3 py-1 text-xs text-zinc-700 dark:text-zinc-300"
+                        >
+                          {sectionLabel(rule.section)}:{" "}
+                          {ACTION_LABELS[rule.action]}
+                          {rule.action === "bucket" &&
+                            rule.bucket_size &&
+                            ` (${rule.bucket_size})`}
+                          <button
+                            onClick={() => handleDeleteRule(rule.id)}
+                            className="text-red-600 hover:text-red-800"
+                            aria-label="Remove rule"
+                          >
+                            ×
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                  ) : (
+                    <Text className="text-xs text-zinc-500 dark:text-zinc-400">
+                      Sees everything their role allows.
+                    </Text>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardBody>
+
+      {/* Add Rule Modal */}
+      <Dialog open={showRuleModal} onClose={() => setShowRuleModal(false)}>
+        <div className="p-6">
+          <Heading className="mb-4">
+            Add Visibility Rule for {ruleValues.userName || "investor"}
+          </Heading>
+          <div className="space-y-4">
+            <Field>
+              <Label>Section</Label>
+              <select
+                value={ruleValues.section || "customer_list"}
+                onChange={(e) =>
+                  setRuleValues({
+                    ...ruleValues,
+                    section: e.target.value,
+                    action: SECTION_ACTIONS[e.target.value][0],
+                  })
+                }
+                className="w-full rounded-md border-zinc-300 dark:border-zinc-600 bg-white dark:bg-zinc-900"
+              >
+                {SECTION_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </Field>
+            <Field>
+              <Label>Action</Label>
+              <select
+                value={ruleValues.action || "hide"}
+                onChange={(e) =>
+                  setRuleValues({ ...ruleValues, action: e.target.value })
+                }
+                className="w-full rounded-md border-zinc-300 dark:border-zinc-600 bg-white dark:bg-zinc-900"
+              >
+                {availableActions.map((action) => (
+                  <option key={action} value={action}>
+                    {ACTION_LABELS[action]}
+                  </option>
+                ))}
+              </select>
+            </Field>
+            {ruleValues.action === "bucket" && (
+              <Field>
+                <Label>Bucket Size</Label>
+                <Input
+                  type="number"
+                  value={ruleValues.bucketSize || ""}
+                  placeholder={
+                    ruleValues.section === "headcount" ? "5" : "100000"
+                  }
+                  onChange={(e) =>
+                    setRuleValues({ ...ruleValues, bucketSize: e.target.value })
+                  }
+                />
+              </Field>
+            )}
+            <div className="flex gap-2 justify-end">
+              <Button onClick={() => setShowRuleModal(false)} outline>
+                Cancel
+              </Button>
+              <Button onClick={handleSaveRule}>Save</Button>
+            </div>
+          </div>
+        </div>
+      </Dialog>
+
+      {/* Access Dates Modal */}
+      <Dialog open={showAccessModal} onClose={() => setShowAccessModal(false)}>
+        <div className="p-6">
+          <Heading className="mb-4">
+            Access Dates for {accessValues.userName || "investor"}
+          </Heading>
+          <div className="space-y-4">
+            <Field>
+              <Label>Access Starts</Label>
+              <Input
+                type="date"
+                value={accessValues.validFrom || ""}
+                onChange={(e) =>
+                  setAccessValues({ ...accessValues, validFrom: e.target.value })
+                }
+              />
+            </Field>
+            <Field>
+              <Label>Access Expires</Label>
+              <Input
+                type="date"
+                value={accessValues.expiresAt || ""}
+                onChange={(e) =>
+                  setAccessValues({ ...accessValues, expiresAt: e.target.value })
+                }
+              />
+            </Field>
+            <Text className="text-xs text-zinc-500 dark:text-zinc-400">
+              Leave a date empty for no limit. Access ends at the end of the
+              expiry day and live sessions are logged out.
+            </Text>
+            <div className="flex gap-2 justify-end">
+              <Button onClick={() => setShowAccessModal(false)} outline>
+                Cancel
+              </Button>
+              <Button onClick={handleSaveAccess}>Save</Button>
+            </div>
+          </div>
+        </div>
+      </Dialog>
+    </Card>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { useState } from "react";
+import { Text } from "@/catalyst";
+import { format, parseISO } from "date-fns";
+import TimeSeriesChart from "@/components/charts/TimeSeriesChart";
+import { compactCurrency } from "@/components/charts/format";
+
+const MOVEMENTS = [
+  { key: "newArr", label: "New", sign: "+", color: "text-green-600" },
+  { key: "expansion", label: "Expansion", sign: "+", color: "text-green-600" },
+  {
+    key: "contraction",
+    label: "Contraction",
+    sign: "−",
+    color: "text-red-600",
+  },
+  { key: "churned", label: "Churned", sign: "−", color: "text-red-600" },
+];
+
+/**
+ * Month-end ARR chart for the ARR card, with the new / expansion /
+ * contraction / churn movement of the selected month (the latest by default).
+ * history: arrHistory from getKPIs, oldest first.
+ */
+export default function ArrTrend({ history, formatAmount }) {
+  const [selectedMonth, setSelectedMonth] = useState(null);
+
+  if (history.length === 0) {
+    return (
+      <Text className="mt-4 text-sm text-zinc-500 dark:text-zinc-400">
+        No ARR history yet.
+      </Text>
+    );
+  }
+
+  const months = history.map((month) => ({
+    ...month,
+    parsedDate: parseISO(month.month),
+  }));
+  const selected =
+    months.find((month) => month.month === selectedMonth) ||
+    months[months.length - 1];
+  const netNew =
+    selected.newArr +
+    selected.expansion -
+    selected.contraction -
+    selected.churned;
+
+  return (
+    <div className="mt-6 space-y-6">
+      <div>
+        <h3 className="text-sm font-semibold text-zinc-950 dark:text-white mb-2">
+          Month-end ARR
+        </h3>
+        <TimeSeriesChart
+          points={months.map((month) => ({
+            id: month.month,
+            date: month.parsedDate,
+            value: month.arr,
+          }))}
+          formatValue={formatAmount}
+          formatTick={compactCurrency}
+          selectedId={selected.month}
+          onSelect={setSelectedMonth}
+          color="#16a34a"
+        />
+      </div>
+
+      <div className="p-4 bg-zinc-50 dark:bg-zinc-800 rounded-lg border border-zinc-200 dark:border-zinc-700">
+        <div className="text-xs text-zinc-500 dark:text-zinc-400 mb-3">
+          {format(selected.parsedDate, "MMMM yyyy")}
+        </div>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <div className="text-xs text-zinc-500 dark:text-zinc-400">ARR</div>
+            <div className="text-lg font-semibold text-zinc-950 dark:text-white">
+              {formatAmount(selected.arr)}
+            </div>
+          </div>
+          <div>
+            <div className="text-xs text-zinc-500 dark:text-zinc-400">
+              Net new ARR
+            </div>
+            <div className="text-lg font-semibold text-zinc-950 dark:text-white">
+              {netNew < 0 ? "−" : "+"}
+              {formatAmount(Math.abs(netNew))}
+            </div>
+          </div>
+        </div>
+        <ul className="mt-4 grid grid-cols-2 sm:grid-cols-4 gap-2 text-xs">
+          {MOVEMENTS.map((movement) => (
+            <li key={movement.key}>
+              <div className="text-zinc-500 dark:text-zinc-400">
+                {movement.label}
+              </div>
+              <div
+                className={
+                  selected[movement.key] > 0
+                    ? movement.color
+                    : "text-zinc-600 dark:text-zinc-400"
+                }
+              >
+                {selected[movement.key] > 0 && movement.sign}
+                {formatAmount(selected[movement.key])}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
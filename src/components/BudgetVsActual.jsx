@@ -0,0 +1,214 @@
+import React, { useState } from "react";
+import { Card, CardTitle, CardBody } from "@/catalyst/card";
+import { Button } from "@/catalyst/button";
+import { Text } from "@/catalyst";
+import { format, parseISO } from "date-fns";
+import VarianceBarChart from "@/components/charts/VarianceBarChart";
+import { compactCurrency, formatCurrency } from "@/components/charts/format";
+import OperatingPlanDialog from "@/components/OperatingPlanDialog";
+
+const formatNumber = (value) => new Intl.NumberFormat("en-US").format(value);
+
+// Over plan is red, under plan green; "-" when either side is missing
+const varianceCell = (value, formatter) => {
+  if (value === null) {
+    return <span className="text-zinc-400 dark:text-zinc-500">-</span>;
+  }
+  const className =
+    value > 0
+      ? "text-red-600 dark:text-red-400"
+      : value < 0
+        ? "text-green-600 dark:text-green-400"
+        : "text-zinc-600 dark:text-zinc-400";
+  return (
+    <span className={className}>
+      {value > 0 ? "+" : ""}
+      {formatter(value)}
+    </span>
+  );
+};
+
+const valueCell = (value, formatter) =>
+  value === null ? "-" : formatter(value);
+
+const sumOf = (months, field) =>
+  months.reduce((sum, month) => sum + (month[field] || 0), 0);
+
+/**
+ * Planned vs actual burn and headcount per month of a fiscal year.
+ * months: budgetVsActual from getKPIs, oldest first.
+ */
+export default function BudgetVsActual({ months, canEdit, onChanged }) {
+  const [selectedYear, setSelectedYear] = useState(null);
+  const [showPlanDialog, setShowPlanDialog] = useState(false);
+
+  const fiscalYears = [...new Set(months.map((month) => month.fiscalYear))];
+  const currentMonth = format(new Date(), "yyyy-MM-01");
+  // Default to the fiscal year containing this month, else the latest one
+  const defaultYear =
+    months.find((month) => month.month === currentMonth)?.fiscalYear ??
+    fiscalYears[fiscalYears.length - 1];
+  const fiscalYear = fiscalYears.includes(selectedYear)
+    ? selectedYear
+    : defaultYear;
+
+  const yearMonths = months.filter((month) => month.fiscalYear === fiscalYear);
+  // Year to date: only the months with an actual to compare against
+  const closedMonths = yearMonths.filter(
+    (month) => month.burnVariance !== null
+  );
+  const ytdBudget = sumOf(closedMonths, "budgetedBurn");
+  const ytdActual = sumOf(closedMonths, "actualBurn");
+
+  return (
+    <Card className="mb-8 w-full !max-w-none" style={{ maxWidth: "100%" }}>
+      <CardTitle className="flex justify-between items-center">
+        <span>Budget vs Actual</span>
+        <div className="flex gap-2 items-center">
+          {fiscalYears.length > 1 && (
+            <select
+              value={fiscalYear}
+              onChange={(e) => setSelectedYear(parseInt(e.target.value, 10))}
+              className="rounded-md border-zinc-300 dark:border-zinc-600 bg-white dark:bg-zinc-900 text-sm"
+            >
+              {fiscalYears.map((year) => (
+                <option key={year} value={year}>
+                  FY{year}
+                </option>
+              ))}
+            </select>
+          )}
+          {canEdit && (
+            <Button
+              onClick={() => setShowPlanDialog(true)}
+              outline
+              className="text-xs ml-4"
+            >
+              Edit Plan
+            </Button>
+          )}
+        </div>
+      </CardTitle>
+      <CardBody>
+        {yearMonths.length === 0 ? (
+          <Text className="text-zinc-500 dark:text-zinc-400">
+            No operating plan has been entered yet.
+          </Text>
+        ) : (
+          <>
+            {closedMonths.length > 0 && (
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+                <div>
+                  <Text className="text-sm text-zinc-500 dark:text-zinc-400">
+                    FY{fiscalYear} Budgeted Burn (YTD)
+                  </Text>
+                  <div className="text-xl font-semibold text-zinc-950 dark:text-white">
+                    {formatCurrency(ytdBudget)}
+                  </div>
+                </div>
+                <div>
+                  <Text className="text-sm text-zinc-500 dark:text-zinc-400">
+                    Actual Burn (YTD)
+                  </Text>
+                  <div className="text-xl font-semibold text-zinc-950 dark:text-white">
+                    {formatCurrency(ytdActual)}
+                  </div>
+                </div>
+                <div>
+                  <Text className="text-sm text-zinc-500 dark:text-zinc-400">
+                    {ytdActual > ytdBudget ? "Over Budget" : "Under Budget"}
+                  </Text>
+                  <div className="text-xl font-semibold">
+                    {varianceCell(ytdActual - ytdBudget, (value) =>
+                      formatCurrency(Math.abs(value))
+                    )}
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {closedMonths.length > 0 && (
+              <div className="mb-6">
+                <Text className="text-sm text-zinc-500 dark:text-zinc-400 mb-2">
+                  Burn variance by month (red is over budget, green under)
+                </Text>
+                <VarianceBarChart
+                  bars={yearMonths.map((month) => ({
+                    id: month.month,
+                    label: format(parseISO(month.month), "MMM"),
+                    value: month.burnVariance,
+                  }))}
+                  formatValue={formatCurrency}
+                  formatTick={compactCurrency}
+                />
+              </div>
+            )}
+
+            <div className="overflow-x-auto">
+              <table className="w-full border-collapse text-sm">
+                <thead>
+                  <tr>
+                    {[
+                      "Month",
+                      "Budgeted Burn",
+                      "Actual Burn",
+                      "Variance",
+                      "Planned Headcount",
+                      "Actual Headcount",
+                      "Variance",
+                    ].map((heading, i) => (
+                      <th
+                        key={i}
+                        className="p-2 text-left font-semibold text-zinc-950 dark:text-white border-b border-zinc-200 dark:border-zinc-700"
+                      >
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {yearMonths.map((month) => (
+                    <tr
+                      key={month.month}
+                      className="border-b border-zinc-100 dark:border-zinc-800"
+                    >
+                      <td className="p-2 text-zinc-950 dark:text-white whitespace-nowrap">
+                        {format(parseISO(month.month), "MMM yyyy")}
+                      </td>
+                      <td className="p-2 text-zinc-600 dark:text-zinc-400">
+                        {valueCell(month.budgetedBurn, formatCurrency)}
+                      </td>
+                      <td className="p-2 text-zinc-600 dark:text-zinc-400">
+                        {valueCell(month.actualBurn, formatCurrency)}
+                      </td>
+                      <td className="p-2">
+                        {varianceCell(month.burnVariance, formatCurrency)}
+                      </td>
+                      <td className="p-2 text-zinc-600 dark:text-zinc-400">
+                        {valueCell(month.plannedHeadcount, formatNumber)}
+                      </td>
+                      <td className="p-2 text-zinc-600 dark:text-zinc-400">
+                        {valueCell(month.actualHeadcount, formatNumber)}
+                      </td>
+                      <td className="p-2">
+                        {varianceCell(month.headcountVariance, formatNumber)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </CardBody>
+
+      {canEdit && (
+        <OperatingPlanDialog
+          open={showPlanDialog}
+          onClose={() => setShowPlanDialog(false)}
+          onSaved={onChanged}
+        />
+      )}
+    </Card>
+  );
+}
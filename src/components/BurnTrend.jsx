@@ -0,0 +1,164 @@
+import React, { useState } from "react";
+import { Text } from "@/catalyst";
+import { format, parseISO } from "date-fns";
+import TimeSeriesChart from "@/components/charts/TimeSeriesChart";
+import { compactCurrency } from "@/components/charts/format";
+
+const BURN_CATEGORIES = [
+  { key: "payroll", label: "Payroll", color: "bg-blue-500" },
+  { key: "infrastructure", label: "Infrastructure", color: "bg-purple-500" },
+  { key: "generalAdmin", label: "G&A", color: "bg-amber-500" },
+];
+
+// Categories are optional and may not add up to the gross burn; the rest is
+// shown as "Other"
+const categoryBreakdown = (month) => {
+  const categories = BURN_CATEGORIES.filter(
+    (category) => month[category.key] !== null
+  ).map((category) => ({ ...category, amount: month[category.key] }));
+  if (categories.length === 0) return [];
+
+  const covered = categories.reduce((sum, c) => sum + c.amount, 0);
+  if (month.grossBurn - covered > 0) {
+    categories.push({
+      key: "other",
+      label: "Other",
+      color: "bg-zinc-400",
+      amount: month.grossBurn - covered,
+    });
+  }
+  return categories;
+};
+
+/**
+ * 12-month gross vs net burn chart for the Monthly Burn card, with the
+ * breakdown of the selected month (the latest by default).
+ * history: burnHistory from getKPIs, oldest first.
+ */
+export default function BurnTrend({ history, formatAmount }) {
+  const [selectedId, setSelectedId] = useState(null);
+
+  if (history.length === 0) {
+    return (
+      <Text className="mt-4 text-sm text-zinc-500 dark:text-zinc-400">
+        No monthly burn history yet.
+      </Text>
+    );
+  }
+
+  const months = history.map((month) => ({
+    ...month,
+    parsedDate: parseISO(month.month),
+  }));
+  const selected =
+    months.find((month) => month.id === selectedId) ||
+    months[months.length - 1];
+  const hasRevenue = months.some((month) => month.revenueCollected !== null);
+  const breakdown = categoryBreakdown(selected);
+
+  const seriesFor = (field) =>
+    months.map((month) => ({
+      id: month.id,
+      date: month.parsedDate,
+      value: month[field],
+    }));
+
+  return (
+    <div className="mt-6 space-y-6">
+      <div>
+        <h3 className="text-sm font-semibold text-zinc-950 dark:text-white mb-2">
+          Last 12 Months
+        </h3>
+        <TimeSeriesChart
+          series={[
+            {
+              key: "gross",
+              label: "Gross burn",
+              color: "#dc2626",
+              points: seriesFor("grossBurn"),
+            },
+            ...(hasRevenue
+              ? [
+                  {
+                    key: "revenue",
+                    label: "Revenue collected",
+                    color: "#16a34a",
+                    points: seriesFor("revenueCollected").filter(
+                      (p) => p.value !== null
+                    ),
+                  },
+                  {
+                    key: "net",
+                    label: "Net burn",
+                    color: "#2563eb",
+                    points: seriesFor("netBurn"),
+                  },
+                ]
+              : []),
+          ]}
+          formatValue={formatAmount}
+          formatTick={compactCurrency}
+          selectedId={selected.id}
+          onSelect={setSelectedId}
+        />
+      </div>
+
+      <div className="p-4 bg-zinc-50 dark:bg-zinc-800 rounded-lg border border-zinc-200 dark:border-zinc-700">
+        <div className="text-xs text-zinc-500 dark:text-zinc-400 mb-3">
+          {format(selected.parsedDate, "MMMM yyyy")}
+        </div>
+        <div className="grid grid-cols-3 gap-4">
+          {[
+            ["Gross burn", selected.grossBurn],
+            ["Revenue collected", selected.revenueCollected],
+            ["Net burn", selected.netBurn],
+          ].map(([label, value]) => (
+            <div key={label}>
+              <div className="text-xs text-zinc-500 dark:text-zinc-400">
+                {label}
+              </div>
+              <div className="text-lg font-semibold text-zinc-950 dark:text-white">
+                {value === null ? "—" : formatAmount(value)}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {breakdown.length > 0 && selected.grossBurn > 0 && (
+          <div className="mt-4">
+            <div className="flex h-3 rounded-full overflow-hidden bg-zinc-200 dark:bg-zinc-700">
+              {breakdown.map((category) => (
+                <div
+                  key={category.key}
+                  className={category.color}
+                  style={{
+                    width: `${Math.max(
+                      0,
+                      (category.amount / selected.grossBurn) * 100
+                    )}%`,
+                  }}
+                />
+              ))}
+            </div>
+            <ul className="mt-2 grid grid-cols-2 gap-1 text-xs text-zinc-600 dark:text-zinc-400">
+              {breakdown.map((category) => (
+                <li key={category.key} className="flex items-center gap-2">
+                  <span
+                    className={`inline-block w-2 h-2 rounded-full ${category.color}`}
+                  />
+                  {category.label}: {formatAmount(category.amount)}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {selected.notes && (
+          <Text className="mt-3 text-sm text-zinc-700 dark:text-zinc-300 whitespace-pre-wrap">
+            {selected.notes}
+          </Text>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,354 @@
+import React, { useState } from "react";
+import { Button } from "@/catalyst/button";
+import { Text, Input } from "@/catalyst";
+import toast from "react-hot-toast";
+import {
+  format,
+  parseISO,
+  startOfQuarter,
+  subQuarters,
+  endOfQuarter,
+} from "date-fns";
+import TimeSeriesChart from "@/components/charts/TimeSeriesChart";
+import { compactCurrency } from "@/components/charts/format";
+import { updateCashPosition, deleteCashPosition } from "@/services/api";
+
+const quarterLabel = (date) =>
+  `Q${Math.floor(date.getMonth() / 3) + 1} ${date.getFullYear()}`;
+
+/**
+ * Cash position over time: chart, quarter-end balances and the list of
+ * entries, with inline edit and delete for writers.
+ * history: cash_position rows from getKPIs, newest first.
+ */
+export default function CashHistory({
+  history,
+  canEdit,
+  formatAmount,
+  onChanged,
+}) {
+  const [range, setRange] = useState("year");
+  const [selectedId, setSelectedId] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [editValues, setEditValues] = useState({});
+
+  // Dates are plain YYYY-MM-DD; parseISO keeps them in local time
+  const entries = history
+    .map((entry) => ({ ...entry, parsedDate: parseISO(entry.date) }))
+    .sort((a, b) => a.parsedDate - b.parsedDate);
+
+  const rangeStart = startOfQuarter(subQuarters(new Date(), 3));
+  const visible =
+    range === "year"
+      ? entries.filter((entry) => entry.parsedDate >= rangeStart)
+      : entries;
+
+  // Change since the entry before it, across the whole history
+  const previousOf = (entry) => entries[entries.indexOf(entry) - 1] || null;
+  const selected = entries.find((entry) => entry.id === selectedId) || null;
+
+  // Closing balance of each of the last four quarters (latest entry in it)
+  const quarters = [3, 2, 1, 0].map((back) => {
+    const start = startOfQuarter(subQuarters(new Date(), back));
+    const inQuarter = entries.filter(
+      (entry) =>
+        entry.parsedDate >= start && entry.parsedDate <= endOfQuarter(start)
+    );
+    return { label: quarterLabel(start), closing: inQuarter.at(-1) || null };
+  });
+
+  const startEdit = (entry) => {
+    setEditingId(entry.id);
+    setEditValues({
+      amount: entry.amount,
+      date: entry.date,
+      notes: entry.notes || "",
+    });
+  };
+
+  const handleSave = async () => {
+    try {
+      await updateCashPosition(editingId, {
+        amount: parseFloat(editValues.amount) || 0,
+        date: editValues.date,
+        notes: editValues.notes || null,
+      });
+      toast.success("Cash position updated");
+      setEditingId(null);
+      onChanged();
+    } catch (error) {
+      console.error("Error updating cash position:", error);
+      toast.error("Failed to update cash position");
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!confirm("Are you sure you want to delete this cash position entry?"))
+      return;
+    try {
+      await deleteCashPosition(id);
+      toast.success("Cash position entry deleted");
+      if (selectedId === id) setSelectedId(null);
+      onChanged();
+    } catch (error) {
+      console.error("Error deleting cash position:", error);
+      toast.error("Failed to delete cash position entry");
+    }
+  };
+
+  const renderDelta = (change) => (
+    <span
+      className={
+        change < 0
+          ? "text-red-600 dark:text-red-400"
+          : "text-green-600 dark:text-green-400"
+      }
+    >
+      {change < 0 ? "−" : "+"}
+      {formatAmount(Math.abs(change))}
+    </span>
+  );
+
+  const renderChange = (entry) => {
+    const previous = previousOf(entry);
+    if (!previous) return "—";
+    return renderDelta(entry.amount - previous.amount);
+  };
+
+  if (entries.length === 0) {
+    return (
+      <Text className="mt-4 text-sm text-zinc-500 dark:text-zinc-400">
+        No cash position history yet.
+      </Text>
+    );
+  }
+
+  return (
+    <div className="mt-6 space-y-6">
+      <div>
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-sm font-semibold text-zinc-950 dark:text-white">
+            History
+          </h3>
+          <div className="flex gap-2">
+            {[
+              ["year", "Last 4 Quarters"],
+              ["all", "All Time"],
+            ].map(([value, label]) => (
+              <Button
+                key={value}
+                onClick={() => setRange(value)}
+                outline={range !== value}
+                className="text-xs"
+              >
+                {label}
+              </Button>
+            ))}
+          </div>
+        </div>
+        {visible.length > 0 ? (
+          <TimeSeriesChart
+            points={visible.map((entry) => ({
+              id: entry.id,
+              date: entry.parsedDate,
+              value: entry.amount,
+            }))}
+            formatValue={formatAmount}
+            formatTick={compactCurrency}
+            selectedId={selectedId}
+            onSelect={(id) => setSelectedId(id === selectedId ? null : id)}
+          />
+        ) : (
+          <Text className="text-sm text-zinc-500 dark:text-zinc-400">
+            No entries in the last four quarters.
+          </Text>
+        )}
+      </div>
+
+      {selected && (
+        <div className="p-4 bg-zinc-50 dark:bg-zinc-800 rounded-lg border border-zinc-200 dark:border-zinc-700">
+          <div className="flex justify-between items-start gap-4">
+            <div>
+              <div className="text-xs text-zinc-500 dark:text-zinc-400">
+                {format(selected.parsedDate, "MMMM d, yyyy")}
+              </div>
+              <div className="text-2xl font-bold text-zinc-950 dark:text-white">
+                {formatAmount(selected.amount)}
+              </div>
+              <div className="text-sm mt-1">
+                {renderChange(selected)}
+                {previousOf(selected) && (
+                  <span className="text-zinc-500 dark:text-zinc-400">
+                    {" "}
+                    since{" "}
+                    {format(previousOf(selected).parsedDate, "MMM d, yyyy")}
+                  </span>
+                )}
+              </div>
+            </div>
+            <Button
+              onClick={() => setSelectedId(null)}
+              outline
+              className="text-xs"
+            >
+              Close
+            </Button>
+          </div>
+          {selected.notes && (
+            <Text className="mt-3 text-sm text-zinc-700 dark:text-zinc-300 whitespace-pre-wrap">
+              {selected.notes}
+            </Text>
+          )}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {quarters.map((quarter, i) => {
+          const previous = quarters[i - 1]?.closing;
+          return (
+            <div
+              key={quarter.label}
+              className="p-3 rounded-lg border border-zinc-200 dark:border-zinc-700"
+            >
+              <div className="text-xs text-zinc-500 dark:text-zinc-400">
+                {quarter.label} close
+              </div>
+              <div className="text-lg font-semibold text-zinc-950 dark:text-white">
+                {quarter.closing ? formatAmount(quarter.closing.amount) : "—"}
+              </div>
+              {quarter.closing && previous && (
+                <div className="text-xs">
+                  {renderDelta(quarter.closing.amount - previous.amount)}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full border-collapse text-sm">
+          <thead>
+            <tr>
+              {[
+                "Date",
+                "Amount",
+                "Change",
+                "Notes",
+                ...(canEdit ? [""] : []),
+              ].map((heading) => (
+                <th
+                  key={heading}
+                  className="p-3 text-left font-semibold text-zinc-950 dark:text-white border-b border-zinc-200 dark:border-zinc-700"
+                >
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {[...entries].reverse().map((entry) =>
+              editingId === entry.id ? (
+                <tr
+                  key={entry.id}
+                  className="border-b border-zinc-100 dark:border-zinc-800 bg-zinc-50 dark:bg-zinc-800"
+                >
+                  <td className="p-2">
+                    <Input
+                      type="date"
+                      value={editValues.date}
+                      onChange={(e) =>
+                        setEditValues({ ...editValues, date: e.target.value })
+                      }
+                    />
+                  </td>
+                  <td className="p-2">
+                    <Input
+                      type="number"
+                      value={editValues.amount}
+                      onChange={(e) =>
+                        setEditValues({ ...editValues, amount: e.target.value })
+                      }
+                    />
+                  </td>
+                  <td className="p-2" />
+                  <td className="p-2">
+                    <Input
+                      type="text"
+                      value={editValues.notes}
+                      onChange={(e) =>
+                        setEditValues({ ...editValues, notes: e.target.value })
+                      }
+                      placeholder="Notes"
+                    />
+                  </td>
+                  <td className="p-2">
+                    <div className="flex gap-2">
+                      <Button onClick={handleSave} className="text-xs">
+                        Save
+                      </Button>
+                      <Button
+                        onClick={() => setEditingId(null)}
+                        outline
+                        className="text-xs"
+                      >
+                        Cancel
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                <tr
+                  key={entry.id}
+                  onClick={() => setSelectedId(entry.id)}
+                  className={`border-b border-zinc-100 dark:border-zinc-800 cursor-pointer hover:bg-zinc-50 dark:hover:bg-zinc-800 ${
+                    entry.id === selectedId
+                      ? "bg-blue-50 dark:bg-blue-900/20"
+                      : ""
+                  }`}
+                >
+                  <td className="p-3 text-zinc-950 dark:text-white whitespace-nowrap">
+                    {format(entry.parsedDate, "MMM d, yyyy")}
+                  </td>
+                  <td className="p-3 font-medium text-zinc-950 dark:text-white">
+                    {formatAmount(entry.amount)}
+                  </td>
+                  <td className="p-3">{renderChange(entry)}</td>
+                  <td className="p-3 text-zinc-600 dark:text-zinc-400">
+                    {entry.notes || "—"}
+                  </td>
+                  {canEdit && (
+                    <td className="p-3">
+                      <div className="flex gap-2">
+                        <Button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            startEdit(entry);
+                          }}
+                          outline
+                          className="text-xs"
+                        >
+                          Edit
+                        </Button>
+                        <Button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleDelete(entry.id);
+                          }}
+                          outline
+                          className="text-xs"
+                        >
+                          Delete
+                        </Button>
+                      </div>
+                    </td>
+                  )}
+                </tr>
+              )
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
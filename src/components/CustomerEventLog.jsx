@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from "react";
+import { Button } from "@/catalyst/button";
+import { Text, Input, Field, Label } from "@/catalyst";
+import toast from "react-hot-toast";
+import { format, parseISO } from "date-fns";
+import { v4 as uuidv4 } from "uuid";
+import {
+  listCustomerEvents,
+  createCustomerEvent,
+  deleteCustomerEvent,
+} from "@/services/api";
+import { formatCurrency } from "@/components/charts/format";
+
+const EVENT_TYPES = {
+  new: "New customer",
+  upsell: "Upsell",
+  downgrade: "Downgrade",
+  pilot_conversion: "Pilot to paid",
+  pilot_ended: "Pilot ended",
+  renewal: "Renewal",
+  churn: "Churn",
+  reactivation: "Reactivation",
+};
+
+const newEvent = () => ({
+  eventType: "renewal",
+  eventDate: format(new Date(), "yyyy-MM-dd"),
+  arrChange: "",
+  notes: "",
+});
+
+/**
+ * Lifecycle log for one customer. Most entries are written by the database
+ * when the customer changes; editors can add or remove entries by hand.
+ */
+export default function CustomerEventLog({ customerId, canEdit }) {
+  const [events, setEvents] = useState([]);
+  const [draft, setDraft] = useState(null);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [customerId]);
+
+  const fetchEvents = async () => {
+    try {
+      setEvents((await listCustomerEvents(customerId)) || []);
+    } catch (error) {
+      console.error("Error fetching customer events:", error);
+      toast.error("Failed to load customer history");
+    }
+  };
+
+  const handleAdd = async () => {
+    try {
+      await createCustomerEvent({
+        id: uuidv4(),
+        customer_id: customerId,
+        event_type: draft.eventType,
+        event_date: draft.eventDate,
+        arr_change: draft.arrChange === "" ? null : parseFloat(draft.arrChange),
+        notes: draft.notes || null,
+      });
+      toast.success("Event added");
+      setDraft(null);
+      fetchEvents();
+    } catch (error) {
+      console.error("Error saving customer event:", error);
+      toast.error("Failed to save event");
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!confirm("Are you sure you want to delete this event?")) return;
+    try {
+      await deleteCustomerEvent(id);
+      toast.success("Event deleted");
+      fetchEvents();
+    } catch (error) {
+      console.error("Error deleting customer event:", error);
+      toast.error("Failed to delete event");
+    }
+  };
+
+  return (
+    <div className="pt-4 border-t border-zinc-200 dark:border-zinc-700">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-sm font-semibold text-zinc-950 dark:text-white">
+          History
+        </h3>
+        {canEdit && !draft && (
+          <Button
+            onClick={() => setDraft(newEvent())}
+            outline
+            className="text-xs"
+          >
+            Add Event
+          </Button>
+        )}
+      </div>
+
+      {draft && (
+        <div className="p-3 mb-3 space-y-3 bg-zinc-50 dark:bg-zinc-800 rounded-lg border border-zinc-200 dark:border-zinc-700">
+          <div className="grid grid-cols-3 gap-3">
+            <Field>
+              <Label>Type</Label>
+              <select
+                value={draft.eventType}
+                onChange={(e) =>
+                  setDraft({ ...draft, eventType: e.target.value })
+                }
+                className="w-full rounded-md border-zinc-300 dark:border-zinc-600 bg-white dark:bg-zinc-900"
+              >
+                {Object.entries(EVENT_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </Field>
+            <Field>
+              <Label>Date</Label>
+              <Input
+                type="date"
+                value={draft.eventDate}
+                onChange={(e) =>
+                  setDraft({ ...draft, eventDate: e.target.value })
+                }
+              />
+            </Field>
+            <Field>
+              <Label>ARR Change ($)</Label>
+              <Input
+                type="number"
+                value={draft.arrChange}
+                onChange={(e) =>
+                  setDraft({ ...draft, arrChange: e.target.value })
+                }
+              />
+            </Field>
+          </div>
+          <Field>
+            <Label>Notes</Label>
+            <Input
+              value={draft.notes}
+              onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+            />
+          </Field>
+          <div className="flex gap-2 justify-end">
+            <Button onClick={() => setDraft(null)} outline className="text-xs">
+              Cancel
+            </Button>
+            <Button
+              onClick={handleAdd}
+              className="text-xs"
+              disabled={!draft.eventDate}
+            >
+              Add
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {events.length === 0 ? (
+        <Text className="text-sm text-zinc-500 dark:text-zinc-400">
+          No events recorded yet.
+        </Text>
+      ) : (
+        <ul className="space-y-2 max-h-48 overflow-y-auto">
+          {events.map((event) => (
+            <li
+              key={event.id}
+              className="flex justify-between items-start gap-2 text-sm"
+            >
+              <div>
+                <span className="font-medium text-zinc-950 dark:text-white">
+                  {EVENT_TYPES[event.event_type] || event.event_type}
+                </span>{" "}
+                <span className="text-zinc-500 dark:text-zinc-400">
+                  {format(parseISO(event.event_date), "MMM d, yyyy")}
+                </span>
+                {event.arr_change !== null && event.arr_change !== 0 && (
+                  <span
+                    className={`ml-2 ${
+                      event.arr_change > 0
+                        ? "text-green-600 dark:text-green-400"
+                        : "text-red-600 dark:text-red-400"
+                    }`}
+                  >
+                    {event.arr_change > 0 ? "+" : "−"}
+                    {formatCurrency(Math.abs(event.arr_change))} ARR
+                  </span>
+                )}
+                {event.notes && (
+                  <div className="text-zinc-600 dark:text-zinc-400">
+                    {event.notes}
+                  </div>
+                )}
+              </div>
+              {canEdit && (
+                <Button
+                  onClick={() => handleDelete(event.id)}
+                  outline
+                  className="text-xs text-red-600"
+                >
+                  Delete
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import React from "react";
+import { Text } from "@/catalyst";
+import { format } from "date-fns";
+import TimeSeriesChart from "@/components/charts/TimeSeriesChart";
+
+const METRICS = [
+  { key: "ARR", label: "ARR", color: "#16a34a" },
+  { key: "customers", label: "Customers", color: "#2563eb" },
+  { key: "pipeline_value", label: "Pipeline", color: "#7c3aed" },
+  { key: "custom", label: "Custom", color: "#f59e0b" },
+];
+
+const formatPercent = (value) =>
+  value === null ? "—" : `${Math.round(value)}%`;
+
+const average = (values) =>
+  values.length
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+
+// Capped at 100 so one overshoot doesn't hide a missed goal in the averages;
+// null when the value is unknown (e.g. redacted)
+const attainment = (goal) =>
+  goal.progress === null ? null : Math.min(goal.progress, 100);
+
+/**
+ * Goal attainment quarter by quarter for the Quarter Goals card: a line per
+ * metric type (average attainment of that quarter's goals) and a row per
+ * quarter. Clicking a row selects that quarter on the card.
+ * goals: from getQuarterGoals, up to the current quarter (final progress for
+ * closed quarters).
+ */
+export default function GoalHistory({ goals, selected, onSelect }) {
+  const quarters = [];
+  for (const goal of goals) {
+    let entry = quarters.find(
+      (q) => q.quarter === goal.quarter && q.year === goal.year
+    );
+    if (!entry) {
+      entry = {
+        id: `${goal.year}-Q${goal.quarter}`,
+        quarter: goal.quarter,
+        year: goal.year,
+        date: new Date(goal.year, (goal.quarter - 1) * 3, 1),
+        goals: [],
+      };
+      quarters.push(entry);
+    }
+    entry.goals.push({ ...goal, attainment: attainment(goal) });
+  }
+  quarters.sort((a, b) => a.date - b.date);
+
+  if (quarters.length === 0) {
+    return (
+      <Text className="mt-4 text-sm text-zinc-500 dark:text-zinc-400">
+        No goal history yet.
+      </Text>
+    );
+  }
+
+  const series = METRICS.map((metric) => ({
+    ...metric,
+    points: quarters
+      .map((q) => ({
+        id: q.id,
+        date: q.date,
+        value: average(
+          q.goals
+            .filter(
+              (g) => g.metric_type === metric.key && g.attainment !== null
+            )
+            .map((g) => g.attainment)
+        ),
+      }))
+      .filter((point) => point.value !== null),
+  })).filter((line) => line.points.length > 0);
+
+  return (
+    <div className="mt-6 space-y-6">
+      <div>
+        <h3 className="text-sm font-semibold text-zinc-950 dark:text-white mb-2">
+          Attainment by Quarter
+        </h3>
+        <TimeSeriesChart
+          series={series}
+          formatValue={formatPercent}
+          formatDate={(date) => format(date, "QQQ yyyy")}
+        />
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-zinc-500 dark:text-zinc-400">
+            <th className="py-1 font-medium">Quarter</th>
+            <th className="py-1 font-medium text-right">Goals</th>
+            <th className="py-1 font-medium text-right">Met</th>
+            <th className="py-1 font-medium text-right">Avg attainment</th>
+          </tr>
+        </thead>
+        <tbody>
+          {[...quarters].reverse().map((q) => {
+            const known = q.goals.filter((g) => g.attainment !== null);
+            return (
+              <tr
+                key={q.id}
+                onClick={() => onSelect({ quarter: q.quarter, year: q.year })}
+                className={`border-t border-zinc-100 dark:border-zinc-800 text-zinc-700 dark:text-zinc-300 cursor-pointer hover:bg-zinc-50 dark:hover:bg-zinc-800 ${
+                  selected.quarter === q.quarter && selected.year === q.year
+                    ? "font-semibold"
+                    : ""
+                }`}
+              >
+                <td className="py-1">
+                  Q{q.quarter} {q.year}
+                </td>
+                <td className="py-1 text-right">{q.goals.length}</td>
+                <td className="py-1 text-right">
+                  {known.filter((g) => g.attainment >= 100).length}
+                </td>
+                <td className="py-1 text-right">
+                  {formatPercent(average(known.map((g) => g.attainment)))}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import React from "react";
+import { format, parseISO } from "date-fns";
+
+const WIDTH = 240;
+const HEIGHT = 48;
+const PADDING = 4;
+
+/**
+ * Sparkline of a goal over its quarter for the Quarter Goals card: the weekly
+ * snapshots (plus today's value while the quarter is open) against a dashed
+ * straight line from the value going into the quarter to the target.
+ * goal: from getQuarterGoals.
+ */
+export default function GoalTrajectory({ goal, formatValue }) {
+  const start = new Date(goal.year, (goal.quarter - 1) * 3, 1);
+  const end = new Date(goal.year, goal.quarter * 3, 1);
+  const now = new Date();
+
+  // This week's snapshot is dated its last day, so it can be in the future
+  const points = goal.snapshots
+    .map((snapshot) => ({
+      date: parseISO(snapshot.takenOn),
+      value: snapshot.value,
+    }))
+    .filter((point) => point.date <= now);
+  if (!goal.closed && goal.currentValue !== null && now >= start) {
+    points.push({ date: now, value: goal.currentValue });
+  }
+  if (points.length === 0 || goal.startValue === null) return null;
+
+  const values = points.map((point) => point.value);
+  const lowest = Math.min(goal.startValue, ...values);
+  const highest = Math.max(goal.target_value, ...values);
+  const range = highest > lowest ? highest - lowest : 1;
+
+  const x = (date) =>
+    PADDING +
+    ((date.getTime() - start.getTime()) / (end.getTime() - start.getTime())) *
+      (WIDTH - 2 * PADDING);
+  const y = (value) =>
+    HEIGHT - PADDING - ((value - lowest) / range) * (HEIGHT - 2 * PADDING);
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-full h-12 mt-2"
+      role="img"
+      aria-label={`${goal.name} progress over the quarter`}
+    >
+      <line
+        x1={x(start)}
+        y1={y(goal.startValue)}
+        x2={x(end)}
+        y2={y(goal.target_value)}
+        strokeDasharray="4 3"
+        className="stroke-zinc-400 dark:stroke-zinc-500"
+      >
+        <title>Target pace to {formatValue(goal.target_value)}</title>
+      </line>
+      {points.length > 1 && (
+        <polyline
+          points={points
+            .map((point) => `${x(point.date)},${y(point.value)}`)
+            .join(" ")}
+          fill="none"
+          stroke="#0d9488"
+          strokeWidth={2}
+        />
+      )}
+      {points.map((point) => (
+        <circle
+          key={point.date.getTime()}
+          cx={x(point.date)}
+          cy={y(point.value)}
+          r={2.5}
+          fill="#0d9488"
+        >
+          <title>
+            {format(point.date, "MMM d")}: {formatValue(point.value)}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
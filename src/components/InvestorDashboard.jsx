@@ -4,9 +4,33 @@ import { Button } from "@/catalyst/button";
 import { Text, Heading, Input, Field, Label } from "@/catalyst";
 import { Dialog } from "@/catalyst/dialog";
 import toast from "react-hot-toast";
-import { format } from "date-fns";
+import {
+  addMonths,
+  differenceInCalendarDays,
+  format,
+  parseISO,
+} from "date-fns";
 import { v4 as uuidv4 } from "uuid";
 import { EyeIcon } from "@heroicons/react/24/outline";
+import AccessManagement from "@/components/AccessManagement";
+import LoginActivity from "@/components/LoginActivity";
+import TwoFactorSettings from "@/components/TwoFactorSettings";
+import CashHistory from "@/components/CashHistory";
+import RunwaySummary from "@/components/RunwaySummary";
+import BurnTrend from "@/components/BurnTrend";
+import ArrTrend from "@/components/ArrTrend";
+import GoalHistory from "@/components/GoalHistory";
+import GoalTrajectory from "@/components/GoalTrajectory";
+import CustomerEventLog from "@/components/CustomerEventLog";
+import PilotFunnel from "@/components/PilotFunnel";
+import PipelineVelocity from "@/components/PipelineVelocity";
+import PipelineForecast from "@/components/PipelineForecast";
+import PipelineKanban from "@/components/PipelineKanban";
+import WinLossReport from "@/components/WinLossReport";
+import PipelineConfigDialog from "@/components/PipelineConfigDialog";
+import ScenarioPlanner from "@/components/ScenarioPlanner";
+import BudgetVsActual from "@/components/BudgetVsActual";
+import { formatCurrency } from "@/components/charts/format";
 import {
   getKPIs,
   listCashPositions,
@@ -26,7 +50,7 @@ import {
   deletePipelineClient,
   createEmployeeCount,
   updateEmployeeCount,
-  listQuarterGoals,
+  getQuarterGoals,
   createQuarterGoal,
   updateQuarterGoal,
   deleteQuarterGoal,
@@ -35,44 +59,53 @@ import {
   deletePipelineNote,
 } from "@/services/api";
 
-export default function InvestorDashboard({ isArtemisManagement = false }) {
+// Renewals due within this many days are listed in the customer list
+const RENEWAL_WINDOW_DAYS = 90;
+
+export default function InvestorDashboard({ permissions = { read: [], write: [] } }) {
+  const canRead = (table) => permissions.read?.includes(table) || false;
+  const canWrite = (table) => permissions.write?.includes(table) || false;
+  // Editors and owners; they can enrol a second factor
+  const isManagement = (permissions.write?.length || 0) > 0;
+
   const [kpis, setKpis] = useState({
     cashPosition: 0,
     cashPositionDate: null,
+    cashHistory: [],
     monthlyBurn: 0,
     monthlyBurnMonth: null,
+    monthlyRevenueCollected: null,
+    monthlyNetBurn: null,
+    burnHistory: [],
+    budgetVsActual: [],
     customerCount: 0,
+    pilotFunnel: null,
     totalARR: 0,
+    arrHistory: [],
+    arrGrowth: null,
+    retention: null,
     totalContractValue: 0,
     fullTimeEmployeeCount: 0,
     contractorCount: 0,
     customers: [],
     pipelineClients: [],
     pipelineNotes: [],
-    pipelineMatrix: {
-      smb: {
-        initial_meeting: { count: 0, clients: [], totalValue: 0 },
-        pilot_scoping: { count: 0, clients: [], totalValue: 0 },
-        pilot: { count: 0, clients: [], totalValue: 0 },
-        contracting: { count: 0, clients: [], totalValue: 0 },
-      },
-      mid_market: {
-        initial_meeting: { count: 0, clients: [], totalValue: 0 },
-        pilot_scoping: { count: 0, clients: [], totalValue: 0 },
-        pilot: { count: 0, clients: [], totalValue: 0 },
-        contracting: { count: 0, clients: [], totalValue: 0 },
-      },
-      large_cap: {
-        initial_meeting: { count: 0, clients: [], totalValue: 0 },
-        pilot_scoping: { count: 0, clients: [], totalValue: 0 },
-        pilot: { count: 0, clients: [], totalValue: 0 },
-        contracting: { count: 0, clients: [], totalValue: 0 },
-      },
-    },
+    pipelineVelocity: null,
+    pipelineForecast: null,
+    closedDeals: [],
+    pipelineWinLoss: null,
+    pipelineSegments: [],
+    pipelineStages: [],
+    pipelineMatrix: {},
   });
   const [isLoading, setIsLoading] = useState(true);
   const [editingField, setEditingField] = useState(null);
   const [editValues, setEditValues] = useState({});
+  const [showCashHistory, setShowCashHistory] = useState(false);
+  const [showBurnTrend, setShowBurnTrend] = useState(false);
+  const [showArrTrend, setShowArrTrend] = useState(false);
+  const [showPipelineBoard, setShowPipelineBoard] = useState(false);
+  const [showPipelineConfig, setShowPipelineConfig] = useState(false);
   const [showCustomerModal, setShowCustomerModal] = useState(false);
   const [showPipelineModal, setShowPipelineModal] = useState(false);
   const [showEmployeeModal, setShowEmployeeModal] = useState(false);
@@ -82,7 +115,10 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
   const [editingPipeline, setEditingPipeline] = useState(null);
   const [editingEmployee, setEditingEmployee] = useState(null);
   const [selectedPipelineCell, setSelectedPipelineCell] = useState(null);
-  const [quarterGoals, setQuarterGoals] = useState([]);
+  const [goals, setGoals] = useState([]);
+  // null follows the current quarter
+  const [selectedGoalQuarter, setSelectedGoalQuarter] = useState(null);
+  const [showGoalHistory, setShowGoalHistory] = useState(false);
   const [showGoalModal, setShowGoalModal] = useState(false);
   const [editingGoal, setEditingGoal] = useState(null);
   const [editingPipelineNotes, setEditingPipelineNotes] = useState(false);
@@ -101,51 +137,17 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
 
   const fetchQuarterGoals = async () => {
     try {
-      const { quarter, year } = getCurrentQuarter();
-      const data = await listQuarterGoals(quarter, year);
-
-      const sortedGoals = (data || [])
-        .sort((a, b) => (a.order || 0) - (b.order || 0))
-        .map((goal) => {
-          // Calculate current value based on metric type
-          let currentValue = goal.current_value || 0;
-          // Always recalculate for auto-calculated metrics
-          if (goal.metric_type === "ARR") {
-            currentValue = kpis.totalARR || 0;
-          } else if (goal.metric_type === "customers") {
-            currentValue = kpis.customerCount || 0;
-          } else if (goal.metric_type === "pipeline_value") {
-            const totalPipelineValue = Object.values(
-              kpis.pipelineMatrix || {}
-            ).reduce(
-              (sum, segment) =>
-                sum +
-                Object.values(segment || {}).reduce(
-                  (segSum, stage) => segSum + (stage.totalValue || 0),
-                  0
-                ),
-              0
-            );
-            currentValue = totalPipelineValue;
-          }
-          return { ...goal, currentValue };
-        });
-
-      setQuarterGoals(sortedGoals);
+      const data = await getQuarterGoals();
+      setGoals(data || []);
     } catch (error) {
       console.error("Error fetching quarter goals:", error);
     }
   };
 
-  useEffect(() => {
-    if (!isLoading && kpis.totalARR !== undefined) {
-      fetchQuarterGoals();
-    }
-  }, [kpis.totalARR, kpis.customerCount, kpis.pipelineMatrix, isLoading]);
-
-  const fetchKPIs = async () => {
+  // quiet refreshes keep the dashboard on screen (e.g. after a board move)
+  const fetchKPIs = async ({ quiet = false } = {}) => {
     try {
-      setIsLoading(true);
+      if (!quiet) setIsLoading(true);
       const data = await getKPIs();
       if (data) {
         setKpis(data);
@@ -163,6 +165,7 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
       const amount = parseFloat(editValues.cashPosition) || 0;
       const date =
         editValues.cashPositionDate || new Date().toISOString().split("T")[0];
+      const notes = editValues.cashPositionNotes || null;
 
       // Get all cash positions to find the latest
       const existing = await listCashPositions();
@@ -175,13 +178,14 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
         new Date(latest.date).toISOString().split("T")[0] === date
       ) {
         // Update existing
-        await updateCashPosition(latest.id, { amount, date });
+        await updateCashPosition(latest.id, { amount, date, notes });
       } else {
         // Create new
         await createCashPosition({
           id: uuidv4(),
           amount,
           date,
+          notes,
         });
       }
 
@@ -199,6 +203,17 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
       const amount = parseFloat(editValues.monthlyBurn) || 0;
       const month =
         editValues.monthlyBurnMonth || new Date().toISOString().split("T")[0];
+      // Revenue and the category breakdown are optional; blank means not set
+      const optionalAmount = (value) =>
+        value === "" || value === undefined || value === null
+          ? null
+          : parseFloat(value) || 0;
+      const split = {
+        revenue_collected: optionalAmount(editValues.monthlyRevenueCollected),
+        payroll: optionalAmount(editValues.monthlyPayroll),
+        infrastructure: optionalAmount(editValues.monthlyInfrastructure),
+        general_admin: optionalAmount(editValues.monthlyGeneralAdmin),
+      };
 
       // Get all monthly burns to find the latest
       const existing = await listMonthlyBurns();
@@ -211,13 +226,14 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
         new Date(latest.month).toISOString().split("T")[0] === month
       ) {
         // Update existing
-        await updateMonthlyBurn(latest.id, { amount, month });
+        await updateMonthlyBurn(latest.id, { amount, month, ...split });
       } else {
         // Create new
         await createMonthlyBurn({
           id: uuidv4(),
           amount,
           month,
+          ...split,
         });
       }
 
@@ -240,6 +256,27 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
         arr: parseFloat(editValues.arr) || 0,
         start_date: editValues.startDate || null,
         status: editValues.status || "",
+        contract_term_months: parseInt(editValues.contractTermMonths) || null,
+        // Default the renewal to the end of the first term
+        renewal_date:
+          editValues.renewalDate ||
+          (editValues.startDate && parseInt(editValues.contractTermMonths)
+            ? format(
+                addMonths(
+                  parseISO(editValues.startDate),
+                  parseInt(editValues.contractTermMonths)
+                ),
+                "yyyy-MM-dd"
+              )
+            : null),
+        churned_at: editValues.churnedAt || null,
+        churn_reason: editValues.churnedAt
+          ? editValues.churnReason || null
+          : null,
+        segment: editValues.customerSegment || null,
+        pilot_started_at: editValues.pilotStartedAt || null,
+        pilot_converted_at: editValues.pilotConvertedAt || null,
+        pilot_ended_at: editValues.pilotEndedAt || null,
       };
 
       if (editingCustomer) {
@@ -265,22 +302,28 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
       const pipelineData = {
         id: editingPipeline?.id || uuidv4(),
         name: editValues.pipelineName || "",
-        segment: editValues.segment || "smb",
-        stage: editValues.stage || "initial_meeting",
+        segment: editValues.segment || pipelineSegments[0]?.key,
+        stage: editValues.stage || pipelineStages[0]?.key,
         estimated_contract_size:
           parseFloat(editValues.estimatedContractSize) || 0,
         engagement_start_date:
           editValues.engagementStartDate ||
           new Date().toISOString().split("T")[0],
+        expected_close_date: editValues.expectedCloseDate || null,
+        outcome: editValues.outcome || null,
+        closed_at: editValues.outcome ? editValues.closedAt || null : null,
+        loss_reason:
+          editValues.outcome === "lost" ? editValues.lossReason || null : null,
         status: editValues.pipelineStatus || "",
         notes: editValues.pipelineNotes || "",
       };
 
+      let saved;
       if (editingPipeline) {
-        await updatePipelineClient(editingPipeline.id, pipelineData);
+        saved = await updatePipelineClient(editingPipeline.id, pipelineData);
         toast.success("Pipeline client updated");
       } else {
-        await createPipelineClient(pipelineData);
+        saved = await createPipelineClient(pipelineData);
         toast.success("Pipeline client added");
       }
 
@@ -288,6 +331,13 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
       setEditingPipeline(null);
       setEditValues({});
       fetchKPIs();
+
+      // Winning a deal creates its customer; open it so the details can be
+      // checked
+      if (saved?.customer_id && editingPipeline?.outcome !== "won") {
+        toast.success("Customer created from won deal");
+        openCustomerModal({ id: saved.customer_id });
+      }
     } catch (error) {
       console.error("Error saving pipeline client:", error);
       toast.error("Failed to save pipeline client");
@@ -361,6 +411,14 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
             arr: data.arr || 0,
             startDate: data.start_date || "",
             status: data.status || "",
+            contractTermMonths: data.contract_term_months || "",
+            renewalDate: data.renewal_date || "",
+            churnedAt: data.churned_at || "",
+            churnReason: data.churn_reason || "",
+            customerSegment: data.segment || "",
+            pilotStartedAt: data.pilot_started_at || "",
+            pilotConvertedAt: data.pilot_converted_at || "",
+            pilotEndedAt: data.pilot_ended_at || "",
           });
         } else {
           setEditingCustomer(customer);
@@ -371,6 +429,14 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
             arr: customer.arr || 0,
             startDate: customer.start_date || "",
             status: customer.status || "",
+            contractTermMonths: customer.contract_term_months || "",
+            renewalDate: customer.renewal_date || "",
+            churnedAt: customer.churned_at || "",
+            churnReason: customer.churn_reason || "",
+            customerSegment: customer.segment || "",
+            pilotStartedAt: customer.pilot_started_at || "",
+            pilotConvertedAt: customer.pilot_converted_at || "",
+            pilotEndedAt: customer.pilot_ended_at || "",
           });
         }
       } catch (error) {
@@ -383,6 +449,14 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
           arr: customer.arr || 0,
           startDate: customer.start_date || "",
           status: customer.status || "",
+          contractTermMonths: customer.contract_term_months || "",
+          renewalDate: customer.renewal_date || "",
+          churnedAt: customer.churned_at || "",
+          churnReason: customer.churn_reason || "",
+          customerSegment: customer.segment || "",
+          pilotStartedAt: customer.pilot_started_at || "",
+          pilotConvertedAt: customer.pilot_converted_at || "",
+          pilotEndedAt: customer.pilot_ended_at || "",
         });
       }
     } else {
@@ -401,10 +475,14 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
           setEditingPipeline(data);
           setEditValues({
             pipelineName: data.name || "",
-            segment: data.segment || "smb",
-            stage: data.stage || "initial_meeting",
+            segment: data.segment,
+            stage: data.stage,
             estimatedContractSize: data.estimated_contract_size || 0,
             engagementStartDate: data.engagement_start_date || "",
+            expectedCloseDate: data.expected_close_date || "",
+            outcome: data.outcome || "",
+            closedAt: data.closed_at || "",
+            lossReason: data.loss_reason || "",
             pipelineStatus: data.status || "",
             pipelineNotes: data.notes || "",
           });
@@ -412,10 +490,14 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
           setEditingPipeline(client);
           setEditValues({
             pipelineName: client.name || "",
-            segment: client.segment || "smb",
-            stage: client.stage || "initial_meeting",
+            segment: client.segment,
+            stage: client.stage,
             estimatedContractSize: client.estimatedContractSize || 0,
             engagementStartDate: client.engagementStartDate || "",
+            expectedCloseDate: client.expectedCloseDate || "",
+            outcome: client.outcome || "",
+            closedAt: client.closedAt || "",
+            lossReason: client.lossReason || "",
             pipelineStatus: client.status || "",
             pipelineNotes: client.notes || "",
           });
@@ -425,17 +507,24 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
         setEditingPipeline(client);
         setEditValues({
           pipelineName: client.name || "",
-          segment: client.segment || "smb",
-          stage: client.stage || "initial_meeting",
+          segment: client.segment,
+          stage: client.stage,
           estimatedContractSize: client.estimatedContractSize || 0,
           engagementStartDate: client.engagementStartDate || "",
+          expectedCloseDate: client.expectedCloseDate || "",
+          outcome: client.outcome || "",
+          closedAt: client.closedAt || "",
+          lossReason: client.lossReason || "",
           pipelineStatus: client.status || "",
           pipelineNotes: client.notes || "",
         });
       }
     } else {
       setEditingPipeline(null);
-      setEditValues({ segment: "smb", stage: "initial_meeting" });
+      setEditValues({
+        segment: pipelineSegments[0]?.key,
+        stage: pipelineStages[0]?.key,
+      });
     }
     setShowPipelineModal(true);
   };
@@ -467,22 +556,86 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
     setShowEmployeeModal(true);
   };
 
-  const formatCurrency = (value) => {
-    return new Intl.NumberFormat("en-US", {
-      style: "currency",
-      currency: "USD",
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
-    }).format(value || 0);
-  };
-
   const formatNumber = (value) => {
     return new Intl.NumberFormat("en-US").format(value || 0);
   };
 
+  // Server-side visibility rules: hidden values arrive as null and
+  // bucketed values are rounded, so label them instead of showing $0
+  const isHidden = (section) => kpis.redactions?.[section] === "hide";
+
+  const formatRedacted = (value, formatter, section) => {
+    if (value === null || value === undefined) return "Not shared";
+    const prefix = kpis.redactions?.[section] === "bucket" ? "≈ " : "";
+    return `${prefix}${formatter(value)}`;
+  };
+
+  // Pipeline segments and stages come from the pipeline_segment and
+  // pipeline_stage tables, in display order
+  const pipelineSegments = kpis.pipelineSegments || [];
+  const pipelineStages = kpis.pipelineStages || [];
+  const pipelineLabel = (items, key) =>
+    items.find((item) => item.key === key)?.label || key;
+  // Matrix columns: the stage labels, one per segment, and the row total
+  const columnWidth = `${100 / (pipelineSegments.length + 2)}%`;
+
+  // Customer lifecycle for the customer list: churned customers are listed
+  // separately, and active ones renewing soon (or overdue) are called out
+  const activeCustomers = (kpis.customers || []).filter(
+    (c) => !c.churned_at && !c.pilot_ended_at
+  );
+  const churnedCustomers = (kpis.customers || [])
+    .filter((c) => c.churned_at || c.pilot_ended_at)
+    .map((c) => ({ ...c, leftAt: c.churned_at || c.pilot_ended_at }))
+    .sort((a, b) => b.leftAt.localeCompare(a.leftAt));
+  const upcomingRenewals = activeCustomers
+    .filter((c) => c.renewal_date)
+    .map((c) => ({
+      ...c,
+      daysToRenewal: differenceInCalendarDays(
+        parseISO(c.renewal_date),
+        new Date()
+      ),
+    }))
+    .filter((c) => c.daysToRenewal <= RENEWAL_WINDOW_DAYS)
+    .sort((a, b) => a.daysToRenewal - b.daysToRenewal);
+
+  const formatPercent = (value) =>
+    value === null || value === undefined ? "—" : `${Math.round(value)}%`;
+
+  // Quarter goals come with their progress from getQuarterGoals: live while
+  // the quarter is open, as of its end once it's over. currentValue is null
+  // when redacted.
+  const currentQuarter = getCurrentQuarter();
+  const goalQuarter = selectedGoalQuarter || currentQuarter;
+  const quarterIndex = ({ quarter, year }) => year * 4 + quarter;
+  const isClosedQuarter = (q) => quarterIndex(q) < quarterIndex(currentQuarter);
+
+  const quarterGoals = goals
+    .filter(
+      (goal) =>
+        goal.quarter === goalQuarter.quarter && goal.year === goalQuarter.year
+    )
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+  const firstGoalYear = Math.min(
+    currentQuarter.year,
+    ...goals.map((goal) => goal.year)
+  );
+  const goalYears = Array.from(
+    { length: currentQuarter.year + 2 - firstGoalYear },
+    (_, i) => firstGoalYear + i
+  );
+
+  const formatGoalValue = (goal, value) =>
+    value === null
+      ? "—"
+      : goal.metric_type === "ARR" || goal.metric_type === "pipeline_value"
+        ? formatCurrency(value)
+        : formatNumber(value);
+
   const handleSaveGoal = async () => {
     try {
-      const { quarter, year } = getCurrentQuarter();
+      const { quarter, year } = editingGoal || goalQuarter;
       const goalData = {
         id: editingGoal?.id || uuidv4(),
         name: editValues.goalName || "",
@@ -544,11 +697,6 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
     setShowGoalModal(true);
   };
 
-  const getQuarterLabel = () => {
-    const { quarter, year } = getCurrentQuarter();
-    return `Q${quarter} ${year}`;
-  };
-
   const handleEditPipelineNotes = () => {
     setTempPipelineNotes(
       kpis.pipelineNotes?.map((note) => ({ ...note })) || []
@@ -645,26 +793,84 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
         {/* Quarter Goals Section - Full Width */}
         <Card className="mb-6 w-full !max-w-none" style={{ maxWidth: "100%" }}>
           <CardTitle className="flex justify-between items-center mb-4">
-            <span>Current Quarter Goals ({getQuarterLabel()})</span>
-            {isArtemisManagement && (
+            <span className="flex items-center gap-2">
+              <span>Quarter Goals</span>
+              <select
+                value={goalQuarter.quarter}
+                onChange={(e) =>
+                  setSelectedGoalQuarter({
+                    ...goalQuarter,
+                    quarter: parseInt(e.target.value),
+                  })
+                }
+                className="rounded-md border-zinc-300 dark:border-zinc-600 bg-white dark:bg-zinc-900 text-sm"
+                aria-label="Quarter"
+              >
+                {[1, 2, 3, 4].map((quarter) => (
+                  <option key={quarter} value={quarter}>
+                    Q{quarter}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={goalQuarter.year}
+                onChange={(e) =>
+                  setSelectedGoalQuarter({
+                    ...goalQuarter,
+                    year: parseInt(e.target.value),
+                  })
+                }
+                className="rounded-md border-zinc-300 dark:border-zinc-600 bg-white dark:bg-zinc-900 text-sm"
+                aria-label="Year"
+              >
+                {goalYears.map((year) => (
+                  <option key={year} value={year}>
+                    {year}
+                  </option>
+                ))}
+              </select>
+              <span className="text-xs font-normal text-zinc-500 dark:text-zinc-400">
+                {isClosedQuarter(goalQuarter)
+                  ? "Final, as of quarter end"
+                  : quarterIndex(goalQuarter) === quarterIndex(currentQuarter)
+                    ? "Current quarter"
+                    : "Upcoming"}
+              </span>
+            </span>
+            <div className="flex gap-2 ml-4">
               <Button
-                onClick={() => openGoalModal()}
+                onClick={() => setShowGoalHistory(!showGoalHistory)}
                 outline
-                className="text-xs ml-4"
+                className="text-xs"
               >
-                Add Goal
+                {showGoalHistory ? "Hide History" : "History"}
               </Button>
-            )}
+              {canWrite("quarter_goal") && (
+                <Button
+                  onClick={() => openGoalModal()}
+                  outline
+                  className="text-xs"
+                >
+                  Add Goal
+                </Button>
+              )}
+            </div>
           </CardTitle>
           <CardBody>
             {quarterGoals.length > 0 ? (
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
                 {quarterGoals.map((goal) => {
-                  const progress = Math.min(
-                    (goal.currentValue / goal.target_value) * 100,
-                    100
-                  );
-                  const isComplete = goal.currentValue >= goal.target_value;
+                  const progress = Math.min(goal.progress ?? 0, 100);
+                  const isComplete = goal.progress >= 100;
+                  // Where a straight line from the quarter's start to the
+                  // target is today
+                  const pace =
+                    goal.expectedValue === null || !goal.target_value
+                      ? null
+                      : Math.min(
+                          (goal.expectedValue / goal.target_value) * 100,
+                          100
+                        );
                   return (
                     <div
                       key={goal.id}
@@ -674,7 +880,7 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
                         <div className="font-semibold text-zinc-950 dark:text-white">
                           {goal.name}
                         </div>
-                        {isArtemisManagement && (
+                        {canWrite("quarter_goal") && (
                           <div className="flex gap-1">
                             <Button
                               onClick={() => openGoalModal(goal)}
@@ -696,19 +902,13 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
                       <div className="mb-2">
                         <div className="flex justify-between text-sm mb-1">
                           <span className="text-zinc-600 dark:text-zinc-400">
-                            {goal.metric_type === "ARR" ||
-                            goal.metric_type === "pipeline_value"
-                              ? formatCurrency(goal.currentValue)
-                              : formatNumber(goal.currentValue)}
+                            {formatGoalValue(goal, goal.currentValue)}
                           </span>
                           <span className="text-zinc-600 dark:text-zinc-400">
-                            {goal.metric_type === "ARR" ||
-                            goal.metric_type === "pipeline_value"
-                              ? formatCurrency(goal.target_value)
-                              : formatNumber(goal.target_value)}
+                            {formatGoalValue(goal, goal.target_value)}
                           </span>
                         </div>
-                        <div className="w-full bg-zinc-200 dark:bg-zinc-700 rounded-full h-2">
+                        <div className="relative w-full bg-zinc-200 dark:bg-zinc-700 rounded-full h-2">
                           <div
                             className={`h-2 rounded-full transition-all ${
                               isComplete
@@ -721,10 +921,32 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
                             }`}
                             style={{ width: `${progress}%` }}
                           />
+                          {pace !== null && (
+                            <div
+                              className="absolute -top-1 h-4 w-0.5 bg-zinc-500 dark:bg-zinc-300"
+                              style={{ left: `${pace}%` }}
+                              title={`Target pace: ${formatGoalValue(
+                                goal,
+                                goal.expectedValue
+                              )}`}
+                            />
+                          )}
                         </div>
+                        <GoalTrajectory
+                          goal={goal}
+                          formatValue={(value) => formatGoalValue(goal, value)}
+                        />
                       </div>
                       <div className="text-xs text-zinc-500 dark:text-zinc-400">
-                        {progress.toFixed(1)}% complete
+                        {goal.currentValue === null
+                          ? "—"
+                          : `${progress.toFixed(1)}%`}{" "}
+                        {goal.closed ? "attained" : "complete"}
+                        {pace !== null &&
+                          goal.currentValue !== null &&
+                          (goal.currentValue >= goal.expectedValue
+                            ? " · on pace"
+                            : " · behind pace")}
                       </div>
                     </div>
                   );
@@ -733,175 +955,330 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
             ) : (
               <Text className="text-zinc-500 dark:text-zinc-400">
                 No goals set for this quarter.
-                {isArtemisManagement && " Click 'Add Goal' to create one."}
+                {canWrite("quarter_goal") && " Click 'Add Goal' to create one."}
               </Text>
             )}
+            {showGoalHistory && (
+              <GoalHistory
+                goals={goals.filter(
+                  (goal) => quarterIndex(goal) <= quarterIndex(currentQuarter)
+                )}
+                selected={goalQuarter}
+                onSelect={setSelectedGoalQuarter}
+              />
+            )}
           </CardBody>
         </Card>
 
         {/* KPI Cards Grid */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-6 auto-rows-min mt-6">
           {/* Cash Position */}
-          <Card>
-            <CardTitle className="flex justify-between items-center">
-              <span>Cash Position</span>
-              {isArtemisManagement && (
-                <Button
-                  onClick={() => {
-                    setEditingField("cashPosition");
-                    setEditValues({
-                      cashPosition: kpis.cashPosition || 0,
-                      cashPositionDate: kpis.cashPositionDate
-                        ? format(new Date(kpis.cashPositionDate), "yyyy-MM-dd")
-                        : format(new Date(), "yyyy-MM-dd"),
-                    });
-                  }}
-                  outline
-                  className="text-xs ml-4"
-                >
-                  {editingField === "cashPosition" ? "Cancel" : "Edit"}
-                </Button>
-              )}
-            </CardTitle>
-            <CardBody>
-              {editingField === "cashPosition" && isArtemisManagement ? (
-                <div className="space-y-4">
-                  <Field>
-                    <Label>Amount ($)</Label>
-                    <Input
-                      type="number"
-                      value={editValues.cashPosition || 0}
-                      onChange={(e) =>
-                        setEditValues({
-                          ...editValues,
-                          cashPosition: e.target.value,
-                        })
-                      }
-                    />
-                  </Field>
-                  <Field>
-                    <Label>Date</Label>
-                    <Input
-                      type="date"
-                      value={editValues.cashPositionDate}
-                      onChange={(e) =>
+          {canRead("cash_position") && !isHidden("cash") && (
+            <Card
+              className={showCashHistory ? "md:col-span-2 lg:col-span-3" : ""}
+            >
+              <CardTitle className="flex justify-between items-center">
+                <span>Cash Position</span>
+                <div className="flex gap-2 ml-4">
+                  <Button
+                    onClick={() => setShowCashHistory(!showCashHistory)}
+                    outline
+                    className="text-xs"
+                  >
+                    {showCashHistory ? "Hide History" : "History"}
+                  </Button>
+                  {canWrite("cash_position") && (
+                    <Button
+                      onClick={() => {
+                        setEditingField("cashPosition");
                         setEditValues({
-                          ...editValues,
-                          cashPositionDate: e.target.value,
-                        })
-                      }
-                    />
-                  </Field>
-                  <div className="flex gap-2">
-                    <Button onClick={handleSaveCashPosition}>Save</Button>
-                    <Button onClick={() => setEditingField(null)} outline>
-                      Cancel
+                          cashPosition: kpis.cashPosition || 0,
+                          cashPositionDate: kpis.cashPositionDate
+                            ? format(new Date(kpis.cashPositionDate), "yyyy-MM-dd")
+                            : format(new Date(), "yyyy-MM-dd"),
+                          cashPositionNotes: kpis.cashHistory?.[0]?.notes || "",
+                        });
+                      }}
+                      outline
+                      className="text-xs"
+                    >
+                      {editingField === "cashPosition" ? "Cancel" : "Edit"}
                     </Button>
-                  </div>
+                  )}
                 </div>
-              ) : (
-                <>
-                  <div className="text-3xl font-bold text-zinc-950 dark:text-white">
-                    {formatCurrency(kpis.cashPosition)}
+              </CardTitle>
+              <CardBody>
+                {editingField === "cashPosition" && canWrite("cash_position") ? (
+                  <div className="space-y-4">
+                    <Field>
+                      <Label>Amount ($)</Label>
+                      <Input
+                        type="number"
+                        value={editValues.cashPosition || 0}
+                        onChange={(e) =>
+                          setEditValues({
+                            ...editValues,
+                            cashPosition: e.target.value,
+                          })
+                        }
+                      />
+                    </Field>
+                    <Field>
+                      <Label>Date</Label>
+                      <Input
+                        type="date"
+                        value={editValues.cashPositionDate}
+                        onChange={(e) =>
+                          setEditValues({
+                            ...editValues,
+                            cashPositionDate: e.target.value,
+                          })
+                        }
+                      />
+                    </Field>
+                    <Field>
+                      <Label>Notes</Label>
+                      <Input
+                        type="text"
+                        value={editValues.cashPositionNotes || ""}
+                        onChange={(e) =>
+                          setEditValues({
+                            ...editValues,
+                            cashPositionNotes: e.target.value,
+                          })
+                        }
+                        placeholder="e.g. Includes bridge round"
+                      />
+                    </Field>
+                    <div className="flex gap-2">
+                      <Button onClick={handleSaveCashPosition}>Save</Button>
+                      <Button onClick={() => setEditingField(null)} outline>
+                        Cancel
+                      </Button>
+                    </div>
                   </div>
-                  {kpis.cashPositionDate && (
-                    <Text className="mt-2 text-sm text-zinc-500 dark:text-zinc-400">
-                      As of{" "}
-                      {format(new Date(kpis.cashPositionDate), "MMM d, yyyy")}
-                    </Text>
-                  )}
-                </>
-              )}
-            </CardBody>
-          </Card>
-
-          {/* Monthly Gross Burn */}
-          <Card>
-            <CardTitle className="flex justify-between items-center">
-              <span>Monthly Gross Burn</span>
-              {isArtemisManagement && (
-                <Button
-                  onClick={() => {
-                    setEditingField("monthlyBurn");
-                    setEditValues({
-                      monthlyBurn: kpis.monthlyBurn || 0,
-                      monthlyBurnMonth: kpis.monthlyBurnMonth
-                        ? format(new Date(kpis.monthlyBurnMonth), "yyyy-MM-dd")
-                        : format(new Date(), "yyyy-MM-dd"),
-                    });
-                  }}
-                  outline
-                  className="text-xs ml-4"
-                >
-                  {editingField === "monthlyBurn" ? "Cancel" : "Edit"}
-                </Button>
-              )}
-            </CardTitle>
-            <CardBody>
-              {editingField === "monthlyBurn" && isArtemisManagement ? (
-                <div className="space-y-4">
-                  <Field>
-                    <Label>Amount ($)</Label>
-                    <Input
-                      type="number"
-                      value={editValues.monthlyBurn || 0}
-                      onChange={(e) =>
-                        setEditValues({
-                          ...editValues,
-                          monthlyBurn: e.target.value,
-                        })
-                      }
-                    />
-                  </Field>
-                  <Field>
-                    <Label>Month</Label>
-                    <Input
-                      type="date"
-                      value={editValues.monthlyBurnMonth}
-                      onChange={(e) =>
+                ) : (
+                  <>
+                    <div className="text-3xl font-bold text-zinc-950 dark:text-white">
+                      {formatRedacted(kpis.cashPosition, formatCurrency, "cash")}
+                    </div>
+                    {kpis.cashPositionDate && (
+                      <Text className="mt-2 text-sm text-zinc-500 dark:text-zinc-400">
+                        As of{" "}
+                        {format(new Date(kpis.cashPositionDate), "MMM d, yyyy")}
+                      </Text>
+                    )}
+                    {showCashHistory && (
+                      <CashHistory
+                        history={kpis.cashHistory || []}
+                        canEdit={canWrite("cash_position")}
+                        formatAmount={(value) =>
+                          formatRedacted(value, formatCurrency, "cash")
+                        }
+                        onChanged={fetchKPIs}
+                      />
+                    )}
+                  </>
+                )}
+              </CardBody>
+            </Card>
+          )}
+
+          {/* Monthly Burn */}
+          {canRead("monthly_burn") && !isHidden("burn") && (
+            <Card
+              className={showBurnTrend ? "md:col-span-2 lg:col-span-3" : ""}
+            >
+              <CardTitle className="flex justify-between items-center">
+                <span>Monthly Burn</span>
+                <div className="flex gap-2 ml-4">
+                  <Button
+                    onClick={() => setShowBurnTrend(!showBurnTrend)}
+                    outline
+                    className="text-xs"
+                  >
+                    {showBurnTrend ? "Hide Trend" : "Trend"}
+                  </Button>
+                  {canWrite("monthly_burn") && (
+                    <Button
+                      onClick={() => {
+                        // Prefill the split when editing the latest month
+                        const latest = kpis.burnHistory?.at(-1);
+                        const asInput = (value) =>
+                          value === null || value === undefined ? "" : value;
+                        setEditingField("monthlyBurn");
                         setEditValues({
-                          ...editValues,
-                          monthlyBurnMonth: e.target.value,
-                        })
-                      }
-                    />
-                  </Field>
-                  <div className="flex gap-2">
-                    <Button onClick={handleSaveMonthlyBurn}>Save</Button>
-                    <Button onClick={() => setEditingField(null)} outline>
-                      Cancel
+                          monthlyBurn: kpis.monthlyBurn || 0,
+                          monthlyBurnMonth: kpis.monthlyBurnMonth
+                            ? format(new Date(kpis.monthlyBurnMonth), "yyyy-MM-dd")
+                            : format(new Date(), "yyyy-MM-dd"),
+                          monthlyRevenueCollected: asInput(
+                            latest?.revenueCollected
+                          ),
+                          monthlyPayroll: asInput(latest?.payroll),
+                          monthlyInfrastructure: asInput(latest?.infrastructure),
+                          monthlyGeneralAdmin: asInput(latest?.generalAdmin),
+                        });
+                      }}
+                      outline
+                      className="text-xs"
+                    >
+                      {editingField === "monthlyBurn" ? "Cancel" : "Edit"}
                     </Button>
-                  </div>
+                  )}
                 </div>
-              ) : (
-                <>
-                  <div className="text-3xl font-bold text-zinc-950 dark:text-white">
-                    {formatCurrency(kpis.monthlyBurn)}
+              </CardTitle>
+              <CardBody>
+                {editingField === "monthlyBurn" && canWrite("monthly_burn") ? (
+                  <div className="space-y-4">
+                    <Field>
+                      <Label>Gross Burn ($)</Label>
+                      <Input
+                        type="number"
+                        value={editValues.monthlyBurn || 0}
+                        onChange={(e) =>
+                          setEditValues({
+                            ...editValues,
+                            monthlyBurn: e.target.value,
+                          })
+                        }
+                      />
+                    </Field>
+                    <Field>
+                      <Label>Month</Label>
+                      <Input
+                        type="date"
+                        value={editValues.monthlyBurnMonth}
+                        onChange={(e) =>
+                          setEditValues({
+                            ...editValues,
+                            monthlyBurnMonth: e.target.value,
+                          })
+                        }
+                      />
+                    </Field>
+                    <Field>
+                      <Label>Revenue Collected ($, optional)</Label>
+                      <Input
+                        type="number"
+                        value={editValues.monthlyRevenueCollected}
+                        onChange={(e) =>
+                          setEditValues({
+                            ...editValues,
+                            monthlyRevenueCollected: e.target.value,
+                          })
+                        }
+                      />
+                    </Field>
+                    <div>
+                      <Text className="text-sm font-medium text-zinc-950 dark:text-white">
+                        Breakdown of gross burn (optional)
+                      </Text>
+                      <div className="grid grid-cols-3 gap-2 mt-2">
+                        {[
+                          ["monthlyPayroll", "Payroll"],
+                          ["monthlyInfrastructure", "Infra"],
+                          ["monthlyGeneralAdmin", "G&A"],
+                        ].map(([field, label]) => (
+                          <Field key={field}>
+                            <Label>{label}</Label>
+                            <Input
+                              type="number"
+                              value={editValues[field]}
+                              onChange={(e) =>
+                                setEditValues({
+                                  ...editValues,
+                                  [field]: e.target.value,
+                                })
+                              }
+                            />
+                          </Field>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <Button onClick={handleSaveMonthlyBurn}>Save</Button>
+                      <Button onClick={() => setEditingField(null)} outline>
+                        Cancel
+                      </Button>
+                    </div>
                   </div>
-                  {kpis.monthlyBurnMonth && (
-                    <Text className="mt-2 text-sm text-zinc-500 dark:text-zinc-400">
-                      {format(new Date(kpis.monthlyBurnMonth), "MMMM yyyy")}
-                    </Text>
-                  )}
-                </>
-              )}
-            </CardBody>
-          </Card>
+                ) : (
+                  <>
+                    <div className="text-3xl font-bold text-zinc-950 dark:text-white">
+                      {formatRedacted(kpis.monthlyBurn, formatCurrency, "burn")}
+                    </div>
+                    {kpis.monthlyBurnMonth && (
+                      <Text className="mt-2 text-sm text-zinc-500 dark:text-zinc-400">
+                        Gross burn,{" "}
+                        {format(new Date(kpis.monthlyBurnMonth), "MMMM yyyy")}
+                      </Text>
+                    )}
+                    {kpis.monthlyRevenueCollected !== null &&
+                      kpis.monthlyRevenueCollected !== undefined && (
+                        <Text className="mt-1 text-sm text-zinc-500 dark:text-zinc-400">
+                          Net burn{" "}
+                          <span className="font-medium text-zinc-950 dark:text-white">
+                            {formatRedacted(
+                              kpis.monthlyNetBurn,
+                              formatCurrency,
+                              "burn"
+                            )}
+                          </span>{" "}
+                          after{" "}
+                          {formatRedacted(
+                            kpis.monthlyRevenueCollected,
+                            formatCurrency,
+                            "burn"
+                          )}{" "}
+                          revenue collected
+                        </Text>
+                      )}
+                    {showBurnTrend && (
+                      <BurnTrend
+                        history={kpis.burnHistory || []}
+                        formatAmount={(value) =>
+                          formatRedacted(value, formatCurrency, "burn")
+                        }
+                      />
+                    )}
+                  </>
+                )}
+              </CardBody>
+            </Card>
+          )}
+
+          {/* Runway (computed server-side from cash and burn) */}
+          {kpis.runway && (
+            <Card>
+              <CardTitle>Runway</CardTitle>
+              <CardBody>
+                <RunwaySummary
+                  runway={kpis.runway}
+                  formatCurrency={(value) =>
+                    formatRedacted(value, formatCurrency, "burn")
+                  }
+                />
+              </CardBody>
+            </Card>
+          )}
 
           {/* Customers/Pilots */}
           <Card>
             <CardTitle className="flex justify-between items-center">
               <span>Customers/Pilots</span>
               <div className="flex gap-2">
-                <Button
-                  onClick={() => setShowCustomerListModal(true)}
-                  outline
-                  className="text-xs"
-                >
-                  <EyeIcon className="w-4 h-4 mr-1" />
-                  View
-                </Button>
-                {isArtemisManagement && (
+                {!isHidden("customer_list") && (
+                  <Button
+                    onClick={() => setShowCustomerListModal(true)}
+                    outline
+                    className="text-xs"
+                  >
+                    <EyeIcon className="w-4 h-4 mr-1" />
+                    View
+                  </Button>
+                )}
+                {canWrite("customer") && (
                   <Button
                     onClick={() => openCustomerModal()}
                     outline
@@ -919,23 +1296,38 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
               <Text className="mt-2 text-sm text-zinc-500 dark:text-zinc-400">
                 Active customers and pilots
               </Text>
+              <PilotFunnel
+                funnel={kpis.pilotFunnel}
+                segments={pipelineSegments}
+              />
             </CardBody>
           </Card>
 
           {/* ARR */}
-          <Card>
+          <Card className={showArrTrend ? "md:col-span-2 lg:col-span-3" : ""}>
             <CardTitle className="flex justify-between items-center">
               <span>ARR</span>
               <div className="flex gap-2">
-                <Button
-                  onClick={() => setShowCustomerListModal(true)}
-                  outline
-                  className="text-xs"
-                >
-                  <EyeIcon className="w-4 h-4 mr-1" />
-                  View
-                </Button>
-                {isArtemisManagement && (
+                {!isHidden("arr") && (
+                  <Button
+                    onClick={() => setShowArrTrend(!showArrTrend)}
+                    outline
+                    className="text-xs"
+                  >
+                    {showArrTrend ? "Hide Trend" : "Trend"}
+                  </Button>
+                )}
+                {!isHidden("customer_list") && (
+                  <Button
+                    onClick={() => setShowCustomerListModal(true)}
+                    outline
+                    className="text-xs"
+                  >
+                    <EyeIcon className="w-4 h-4 mr-1" />
+                    View
+                  </Button>
+                )}
+                {canWrite("customer") && (
                   <Button
                     onClick={() => openCustomerModal()}
                     outline
@@ -948,11 +1340,50 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
             </CardTitle>
             <CardBody>
               <div className="text-2xl font-bold text-zinc-950 dark:text-white">
-                {formatCurrency(kpis.totalARR)}
+                {formatRedacted(kpis.totalARR, formatCurrency, "arr")}
               </div>
               <Text className="mt-2 text-sm text-zinc-500 dark:text-zinc-400">
                 Annual Recurring Revenue
               </Text>
+              {kpis.arrGrowth && (
+                <div className="mt-1 flex gap-4 text-sm">
+                  {[
+                    ["MoM", kpis.arrGrowth.monthOverMonth],
+                    ["YoY", kpis.arrGrowth.yearOverYear],
+                  ].map(([label, growth]) => (
+                    <span
+                      key={label}
+                      className={
+                        growth > 0
+                          ? "text-green-600 dark:text-green-400"
+                          : growth < 0
+                            ? "text-red-600 dark:text-red-400"
+                            : "text-zinc-500 dark:text-zinc-400"
+                      }
+                    >
+                      {growth === null
+                        ? "—"
+                        : `${growth > 0 ? "+" : ""}${growth.toFixed(1)}%`}{" "}
+                      {label}
+                    </span>
+                  ))}
+                </div>
+              )}
+              {kpis.retention?.netRevenueRetention != null && (
+                <Text className="mt-1 text-xs text-zinc-500 dark:text-zinc-400">
+                  NRR {formatPercent(kpis.retention.netRevenueRetention)} · GRR{" "}
+                  {formatPercent(kpis.retention.grossRevenueRetention)}{" "}
+                  (trailing 12 months)
+                </Text>
+              )}
+              {showArrTrend && !isHidden("arr") && (
+                <ArrTrend
+                  history={kpis.arrHistory || []}
+                  formatAmount={(value) =>
+                    formatRedacted(value, formatCurrency, "arr")
+                  }
+                />
+              )}
             </CardBody>
           </Card>
 
@@ -960,7 +1391,7 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
           <Card>
             <CardTitle className="flex justify-between items-center">
               <span>Full Time Employees</span>
-              {isArtemisManagement && (
+              {canWrite("employee_count") && (
                 <Button
                   onClick={() => openEmployeeModal(null, true)}
                   outline
@@ -972,7 +1403,11 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
             </CardTitle>
             <CardBody>
               <div className="text-3xl font-bold text-zinc-950 dark:text-white">
-                {formatNumber(kpis.fullTimeEmployeeCount)}
+                {formatRedacted(
+                  kpis.fullTimeEmployeeCount,
+                  formatNumber,
+                  "headcount"
+                )}
               </div>
               <Text className="mt-2 text-sm text-zinc-500 dark:text-zinc-400">
                 Full-time team members
@@ -984,7 +1419,7 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
           <Card>
             <CardTitle className="flex justify-between items-center">
               <span>Contractors</span>
-              {isArtemisManagement && (
+              {canWrite("employee_count") && (
                 <Button
                   onClick={() => openEmployeeModal(null, false)}
                   outline
@@ -996,7 +1431,11 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
             </CardTitle>
             <CardBody>
               <div className="text-3xl font-bold text-zinc-950 dark:text-white">
-                {formatNumber(kpis.contractorCount)}
+                {formatRedacted(
+                  kpis.contractorCount,
+                  formatNumber,
+                  "headcount"
+                )}
               </div>
               <Text className="mt-2 text-sm text-zinc-500 dark:text-zinc-400">
                 Contract team members
@@ -1009,257 +1448,374 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
         <Card className="mb-8 w-full !max-w-none" style={{ maxWidth: "100%" }}>
           <CardTitle className="flex justify-between items-center mb-4">
             <span>Sales Pipeline</span>
-            {isArtemisManagement && (
+            <div className="flex gap-2">
               <Button
-                onClick={() => openPipelineModal()}
+                onClick={() => setShowPipelineBoard(!showPipelineBoard)}
                 outline
-                className="text-xs ml-4"
+                className="text-xs"
               >
-                Edit
+                {showPipelineBoard ? "Matrix" : "Board"}
               </Button>
-            )}
+              {canWrite("pipeline_stage") && (
+                <Button
+                  onClick={() => setShowPipelineConfig(true)}
+                  outline
+                  className="text-xs"
+                >
+                  Setup
+                </Button>
+              )}
+              {canWrite("pipeline_client") && (
+                <Button
+                  onClick={() => openPipelineModal()}
+                  outline
+                  className="text-xs"
+                >
+                  Edit
+                </Button>
+              )}
+            </div>
           </CardTitle>
           <CardBody>
             {/* Pipeline Notes Section */}
-            <div className="mb-6 p-4 bg-zinc-50 dark:bg-zinc-800 rounded-lg border border-zinc-200 dark:border-zinc-700">
-              <div className="flex justify-between items-center mb-3">
-                <h3 className="text-sm font-semibold text-zinc-950 dark:text-white">
-                  Pipeline Notes
-                </h3>
-                {isArtemisManagement && (
-                  <div className="flex gap-2">
-                    {editingPipelineNotes ? (
-                      <>
-                        <Button
-                          onClick={handleSavePipelineNotes}
-                          className="text-xs"
-                        >
-                          Save
-                        </Button>
+            {!isHidden("pipeline_notes") && (
+              <div className="mb-6 p-4 bg-zinc-50 dark:bg-zinc-800 rounded-lg border border-zinc-200 dark:border-zinc-700">
+                <div className="flex justify-between items-center mb-3">
+                  <h3 className="text-sm font-semibold text-zinc-950 dark:text-white">
+                    Pipeline Notes
+                  </h3>
+                  {canWrite("pipeline_note") && (
+                    <div className="flex gap-2">
+                      {editingPipelineNotes ? (
+                        <>
+                          <Button
+                            onClick={handleSavePipelineNotes}
+                            className="text-xs"
+                          >
+                            Save
+                          </Button>
+                          <Button
+                            onClick={handleCancelEditPipelineNotes}
+                            outline
+                            className="text-xs"
+                          >
+                            Cancel
+                          </Button>
+                        </>
+                      ) : (
                         <Button
-                          onClick={handleCancelEditPipelineNotes}
+                          onClick={handleEditPipelineNotes}
                           outline
                           className="text-xs"
                         >
-                          Cancel
+                          Edit Notes
                         </Button>
-                      </>
+                      )}
+                    </div>
+                  )}
+                </div>
+                {editingPipelineNotes ? (
+                  <div className="space-y-2">
+                    {tempPipelineNotes.length > 0 ? (
+                      tempPipelineNotes.map((note, index) => (
+                        <div key={note.id} className="flex gap-2 items-start">
+                          <span className="text-zinc-500 dark:text-zinc-400 mt-2">
+                            •
+                          </span>
+                          <Input
+                            value={note.content}
+                            onChange={(e) =>
+                              handleUpdatePipelineNoteContent(
+                                note.id,
+                                e.target.value
+                              )
+                            }
+                            placeholder="Enter note..."
+                            className="flex-1"
+                          />
+                          <Button
+                            onClick={() => handleDeletePipelineNoteTemp(note.id)}
+                            outline
+                            className="text-xs text-red-600"
+                          >
+                            Delete
+                          </Button>
+                        </div>
+                      ))
                     ) : (
-                      <Button
-                        onClick={handleEditPipelineNotes}
-                        outline
-                        className="text-xs"
-                      >
-                        Edit Notes
-                      </Button>
+                      <Text className="text-zinc-500 dark:text-zinc-400 text-sm">
+                        No notes yet. Click "Add Note" to create one.
+                      </Text>
+                    )}
+                    <Button
+                      onClick={handleAddPipelineNote}
+                      outline
+                      className="text-xs mt-2"
+                    >
+                      Add Note
+                    </Button>
+                  </div>
+                ) : (
+                  <div>
+                    {kpis.pipelineNotes?.length > 0 ? (
+                      <ul className="space-y-1">
+                        {kpis.pipelineNotes.map((note) => (
+                          <li
+                            key={note.id}
+                            className="text-sm text-zinc-700 dark:text-zinc-300"
+                          >
+                            • {note.content}
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <Text className="text-zinc-500 dark:text-zinc-400 text-sm">
+                        No pipeline notes yet.
+                        {canWrite("pipeline_note") &&
+                          " Click 'Edit Notes' to add some."}
+                      </Text>
                     )}
                   </div>
                 )}
               </div>
-              {editingPipelineNotes ? (
-                <div className="space-y-2">
-                  {tempPipelineNotes.length > 0 ? (
-                    tempPipelineNotes.map((note, index) => (
-                      <div key={note.id} className="flex gap-2 items-start">
-                        <span className="text-zinc-500 dark:text-zinc-400 mt-2">
-                          •
-                        </span>
-                        <Input
-                          value={note.content}
-                          onChange={(e) =>
-                            handleUpdatePipelineNoteContent(
-                              note.id,
-                              e.target.value
-                            )
-                          }
-                          placeholder="Enter note..."
-                          className="flex-1"
-                        />
-                        <Button
-                          onClick={() => handleDeletePipelineNoteTemp(note.id)}
-                          outline
-                          className="text-xs text-red-600"
-                        >
-                          Delete
-                        </Button>
-                      </div>
-                    ))
-                  ) : (
-                    <Text className="text-zinc-500 dark:text-zinc-400 text-sm">
-                      No notes yet. Click "Add Note" to create one.
-                    </Text>
-                  )}
-                  <Button
-                    onClick={handleAddPipelineNote}
-                    outline
-                    className="text-xs mt-2"
-                  >
-                    Add Note
-                  </Button>
+            )}
+            
+            <div className="grid grid-cols-1 xl:grid-cols-4 gap-6">
+              {showPipelineBoard ? (
+                <div className="xl:col-span-3">
+                  <PipelineKanban
+                    clients={kpis.pipelineClients}
+                    stages={pipelineStages}
+                    segments={pipelineSegments}
+                    canEdit={canWrite("pipeline_client")}
+                    onOpen={openPipelineModal}
+                    onMoved={() => fetchKPIs({ quiet: true })}
+                  />
                 </div>
               ) : (
-                <div>
-                  {kpis.pipelineNotes?.length > 0 ? (
-                    <ul className="space-y-1">
-                      {kpis.pipelineNotes.map((note) => (
-                        <li
-                          key={note.id}
-                          className="text-sm text-zinc-700 dark:text-zinc-300"
-                        >
-                          • {note.content}
-                        </li>
-                      ))}
-                    </ul>
-                  ) : (
-                    <Text className="text-zinc-500 dark:text-zinc-400 text-sm">
-                      No pipeline notes yet.
-                      {isArtemisManagement &&
-                        " Click 'Edit Notes' to add some."}
-                    </Text>
-                  )}
-                </div>
-              )}
-            </div>
-            
-            <div className="overflow-x-auto">
-              <table className="w-full border-collapse" style={{ tableLayout: "fixed" }}>
-                <thead>
-                  <tr>
-                    <th className="p-3 text-left font-semibold text-zinc-950 dark:text-white border-b border-zinc-200 dark:border-zinc-700" style={{ width: "20%" }}>
-                      Stage / Segment
-                    </th>
-                    <th className="p-3 text-center font-semibold text-zinc-950 dark:text-white border-b border-zinc-200 dark:border-zinc-700" style={{ width: "20%" }}>
-                      SMB
-                    </th>
-                    <th className="p-3 text-center font-semibold text-zinc-950 dark:text-white border-b border-zinc-200 dark:border-zinc-700" style={{ width: "20%" }}>
-                      Mid Market
-                    </th>
-                    <th className="p-3 text-center font-semibold text-zinc-950 dark:text-white border-b border-zinc-200 dark:border-zinc-700" style={{ width: "20%" }}>
-                      Large Cap
-                    </th>
-                    <th className="p-3 text-center font-semibold text-zinc-950 dark:text-white border-b border-zinc-200 dark:border-zinc-700" style={{ width: "20%" }}>
-                      Row Total
-                    </th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {[
-                    { key: "initial_meeting", label: "Initial Meeting" },
-                    { key: "pilot_scoping", label: "Pilot Scoping" },
-                    { key: "pilot", label: "Pilot" },
-                    { key: "contracting", label: "Contracting" },
-                  ].map((stage) => {
-                    // Calculate row total for this stage
-                    const rowTotal = ["smb", "mid_market", "large_cap"].reduce(
-                      (sum, segment) => {
-                        const cellData = kpis.pipelineMatrix?.[segment]?.[
-                          stage.key
-                        ] || { totalValue: 0 };
-                        return sum + (cellData.totalValue || 0);
-                      },
-                      0
-                    );
-
-                    return (
-                      <tr
-                        key={stage.key}
-                        className="border-b border-zinc-100 dark:border-zinc-800"
-                      >
-                        <td className="p-3 font-medium text-zinc-950 dark:text-white">
-                          {stage.label}
+                <div className="overflow-x-auto xl:col-span-3">
+                  <table className="w-full border-collapse" style={{ tableLayout: "fixed" }}>
+                    <thead>
+                      <tr>
+                        <th className="p-3 text-left font-semibold text-zinc-950 dark:text-white border-b border-zinc-200 dark:border-zinc-700" style={{ width: columnWidth }}>
+                          Stage / Segment
+                        </th>
+                        {pipelineSegments.map((segment) => (
+                          <th
+                            key={segment.key}
+                            className="p-3 text-center font-semibold text-zinc-950 dark:text-white border-b border-zinc-200 dark:border-zinc-700"
+                            style={{ width: columnWidth }}
+                          >
+                            <span
+                              className="inline-block h-2 w-2 rounded-full mr-2"
+                              style={{ backgroundColor: segment.color }}
+                            />
+                            {segment.label}
+                          </th>
+                        ))}
+                        <th className="p-3 text-center font-semibold text-zinc-950 dark:text-white border-b border-zinc-200 dark:border-zinc-700" style={{ width: columnWidth }}>
+                          Row Total
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {pipelineStages.map((stage) => {
+                        // Calculate row total for this stage
+                        const rowTotal = pipelineSegments.reduce(
+                          (sum, { key: segment }) => {
+                            const cellData = kpis.pipelineMatrix?.[segment]?.[
+                              stage.key
+                            ] || { totalValue: 0 };
+                            return sum + (cellData.totalValue || 0);
+                          },
+                          0
+                        );
+
+                        return (
+                          <tr
+                            key={stage.key}
+                            className="border-b border-zinc-100 dark:border-zinc-800"
+                          >
+                            <td className="p-3 font-medium text-zinc-950 dark:text-white">
+                              <span
+                                className="inline-block h-2 w-2 rounded-full mr-2"
+                                style={{ backgroundColor: stage.color }}
+                              />
+                              {stage.label}
+                              {kpis.pipelineForecast && (
+                                <div className="text-xs font-normal text-zinc-500 dark:text-zinc-400">
+                                  {Math.round(
+                                    kpis.pipelineForecast.probabilities[
+                                      stage.key
+                                    ] ?? 0
+                                  )}
+                                  % win
+                                </div>
+                              )}
+                            </td>
+                            {pipelineSegments.map(({ key: segment }) => {
+                              const cellData = kpis.pipelineMatrix?.[segment]?.[
+                                stage.key
+                              ] || {
+                                count: 0,
+                                clients: [],
+                                totalValue: 0,
+                              };
+                              return (
+                                <td
+                                  key={`${segment}-${stage.key}`}
+                                  className="p-3 text-center"
+                                >
+                                  <button
+                                    onClick={() =>
+                                      openPipelineCellModal(segment, stage.key)
+                                    }
+                                    className="w-full p-4 rounded-lg bg-zinc-100 dark:bg-zinc-800 hover:bg-zinc-200 dark:hover:bg-zinc-700 hover:ring-2 hover:ring-teal-500/50 transition-all cursor-pointer"
+                                  >
+                                    <div className="text-2xl font-bold text-zinc-950 dark:text-white mb-1">
+                                      {cellData.count || 0}
+                                    </div>
+                                    <div className="text-xs text-zinc-500 dark:text-zinc-400">
+                                      {formatCurrency(cellData.totalValue || 0)}
+                                    </div>
+                                  </button>
+                                </td>
+                              );
+                            })}
+                            <td className="p-3 text-center bg-zinc-50 dark:bg-zinc-900">
+                              <div className="p-4 rounded-lg">
+                                <div className="text-sm font-semibold text-zinc-950 dark:text-white">
+                                  {formatCurrency(rowTotal)}
+                                </div>
+                              </div>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                      {/* Column Totals Row */}
+                      <tr className="border-t-2 border-zinc-300 dark:border-zinc-600 bg-zinc-50 dark:bg-zinc-900">
+                        <td className="p-3 font-semibold text-zinc-950 dark:text-white">
+                          Column Total
                         </td>
-                        {["smb", "mid_market", "large_cap"].map((segment) => {
-                          const cellData = kpis.pipelineMatrix?.[segment]?.[
-                            stage.key
-                          ] || {
-                            count: 0,
-                            clients: [],
-                            totalValue: 0,
-                          };
+                        {pipelineSegments.map(({ key: segment }) => {
+                          const columnTotal = pipelineStages.reduce(
+                            (sum, { key: stageKey }) => {
+                              const cellData = kpis.pipelineMatrix?.[segment]?.[
+                                stageKey
+                              ] || { totalValue: 0 };
+                              return sum + (cellData.totalValue || 0);
+                            },
+                            0
+                          );
+
                           return (
-                            <td
-                              key={`${segment}-${stage.key}`}
-                              className="p-3 text-center"
-                            >
-                              <button
-                                onClick={() =>
-                                  openPipelineCellModal(segment, stage.key)
-                                }
-                                className="w-full p-4 rounded-lg bg-zinc-100 dark:bg-zinc-800 hover:bg-zinc-200 dark:hover:bg-zinc-700 hover:ring-2 hover:ring-teal-500/50 transition-all cursor-pointer"
-                              >
-                                <div className="text-2xl font-bold text-zinc-950 dark:text-white mb-1">
-                                  {cellData.count || 0}
-                                </div>
-                                <div className="text-xs text-zinc-500 dark:text-zinc-400">
-                                  {formatCurrency(cellData.totalValue || 0)}
+                            <td key={segment} className="p-3 text-center">
+                              <div className="p-4 rounded-lg">
+                                <div className="text-sm font-semibold text-zinc-950 dark:text-white">
+                                  {formatCurrency(columnTotal)}
                                 </div>
-                              </button>
+                              </div>
                             </td>
                           );
                         })}
-                        <td className="p-3 text-center bg-zinc-50 dark:bg-zinc-900">
+                        <td className="p-3 text-center bg-zinc-100 dark:bg-zinc-800">
                           <div className="p-4 rounded-lg">
-                            <div className="text-sm font-semibold text-zinc-950 dark:text-white">
-                              {formatCurrency(rowTotal)}
+                            <div className="text-base font-bold text-zinc-950 dark:text-white">
+                              {formatCurrency(
+                                Object.values(kpis.pipelineMatrix || {}).reduce(
+                                  (sum, segment) =>
+                                    sum +
+                                    Object.values(segment || {}).reduce(
+                                      (segSum, stage) =>
+                                        segSum + (stage.totalValue || 0),
+                                      0
+                                    ),
+                                  0
+                                )
+                              )}
                             </div>
                           </div>
                         </td>
                       </tr>
-                    );
-                  })}
-                  {/* Column Totals Row */}
-                  <tr className="border-t-2 border-zinc-300 dark:border-zinc-600 bg-zinc-50 dark:bg-zinc-900">
-                    <td className="p-3 font-semibold text-zinc-950 dark:text-white">
-                      Column Total
-                    </td>
-                    {["smb", "mid_market", "large_cap"].map((segment) => {
-                      const columnTotal = [
-                        "initial_meeting",
-                        "pilot_scoping",
-                        "pilot",
-                        "contracting",
-                      ].reduce((sum, stageKey) => {
-                        const cellData = kpis.pipelineMatrix?.[segment]?.[
-                          stageKey
-                        ] || { totalValue: 0 };
-                        return sum + (cellData.totalValue || 0);
-                      }, 0);
-
-                      return (
-                        <td key={segment} className="p-3 text-center">
-                          <div className="p-4 rounded-lg">
-                            <div className="text-sm font-semibold text-zinc-950 dark:text-white">
-                              {formatCurrency(columnTotal)}
+                      {/* Weighted by stage win probability */}
+                      {kpis.pipelineForecast && (
+                        <tr className="bg-zinc-50 dark:bg-zinc-900">
+                          <td className="p-3 font-semibold text-zinc-950 dark:text-white">
+                            Weighted
+                          </td>
+                          {pipelineSegments.map(({ key: segment }) => (
+                            <td key={segment} className="p-3 text-center">
+                              <div className="text-sm font-semibold text-teal-700 dark:text-teal-400">
+                                {formatCurrency(
+                                  kpis.pipelineForecast.weightedBySegment[segment]
+                                )}
+                              </div>
+                            </td>
+                          ))}
+                          <td className="p-3 text-center bg-zinc-100 dark:bg-zinc-800">
+                            <div className="text-base font-bold text-teal-700 dark:text-teal-400">
+                              {formatCurrency(
+                                kpis.pipelineForecast.weightedTotal
+                              )}
                             </div>
-                          </div>
-                        </td>
-                      );
-                    })}
-                    <td className="p-3 text-center bg-zinc-100 dark:bg-zinc-800">
-                      <div className="p-4 rounded-lg">
-                        <div className="text-base font-bold text-zinc-950 dark:text-white">
-                          {formatCurrency(
-                            Object.values(kpis.pipelineMatrix || {}).reduce(
-                              (sum, segment) =>
-                                sum +
-                                Object.values(segment || {}).reduce(
-                                  (segSum, stage) =>
-                                    segSum + (stage.totalValue || 0),
-                                  0
-                                ),
-                              0
-                            )
-                          )}
-                        </div>
-                      </div>
-                    </td>
-                  </tr>
-                </tbody>
-              </table>
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              <div className="space-y-6">
+                <PipelineVelocity
+                  velocity={kpis.pipelineVelocity}
+                  stages={pipelineStages}
+                  segments={pipelineSegments}
+                />
+                <PipelineForecast
+                  forecast={kpis.pipelineForecast}
+                  stages={pipelineStages}
+                  canEdit={canWrite("pipeline_stage_probability")}
+                  onChanged={fetchKPIs}
+                />
+              </div>
             </div>
+            <WinLossReport
+              report={kpis.pipelineWinLoss}
+              deals={kpis.closedDeals || []}
+              stages={pipelineStages}
+              segments={pipelineSegments}
+              canEdit={canWrite("pipeline_client")}
+              onOpen={openPipelineModal}
+            />
           </CardBody>
         </Card>
 
+        {/* Runway scenarios - projected from the cash and burn figures */}
+        {canRead("runway_scenario") &&
+          kpis.cashPosition !== null &&
+          !isHidden("cash") &&
+          !isHidden("burn") && (
+            <ScenarioPlanner
+              kpis={kpis}
+              canEdit={canWrite("runway_scenario")}
+            />
+          )}
+
+        {/* Budget vs actual - operating plan against burn and headcount */}
+        {canRead("operating_plan") &&
+          (kpis.budgetVsActual?.length > 0 || canWrite("operating_plan")) && (
+            <BudgetVsActual
+              months={kpis.budgetVsActual || []}
+              canEdit={canWrite("operating_plan")}
+              onChanged={fetchKPIs}
+            />
+          )}
+
+        {/* Investor Access - owners only */}
+        {isManagement && <TwoFactorSettings />}
+        {permissions.manageAccess && <AccessManagement />}
+        {permissions.manageAccess && <LoginActivity />}
+
         {/* Modals */}
         {/* Goal Modal */}
         <Dialog open={showGoalModal} onClose={() => setShowGoalModal(false)}>
@@ -1290,7 +1846,7 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
                   <option value="ARR">ARR (Auto-calculated)</option>
                   <option value="customers">Customers (Auto-calculated)</option>
                   <option value="pipeline_value">
-                    Pipeline Value (Auto-calculated)
+                    Pipeline Value (Weighted bookings closing this quarter)
                   </option>
                   <option value="custom">Custom (Manual)</option>
                 </select>
@@ -1374,6 +1930,14 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
                       setEditValues({
                         ...editValues,
                         isPilot: e.target.checked,
+                        // Unticking a running pilot converts it today
+                        pilotConvertedAt:
+                          !e.target.checked &&
+                          editValues.isPilot &&
+                          !editValues.pilotEndedAt &&
+                          !editValues.pilotConvertedAt
+                            ? format(new Date(), "yyyy-MM-dd")
+                            : editValues.pilotConvertedAt,
                       })
                     }
                     className="mr-2"
@@ -1381,6 +1945,73 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
                   Is Pilot
                 </Label>
               </Field>
+              <Field>
+                <Label>Size</Label>
+                <select
+                  value={editValues.customerSegment || ""}
+                  onChange={(e) =>
+                    setEditValues({
+                      ...editValues,
+                      customerSegment: e.target.value,
+                    })
+                  }
+                  className="w-full rounded-md border-zinc-300 dark:border-zinc-600 bg-white dark:bg-zinc-900"
+                >
+                  <option value="">Not set</option>
+                  {pipelineSegments.map((segment) => (
+                    <option key={segment.key} value={segment.key}>
+                      {segment.label}
+                    </option>
+                  ))}
+                </select>
+              </Field>
+              {(editValues.isPilot ||
+                editValues.pilotStartedAt ||
+                editValues.pilotConvertedAt) && (
+                <div className="grid grid-cols-3 gap-4">
+                  <Field>
+                    <Label>Pilot Started</Label>
+                    <Input
+                      type="date"
+                      value={editValues.pilotStartedAt || ""}
+                      onChange={(e) =>
+                        setEditValues({
+                          ...editValues,
+                          pilotStartedAt: e.target.value,
+                        })
+                      }
+                    />
+                  </Field>
+                  <Field>
+                    <Label>Converted On</Label>
+                    <Input
+                      type="date"
+                      value={editValues.pilotConvertedAt || ""}
+                      disabled={!!editValues.pilotEndedAt}
+                      onChange={(e) =>
+                        setEditValues({
+                          ...editValues,
+                          pilotConvertedAt: e.target.value,
+                        })
+                      }
+                    />
+                  </Field>
+                  <Field>
+                    <Label>Ended Without Converting</Label>
+                    <Input
+                      type="date"
+                      value={editValues.pilotEndedAt || ""}
+                      disabled={!!editValues.pilotConvertedAt}
+                      onChange={(e) =>
+                        setEditValues({
+                          ...editValues,
+                          pilotEndedAt: e.target.value,
+                        })
+                      }
+                    />
+                  </Field>
+                </div>
+              )}
               <Field>
                 <Label>Contract Value ($)</Label>
                 <Input
@@ -1423,6 +2054,67 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
                   }
                 />
               </Field>
+              <div className="grid grid-cols-2 gap-4">
+                <Field>
+                  <Label>Contract Term (months)</Label>
+                  <Input
+                    type="number"
+                    min="1"
+                    value={editValues.contractTermMonths || ""}
+                    onChange={(e) =>
+                      setEditValues({
+                        ...editValues,
+                        contractTermMonths: e.target.value,
+                      })
+                    }
+                  />
+                </Field>
+                <Field>
+                  <Label>Renewal Date</Label>
+                  <Input
+                    type="date"
+                    value={editValues.renewalDate || ""}
+                    onChange={(e) =>
+                      setEditValues({
+                        ...editValues,
+                        renewalDate: e.target.value,
+                      })
+                    }
+                  />
+                </Field>
+                <Field>
+                  <Label>Churned On</Label>
+                  <Input
+                    type="date"
+                    value={editValues.churnedAt || ""}
+                    onChange={(e) =>
+                      setEditValues({
+                        ...editValues,
+                        churnedAt: e.target.value,
+                      })
+                    }
+                  />
+                </Field>
+                <Field>
+                  <Label>Churn Reason</Label>
+                  <Input
+                    value={editValues.churnReason || ""}
+                    disabled={!editValues.churnedAt}
+                    onChange={(e) =>
+                      setEditValues({
+                        ...editValues,
+                        churnReason: e.target.value,
+                      })
+                    }
+                  />
+                </Field>
+              </div>
+              {editingCustomer && canRead("customer_event") && (
+                <CustomerEventLog
+                  customerId={editingCustomer.id}
+                  canEdit={canWrite("customer_event")}
+                />
+              )}
               <div className="flex gap-2 justify-end">
                 <Button onClick={() => setShowCustomerModal(false)} outline>
                   Cancel
@@ -1458,30 +2150,33 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
               <Field>
                 <Label>Segment</Label>
                 <select
-                  value={editValues.segment || "smb"}
+                  value={editValues.segment || pipelineSegments[0]?.key}
                   onChange={(e) =>
                     setEditValues({ ...editValues, segment: e.target.value })
                   }
                   className="w-full rounded-md border-zinc-300 dark:border-zinc-600 bg-white dark:bg-zinc-900"
                 >
-                  <option value="smb">SMB</option>
-                  <option value="mid_market">Mid Market</option>
-                  <option value="large_cap">Large Cap</option>
+                  {pipelineSegments.map((segment) => (
+                    <option key={segment.key} value={segment.key}>
+                      {segment.label}
+                    </option>
+                  ))}
                 </select>
               </Field>
               <Field>
                 <Label>Stage</Label>
                 <select
-                  value={editValues.stage || "initial_meeting"}
+                  value={editValues.stage || pipelineStages[0]?.key}
                   onChange={(e) =>
                     setEditValues({ ...editValues, stage: e.target.value })
                   }
                   className="w-full rounded-md border-zinc-300 dark:border-zinc-600 bg-white dark:bg-zinc-900"
                 >
-                  <option value="initial_meeting">Initial Meeting</option>
-                  <option value="pilot_scoping">Pilot Scoping</option>
-                  <option value="pilot">Pilot</option>
-                  <option value="contracting">Contracting</option>
+                  {pipelineStages.map((stage) => (
+                    <option key={stage.key} value={stage.key}>
+                      {stage.label}
+                    </option>
+                  ))}
                 </select>
               </Field>
               <Field>
@@ -1510,6 +2205,66 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
                   }
                 />
               </Field>
+              <Field>
+                <Label>Expected Close Date</Label>
+                <Input
+                  type="date"
+                  value={editValues.expectedCloseDate || ""}
+                  onChange={(e) =>
+                    setEditValues({
+                      ...editValues,
+                      expectedCloseDate: e.target.value,
+                    })
+                  }
+                />
+              </Field>
+              <Field>
+                <Label>Outcome</Label>
+                <select
+                  value={editValues.outcome || ""}
+                  onChange={(e) =>
+                    setEditValues({ ...editValues, outcome: e.target.value })
+                  }
+                  className="w-full rounded-md border-zinc-300 dark:border-zinc-600 bg-white dark:bg-zinc-900"
+                >
+                  <option value="">Open</option>
+                  <option value="won">Closed won</option>
+                  <option value="lost">Closed lost</option>
+                </select>
+                {editValues.outcome === "won" &&
+                  !editingPipeline?.customerId &&
+                  !editingPipeline?.customer_id && (
+                    <Text className="mt-1 text-xs text-zinc-500 dark:text-zinc-400">
+                      Saving creates a customer from this deal.
+                    </Text>
+                  )}
+              </Field>
+              {editValues.outcome && (
+                <Field>
+                  <Label>Closed On</Label>
+                  <Input
+                    type="date"
+                    value={editValues.closedAt || ""}
+                    onChange={(e) =>
+                      setEditValues({ ...editValues, closedAt: e.target.value })
+                    }
+                  />
+                </Field>
+              )}
+              {editValues.outcome === "lost" && (
+                <Field>
+                  <Label>Loss Reason</Label>
+                  <Input
+                    value={editValues.lossReason || ""}
+                    onChange={(e) =>
+                      setEditValues({
+                        ...editValues,
+                        lossReason: e.target.value,
+                      })
+                    }
+                  />
+                </Field>
+              )}
               <Field>
                 <Label>Status</Label>
                 <Input
@@ -1614,6 +2369,13 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
           </div>
         </Dialog>
 
+        {/* Pipeline Setup - segments and stages */}
+        <PipelineConfigDialog
+          open={showPipelineConfig}
+          onClose={() => setShowPipelineConfig(false)}
+          onSaved={fetchKPIs}
+        />
+
         {/* Pipeline Cell Modal - Shows companies in a specific segment/stage */}
         <Dialog
           open={showPipelineCellModal}
@@ -1623,19 +2385,11 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
             <Heading className="mb-4">
               {selectedPipelineCell && (
                 <>
-                  {selectedPipelineCell.segment === "smb"
-                    ? "SMB"
-                    : selectedPipelineCell.segment === "mid_market"
-                      ? "Mid Market"
-                      : "Large Cap"}{" "}
-                  -{" "}
-                  {selectedPipelineCell.stage === "initial_meeting"
-                    ? "Initial Meeting"
-                    : selectedPipelineCell.stage === "pilot_scoping"
-                      ? "Pilot Scoping"
-                      : selectedPipelineCell.stage === "pilot"
-                        ? "Pilot"
-                        : "Contracting"}
+                  {pipelineLabel(
+                    pipelineSegments,
+                    selectedPipelineCell.segment
+                  )}{" "}
+                  - {pipelineLabel(pipelineStages, selectedPipelineCell.stage)}
                 </>
               )}
             </Heading>
@@ -1653,7 +2407,9 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
                   if (cellData.clients.length === 0) {
                     return (
                       <Text className="text-zinc-500">
-                        No companies in this stage
+                        {cellData.count > 0
+                          ? "Company details are not shared"
+                          : "No companies in this stage"}
                       </Text>
                     );
                   }
@@ -1667,7 +2423,7 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
                         <div className="font-semibold text-zinc-950 dark:text-white text-lg">
                           {client.name}
                         </div>
-                        {isArtemisManagement && (
+                        {canWrite("pipeline_client") && (
                           <div className="flex gap-2">
                             <Button
                               onClick={() => {
@@ -1705,6 +2461,24 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
                           </span>{" "}
                           {client.daysSinceEngagement}
                         </div>
+                        {client.daysInStage !== null &&
+                          client.daysInStage !== undefined && (
+                            <div className="text-sm text-zinc-600 dark:text-zinc-400">
+                              <span className="font-medium">
+                                Days in Stage:
+                              </span>{" "}
+                              {client.daysInStage}
+                            </div>
+                          )}
+                        {client.expectedCloseDate && (
+                          <div className="text-sm text-zinc-600 dark:text-zinc-400">
+                            <span className="font-medium">Expected Close:</span>{" "}
+                            {format(
+                              parseISO(client.expectedCloseDate),
+                              "MMM d, yyyy"
+                            )}
+                          </div>
+                        )}
                         {client.status && (
                           <div className="text-sm text-zinc-600 dark:text-zinc-400">
                             <span className="font-medium">Status:</span>{" "}
@@ -1738,9 +2512,44 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
         >
           <div className="p-6 max-w-3xl">
             <Heading className="mb-4">Customers & Pilots</Heading>
+            {upcomingRenewals.length > 0 && (
+              <div className="mb-4 p-4 bg-amber-50 dark:bg-amber-900/20 rounded-lg border border-amber-200 dark:border-amber-800">
+                <h3 className="text-sm font-semibold text-zinc-950 dark:text-white mb-2">
+                  Upcoming Renewals (next {RENEWAL_WINDOW_DAYS} days)
+                </h3>
+                <ul className="space-y-1 text-sm">
+                  {upcomingRenewals.map((customer) => (
+                    <li
+                      key={customer.id}
+                      className="flex justify-between gap-4 text-zinc-700 dark:text-zinc-300"
+                    >
+                      <span>
+                        {customer.name} ·{" "}
+                        {format(parseISO(customer.renewal_date), "MMM d, yyyy")}
+                      </span>
+                      <span
+                        className={
+                          customer.daysToRenewal < 0
+                            ? "text-red-600 dark:text-red-400"
+                            : ""
+                        }
+                      >
+                        {customer.daysToRenewal < 0
+                          ? `${-customer.daysToRenewal} days overdue`
+                          : customer.daysToRenewal === 0
+                            ? "today"
+                            : `in ${customer.daysToRenewal} days`}{" "}
+                        · {formatRedacted(customer.arr, formatCurrency, "arr")}{" "}
+                        ARR
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
             <div className="space-y-3 max-h-96 overflow-y-auto mb-4">
-              {kpis.customers?.length > 0 ? (
-                kpis.customers.map((customer) => (
+              {activeCustomers.length > 0 ? (
+                activeCustomers.map((customer) => (
                   <div
                     key={customer.id}
                     className="p-4 bg-zinc-100 dark:bg-zinc-800 rounded-lg border border-zinc-200 dark:border-zinc-700"
@@ -1756,7 +2565,7 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
                           )}
                         </div>
                       </div>
-                      {isArtemisManagement && (
+                      {canWrite("customer") && (
                         <div className="flex gap-2">
                           <Button
                             onClick={() => {
@@ -1783,7 +2592,7 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
                     <div className="space-y-1">
                       <div className="text-sm text-zinc-600 dark:text-zinc-400">
                         <span className="font-medium">ARR:</span>{" "}
-                        {formatCurrency(customer.arr || 0)}
+                        {formatRedacted(customer.arr, formatCurrency, "arr")}
                       </div>
                       {customer.start_date && (
                         <div className="text-sm text-zinc-600 dark:text-zinc-400">
@@ -1797,21 +2606,85 @@ export default function InvestorDashboard({ isArtemisManagement = false }) {
                           {customer.status}
                         </div>
                       )}
+                      {customer.renewal_date && (
+                        <div className="text-sm text-zinc-600 dark:text-zinc-400">
+                          <span className="font-medium">Renews:</span>{" "}
+                          {format(
+                            parseISO(customer.renewal_date),
+                            "MMM d, yyyy"
+                          )}
+                          {customer.contract_term_months &&
+                            ` (${customer.contract_term_months}-month term)`}
+                        </div>
+                      )}
                     </div>
                   </div>
                 ))
               ) : (
                 <Text className="text-zinc-500">No customers added yet</Text>
               )}
+              {churnedCustomers.length > 0 && (
+                <div className="pt-2">
+                  <h3 className="text-sm font-semibold text-zinc-950 dark:text-white mb-2">
+                    Churned and Ended Pilots
+                  </h3>
+                  <ul className="space-y-2">
+                    {churnedCustomers.map((customer) => (
+                      <li
+                        key={customer.id}
+                        className="flex justify-between items-start gap-4 p-3 bg-zinc-50 dark:bg-zinc-900 rounded-lg border border-zinc-200 dark:border-zinc-700 text-sm"
+                      >
+                        <div>
+                          <div className="font-medium text-zinc-950 dark:text-white">
+                            {customer.name}
+                          </div>
+                          <div className="text-zinc-600 dark:text-zinc-400">
+                            {customer.churned_at ? "Churned" : "Pilot ended"}{" "}
+                            {format(parseISO(customer.leftAt), "MMM d, yyyy")}
+                            {customer.churned_at &&
+                              customer.arr !== null &&
+                              ` · ${formatRedacted(customer.arr, formatCurrency, "arr")} ARR lost`}
+                          </div>
+                          {customer.churn_reason && (
+                            <div className="text-zinc-600 dark:text-zinc-400">
+                              {customer.churn_reason}
+                            </div>
+                          )}
+                        </div>
+                        {canWrite("customer") && (
+                          <Button
+                            onClick={() => {
+                              setShowCustomerListModal(false);
+                              openCustomerModal(customer);
+                            }}
+                            outline
+                            className="text-xs"
+                          >
+                            Edit
+                          </Button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
             <div className="flex justify-between items-center pt-4 border-t border-zinc-200 dark:border-zinc-700">
               <div>
                 <Text className="text-sm text-zinc-600 dark:text-zinc-400">
-                  Total ARR: {formatCurrency(kpis.totalARR || 0)}
+                  Total ARR: {formatRedacted(kpis.totalARR, formatCurrency, "arr")}
                 </Text>
+                {kpis.retention?.netRevenueRetention != null && (
+                  <Text className="text-sm text-zinc-600 dark:text-zinc-400">
+                    Net retention{" "}
+                    {formatPercent(kpis.retention.netRevenueRetention)} · Gross
+                    retention{" "}
+                    {formatPercent(kpis.retention.grossRevenueRetention)}
+                  </Text>
+                )}
               </div>
               <div className="flex gap-2">
-                {isArtemisManagement && (
+                {canWrite("customer") && (
                   <Button
                     onClick={() => {
                       setShowCustomerListModal(false);
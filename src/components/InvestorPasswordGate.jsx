@@ -1,36 +1,83 @@
 import React, { useState, useEffect } from "react";
 import { Input, Button, Field, Label, Heading, Text } from "@/catalyst";
 import { EyeIcon, EyeSlashIcon, ArrowRightOnRectangleIcon } from "@heroicons/react/24/outline";
-import { adminAuth, logout, setAdminPassword } from "@/services/api";
+import {
+  adminAuth,
+  verifyMfaCode,
+  logout,
+  getSession,
+  onSessionExpired,
+} from "@/services/api";
 import toast from "react-hot-toast";
 
+const NO_PERMISSIONS = { read: [], write: [], manageAccess: false };
+
 export default function InvestorPasswordGate({ children }) {
   const [password, setPassword] = useState("");
   const [showPassword, setShowPassword] = useState(false);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [isArtemisManagement, setIsArtemisManagement] = useState(false);
+  const [role, setRole] = useState(null);
+  const [permissions, setPermissions] = useState(NO_PERMISSIONS);
   const [isLoading, setIsLoading] = useState(false);
   const [isChecking, setIsChecking] = useState(true);
+  // Set after a correct password on an account with two-factor enabled
+  const [mfaToken, setMfaToken] = useState(null);
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // When the server throttles us: the time we may try again, and a clock
+  // that ticks every second to drive the countdown
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [now, setNow] = useState(Date.now());
 
   useEffect(() => {
-    // Check if already authenticated in session storage
-    const authData = sessionStorage.getItem("investorAuth");
-    if (authData) {
-      const parsed = JSON.parse(authData);
+    // Restore an existing session (tokens only, never the password)
+    const session = getSession();
+    if (session) {
       setIsAuthenticated(true);
-      setIsArtemisManagement(parsed.isArtemisManagement);
-      
-      // Restore password to memory for API calls
-      if (parsed.password) {
-        setAdminPassword(parsed.password);
-      }
-      
-      setIsChecking(false);
-    } else {
-      setIsChecking(false);
+      setRole(session.role);
+      setPermissions(session.permissions);
     }
+    setIsChecking(false);
+
+    // Drop back to the password form when the session can't be refreshed
+    return onSessionExpired(() => {
+      setIsAuthenticated(false);
+      setRole(null);
+      setPermissions(NO_PERMISSIONS);
+      toast.error("Your session has expired. Please log in again.");
+    });
   }, []);
 
+  useEffect(() => {
+    if (!lockedUntil) return;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= lockedUntil) setLockedUntil(null);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
+  const secondsLocked = lockedUntil
+    ? Math.max(0, Math.ceil((lockedUntil - now) / 1000))
+    : 0;
+
+  // Show the server's backoff instead of a generic error
+  const handleAuthError = (error) => {
+    if (error.retryAfter) {
+      setNow(Date.now());
+      setLockedUntil(Date.now() + error.retryAfter * 1000);
+    }
+    toast.error(error.message || "Error authenticating. Please try again.");
+  };
+
+  const lockoutNotice = secondsLocked > 0 && (
+    <Text className="mt-4 text-center text-sm text-red-600 dark:text-red-400">
+      Too many failed attempts. Try again in{" "}
+      {Math.floor(secondsLocked / 60)}:
+      {String(secondsLocked % 60).padStart(2, "0")}.
+    </Text>
+  );
+
   const handlePasswordSubmit = async (e) => {
     e.preventDefault();
     if (!password) {
@@ -44,26 +91,60 @@ export default function InvestorPasswordGate({ children }) {
 
       if (result && result.authenticated) {
         setIsAuthenticated(true);
-        setIsArtemisManagement(result.isArtemisManagement || false);
-
-        // Store in session storage (including password for API calls)
-        sessionStorage.setItem(
-          "investorAuth",
-          JSON.stringify({
-            isArtemisManagement: result.isArtemisManagement || false,
-            authenticated: true,
-            password: password, // Store password for subsequent API calls
-          })
-        );
+        setRole(result.role);
+        setPermissions(result.permissions || NO_PERMISSIONS);
+        setPassword("");
 
         toast.success("Access granted");
+      } else if (result && result.mfaRequired) {
+        setMfaToken(result.mfaToken);
+        setPassword("");
       } else {
         toast.error("Invalid password");
         setPassword("");
       }
     } catch (error) {
       console.error("Error authenticating:", error);
-      toast.error(error.message || "Error authenticating. Please try again.");
+      handleAuthError(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const resetMfa = () => {
+    setMfaToken(null);
+    setCode("");
+    setUseRecoveryCode(false);
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    if (!code) {
+      toast.error(
+        useRecoveryCode ? "Please enter a recovery code" : "Please enter your code"
+      );
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const result = await verifyMfaCode(mfaToken, code);
+      setIsAuthenticated(true);
+      setRole(result.role);
+      setPermissions(result.permissions || NO_PERMISSIONS);
+      resetMfa();
+
+      toast.success("Access granted");
+    } catch (error) {
+      console.error("Error verifying code:", error);
+      setCode("");
+      // The password step is only valid for a few minutes
+      if (error.message === "Session expired") {
+        resetMfa();
+        toast.error("That took too long. Please enter your password again.");
+      } else {
+        handleAuthError(error);
+      }
     } finally {
       setIsLoading(false);
     }
@@ -79,6 +160,69 @@ export default function InvestorPasswordGate({ children }) {
     );
   }
 
+  if (!isAuthenticated && mfaToken) {
+    return (
+      <div className="h-svh flex justify-center items-center bg-zinc-50 dark:bg-zinc-900">
+        <div className="w-full max-w-md p-8">
+          <div className="rounded-lg bg-white p-8 shadow-lg ring-1 ring-zinc-950/10 dark:bg-zinc-900 dark:ring-white/10">
+            <Heading className="mb-4 text-center">
+              Two-Factor Authentication
+            </Heading>
+            <Text className="mb-6 text-center text-zinc-500 dark:text-zinc-400">
+              {useRecoveryCode
+                ? "Enter one of your recovery codes"
+                : "Enter the 6-digit code from your authenticator app"}
+            </Text>
+            <form onSubmit={handleCodeSubmit}>
+              <Field>
+                <Label>{useRecoveryCode ? "Recovery code" : "Code"}</Label>
+                <Input
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder={useRecoveryCode ? "xxxx-xxxx-xxxx" : "123456"}
+                  inputMode={useRecoveryCode ? "text" : "numeric"}
+                  autoComplete="one-time-code"
+                  maxLength={useRecoveryCode ? 14 : 6}
+                  autoFocus
+                />
+              </Field>
+              <Button
+                type="submit"
+                className="mt-6 w-full"
+                disabled={isLoading || secondsLocked > 0}
+              >
+                {isLoading ? "Verifying..." : "Verify"}
+              </Button>
+            </form>
+            {lockoutNotice}
+            <div className="mt-4 flex justify-between text-sm">
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setCode("");
+                }}
+                className="text-zinc-500 hover:text-zinc-950 dark:text-zinc-400 dark:hover:text-white"
+              >
+                {useRecoveryCode
+                  ? "Use authenticator code"
+                  : "Use a recovery code"}
+              </button>
+              <button
+                type="button"
+                onClick={resetMfa}
+                className="text-zinc-500 hover:text-zinc-950 dark:text-zinc-400 dark:hover:text-white"
+              >
+                Back
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (!isAuthenticated) {
     return (
       <div className="h-svh flex justify-center items-center bg-zinc-50 dark:bg-zinc-900">
@@ -118,25 +262,27 @@ export default function InvestorPasswordGate({ children }) {
               <Button
                 type="submit"
                 className="mt-6 w-full"
-                disabled={isLoading}
+                disabled={isLoading || secondsLocked > 0}
               >
                 {isLoading ? "Verifying..." : "Access Dashboard"}
               </Button>
             </form>
+            {lockoutNotice}
           </div>
         </div>
       </div>
     );
   }
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     setIsAuthenticated(false);
-    setIsArtemisManagement(false);
+    setRole(null);
+    setPermissions(NO_PERMISSIONS);
     toast.success("Logged out successfully");
   };
 
-  // Render children with isArtemisManagement prop
+  // Render children with the session's role and permissions
   return (
     <div className="h-screen overflow-hidden flex flex-col">
       {/* Logout button */}
@@ -151,7 +297,7 @@ export default function InvestorPasswordGate({ children }) {
         </Button>
       </div>
       
-      {React.cloneElement(children, { isArtemisManagement })}
+      {React.cloneElement(children, { role, permissions })}
     </div>
   );
 }
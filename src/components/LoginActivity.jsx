@@ -0,0 +1,271 @@
+import React, { useState, useEffect } from "react";
+import { Card, CardTitle, CardBody } from "@/catalyst/card";
+import { Button } from "@/catalyst/button";
+import { Text } from "@/catalyst";
+import toast from "react-hot-toast";
+import { format, formatDistanceToNow, subDays } from "date-fns";
+import {
+  listUsers,
+  listLoginEvents,
+  listSessions,
+  listAuthLockouts,
+  deleteAuthLockout,
+} from "@/services/api";
+import { ROLE_LABELS } from "@/components/AccessManagement";
+
+const OUTCOME_LABELS = {
+  failure: "Wrong password",
+  rate_limited: "Rate limited",
+};
+
+const formatTimestamp = (value) =>
+  value ? format(new Date(value), "MMM d, yyyy h:mm a") : "—";
+
+const formatRelative = (value) =>
+  value ? `${formatDistanceToNow(new Date(value))} ago` : "Never";
+
+/**
+ * Owner-only view of recent logins per investor, active sessions and
+ * failed attempts
+ */
+export default function LoginActivity() {
+  const [users, setUsers] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [lockouts, setLockouts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [expandedUserId, setExpandedUserId] = useState(null);
+
+  useEffect(() => {
+    fetchActivity();
+  }, []);
+
+  const fetchActivity = async () => {
+    try {
+      setIsLoading(true);
+      const [userData, eventData, sessionData, lockoutData] = await Promise.all(
+        [listUsers(), listLoginEvents(), listSessions(), listAuthLockouts()]
+      );
+      setUsers(userData || []);
+      setEvents(eventData || []);
+      setSessions(sessionData || []);
+      setLockouts(lockoutData || []);
+    } catch (error) {
+      console.error("Error fetching login activity:", error);
+      toast.error("Failed to load login activity");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleUnlock = async (id) => {
+    try {
+      await deleteAuthLockout(id);
+      toast.success("Unlocked");
+      fetchActivity();
+    } catch (error) {
+      console.error("Error unlocking:", error);
+      toast.error("Failed to unlock");
+    }
+  };
+
+  const now = new Date();
+  const thirtyDaysAgo = subDays(now, 30);
+  const successfulLogins = events.filter((e) => e.outcome === "success");
+  const failedAttempts = events.filter((e) => e.outcome !== "success");
+
+  const activeLockouts = lockouts.filter(
+    (l) => l.locked_until && new Date(l.locked_until) > now
+  );
+  const userName = (id) => users.find((u) => u.id === id)?.name;
+
+  const userSummaries = users
+    .map((user) => {
+      const logins = successfulLogins.filter((e) => e.user_id === user.id);
+      const userSessions = sessions.filter((s) => s.user_id === user.id);
+      const activeSessions = userSessions.filter(
+        (s) => !s.revoked_at && new Date(s.expires_at) > now
+      );
+      return {
+        ...user,
+        logins,
+        lastLogin: logins[0]?.created_at || null,
+        loginsLast30Days: logins.filter(
+          (e) => new Date(e.created_at) >= thirtyDaysAgo
+        ).length,
+        activeSessions: activeSessions.length,
+        lastSeen: userSessions[0]?.last_seen_at || null,
+      };
+    })
+    // Most recently active investors first
+    .sort(
+      (a, b) =>
+        new Date(b.lastSeen || 0).getTime() - new Date(a.lastSeen || 0).getTime()
+    );
+
+  return (
+    <Card className="mb-8 w-full !max-w-none" style={{ maxWidth: "100%" }}>
+      <CardTitle className="flex justify-between items-center">
+        <span>Login Activity</span>
+        <Button onClick={fetchActivity} outline className="text-xs ml-4">
+          Refresh
+        </Button>
+      </CardTitle>
+      <CardBody>
+        {isLoading ? (
+          <Text>Loading login activity...</Text>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <table className="w-full border-collapse text-sm">
+                <thead>
+                  <tr>
+                    {[
+                      "Investor",
+                      "Role",
+                      "Last Login",
+                      "Last Seen",
+                      "Logins (30d)",
+                      "Active Sessions",
+                    ].map((heading) => (
+                      <th
+                        key={heading}
+                        className="p-3 text-left font-semibold text-zinc-950 dark:text-white border-b border-zinc-200 dark:border-zinc-700"
+                      >
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {userSummaries.map((user) => (
+                    <React.Fragment key={user.id}>
+                      <tr
+                        onClick={() =>
+                          setExpandedUserId(
+                            expandedUserId === user.id ? null : user.id
+                          )
+                        }
+                        className="border-b border-zinc-100 dark:border-zinc-800 cursor-pointer hover:bg-zinc-50 dark:hover:bg-zinc-800"
+                      >
+                        <td className="p-3 font-medium text-zinc-950 dark:text-white">
+                          {user.name || "Unnamed user"}
+                        </td>
+                        <td className="p-3 text-zinc-600 dark:text-zinc-400">
+                          {ROLE_LABELS[user.role] || user.role}
+                        </td>
+                        <td className="p-3 text-zinc-600 dark:text-zinc-400">
+                          {formatRelative(user.lastLogin)}
+                        </td>
+                        <td className="p-3 text-zinc-600 dark:text-zinc-400">
+                          {formatRelative(user.lastSeen)}
+                        </td>
+                        <td className="p-3 text-zinc-600 dark:text-zinc-400">
+                          {user.loginsLast30Days}
+                        </td>
+                        <td className="p-3 text-zinc-600 dark:text-zinc-400">
+                          {user.activeSessions > 0 ? (
+                            <span className="text-green-600 dark:text-green-400 font-medium">
+                              {user.activeSessions} active
+                            </span>
+                          ) : (
+                            "—"
+                          )}
+                        </td>
+                      </tr>
+                      {expandedUserId === user.id && (
+                        <tr className="bg-zinc-50 dark:bg-zinc-800">
+                          <td colSpan={6} className="p-3">
+                            {user.logins.length > 0 ? (
+                              <ul className="space-y-1">
+                                {user.logins.slice(0, 10).map((login) => (
+                                  <li
+                                    key={login.id}
+                                    className="text-xs text-zinc-600 dark:text-zinc-400"
+                                  >
+                                    {formatTimestamp(login.created_at)} ·{" "}
+                                    {login.ip || "unknown IP"} ·{" "}
+                                    {login.user_agent || "unknown browser"}
+                                  </li>
+                                ))}
+                              </ul>
+                            ) : (
+                              <Text className="text-xs text-zinc-500 dark:text-zinc-400">
+                                No logins recorded.
+                              </Text>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {activeLockouts.length > 0 && (
+              <div className="mt-6 p-4 bg-red-50 dark:bg-red-900/20 rounded-lg border border-red-200 dark:border-red-800">
+                <h3 className="text-sm font-semibold text-zinc-950 dark:text-white mb-3">
+                  Locked Out
+                </h3>
+                <ul className="space-y-2">
+                  {activeLockouts.map((lockout) => (
+                    <li
+                      key={lockout.id}
+                      className="flex justify-between items-center gap-4 text-sm text-zinc-700 dark:text-zinc-300"
+                    >
+                      <span>
+                        <span className="font-medium">
+                          {lockout.key.startsWith("account:")
+                            ? userName(lockout.user_id) || "Unknown account"
+                            : `IP ${lockout.ip || lockout.key.slice(3)}`}
+                        </span>{" "}
+                        · {lockout.failures} failed attempts · locked until{" "}
+                        {formatTimestamp(lockout.locked_until)}
+                      </span>
+                      <Button
+                        onClick={() => handleUnlock(lockout.id)}
+                        outline
+                        className="text-xs"
+                      >
+                        Unlock
+                      </Button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="mt-6 p-4 bg-zinc-50 dark:bg-zinc-800 rounded-lg border border-zinc-200 dark:border-zinc-700">
+              <h3 className="text-sm font-semibold text-zinc-950 dark:text-white mb-3">
+                Failed Attempts
+              </h3>
+              {failedAttempts.length > 0 ? (
+                <ul className="space-y-1 max-h-64 overflow-y-auto">
+                  {failedAttempts.slice(0, 50).map((event) => (
+                    <li
+                      key={event.id}
+                      className="text-xs text-zinc-600 dark:text-zinc-400"
+                    >
+                      <span className="font-medium text-red-600">
+                        {OUTCOME_LABELS[event.outcome] || event.outcome}
+                      </span>{" "}
+                      · {formatTimestamp(event.created_at)} ·{" "}
+                      {event.user_name ? `${event.user_name} · ` : ""}
+                      {event.ip || "unknown IP"} ·{" "}
+                      {event.user_agent || "unknown browser"}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <Text className="text-zinc-500 dark:text-zinc-400 text-sm">
+                  No failed attempts recorded.
+                </Text>
+              )}
+            </div>
+          </>
+        )}
+      </CardBody>
+    </Card>
+  );
+}
@@ -0,0 +1,317 @@
+import React, { useState, useEffect } from "react";
+import { Button } from "@/catalyst/button";
+import { Text, Heading, Input, Field, Label } from "@/catalyst";
+import { Dialog } from "@/catalyst/dialog";
+import toast from "react-hot-toast";
+import { addMonths, format } from "date-fns";
+import { v4 as uuidv4 } from "uuid";
+import {
+  listOperatingPlan,
+  createOperatingPlanMonth,
+  updateOperatingPlanMonth,
+  deleteOperatingPlanMonth,
+} from "@/services/api";
+
+const MONTH_NAMES = Array.from({ length: 12 }, (_, i) =>
+  format(new Date(2000, i, 1), "MMMM")
+);
+
+// "2026-04-01" for each month of the fiscal year
+const fiscalMonths = (fiscalYear, startMonth) =>
+  Array.from({ length: 12 }, (_, i) =>
+    format(addMonths(new Date(fiscalYear, startMonth - 1, 1), i), "yyyy-MM-dd")
+  );
+
+const parseOptional = (value) =>
+  value === "" || value === null || value === undefined ? null : Number(value);
+
+/**
+ * Parse pasted CSV rows of "month,budgeted_burn,planned_headcount" where
+ * month is YYYY-MM or YYYY-MM-DD. A header row and blank lines are skipped.
+ * Returns { "YYYY-MM-01": { budgetedBurn, plannedHeadcount } }.
+ */
+function parsePlanCsv(text) {
+  const rows = {};
+  for (const line of text.split(/\r?\n/)) {
+    const [month, burn = "", headcount = ""] = line
+      .split(",")
+      .map((cell) => cell.trim().replace(/^"|"$/g, ""));
+    const match = /^(\d{4})-(\d{2})/.exec(month || "");
+    if (!match) continue;
+    rows[`${match[1]}-${match[2]}-01`] = {
+      budgetedBurn: burn.replace(/[$\s]/g, ""),
+      plannedHeadcount: headcount,
+    };
+  }
+  return rows;
+}
+
+/**
+ * Enter or import the operating plan for one fiscal year
+ */
+export default function OperatingPlanDialog({ open, onClose, onSaved }) {
+  const [plan, setPlan] = useState([]);
+  const [fiscalYear, setFiscalYear] = useState(new Date().getFullYear());
+  const [startMonth, setStartMonth] = useState(1);
+  const [values, setValues] = useState({});
+  const [importText, setImportText] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) fetchPlan();
+  }, [open]);
+
+  // Load the stored months for a fiscal year into the form
+  const loadYear = (rows, year) => {
+    const yearRows = rows.filter((row) => row.fiscal_year === year);
+    if (yearRows.length > 0) {
+      setStartMonth(Number(yearRows[0].month.slice(5, 7)));
+    }
+    setValues(
+      Object.fromEntries(
+        yearRows.map((row) => [
+          row.month,
+          {
+            budgetedBurn: row.budgeted_burn ?? "",
+            plannedHeadcount: row.planned_headcount ?? "",
+          },
+        ])
+      )
+    );
+  };
+
+  const fetchPlan = async () => {
+    try {
+      const data = (await listOperatingPlan()) || [];
+      setPlan(data);
+      loadYear(data, fiscalYear);
+    } catch (error) {
+      console.error("Error fetching operating plan:", error);
+      toast.error("Failed to load operating plan");
+    }
+  };
+
+  const months = fiscalMonths(fiscalYear, startMonth);
+  // A month belongs to one fiscal year (month is unique), so months already
+  // planned under another year are shown read-only and left alone on save
+  const otherYearRows = new Map(
+    plan
+      .filter((row) => row.fiscal_year !== fiscalYear)
+      .map((row) => [row.month, row])
+  );
+
+  const setMonthValue = (month, field, value) =>
+    setValues({ ...values, [month]: { ...values[month], [field]: value } });
+
+  const handleImport = () => {
+    const imported = parsePlanCsv(importText);
+    const inYear = Object.keys(imported).filter(
+      (month) => months.includes(month) && !otherYearRows.has(month)
+    );
+    if (inYear.length === 0) {
+      toast.error("No rows for this fiscal year found");
+      return;
+    }
+    setValues({
+      ...values,
+      ...Object.fromEntries(inYear.map((month) => [month, imported[month]])),
+    });
+    setImportText("");
+    toast.success(`Imported ${inYear.length} months`);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) setImportText(await file.text());
+    e.target.value = "";
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const existing = new Map(
+        plan
+          .filter((row) => row.fiscal_year === fiscalYear)
+          .map((row) => [row.month, row])
+      );
+      for (const month of months) {
+        if (otherYearRows.has(month)) continue;
+        const budgeted_burn = parseOptional(values[month]?.budgetedBurn);
+        const planned_headcount = parseOptional(
+          values[month]?.plannedHeadcount
+        );
+        const row = existing.get(month);
+        const isEmpty = budgeted_burn === null && planned_headcount === null;
+
+        if (row && isEmpty) {
+          await deleteOperatingPlanMonth(row.id);
+        } else if (row) {
+          await updateOperatingPlanMonth(row.id, {
+            fiscal_year: fiscalYear,
+            budgeted_burn,
+            planned_headcount,
+          });
+        } else if (!isEmpty) {
+          await createOperatingPlanMonth({
+            id: uuidv4(),
+            fiscal_year: fiscalYear,
+            month,
+            budgeted_burn,
+            planned_headcount,
+          });
+        }
+      }
+      toast.success(`FY${fiscalYear} plan saved`);
+      onSaved();
+      onClose();
+    } catch (error) {
+      console.error("Error saving operating plan:", error);
+      toast.error("Failed to save operating plan");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} size="3xl">
+      <div className="p-6">
+        <Heading className="mb-4">Operating Plan</Heading>
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <Field>
+              <Label>Fiscal Year</Label>
+              <Input
+                type="number"
+                value={fiscalYear}
+                onChange={(e) => {
+                  const year = parseInt(e.target.value, 10);
+                  if (!year) return;
+                  setFiscalYear(year);
+                  loadYear(plan, year);
+                }}
+              />
+            </Field>
+            <Field>
+              <Label>Starts In</Label>
+              <select
+                value={startMonth}
+                onChange={(e) => setStartMonth(parseInt(e.target.value, 10))}
+                className="w-full rounded-md border-zinc-300 dark:border-zinc-600 bg-white dark:bg-zinc-900"
+              >
+                {MONTH_NAMES.map((name, i) => (
+                  <option key={name} value={i + 1}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            </Field>
+          </div>
+
+          <div className="max-h-80 overflow-y-auto">
+            <table className="w-full border-collapse text-sm">
+              <thead>
+                <tr>
+                  {["Month", "Budgeted Burn ($)", "Planned Headcount"].map(
+                    (heading) => (
+                      <th
+                        key={heading}
+                        className="p-2 text-left font-semibold text-zinc-950 dark:text-white border-b border-zinc-200 dark:border-zinc-700"
+                      >
+                        {heading}
+                      </th>
+                    )
+                  )}
+                </tr>
+              </thead>
+              <tbody>
+                {months.map((month) => {
+                  const otherRow = otherYearRows.get(month);
+                  const value = (field, column) =>
+                    otherRow
+                      ? (otherRow[column] ?? "")
+                      : (values[month]?.[field] ?? "");
+                  return (
+                    <tr key={month}>
+                      <td className="p-2 text-zinc-950 dark:text-white whitespace-nowrap">
+                        {format(new Date(`${month}T00:00:00`), "MMM yyyy")}
+                        {otherRow && (
+                          <span className="ml-2 text-xs text-zinc-500 dark:text-zinc-400">
+                            In FY{otherRow.fiscal_year}
+                          </span>
+                        )}
+                      </td>
+                      <td className="p-2">
+                        <Input
+                          type="number"
+                          disabled={!!otherRow}
+                          value={value("budgetedBurn", "budgeted_burn")}
+                          onChange={(e) =>
+                            setMonthValue(month, "budgetedBurn", e.target.value)
+                          }
+                        />
+                      </td>
+                      <td className="p-2">
+                        <Input
+                          type="number"
+                          disabled={!!otherRow}
+                          value={value("plannedHeadcount", "planned_headcount")}
+                          onChange={(e) =>
+                            setMonthValue(
+                              month,
+                              "plannedHeadcount",
+                              e.target.value
+                            )
+                          }
+                        />
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <Field>
+            <Label>Import CSV</Label>
+            <Text className="text-xs text-zinc-500 dark:text-zinc-400">
+              One row per month: month (YYYY-MM), budgeted burn, planned
+              headcount. Paste below or choose a file, then Import.
+            </Text>
+            <textarea
+              value={importText}
+              onChange={(e) => setImportText(e.target.value)}
+              rows={4}
+              placeholder={"2026-01,250000,18\n2026-02,255000,19"}
+              className="mt-2 w-full rounded-md border-zinc-300 dark:border-zinc-600 bg-white dark:bg-zinc-900 font-mono text-xs"
+            />
+            <div className="flex gap-2 mt-2 items-center">
+              <input
+                type="file"
+                accept=".csv,text/csv,text/plain"
+                onChange={handleFile}
+                className="text-xs text-zinc-600 dark:text-zinc-400"
+              />
+              <Button
+                onClick={handleImport}
+                outline
+                className="text-xs"
+                disabled={!importText.trim()}
+              >
+                Import
+              </Button>
+            </div>
+          </Field>
+
+          <div className="flex gap-2 justify-end">
+            <Button onClick={onClose} outline>
+              Cancel
+            </Button>
+            <Button onClick={handleSave} disabled={isSaving}>
+              Save
+            </Button>
+          </div>
+        </div>
+      </div>
+    </Dialog>
+  );
+}
@@ -0,0 +1,80 @@
+import React from "react";
+
+const formatRate = (stats) =>
+  stats.conversionRate === null ? "—" : `${Math.round(stats.conversionRate)}%`;
+
+const formatDays = (stats) =>
+  stats.medianDaysToConvert === null
+    ? "—"
+    : `${Math.round(stats.medianDaysToConvert)} days`;
+
+/**
+ * Pilot-to-paid conversion for the Customers/Pilots card.
+ * funnel: pilotFunnel from getKPIs. The rate only counts pilots that have
+ * converted or ended.
+ * segments: the pipeline segments ([{ key, label }]) in display order.
+ */
+export default function PilotFunnel({ funnel, segments: configured }) {
+  if (!funnel || funnel.started === 0) return null;
+
+  const segments = [
+    ...configured,
+    { key: "unknown", label: "Size not set" },
+  ].filter((segment) => funnel.bySegment[segment.key]);
+
+  return (
+    <div className="mt-4 pt-4 border-t border-zinc-200 dark:border-zinc-700">
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <div className="text-xs text-zinc-500 dark:text-zinc-400">
+            Pilot conversion
+          </div>
+          <div className="text-lg font-semibold text-zinc-950 dark:text-white">
+            {formatRate(funnel)}
+          </div>
+          <div className="text-xs text-zinc-500 dark:text-zinc-400">
+            {funnel.converted} of {funnel.converted + funnel.ended} decided
+            {funnel.running > 0 && ` · ${funnel.running} running`}
+          </div>
+        </div>
+        <div>
+          <div className="text-xs text-zinc-500 dark:text-zinc-400">
+            Median time to convert
+          </div>
+          <div className="text-lg font-semibold text-zinc-950 dark:text-white">
+            {formatDays(funnel)}
+          </div>
+        </div>
+      </div>
+
+      {segments.length > 1 && (
+        <table className="mt-3 w-full text-xs">
+          <thead>
+            <tr className="text-left text-zinc-500 dark:text-zinc-400">
+              <th className="py-1 font-medium">Segment</th>
+              <th className="py-1 font-medium">Pilots</th>
+              <th className="py-1 font-medium">Converted</th>
+              <th className="py-1 font-medium">Median</th>
+            </tr>
+          </thead>
+          <tbody>
+            {segments.map((segment) => {
+              const stats = funnel.bySegment[segment.key];
+              return (
+                <tr
+                  key={segment.key}
+                  className="text-zinc-700 dark:text-zinc-300"
+                >
+                  <td className="py-1">{segment.label}</td>
+                  <td className="py-1">{stats.started}</td>
+                  <td className="py-1">{formatRate(stats)}</td>
+                  <td className="py-1">{formatDays(stats)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,246 @@
+import React, { useState, useEffect } from "react";
+import { Button } from "@/catalyst/button";
+import { Text, Heading, Input } from "@/catalyst";
+import { Dialog } from "@/catalyst/dialog";
+import toast from "react-hot-toast";
+import { v4 as uuidv4 } from "uuid";
+import {
+  listPipelineSegments,
+  createPipelineSegment,
+  updatePipelineSegment,
+  deletePipelineSegment,
+  listPipelineStages,
+  createPipelineStage,
+  updatePipelineStage,
+  deletePipelineStage,
+} from "@/services/api";
+
+const DEFAULT_COLOR = "#71717a";
+
+// "Strategic Accounts" -> "strategic_accounts", unique among existing keys
+const keyFromLabel = (label, rows) => {
+  const base =
+    label
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^[^a-z]+|_+$/g, "") || "item";
+  let key = base;
+  for (let i = 2; rows.some((row) => row.key === key); i++) {
+    key = `${base}_${i}`;
+  }
+  return key;
+};
+
+const toDraft = (row) => ({
+  id: row.id,
+  key: row.key,
+  label: row.label,
+  color: row.color || DEFAULT_COLOR,
+});
+
+/**
+ * Add, rename, reorder, recolor or remove segments or stages. Keys are set
+ * when a row is added and never change.
+ */
+function ConfigList({ title, rows, onChange }) {
+  const [newLabel, setNewLabel] = useState("");
+
+  const update = (index, changes) =>
+    onChange(
+      rows.map((row, i) => (i === index ? { ...row, ...changes } : row))
+    );
+
+  const move = (index, offset) => {
+    const next = [...rows];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  const add = () => {
+    onChange([
+      ...rows,
+      {
+        key: keyFromLabel(newLabel, rows),
+        label: newLabel.trim(),
+        color: DEFAULT_COLOR,
+      },
+    ]);
+    setNewLabel("");
+  };
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-zinc-950 dark:text-white mb-2">
+        {title}
+      </h3>
+      <div className="space-y-2">
+        {rows.map((row, index) => (
+          <div key={row.key} className="flex items-center gap-2">
+            <input
+              type="color"
+              value={row.color}
+              onChange={(e) => update(index, { color: e.target.value })}
+              className="h-9 w-9 shrink-0 rounded border border-zinc-300 dark:border-zinc-600 bg-transparent"
+              aria-label={`${row.label} color`}
+            />
+            <Input
+              value={row.label}
+              onChange={(e) => update(index, { label: e.target.value })}
+            />
+            <Button
+              onClick={() => move(index, -1)}
+              outline
+              className="text-xs"
+              disabled={index === 0}
+            >
+              ↑
+            </Button>
+            <Button
+              onClick={() => move(index, 1)}
+              outline
+              className="text-xs"
+              disabled={index === rows.length - 1}
+            >
+              ↓
+            </Button>
+            <Button
+              onClick={() => onChange(rows.filter((_, i) => i !== index))}
+              outline
+              className="text-xs text-red-600"
+              disabled={rows.length === 1}
+            >
+              Remove
+            </Button>
+          </div>
+        ))}
+        <div className="flex items-center gap-2">
+          <Input
+            value={newLabel}
+            placeholder={`New ${title.toLowerCase().replace(/s$/, "")}`}
+            onChange={(e) => setNewLabel(e.target.value)}
+          />
+          <Button
+            onClick={add}
+            outline
+            className="text-xs"
+            disabled={!newLabel.trim()}
+          >
+            Add
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Manage the pipeline's segments and stages
+ */
+export default function PipelineConfigDialog({ open, onClose, onSaved }) {
+  const [stored, setStored] = useState({ segments: [], stages: [] });
+  const [segments, setSegments] = useState([]);
+  const [stages, setStages] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) fetchConfig();
+  }, [open]);
+
+  const fetchConfig = async () => {
+    try {
+      const [segmentRows, stageRows] = await Promise.all([
+        listPipelineSegments(),
+        listPipelineStages(),
+      ]);
+      setStored({ segments: segmentRows || [], stages: stageRows || [] });
+      setSegments((segmentRows || []).map(toDraft));
+      setStages((stageRows || []).map(toDraft));
+    } catch (error) {
+      console.error("Error fetching pipeline setup:", error);
+      toast.error("Failed to load pipeline setup");
+    }
+  };
+
+  // Delete, create and update one list against what's stored. Deleting
+  // first frees the key of a row that was removed and added back.
+  const saveList = async (drafts, storedRows, api) => {
+    for (const row of storedRows) {
+      if (!drafts.some((draft) => draft.id === row.id)) {
+        await api.remove(row.id);
+      }
+    }
+    for (const [index, draft] of drafts.entries()) {
+      const values = {
+        label: draft.label.trim(),
+        color: draft.color,
+        order: index + 1,
+      };
+      if (!draft.id) {
+        await api.create({ id: uuidv4(), key: draft.key, ...values });
+        continue;
+      }
+      const row = storedRows.find((r) => r.id === draft.id);
+      if (
+        row.label !== values.label ||
+        row.color !== values.color ||
+        row.order !== values.order
+      ) {
+        await api.update(draft.id, values);
+      }
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await saveList(segments, stored.segments, {
+        create: createPipelineSegment,
+        update: updatePipelineSegment,
+        remove: deletePipelineSegment,
+      });
+      await saveList(stages, stored.stages, {
+        create: createPipelineStage,
+        update: updatePipelineStage,
+        remove: deletePipelineStage,
+      });
+      toast.success("Pipeline setup saved");
+      onSaved();
+      onClose();
+    } catch (error) {
+      console.error("Error saving pipeline setup:", error);
+      toast.error("Failed to save pipeline setup");
+      // Part of the change may have been saved
+      fetchConfig();
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const invalid = [...segments, ...stages].some((row) => !row.label.trim());
+
+  return (
+    <Dialog open={open} onClose={onClose} size="2xl">
+      <div className="p-6">
+        <Heading className="mb-4">Pipeline Setup</Heading>
+        <div className="space-y-6">
+          <ConfigList title="Segments" rows={segments} onChange={setSegments} />
+          <ConfigList title="Stages" rows={stages} onChange={setStages} />
+          <Text className="text-xs text-zinc-500 dark:text-zinc-400">
+            Stages run left to right, and sales cycles are measured to the last
+            one. A segment or stage that still has pipeline clients can&apos;t
+            be removed; move them first. New stages start at a 0% win
+            probability.
+          </Text>
+          <div className="flex gap-2 justify-end">
+            <Button onClick={onClose} outline>
+              Cancel
+            </Button>
+            <Button onClick={handleSave} disabled={isSaving || invalid}>
+              Save
+            </Button>
+          </div>
+        </div>
+      </div>
+    </Dialog>
+  );
+}
@@ -0,0 +1,178 @@
+import React, { useState } from "react";
+import { Button } from "@/catalyst/button";
+import { Text, Input } from "@/catalyst";
+import toast from "react-hot-toast";
+import { v4 as uuidv4 } from "uuid";
+import {
+  listStageProbabilities,
+  createStageProbability,
+  updateStageProbability,
+} from "@/services/api";
+import { formatCurrency } from "@/components/charts/format";
+
+/**
+ * Quarterly bookings forecast and stage win probabilities for the Sales
+ * Pipeline card.
+ * forecast: pipelineForecast from getKPIs (weighted by stage probability).
+ * stages: [{ key, label }] in pipeline order.
+ */
+export default function PipelineForecast({
+  forecast,
+  stages,
+  canEdit,
+  onChanged,
+}) {
+  const [rows, setRows] = useState(null);
+  const [draft, setDraft] = useState({});
+
+  if (!forecast) return null;
+
+  const startEditing = async () => {
+    try {
+      const data = (await listStageProbabilities()) || [];
+      setRows(data);
+      setDraft(
+        Object.fromEntries(
+          stages.map((stage) => [
+            stage.key,
+            String(forecast.probabilities[stage.key] ?? 0),
+          ])
+        )
+      );
+    } catch (error) {
+      console.error("Error fetching stage probabilities:", error);
+      toast.error("Failed to load win probabilities");
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      for (const stage of stages) {
+        const probability = parseFloat(draft[stage.key]);
+        if (probability === forecast.probabilities[stage.key]) continue;
+        const existing = rows.find((row) => row.stage === stage.key);
+        if (existing) {
+          await updateStageProbability(existing.id, { probability });
+        } else {
+          await createStageProbability({
+            id: uuidv4(),
+            stage: stage.key,
+            probability,
+          });
+        }
+      }
+      toast.success("Win probabilities updated");
+      setRows(null);
+      onChanged();
+    } catch (error) {
+      console.error("Error saving stage probabilities:", error);
+      toast.error("Failed to save win probabilities");
+    }
+  };
+
+  const invalid = stages.some((stage) => {
+    const value = parseFloat(draft[stage.key]);
+    return isNaN(value) || value < 0 || value > 100;
+  });
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-zinc-950 dark:text-white mb-2">
+        Bookings Forecast
+      </h3>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-zinc-500 dark:text-zinc-400">
+            <th className="py-1 font-medium">Expected close</th>
+            <th className="py-1 font-medium text-right">Deals</th>
+            <th className="py-1 font-medium text-right">Weighted</th>
+          </tr>
+        </thead>
+        <tbody>
+          {forecast.quarters.map((quarter, i) => (
+            <tr
+              key={`${quarter.year}-${quarter.quarter}`}
+              className="border-t border-zinc-100 dark:border-zinc-800 text-zinc-700 dark:text-zinc-300"
+            >
+              <td className="py-1">
+                Q{quarter.quarter} {quarter.year}
+                {i === 0 && (
+                  <span className="text-xs text-zinc-500 dark:text-zinc-400">
+                    {" "}
+                    (incl. overdue)
+                  </span>
+                )}
+              </td>
+              <td className="py-1 text-right">{quarter.count}</td>
+              <td className="py-1 text-right">
+                {formatCurrency(quarter.weightedValue)}
+              </td>
+            </tr>
+          ))}
+          {forecast.unscheduled.count > 0 && (
+            <tr className="border-t border-zinc-100 dark:border-zinc-800 text-zinc-500 dark:text-zinc-400">
+              <td className="py-1">No close date</td>
+              <td className="py-1 text-right">{forecast.unscheduled.count}</td>
+              <td className="py-1 text-right">
+                {formatCurrency(forecast.unscheduled.weightedValue)}
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      <div className="flex justify-between items-center mt-4 mb-2">
+        <h3 className="text-sm font-semibold text-zinc-950 dark:text-white">
+          Win Probabilities
+        </h3>
+        {canEdit && !rows && (
+          <Button onClick={startEditing} outline className="text-xs">
+            Edit
+          </Button>
+        )}
+      </div>
+      {rows ? (
+        <div className="space-y-2">
+          {stages.map((stage) => (
+            <div
+              key={stage.key}
+              className="flex items-center justify-between gap-2 text-sm"
+            >
+              <span className="text-zinc-700 dark:text-zinc-300">
+                {stage.label}
+              </span>
+              <div className="w-24">
+                <Input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={draft[stage.key]}
+                  onChange={(e) =>
+                    setDraft({ ...draft, [stage.key]: e.target.value })
+                  }
+                />
+              </div>
+            </div>
+          ))}
+          <div className="flex gap-2 justify-end">
+            <Button onClick={() => setRows(null)} outline className="text-xs">
+              Cancel
+            </Button>
+            <Button onClick={handleSave} className="text-xs" disabled={invalid}>
+              Save
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <Text className="text-sm text-zinc-600 dark:text-zinc-400">
+          {stages
+            .map(
+              (stage) =>
+                `${stage.label} ${Math.round(forecast.probabilities[stage.key] ?? 0)}%`
+            )
+            .join(" · ")}
+        </Text>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from "react";
+import toast from "react-hot-toast";
+import { updatePipelineClient } from "@/services/api";
+import { formatCurrency } from "@/components/charts/format";
+
+const cellKey = (segment, stage) => `${segment}:${stage}`;
+
+/**
+ * Board view of the sales pipeline: a column per stage and a swimlane per
+ * segment. Editors drag cards between cells to change a client's stage or
+ * segment; the move shows straight away and is undone if the save fails.
+ * clients: pipelineClients from getKPIs.
+ * stages / segments: [{ key, label }] in pipeline order.
+ */
+export default function PipelineKanban({
+  clients,
+  stages,
+  segments,
+  canEdit,
+  onOpen,
+  onMoved,
+}) {
+  const [items, setItems] = useState(clients);
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  useEffect(() => {
+    setItems(clients);
+  }, [clients]);
+
+  const handleDrop = async (segment, stage) => {
+    const client = items.find((c) => c.id === dragging);
+    setDragging(null);
+    setDropTarget(null);
+    if (!client || (client.segment === segment && client.stage === stage)) {
+      return;
+    }
+
+    const moved = {
+      ...client,
+      segment,
+      stage,
+      daysInStage: client.stage === stage ? client.daysInStage : 0,
+    };
+    setItems((current) => current.map((c) => (c.id === client.id ? moved : c)));
+
+    try {
+      await updatePipelineClient(client.id, { segment, stage });
+      toast.success(`Moved ${client.name}`);
+      onMoved();
+    } catch (error) {
+      console.error("Error moving pipeline client:", error);
+      toast.error("Failed to move pipeline client");
+      // Only undo this card; other moves may have landed since
+      setItems((current) =>
+        current.map((c) => (c.id === client.id ? client : c))
+      );
+    }
+  };
+
+  // One column per configured stage
+  const columns = {
+    gridTemplateColumns: `repeat(${stages.length}, minmax(0, 1fr))`,
+  };
+
+  const dropProps = (segment, stage) =>
+    canEdit
+      ? {
+          onDragOver: (e) => {
+            e.preventDefault();
+            setDropTarget(cellKey(segment, stage));
+          },
+          onDragLeave: () => setDropTarget(null),
+          onDrop: (e) => {
+            e.preventDefault();
+            handleDrop(segment, stage);
+          },
+        }
+      : {};
+
+  return (
+    <div className="overflow-x-auto">
+      <div className="min-w-[48rem] space-y-4">
+        <div className="grid gap-3" style={columns}>
+          {stages.map((stage) => {
+            const inStage = items.filter((c) => c.stage === stage.key);
+            return (
+              <div key={stage.key} className="px-1">
+                <div className="text-sm font-semibold text-zinc-950 dark:text-white">
+                  {stage.label}
+                </div>
+                <div className="text-xs text-zinc-500 dark:text-zinc-400">
+                  {inStage.length} ·{" "}
+                  {formatCurrency(
+                    inStage.reduce(
+                      (sum, c) => sum + (c.estimatedContractSize || 0),
+                      0
+                    )
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {segments.map((segment) => (
+          <div key={segment.key}>
+            <div className="mb-2 px-1 text-xs font-semibold uppercase tracking-wide text-zinc-500 dark:text-zinc-400">
+              {segment.label}
+            </div>
+            <div className="grid gap-3" style={columns}>
+              {stages.map((stage) => (
+                <div
+                  key={stage.key}
+                  {...dropProps(segment.key, stage.key)}
+                  className={`min-h-24 space-y-2 rounded-lg p-2 transition-all ${
+                    dropTarget === cellKey(segment.key, stage.key)
+                      ? "bg-teal-50 ring-2 ring-teal-500/50 dark:bg-teal-900/20"
+                      : "bg-zinc-100 dark:bg-zinc-800"
+                  }`}
+                >
+                  {items
+                    .filter(
+                      (c) => c.segment === segment.key && c.stage === stage.key
+                    )
+                    .map((client) => (
+                      <div
+                        key={client.id}
+                        draggable={canEdit}
+                        onDragStart={(e) => {
+                          e.dataTransfer.setData("text/plain", client.id);
+                          setDragging(client.id);
+                        }}
+                        onDragEnd={() => {
+                          setDragging(null);
+                          setDropTarget(null);
+                        }}
+                        onClick={() => canEdit && onOpen(client)}
+                        className={`rounded-md border border-zinc-200 bg-white p-2 text-left shadow-sm dark:border-zinc-700 dark:bg-zinc-900 ${
+                          canEdit ? "cursor-grab" : ""
+                        } ${dragging === client.id ? "opacity-50" : ""}`}
+                      >
+                        <div className="truncate text-sm font-medium text-zinc-950 dark:text-white">
+                          {client.name}
+                        </div>
+                        <div className="flex justify-between text-xs text-zinc-500 dark:text-zinc-400">
+                          <span>
+                            {formatCurrency(client.estimatedContractSize)}
+                          </span>
+                          {client.daysInStage !== null &&
+                            client.daysInStage !== undefined && (
+                              <span>{client.daysInStage}d in stage</span>
+                            )}
+                        </div>
+                      </div>
+                    ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
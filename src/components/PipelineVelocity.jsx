@@ -0,0 +1,89 @@
+import React, { useState } from "react";
+import { Button } from "@/catalyst/button";
+import { Text } from "@/catalyst";
+
+const formatDays = (days) =>
+  days === null || days === undefined ? "—" : `${Math.round(days)}d`;
+
+const formatRate = (rate) =>
+  rate === null || rate === undefined ? "—" : `${Math.round(rate)}%`;
+
+/**
+ * Time in stage, stage-to-stage conversion and cycle length for the Sales
+ * Pipeline card.
+ * velocity: pipelineVelocity from getKPIs, keyed by segment plus "all".
+ * stages / segments: [{ key, label }] in pipeline order.
+ */
+export default function PipelineVelocity({ velocity, stages, segments }) {
+  const [segment, setSegment] = useState("all");
+
+  if (!velocity) return null;
+  const selected = velocity[segment] || velocity.all;
+  const lastStage = stages[stages.length - 1];
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-zinc-950 dark:text-white mb-2">
+        Sales Velocity
+      </h3>
+      <div className="flex flex-wrap gap-1 mb-3">
+        {[{ key: "all", label: "All" }, ...segments].map((option) => (
+          <Button
+            key={option.key}
+            onClick={() => setSegment(option.key)}
+            outline={segment !== option.key}
+            className="text-xs"
+          >
+            {option.label}
+          </Button>
+        ))}
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-zinc-500 dark:text-zinc-400">
+            <th className="py-1 font-medium">Stage</th>
+            <th className="py-1 font-medium text-right">Entered</th>
+            <th className="py-1 font-medium text-right">Avg time</th>
+            <th className="py-1 font-medium text-right">Moved on</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stages.map((stage) => {
+            const stats = selected.stages[stage.key] || {};
+            return (
+              <tr
+                key={stage.key}
+                className="border-t border-zinc-100 dark:border-zinc-800 text-zinc-700 dark:text-zinc-300"
+              >
+                <td className="py-1">{stage.label}</td>
+                <td className="py-1 text-right">{stats.entered || 0}</td>
+                <td className="py-1 text-right">
+                  {formatDays(stats.averageDays)}
+                </td>
+                <td className="py-1 text-right">
+                  {stage.key === lastStage.key
+                    ? ""
+                    : formatRate(stats.conversionRate)}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <Text className="mt-3 text-sm text-zinc-600 dark:text-zinc-400">
+        Average cycle to {lastStage.label.toLowerCase()}:{" "}
+        <span className="font-semibold text-zinc-950 dark:text-white">
+          {selected.averageCycleDays === null
+            ? "—"
+            : `${Math.round(selected.averageCycleDays)} days`}
+        </span>
+        {selected.completedCycles > 0 &&
+          ` (${selected.completedCycles} ${
+            selected.completedCycles === 1 ? "deal" : "deals"
+          })`}
+      </Text>
+    </div>
+  );
+}
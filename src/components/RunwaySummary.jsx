@@ -0,0 +1,85 @@
+import React from "react";
+import { Text } from "@/catalyst";
+import { format, parseISO } from "date-fns";
+
+// Below these many months the figure turns red / amber
+const CRITICAL_MONTHS = 6;
+const WARNING_MONTHS = 12;
+
+const monthsColor = (months) => {
+  if (months < CRITICAL_MONTHS) return "text-red-600 dark:text-red-400";
+  if (months < WARNING_MONTHS) return "text-yellow-600 dark:text-yellow-400";
+  return "text-zinc-950 dark:text-white";
+};
+
+/**
+ * Body of the Runway KPI card. runway comes from getKPIs and always has an
+ * explicit status, so there is nothing to divide here.
+ */
+export default function RunwaySummary({ runway, formatCurrency }) {
+  const basis =
+    runway.averageMonthlyBurn !== null &&
+    `Based on ${formatCurrency(runway.averageMonthlyBurn)}/mo average net burn over ${
+      runway.burnMonths
+    } month${runway.burnMonths === 1 ? "" : "s"}`;
+
+  let headline;
+  let detail;
+  switch (runway.status) {
+    case "ok":
+      headline = (
+        <div className={`text-3xl font-bold ${monthsColor(runway.months)}`}>
+          {runway.months} months
+        </div>
+      );
+      detail = `Cash runs out around ${format(
+        parseISO(runway.zeroCashDate),
+        "MMM yyyy"
+      )}`;
+      break;
+    case "out_of_cash":
+      headline = (
+        <div className="text-3xl font-bold text-red-600 dark:text-red-400">
+          Out of cash
+        </div>
+      );
+      detail = "The latest cash position is zero or negative";
+      break;
+    case "not_burning":
+      headline = (
+        <div className="text-3xl font-bold text-green-600 dark:text-green-400">
+          Not burning cash
+        </div>
+      );
+      detail = "Average net burn is zero or negative";
+      break;
+    default:
+      headline = (
+        <div className="text-3xl font-bold text-zinc-400 dark:text-zinc-500">
+          —
+        </div>
+      );
+      detail = "Add a cash position and monthly burn to calculate runway";
+  }
+
+  return (
+    <>
+      {headline}
+      <Text className="mt-2 text-sm text-zinc-500 dark:text-zinc-400">
+        {detail}
+      </Text>
+      {basis && runway.status !== "no_data" && (
+        <Text className="mt-1 text-xs text-zinc-500 dark:text-zinc-400">
+          {basis}
+        </Text>
+      )}
+      {runway.stale && (
+        <Text className="mt-3 text-xs text-yellow-700 dark:text-yellow-400">
+          Cash position is {runway.cashAgeDays} days old (as of{" "}
+          {format(parseISO(runway.cashDate), "MMM d, yyyy")}); runway is
+          projected from that date.
+        </Text>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,515 @@
+import React, { useState, useEffect } from "react";
+import { Card, CardTitle, CardBody } from "@/catalyst/card";
+import { Button } from "@/catalyst/button";
+import { Text, Input, Field, Label } from "@/catalyst";
+import toast from "react-hot-toast";
+import { format } from "date-fns";
+import TimeSeriesChart from "@/components/charts/TimeSeriesChart";
+import { compactCurrency, formatCurrency } from "@/components/charts/format";
+import { DEFAULT_ASSUMPTIONS, monthKey, projectScenario } from "@/lib/scenario";
+import {
+  listRunwayScenarios,
+  createRunwayScenario,
+  updateRunwayScenario,
+  deleteRunwayScenario,
+} from "@/services/api";
+
+const HORIZONS = [12, 24, 36];
+
+const newDraft = () => ({
+  name: "New scenario",
+  shared: false,
+  assumptions: { ...DEFAULT_ASSUMPTIONS },
+});
+
+/**
+ * What-if runway modelling on top of the current KPIs. Editors and owners
+ * create and share named scenarios; board members see shared ones read-only.
+ */
+export default function ScenarioPlanner({ kpis, canEdit }) {
+  const [scenarios, setScenarios] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(newDraft);
+  const [isSaving, setIsSaving] = useState(false);
+  const [showDetail, setShowDetail] = useState(false);
+
+  useEffect(() => {
+    fetchScenarios();
+  }, []);
+
+  const fetchScenarios = async (selectId) => {
+    try {
+      const data = (await listRunwayScenarios()) || [];
+      setScenarios(data);
+      const selected =
+        data.find((scenario) => scenario.id === selectId) || data[0];
+      if (selected) selectScenario(selected);
+    } catch (error) {
+      console.error("Error fetching scenarios:", error);
+      toast.error("Failed to load scenarios");
+    }
+  };
+
+  const selectScenario = (scenario) => {
+    setSelectedId(scenario.id);
+    setDraft({
+      name: scenario.name,
+      shared: scenario.shared,
+      assumptions: { ...DEFAULT_ASSUMPTIONS, ...scenario.assumptions },
+    });
+  };
+
+  const setAssumption = (key, value) =>
+    setDraft({ ...draft, assumptions: { ...draft.assumptions, [key]: value } });
+
+  const updateHire = (index, changes) =>
+    setAssumption(
+      "hires",
+      draft.assumptions.hires.map((hire, i) =>
+        i === index ? { ...hire, ...changes } : hire
+      )
+    );
+
+  const handleSave = async (asNew = false) => {
+    if (!draft.name.trim()) {
+      toast.error("Please enter a scenario name");
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const values = {
+        name: draft.name.trim(),
+        shared: draft.shared,
+        assumptions: draft.assumptions,
+      };
+      const saved =
+        selectedId && !asNew
+          ? await updateRunwayScenario(selectedId, values)
+          : await createRunwayScenario(values);
+      toast.success("Scenario saved");
+      fetchScenarios(saved?.id);
+    } catch (error) {
+      console.error("Error saving scenario:", error);
+      toast.error("Failed to save scenario");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm("Are you sure you want to delete this scenario?")) return;
+    try {
+      await deleteRunwayScenario(selectedId);
+      toast.success("Scenario deleted");
+      setSelectedId(null);
+      setDraft(newDraft());
+      fetchScenarios();
+    } catch (error) {
+      console.error("Error deleting scenario:", error);
+      toast.error("Failed to delete scenario");
+    }
+  };
+
+  const base = {
+    cash: kpis.cashPosition,
+    cashDate: kpis.cashPositionDate,
+    grossBurn: kpis.monthlyBurn,
+    arr: kpis.totalARR,
+    headcount: kpis.fullTimeEmployeeCount,
+  };
+  const projection = projectScenario(base, draft.assumptions);
+  // The same horizon with no assumptions, for comparison
+  const baseline = projectScenario(base, {
+    months: draft.assumptions.months,
+  });
+  const lastRow = projection.rows[projection.rows.length - 1];
+  // Default start for new hires and the fundraise
+  const firstMonth = monthKey(projection.rows[0].month);
+
+  const outlook = (result) =>
+    result.zeroCashMonth
+      ? `Cash runs out ${format(result.zeroCashMonth, "MMM yyyy")}`
+      : `Cash positive through ${format(
+          result.rows[result.rows.length - 1].month,
+          "MMM yyyy"
+        )}`;
+
+  const readOnly = !canEdit;
+  const fundraise = draft.assumptions.fundraise;
+
+  return (
+    <Card className="mb-8 w-full !max-w-none" style={{ maxWidth: "100%" }}>
+      <CardTitle className="flex justify-between items-center">
+        <span>Scenario Planner</span>
+        {canEdit && (
+          <Button
+            onClick={() => {
+              setSelectedId(null);
+              setDraft(newDraft());
+            }}
+            outline
+            className="text-xs ml-4"
+          >
+            New Scenario
+          </Button>
+        )}
+      </CardTitle>
+      <CardBody>
+        {scenarios.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-6">
+            {scenarios.map((scenario) => (
+              <Button
+                key={scenario.id}
+                onClick={() => selectScenario(scenario)}
+                outline={scenario.id !== selectedId}
+                className="text-xs"
+              >
+                {scenario.name}
+                {canEdit && scenario.shared && " · shared"}
+              </Button>
+            ))}
+          </div>
+        )}
+
+        {readOnly && scenarios.length === 0 ? (
+          <Text className="text-zinc-500 dark:text-zinc-400">
+            No scenarios have been shared yet.
+          </Text>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Assumptions */}
+            <div className="space-y-4">
+              <Field>
+                <Label>Name</Label>
+                <Input
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                  disabled={readOnly}
+                />
+              </Field>
+
+              <div className="p-3 rounded-lg bg-zinc-50 dark:bg-zinc-800 text-xs text-zinc-600 dark:text-zinc-400 space-y-1">
+                <div>Starting cash: {formatCurrency(base.cash)}</div>
+                <div>Gross burn: {formatCurrency(base.grossBurn)}/mo</div>
+                <div>ARR: {formatCurrency(base.arr)}</div>
+                <div>Full-time employees: {base.headcount || 0}</div>
+              </div>
+
+              <Field>
+                <Label>ARR growth (% per month)</Label>
+                <Input
+                  type="number"
+                  step="0.1"
+                  value={draft.assumptions.arrGrowthRate}
+                  onChange={(e) =>
+                    setAssumption("arrGrowthRate", e.target.value)
+                  }
+                  disabled={readOnly}
+                />
+              </Field>
+
+              <div className="grid grid-cols-2 gap-2">
+                <Field>
+                  <Label>Fundraise ($)</Label>
+                  <Input
+                    type="number"
+                    value={fundraise?.amount ?? ""}
+                    onChange={(e) =>
+                      setAssumption(
+                        "fundraise",
+                        e.target.value === ""
+                          ? null
+                          : {
+                              month: fundraise?.month || firstMonth,
+                              amount: e.target.value,
+                            }
+                      )
+                    }
+                    disabled={readOnly}
+                  />
+                </Field>
+                <Field>
+                  <Label>Close month</Label>
+                  <Input
+                    type="month"
+                    value={fundraise?.month || ""}
+                    onChange={(e) =>
+                      setAssumption("fundraise", {
+                        amount: fundraise?.amount || 0,
+                        month: e.target.value,
+                      })
+                    }
+                    disabled={readOnly || !fundraise}
+                  />
+                </Field>
+              </div>
+
+              <div>
+                <div className="flex justify-between items-center">
+                  <Text className="text-sm font-medium text-zinc-950 dark:text-white">
+                    Planned hires
+                  </Text>
+                  {canEdit && (
+                    <Button
+                      onClick={() =>
+                        setAssumption("hires", [
+                          ...draft.assumptions.hires,
+                          { role: "", monthlyCost: "", startMonth: firstMonth },
+                        ])
+                      }
+                      outline
+                      className="text-xs"
+                    >
+                      Add Hire
+                    </Button>
+                  )}
+                </div>
+                {draft.assumptions.hires.length === 0 ? (
+                  <Text className="mt-2 text-xs text-zinc-500 dark:text-zinc-400">
+                    No planned hires.
+                  </Text>
+                ) : (
+                  <div className="mt-2 space-y-2">
+                    {draft.assumptions.hires.map((hire, i) => (
+                      <div key={i} className="grid grid-cols-12 gap-1">
+                        <Input
+                          className="col-span-4"
+                          type="text"
+                          value={hire.role}
+                          onChange={(e) =>
+                            updateHire(i, { role: e.target.value })
+                          }
+                          placeholder="Role"
+                          disabled={readOnly}
+                        />
+                        <Input
+                          className="col-span-3"
+                          type="number"
+                          value={hire.monthlyCost}
+                          onChange={(e) =>
+                            updateHire(i, { monthlyCost: e.target.value })
+                          }
+                          placeholder="$/mo"
+                          title="Loaded monthly cost"
+                          disabled={readOnly}
+                        />
+                        <Input
+                          className="col-span-4"
+                          type="month"
+                          value={hire.startMonth}
+                          onChange={(e) =>
+                            updateHire(i, { startMonth: e.target.value })
+                          }
+                          disabled={readOnly}
+                        />
+                        {canEdit && (
+                          <button
+                            onClick={() =>
+                              setAssumption(
+                                "hires",
+                                draft.assumptions.hires.filter(
+                                  (_, index) => index !== i
+                                )
+                              )
+                            }
+                            className="col-span-1 text-red-600 hover:text-red-800 dark:text-red-400"
+                            title="Remove hire"
+                          >
+                            ×
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <Field>
+                <Label>Horizon</Label>
+                <select
+                  value={draft.assumptions.months}
+                  onChange={(e) =>
+                    setAssumption("months", parseInt(e.target.value, 10))
+                  }
+                  disabled={readOnly}
+                  className="w-full rounded-md border-zinc-300 dark:border-zinc-600 bg-white dark:bg-zinc-900"
+                >
+                  {HORIZONS.map((months) => (
+                    <option key={months} value={months}>
+                      {months} months
+                    </option>
+                  ))}
+                </select>
+              </Field>
+
+              {canEdit && (
+                <>
+                  <Field>
+                    <Label>
+                      <input
+                        type="checkbox"
+                        checked={draft.shared}
+                        onChange={(e) =>
+                          setDraft({ ...draft, shared: e.target.checked })
+                        }
+                        className="mr-2"
+                      />
+                      Share with board members (read-only)
+                    </Label>
+                  </Field>
+                  <div className="flex flex-wrap gap-2">
+                    <Button onClick={() => handleSave()} disabled={isSaving}>
+                      Save
+                    </Button>
+                    {selectedId && (
+                      <>
+                        <Button
+                          onClick={() => handleSave(true)}
+                          outline
+                          disabled={isSaving}
+                        >
+                          Save as New
+                        </Button>
+                        <Button onClick={handleDelete} outline>
+                          Delete
+                        </Button>
+                      </>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+
+            {/* Projection */}
+            <div className="lg:col-span-2 space-y-4">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {[
+                  ["Scenario", outlook(projection)],
+                  ["No changes", outlook(baseline)],
+                  [
+                    `Cash in ${format(lastRow.month, "MMM yyyy")}`,
+                    formatCurrency(lastRow.cash),
+                  ],
+                  ["Full-time employees", lastRow.headcount],
+                ].map(([label, value]) => (
+                  <div
+                    key={label}
+                    className="p-3 rounded-lg border border-zinc-200 dark:border-zinc-700"
+                  >
+                    <div className="text-xs text-zinc-500 dark:text-zinc-400">
+                      {label}
+                    </div>
+                    <div className="text-sm font-semibold text-zinc-950 dark:text-white">
+                      {value}
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <TimeSeriesChart
+                series={[
+                  {
+                    key: "scenario",
+                    label: draft.name || "Scenario",
+                    color: "#2563eb",
+                    points: projection.rows.map((row) => ({
+                      id: `scenario-${monthKey(row.month)}`,
+                      date: row.month,
+                      value: row.cash,
+                    })),
+                  },
+                  {
+                    key: "baseline",
+                    label: "No changes",
+                    color: "#a1a1aa",
+                    points: baseline.rows.map((row) => ({
+                      id: `baseline-${monthKey(row.month)}`,
+                      date: row.month,
+                      value: row.cash,
+                    })),
+                  },
+                ]}
+                formatValue={formatCurrency}
+                formatTick={compactCurrency}
+              />
+
+              <Text className="text-xs text-zinc-500 dark:text-zinc-400">
+                Revenue is modelled as ARR / 12 growing at the monthly rate;
+                costs are the current gross burn plus each hire from their start
+                month.
+              </Text>
+
+              <Button
+                onClick={() => setShowDetail(!showDetail)}
+                outline
+                className="text-xs"
+              >
+                {showDetail ? "Hide Monthly Detail" : "Monthly Detail"}
+              </Button>
+              {showDetail && (
+                <div className="overflow-x-auto">
+                  <table className="w-full border-collapse text-sm">
+                    <thead>
+                      <tr>
+                        {[
+                          "Month",
+                          "Headcount",
+                          "Costs",
+                          "Revenue",
+                          "Raised",
+                          "Cash",
+                        ].map((heading) => (
+                          <th
+                            key={heading}
+                            className="p-2 text-left font-semibold text-zinc-950 dark:text-white border-b border-zinc-200 dark:border-zinc-700"
+                          >
+                            {heading}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {projection.rows.map((row) => (
+                        <tr
+                          key={monthKey(row.month)}
+                          className="border-b border-zinc-100 dark:border-zinc-800"
+                        >
+                          <td className="p-2 text-zinc-950 dark:text-white">
+                            {format(row.month, "MMM yyyy")}
+                          </td>
+                          <td className="p-2 text-zinc-600 dark:text-zinc-400">
+                            {row.headcount}
+                          </td>
+                          <td className="p-2 text-zinc-600 dark:text-zinc-400">
+                            {formatCurrency(row.costs)}
+                          </td>
+                          <td className="p-2 text-zinc-600 dark:text-zinc-400">
+                            {formatCurrency(row.revenue)}
+                          </td>
+                          <td className="p-2 text-zinc-600 dark:text-zinc-400">
+                            {row.raised ? formatCurrency(row.raised) : "—"}
+                          </td>
+                          <td
+                            className={`p-2 font-medium ${
+                              row.cash <= 0
+                                ? "text-red-600 dark:text-red-400"
+                                : "text-zinc-950 dark:text-white"
+                            }`}
+                          >
+                            {formatCurrency(row.cash)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </CardBody>
+    </Card>
+  );
+}
@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from "react";
+import { Card, CardTitle, CardBody } from "@/catalyst/card";
+import { Button } from "@/catalyst/button";
+import { Text, Input, Field, Label } from "@/catalyst";
+import toast from "react-hot-toast";
+import {
+  getTwoFactorStatus,
+  startTwoFactorEnrolment,
+  confirmTwoFactorEnrolment,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} from "@/services/api";
+
+// Groups of four characters are easier to type into an authenticator app
+const formatSecret = (secret) => secret.match(/.{1,4}/g).join(" ");
+
+/**
+ * TOTP enrolment for management accounts (editors and owners)
+ */
+export default function TwoFactorSettings() {
+  const [status, setStatus] = useState(null);
+  const [enrolment, setEnrolment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      setStatus(await getTwoFactorStatus());
+    } catch (error) {
+      console.error("Error fetching two-factor status:", error);
+      toast.error("Failed to load two-factor settings");
+    }
+  };
+
+  // Wraps an action that needs a code: clears the input and reports errors
+  const runWithCode = async (action, successMessage) => {
+    if (!code) {
+      toast.error("Please enter a code");
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const result = await action(code);
+      if (result.recoveryCodes) setRecoveryCodes(result.recoveryCodes);
+      setEnrolment(null);
+      toast.success(successMessage);
+      fetchStatus();
+    } catch (error) {
+      console.error("Error updating two-factor settings:", error);
+      toast.error(error.message || "Failed to update two-factor settings");
+    } finally {
+      setCode("");
+      setIsSaving(false);
+    }
+  };
+
+  const handleStartEnrolment = async () => {
+    try {
+      setRecoveryCodes(null);
+      setEnrolment(await startTwoFactorEnrolment());
+    } catch (error) {
+      console.error("Error starting two-factor enrolment:", error);
+      toast.error(error.message || "Failed to start enrolment");
+    }
+  };
+
+  const codeField = (
+    <Field className="max-w-xs">
+      <Label>Authenticator code</Label>
+      <Input
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder="123456"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+      />
+    </Field>
+  );
+
+  return (
+    <Card className="mb-8 w-full !max-w-none" style={{ maxWidth: "100%" }}>
+      <CardTitle>Two-Factor Authentication</CardTitle>
+      <CardBody>
+        {!status ? (
+          <Text>Loading two-factor settings...</Text>
+        ) : (
+          <div className="space-y-4">
+            {recoveryCodes && (
+              <div className="p-4 bg-yellow-50 dark:bg-yellow-900/20 rounded-lg border border-yellow-200 dark:border-yellow-800">
+                <h3 className="text-sm font-semibold text-zinc-950 dark:text-white mb-2">
+                  Recovery Codes
+                </h3>
+                <Text className="text-xs text-zinc-600 dark:text-zinc-400 mb-3">
+                  Store these somewhere safe. Each code works once if you lose
+                  your authenticator. They won't be shown again.
+                </Text>
+                <ul className="grid grid-cols-2 gap-1 font-mono text-sm text-zinc-950 dark:text-white">
+                  {recoveryCodes.map((recoveryCode) => (
+                    <li key={recoveryCode}>{recoveryCode}</li>
+                  ))}
+                </ul>
+                <Button
+                  onClick={() => setRecoveryCodes(null)}
+                  outline
+                  className="mt-3 text-xs"
+                >
+                  I've saved them
+                </Button>
+              </div>
+            )}
+
+            {status.enabled ? (
+              <>
+                <Text className="text-sm text-zinc-600 dark:text-zinc-400">
+                  <span className="font-medium text-green-600 dark:text-green-400">
+                    Enabled.
+                  </span>{" "}
+                  {status.recoveryCodesRemaining} recovery code
+                  {status.recoveryCodesRemaining === 1 ? "" : "s"} left. Enter
+                  a current code to generate new recovery codes or turn
+                  two-factor off.
+                </Text>
+                {codeField}
+                <div className="flex gap-2">
+                  <Button
+                    onClick={() =>
+                      runWithCode(
+                        regenerateRecoveryCodes,
+                        "New recovery codes generated"
+                      )
+                    }
+                    outline
+                    disabled={isSaving}
+                  >
+                    New Recovery Codes
+                  </Button>
+                  <Button
+                    onClick={() =>
+                      runWithCode(
+                        disableTwoFactor,
+                        "Two-factor authentication disabled"
+                      )
+                    }
+                    outline
+                    disabled={isSaving}
+                  >
+                    Disable
+                  </Button>
+                </div>
+              </>
+            ) : enrolment ? (
+              <>
+                <Text className="text-sm text-zinc-600 dark:text-zinc-400">
+                  Add this key to your authenticator app (Google Authenticator,
+                  1Password, Authy...), then enter the 6-digit code it shows.
+                </Text>
+                <div className="p-3 bg-zinc-50 dark:bg-zinc-800 rounded-lg border border-zinc-200 dark:border-zinc-700 font-mono text-sm text-zinc-950 dark:text-white break-all">
+                  {formatSecret(enrolment.secret)}
+                </div>
+                <a
+                  href={enrolment.otpauthUrl}
+                  className="text-sm text-blue-600 hover:text-blue-800 dark:text-blue-400"
+                >
+                  Open in authenticator app
+                </a>
+                {codeField}
+                <div className="flex gap-2">
+                  <Button
+                    onClick={() =>
+                      runWithCode(
+                        confirmTwoFactorEnrolment,
+                        "Two-factor authentication enabled"
+                      )
+                    }
+                    disabled={isSaving}
+                  >
+                    Confirm
+                  </Button>
+                  <Button onClick={() => setEnrolment(null)} outline>
+                    Cancel
+                  </Button>
+                </div>
+              </>
+            ) : (
+              <>
+                <Text className="text-sm text-zinc-600 dark:text-zinc-400">
+                  Your account can change company data. Protect it with a code
+                  from an authenticator app in addition to your password.
+                </Text>
+                <Button onClick={handleStartEnrolment}>
+                  Set Up Two-Factor
+                </Button>
+              </>
+            )}
+          </div>
+        )}
+      </CardBody>
+    </Card>
+  );
+}
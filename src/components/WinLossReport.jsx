@@ -0,0 +1,156 @@
+import React from "react";
+import { format, parseISO } from "date-fns";
+import { formatCurrency } from "@/components/charts/format";
+
+const RECENT_DEALS = 8;
+
+const formatRate = (rate) => (rate === null ? "—" : `${Math.round(rate)}%`);
+
+/**
+ * Won and lost deals by segment for the Sales Pipeline card, with the most
+ * common loss reasons and the latest closed deals.
+ * report: pipelineWinLoss from getKPIs. deals: closedDeals, newest first.
+ * stages / segments: [{ key, label }] in pipeline order.
+ */
+export default function WinLossReport({
+  report,
+  deals,
+  stages,
+  segments,
+  canEdit,
+  onOpen,
+}) {
+  if (!report || report.all.won + report.all.lost === 0) return null;
+
+  const stageLabel = (key) =>
+    stages.find((stage) => stage.key === key)?.label || key;
+  const rows = [
+    ...segments.map((segment) => ({
+      ...segment,
+      stats: report.bySegment[segment.key],
+    })),
+    { key: "all", label: "Total", stats: report.all },
+  ];
+
+  return (
+    <div className="mt-6 pt-6 border-t border-zinc-200 dark:border-zinc-700">
+      <h3 className="text-sm font-semibold text-zinc-950 dark:text-white mb-2">
+        Win / Loss
+      </h3>
+      <div className="grid grid-cols-1 xl:grid-cols-4 gap-6">
+        <div className="overflow-x-auto xl:col-span-3">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-zinc-500 dark:text-zinc-400">
+                <th className="py-1 font-medium">Segment</th>
+                <th className="py-1 font-medium text-right">Won</th>
+                <th className="py-1 font-medium text-right">Lost</th>
+                <th className="py-1 font-medium text-right">Win rate</th>
+                <th className="py-1 font-medium text-right">Won value</th>
+                <th className="py-1 font-medium text-right">Lost value</th>
+                <th className="py-1 pl-4 font-medium">Lost at</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ key, label, stats }) => (
+                <tr
+                  key={key}
+                  className={`border-t border-zinc-100 dark:border-zinc-800 text-zinc-700 dark:text-zinc-300 ${
+                    key === "all" ? "font-semibold" : ""
+                  }`}
+                >
+                  <td className="py-1">{label}</td>
+                  <td className="py-1 text-right">{stats.won}</td>
+                  <td className="py-1 text-right">{stats.lost}</td>
+                  <td className="py-1 text-right">
+                    {formatRate(stats.winRate)}
+                  </td>
+                  <td className="py-1 text-right">
+                    {formatCurrency(stats.wonValue)}
+                  </td>
+                  <td className="py-1 text-right">
+                    {formatCurrency(stats.lostValue)}
+                  </td>
+                  <td className="py-1 pl-4 text-xs text-zinc-500 dark:text-zinc-400">
+                    {stages
+                      .filter((stage) => stats.lostByStage[stage.key] > 0)
+                      .map(
+                        (stage) =>
+                          `${stage.label} ${stats.lostByStage[stage.key]}`
+                      )
+                      .join(" · ")}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {report.all.lossReasons.length > 0 && (
+          <div>
+            <div className="text-xs font-medium text-zinc-500 dark:text-zinc-400 mb-1">
+              Loss reasons
+            </div>
+            <ul className="space-y-1 text-sm text-zinc-700 dark:text-zinc-300">
+              {report.all.lossReasons.slice(0, 5).map((reason) => (
+                <li key={reason.reason} className="flex justify-between gap-2">
+                  <span className="truncate">{reason.reason}</span>
+                  <span>{reason.count}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {deals.length > 0 && (
+        <div className="mt-4">
+          <div className="text-xs font-medium text-zinc-500 dark:text-zinc-400 mb-1">
+            Recently closed
+          </div>
+          <ul className="divide-y divide-zinc-100 dark:divide-zinc-800 text-sm">
+            {deals.slice(0, RECENT_DEALS).map((deal) => (
+              <li
+                key={deal.id}
+                onClick={() => canEdit && onOpen(deal)}
+                className={`flex justify-between gap-2 py-1 ${
+                  canEdit
+                    ? "cursor-pointer hover:bg-zinc-50 dark:hover:bg-zinc-800"
+                    : ""
+                }`}
+              >
+                <span className="text-zinc-950 dark:text-white">
+                  {deal.name}{" "}
+                  <span className="text-zinc-500 dark:text-zinc-400">
+                    {deal.outcome === "lost" &&
+                      `lost at ${stageLabel(deal.stage)}`}
+                    {deal.outcome === "lost" && deal.lossReason
+                      ? ` · ${deal.lossReason}`
+                      : ""}
+                  </span>
+                </span>
+                <span className="flex gap-3 whitespace-nowrap">
+                  <span
+                    className={
+                      deal.outcome === "won"
+                        ? "text-green-600 dark:text-green-400"
+                        : "text-red-600 dark:text-red-400"
+                    }
+                  >
+                    {deal.outcome === "won" ? "Won" : "Lost"}
+                    {deal.estimatedContractSize !== null &&
+                      ` ${formatCurrency(deal.estimatedContractSize)}`}
+                  </span>
+                  <span className="text-zinc-500 dark:text-zinc-400">
+                    {deal.closedAt &&
+                      format(parseISO(deal.closedAt), "MMM d, yyyy")}
+                  </span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+import React from "react";
+import { format } from "date-fns";
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 64 };
+
+// Round the axis maximum up to 1, 2 or 5 times a power of ten
+const niceCeiling = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find((m) => m * magnitude >= value);
+  return step * magnitude;
+};
+
+/**
+ * Line chart of dated values, drawn as plain SVG.
+ * Pass either points for a single line or series for several:
+ *   points: [{ id, date: Date, value }] in ascending date order
+ *   series: [{ key, label, color, points }]
+ * Clicking a point calls onSelect with its id. formatTick labels the value
+ * axis and defaults to formatValue. formatDate, when given, labels the dates
+ * on the axis and in tooltips (e.g. as quarters).
+ */
+export default function TimeSeriesChart({
+  points,
+  series,
+  formatValue = (value) => value,
+  formatTick = formatValue,
+  formatDate = null,
+  selectedId = null,
+  onSelect,
+  color = "#2563eb",
+}) {
+  const lines = series || [{ key: "value", color, points }];
+  const allPoints = lines.flatMap((line) => line.points);
+  if (allPoints.length === 0) return null;
+
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const times = allPoints.map((p) => p.date.getTime());
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  // Net burn can go negative, so the axis extends below zero when needed
+  const lowest = Math.min(0, ...allPoints.map((p) => p.value));
+  const minValue = lowest < 0 ? -niceCeiling(-lowest) : 0;
+  const maxValue = niceCeiling(Math.max(...allPoints.map((p) => p.value)));
+
+  // A single point sits in the middle instead of dividing by zero
+  const x = (date) =>
+    PADDING.left +
+    (maxTime === minTime
+      ? innerWidth / 2
+      : ((date.getTime() - minTime) / (maxTime - minTime)) * innerWidth);
+  const y = (value) =>
+    PADDING.top +
+    innerHeight -
+    ((value - minValue) / (maxValue - minValue)) * innerHeight;
+
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map(
+    (f) => minValue + f * (maxValue - minValue)
+  );
+  const baseline = y(Math.max(0, minValue));
+  const pathFor = (linePoints) =>
+    linePoints
+      .map((p, i) => `${i === 0 ? "M" : "L"}${x(p.date)},${y(p.value)}`)
+      .join(" ");
+
+  // Label at most ~6 dates so they don't overlap
+  const labelSource = lines[0].points.length > 0 ? lines[0].points : allPoints;
+  const labelEvery = Math.ceil(labelSource.length / 6);
+  const labelled = labelSource.filter(
+    (_, i) => i % labelEvery === 0 || i === labelSource.length - 1
+  );
+
+  return (
+    <div>
+      {lines.length > 1 && (
+        <div className="flex flex-wrap gap-4 mb-2 text-xs text-zinc-600 dark:text-zinc-400">
+          {lines.map((line) => (
+            <span key={line.key} className="flex items-center gap-1">
+              <span
+                className="inline-block w-3 h-0.5"
+                style={{ backgroundColor: line.color }}
+              />
+              {line.label}
+            </span>
+          ))}
+        </div>
+      )}
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto"
+        role="img"
+        aria-label="Time series chart"
+      >
+        {ticks.map((tick) => (
+          <g key={tick}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(tick)}
+              y2={y(tick)}
+              className="stroke-zinc-200 dark:stroke-zinc-700"
+            />
+            <text
+              x={PADDING.left - 8}
+              y={y(tick)}
+              textAnchor="end"
+              dominantBaseline="middle"
+              className="fill-zinc-500 dark:fill-zinc-400 text-[10px]"
+            >
+              {formatTick(tick)}
+            </text>
+          </g>
+        ))}
+
+        {labelled.map((p) => (
+          <text
+            key={p.id}
+            x={x(p.date)}
+            y={HEIGHT - 8}
+            textAnchor="middle"
+            className="fill-zinc-500 dark:fill-zinc-400 text-[10px]"
+          >
+            {formatDate ? formatDate(p.date) : format(p.date, "MMM yy")}
+          </text>
+        ))}
+
+        {lines.map((line) => {
+          if (line.points.length === 0) return null;
+          const path = pathFor(line.points);
+          const first = line.points[0];
+          const last = line.points[line.points.length - 1];
+          return (
+            <g key={line.key}>
+              {/* Only a single line gets the shaded area */}
+              {lines.length === 1 && line.points.length > 1 && (
+                <path
+                  d={`${path} L${x(last.date)},${baseline} L${x(
+                    first.date
+                  )},${baseline} Z`}
+                  fill={line.color}
+                  fillOpacity={0.08}
+                />
+              )}
+              <path d={path} fill="none" stroke={line.color} strokeWidth={2} />
+              {line.points.map((p) => (
+                <circle
+                  key={p.id}
+                  cx={x(p.date)}
+                  cy={y(p.value)}
+                  r={p.id === selectedId ? 6 : 4}
+                  fill={p.id === selectedId ? line.color : "white"}
+                  stroke={line.color}
+                  strokeWidth={2}
+                  className={onSelect ? "cursor-pointer" : undefined}
+                  onClick={onSelect ? () => onSelect(p.id) : undefined}
+                >
+                  <title>
+                    {line.label ? `${line.label}, ` : ""}
+                    {formatDate
+                      ? formatDate(p.date)
+                      : format(p.date, "MMM d, yyyy")}
+                    : {formatValue(p.value)}
+                  </title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React from "react";
+
+const WIDTH = 640;
+const HEIGHT = 200;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 64 };
+
+const OVER_COLOR = "#dc2626";
+const UNDER_COLOR = "#16a34a";
+
+/**
+ * Bars above or below a zero line, drawn as plain SVG.
+ * bars: [{ id, label, value }] where value is actual - plan; positive bars
+ * (over plan) are red, negative bars green. Bars with a null value are left
+ * empty.
+ */
+export default function VarianceBarChart({
+  bars,
+  formatValue = (value) => value,
+  formatTick = formatValue,
+}) {
+  if (bars.length === 0) return null;
+
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const values = bars.map((bar) => bar.value).filter((v) => v !== null);
+  // Symmetric axis so over and under read at the same scale
+  const extent = Math.max(1, ...values.map((v) => Math.abs(v)));
+  const y = (value) =>
+    PADDING.top + innerHeight / 2 - (value / extent) * (innerHeight / 2);
+  const slot = innerWidth / bars.length;
+  const barWidth = Math.max(2, slot * 0.6);
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label="Variance chart"
+    >
+      {[-extent, 0, extent].map((tick) => (
+        <g key={tick}>
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(tick)}
+            y2={y(tick)}
+            className={
+              tick === 0
+                ? "stroke-zinc-400 dark:stroke-zinc-500"
+                : "stroke-zinc-200 dark:stroke-zinc-700"
+            }
+          />
+          <text
+            x={PADDING.left - 8}
+            y={y(tick)}
+            textAnchor="end"
+            dominantBaseline="middle"
+            className="fill-zinc-500 dark:fill-zinc-400 text-[10px]"
+          >
+            {tick > 0 ? "+" : ""}
+            {formatTick(tick)}
+          </text>
+        </g>
+      ))}
+
+      {bars.map((bar, i) => {
+        const x = PADDING.left + slot * i + (slot - barWidth) / 2;
+        return (
+          <g key={bar.id}>
+            {bar.value !== null && (
+              <rect
+                x={x}
+                y={Math.min(y(bar.value), y(0))}
+                width={barWidth}
+                height={Math.abs(y(bar.value) - y(0))}
+                fill={bar.value > 0 ? OVER_COLOR : UNDER_COLOR}
+              >
+                <title>
+                  {bar.label}: {bar.value > 0 ? "+" : ""}
+                  {formatValue(bar.value)}
+                </title>
+              </rect>
+            )}
+            <text
+              x={x + barWidth / 2}
+              y={HEIGHT - 8}
+              textAnchor="middle"
+              className="fill-zinc-500 dark:fill-zinc-400 text-[10px]"
+            >
+              {bar.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
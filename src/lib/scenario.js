@@ -0,0 +1,72 @@
+import { addMonths, format, parseISO, startOfMonth } from "date-fns";
+
+// Stored in runway_scenario.assumptions
+//   hires:         [{ role, monthlyCost, startMonth: "YYYY-MM" }]
+//                  monthlyCost is the loaded cost (salary, taxes, benefits)
+//   arrGrowthRate: ARR growth in percent per month
+//   fundraise:     { amount, month: "YYYY-MM" } or null
+//   months:        projection horizon
+export const DEFAULT_ASSUMPTIONS = {
+  hires: [],
+  arrGrowthRate: 0,
+  fundraise: null,
+  months: 24,
+};
+
+export const monthKey = (date) => format(date, "yyyy-MM");
+
+/**
+ * Project cash month by month from the current KPIs plus a scenario's
+ * assumptions.
+ *
+ * base: { cash, cashDate, grossBurn, arr, headcount } from getKPIs.
+ * Revenue is modelled as ARR / 12, growing by arrGrowthRate each month;
+ * costs are the current gross burn plus every hire that has started.
+ *
+ * Returns one row per month after the cash date and the first month the
+ * projected cash is zero or below (null if it never is).
+ */
+export function projectScenario(base, assumptions) {
+  const { hires, arrGrowthRate, fundraise, months } = {
+    ...DEFAULT_ASSUMPTIONS,
+    ...assumptions,
+  };
+  const start = startOfMonth(
+    base.cashDate ? parseISO(base.cashDate) : new Date()
+  );
+  const growth = 1 + (Number(arrGrowthRate) || 0) / 100;
+
+  const rows = [];
+  let cash = base.cash || 0;
+  let zeroCashMonth = null;
+
+  for (let i = 1; i <= months; i++) {
+    const month = addMonths(start, i);
+    const key = monthKey(month);
+    const started = hires.filter((hire) => hire.startMonth <= key);
+
+    const arr = (base.arr || 0) * growth ** i;
+    const revenue = arr / 12;
+    const costs =
+      (base.grossBurn || 0) +
+      started.reduce((sum, hire) => sum + (Number(hire.monthlyCost) || 0), 0);
+    const raised =
+      fundraise && fundraise.month === key ? Number(fundraise.amount) || 0 : 0;
+
+    cash = cash - costs + revenue + raised;
+    if (zeroCashMonth === null && cash <= 0) zeroCashMonth = month;
+
+    rows.push({
+      month,
+      cash,
+      arr,
+      revenue,
+      costs,
+      netBurn: costs - revenue,
+      raised,
+      headcount: (base.headcount || 0) + started.length,
+    });
+  }
+
+  return { rows, zeroCashMonth };
+}
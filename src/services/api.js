@@ -7,20 +7,30 @@
 const BASE_URL = import.meta.env.VITE_SUPABASE_URL;
 const ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY;
 
-// Store admin password in memory
-let adminPassword = null;
+// Refresh the access token this long before it actually expires
+const REFRESH_MARGIN_MS = 30 * 1000;
+
+// Current session (access + refresh token) kept in memory and mirrored to
+// sessionStorage so a page reload does not force a new login.
+// The password itself is never stored.
+let session = null;
+let refreshPromise = null;
+const sessionExpiredListeners = new Set();
 
 /**
- * Initialize password from sessionStorage on page load
+ * Initialize session from sessionStorage on page load
  */
-function initPasswordFromSession() {
+function initSessionFromStorage() {
   if (typeof window !== 'undefined') {
     try {
       const authData = sessionStorage.getItem("investorAuth");
       if (authData) {
         const parsed = JSON.parse(authData);
-        if (parsed.password) {
-          adminPassword = parsed.password;
+        if (parsed.refreshToken && parsed.permissions) {
+          session = parsed;
+        } else {
+          // Drop auth data written by older versions
+          sessionStorage.removeItem("investorAuth");
         }
       }
     } catch (e) {
@@ -30,59 +40,156 @@ function initPasswordFromSession() {
 }
 
 // Auto-initialize on module load
-initPasswordFromSession();
+initSessionFromStorage();
+
+/**
+ * Store the session returned by admin-auth
+ */
+function setSession(data) {
+  session = {
+    authenticated: true,
+    role: data.role,
+    permissions: data.permissions,
+    userName: data.userName || null,
+    accessToken: data.accessToken,
+    refreshToken: data.refreshToken,
+    expiresAt: data.expiresAt,
+  };
+  if (typeof window !== 'undefined') {
+    sessionStorage.setItem("investorAuth", JSON.stringify(session));
+  }
+}
 
 /**
- * Set the admin password for authenticated requests
- * Called after successful login
+ * Get the current session, or null when logged out
  */
-export function setAdminPassword(password) {
-  adminPassword = password;
+export function getSession() {
+  return session;
 }
 
 /**
- * Clear the admin password (logout)
+ * Clear the session (logout)
  */
-export function clearAdminPassword() {
-  adminPassword = null;
+export function clearSession() {
+  session = null;
+  refreshPromise = null;
   if (typeof window !== 'undefined') {
     sessionStorage.removeItem("investorAuth");
   }
 }
 
 /**
- * Logout and clear all authentication data
+ * Logout: end the session on the server, then clear all authentication data
+ */
+export async function logout() {
+  if (session?.refreshToken) {
+    try {
+      await postToFunction("admin-auth", {
+        action: "logout",
+        refreshToken: session.refreshToken,
+      });
+    } catch (error) {
+      console.error("Error ending session:", error);
+    }
+  }
+  clearSession();
+}
+
+/**
+ * Subscribe to session expiry (refresh token rejected)
+ * @param {function} listener - Called when the user must log in again
+ * @returns {function} Unsubscribe function
+ */
+export function onSessionExpired(listener) {
+  sessionExpiredListeners.add(listener);
+  return () => {
+    sessionExpiredListeners.delete(listener);
+  };
+}
+
+function expireSession() {
+  clearSession();
+  sessionExpiredListeners.forEach((listener) => listener());
+}
+
+/**
+ * POST to an Edge Function with the anon key headers
+ */
+async function postToFunction(functionName, body, extraHeaders = {}) {
+  return await fetch(`${BASE_URL}/functions/v1/${functionName}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${ANON_KEY}`,
+      "apikey": ANON_KEY,
+      ...extraHeaders,
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+/**
+ * Exchange the refresh token for a new session.
+ * Concurrent callers share a single in-flight refresh.
  */
-export function logout() {
-  clearAdminPassword();
+async function refreshSession() {
+  if (!session?.refreshToken) {
+    throw new Error("Authentication required. Please log in again.");
+  }
+
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const response = await postToFunction("admin-auth", {
+        refreshToken: session.refreshToken,
+      });
+      if (!response.ok) {
+        expireSession();
+        throw new Error("Session expired. Please log in again.");
+      }
+      setSession(await response.json());
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  await refreshPromise;
+}
+
+/**
+ * Get a non-expired access token, refreshing if needed
+ */
+async function getAccessToken() {
+  if (!session) {
+    throw new Error("Authentication required. Please log in again.");
+  }
+  if (!session.expiresAt || session.expiresAt - REFRESH_MARGIN_MS < Date.now()) {
+    await refreshSession();
+  }
+  return session.accessToken;
 }
 
 /**
  * Call an Edge Function
  * @param {string} functionName - Name of the Edge Function
  * @param {object} body - Request body
- * @param {boolean} requiresAuth - Whether this requires admin authentication
+ * @param {boolean} requiresAuth - Whether this requires a session token
  */
 async function callEdgeFunction(functionName, body = {}, requiresAuth = true) {
-  const headers = {
-    "Content-Type": "application/json",
-    "Authorization": `Bearer ${ANON_KEY}`,
-    "apikey": ANON_KEY,
-  };
+  const headers = {};
 
-  // Add admin password header for authenticated requests
+  // Add session token header for authenticated requests
   if (requiresAuth) {
-    if (!adminPassword) {
-      throw new Error("Authentication required. Please log in again.");
-    }
-    headers["x-admin-password"] = adminPassword;
+    headers["x-session-token"] = await getAccessToken();
   }
 
-  const response = await fetch(`${BASE_URL}/functions/v1/${functionName}`, {
-    method: "POST",
-    headers,
-    body: JSON.stringify(body),
-  });
+  let response = await postToFunction(functionName, body, headers);
+
+  // Token may have expired in flight or been signed with a rotated secret
+  if (requiresAuth && response.status === 401) {
+    await refreshSession();
+    headers["x-session-token"] = session.accessToken;
+    response = await postToFunction(functionName, body, headers);
+  }
 
   if (!response.ok) {
     let error;
@@ -103,19 +210,10 @@ async function callEdgeFunction(functionName, body = {}, requiresAuth = true) {
 // ============================================
 
 /**
- * Authenticate with password
- * @param {string} password - The password to authenticate with
+ * POST a login step to admin-auth and store the session on success
  */
-export async function adminAuth(password) {
-  const response = await fetch(`${BASE_URL}/functions/v1/admin-auth`, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${ANON_KEY}`,
-      "apikey": ANON_KEY,
-    },
-    body: JSON.stringify({ password }),
-  });
+async function authenticate(body) {
+  const response = await postToFunction("admin-auth", body);
 
   if (!response.ok) {
     let error;
@@ -125,19 +223,72 @@ export async function adminAuth(password) {
       throw new Error(`Authentication failed: ${response.status} ${response.statusText}`);
     }
     const errorMessage = error.message || error.error || error.details || "Authentication failed";
-    throw new Error(errorMessage);
+    // Seconds until a throttled client may try again
+    throw Object.assign(new Error(errorMessage), { retryAfter: error.retryAfter });
   }
 
   const data = await response.json();
   
-  // Store password for subsequent requests
+  // Store the session (not the password) for subsequent requests
   if (data.authenticated) {
-    setAdminPassword(password);
+    setSession(data);
   }
   
   return data;
 }
 
+/**
+ * Authenticate with password
+ * @param {string} password - The password to authenticate with
+ * @returns {Promise<object>} The session, or { mfaRequired, mfaToken } when
+ *   the account has two-factor authentication enabled
+ */
+export async function adminAuth(password) {
+  return await authenticate({ password });
+}
+
+/**
+ * Complete a two-factor login
+ * @param {string} mfaToken - Token returned by adminAuth
+ * @param {string} code - 6-digit authenticator code or a recovery code
+ */
+export async function verifyMfaCode(mfaToken, code) {
+  return await authenticate({ mfaToken, code });
+}
+
+// ============================================
+// Two-Factor Authentication (management accounts)
+// ============================================
+
+export async function getTwoFactorStatus() {
+  return await callEdgeFunction("admin-auth", { action: "totpStatus" }, true);
+}
+
+export async function startTwoFactorEnrolment() {
+  return await callEdgeFunction("admin-auth", { action: "totpEnroll" }, true);
+}
+
+export async function confirmTwoFactorEnrolment(code) {
+  return await callEdgeFunction("admin-auth", { 
+    action: "totpConfirm", 
+    code 
+  }, true);
+}
+
+export async function regenerateRecoveryCodes(code) {
+  return await callEdgeFunction("admin-auth", { 
+    action: "totpRecoveryCodes", 
+    code 
+  }, true);
+}
+
+export async function disableTwoFactor(code) {
+  return await callEdgeFunction("admin-auth", { 
+    action: "totpDisable", 
+    code 
+  }, true);
+}
+
 // ============================================
 // KPI Data
 // ============================================
@@ -180,6 +331,14 @@ export async function updateCashPosition(id, updates) {
   return result.data;
 }
 
+export async function deleteCashPosition(id) {
+  await callEdgeFunction("data-write", { 
+    operation: "delete", 
+    table: "cash_position",
+    id
+  }, true);
+}
+
 // ============================================
 // Monthly Burn CRUD
 // ============================================
@@ -259,6 +418,36 @@ export async function deleteCustomer(id) {
   }, true);
 }
 
+// ============================================
+// Customer Event CRUD
+// ============================================
+
+export async function listCustomerEvents(customerId) {
+  const result = await callEdgeFunction("data-read", { 
+    operation: "list", 
+    table: "customer_event",
+    filters: { customer_id: customerId }
+  }, true);
+  return result.data;
+}
+
+export async function createCustomerEvent(event) {
+  const result = await callEdgeFunction("data-write", { 
+    operation: "create", 
+    table: "customer_event",
+    data: event
+  }, true);
+  return result.data;
+}
+
+export async function deleteCustomerEvent(id) {
+  await callEdgeFunction("data-write", { 
+    operation: "delete", 
+    table: "customer_event",
+    id
+  }, true);
+}
+
 // ============================================
 // Pipeline Client CRUD
 // ============================================
@@ -307,6 +496,111 @@ export async function deletePipelineClient(id) {
   }, true);
 }
 
+// ============================================
+// Pipeline Segment and Stage CRUD
+// ============================================
+
+export async function listPipelineSegments() {
+  const result = await callEdgeFunction("data-read", { 
+    operation: "list", 
+    table: "pipeline_segment" 
+  }, true);
+  return result.data;
+}
+
+export async function createPipelineSegment(segment) {
+  const result = await callEdgeFunction("data-write", { 
+    operation: "create", 
+    table: "pipeline_segment",
+    data: segment
+  }, true);
+  return result.data;
+}
+
+export async function updatePipelineSegment(id, updates) {
+  const result = await callEdgeFunction("data-write", { 
+    operation: "update", 
+    table: "pipeline_segment",
+    id,
+    data: updates
+  }, true);
+  return result.data;
+}
+
+export async function deletePipelineSegment(id) {
+  await callEdgeFunction("data-write", { 
+    operation: "delete", 
+    table: "pipeline_segment",
+    id
+  }, true);
+}
+
+export async function listPipelineStages() {
+  const result = await callEdgeFunction("data-read", { 
+    operation: "list", 
+    table: "pipeline_stage" 
+  }, true);
+  return result.data;
+}
+
+export async function createPipelineStage(stage) {
+  const result = await callEdgeFunction("data-write", { 
+    operation: "create", 
+    table: "pipeline_stage",
+    data: stage
+  }, true);
+  return result.data;
+}
+
+export async function updatePipelineStage(id, updates) {
+  const result = await callEdgeFunction("data-write", { 
+    operation: "update", 
+    table: "pipeline_stage",
+    id,
+    data: updates
+  }, true);
+  return result.data;
+}
+
+export async function deletePipelineStage(id) {
+  await callEdgeFunction("data-write", { 
+    operation: "delete", 
+    table: "pipeline_stage",
+    id
+  }, true);
+}
+
+// ============================================
+// Pipeline Stage Probability CRUD
+// ============================================
+
+export async function listStageProbabilities() {
+  const result = await callEdgeFunction("data-read", { 
+    operation: "list", 
+    table: "pipeline_stage_probability" 
+  }, true);
+  return result.data;
+}
+
+export async function createStageProbability(stageProbability) {
+  const result = await callEdgeFunction("data-write", { 
+    operation: "create", 
+    table: "pipeline_stage_probability",
+    data: stageProbability
+  }, true);
+  return result.data;
+}
+
+export async function updateStageProbability(id, updates) {
+  const result = await callEdgeFunction("data-write", { 
+    operation: "update", 
+    table: "pipeline_stage_probability",
+    id,
+    data: updates
+  }, true);
+  return result.data;
+}
+
 // ============================================
 // Employee Count CRUD
 // ============================================
@@ -342,11 +636,12 @@ export async function updateEmployeeCount(id, updates) {
 // Quarter Goal CRUD
 // ============================================
 
-export async function listQuarterGoals(quarter, year) {
+// Every quarter's goals, oldest quarter first, with their progress
+// (currentValue, startValue, expectedValue, progress, closed) and weekly
+// snapshots, worked out server-side
+export async function getQuarterGoals() {
   const result = await callEdgeFunction("data-read", { 
-    operation: "list", 
-    table: "quarter_goal",
-    filters: { quarter, year }
+    operation: "getQuarterGoals" 
   }, true);
   return result.data;
 }
@@ -416,3 +711,161 @@ export async function deletePipelineNote(id) {
     id
   }, true);
 }
+
+// ============================================
+// Runway Scenario CRUD
+// ============================================
+
+// Board members only get scenarios that were shared with them
+export async function listRunwayScenarios() {
+  const result = await callEdgeFunction("data-read", { 
+    operation: "list", 
+    table: "runway_scenario" 
+  }, true);
+  return result.data;
+}
+
+export async function createRunwayScenario(scenario) {
+  const result = await callEdgeFunction("data-write", { 
+    operation: "create", 
+    table: "runway_scenario",
+    data: scenario
+  }, true);
+  return result.data;
+}
+
+export async function updateRunwayScenario(id, updates) {
+  const result = await callEdgeFunction("data-write", { 
+    operation: "update", 
+    table: "runway_scenario",
+    id,
+    data: updates
+  }, true);
+  return result.data;
+}
+
+export async function deleteRunwayScenario(id) {
+  await callEdgeFunction("data-write", { 
+    operation: "delete", 
+    table: "runway_scenario",
+    id
+  }, true);
+}
+
+// ============================================
+// Operating Plan CRUD
+// ============================================
+
+export async function listOperatingPlan() {
+  const result = await callEdgeFunction("data-read", { 
+    operation: "list", 
+    table: "operating_plan" 
+  }, true);
+  return result.data;
+}
+
+export async function createOperatingPlanMonth(planMonth) {
+  const result = await callEdgeFunction("data-write", { 
+    operation: "create", 
+    table: "operating_plan",
+    data: planMonth
+  }, true);
+  return result.data;
+}
+
+export async function updateOperatingPlanMonth(id, updates) {
+  const result = await callEdgeFunction("data-write", { 
+    operation: "update", 
+    table: "operating_plan",
+    id,
+    data: updates
+  }, true);
+  return result.data;
+}
+
+export async function deleteOperatingPlanMonth(id) {
+  await callEdgeFunction("data-write", { 
+    operation: "delete", 
+    table: "operating_plan",
+    id
+  }, true);
+}
+
+// ============================================
+// Access Management (owners only)
+// ============================================
+
+export async function listUsers() {
+  const result = await callEdgeFunction("data-read", { 
+    operation: "listUsers" 
+  }, true);
+  return result.data;
+}
+
+export async function listVisibilityRules() {
+  const result = await callEdgeFunction("data-read", { 
+    operation: "list", 
+    table: "visibility_rule" 
+  }, true);
+  return result.data;
+}
+
+export async function createVisibilityRule(rule) {
+  const result = await callEdgeFunction("data-write", { 
+    operation: "create", 
+    table: "visibility_rule",
+    data: rule
+  }, true);
+  return result.data;
+}
+
+export async function deleteVisibilityRule(id) {
+  await callEdgeFunction("data-write", { 
+    operation: "delete", 
+    table: "visibility_rule",
+    id
+  }, true);
+}
+
+export async function listLoginEvents() {
+  const result = await callEdgeFunction("data-read", { 
+    operation: "list", 
+    table: "login_event" 
+  }, true);
+  return result.data;
+}
+
+export async function listSessions() {
+  const result = await callEdgeFunction("data-read", { 
+    operation: "list", 
+    table: "investor_session" 
+  }, true);
+  return result.data;
+}
+
+// access: any of valid_from, expires_at, revoked_at
+export async function updateUserAccess(id, access) {
+  const result = await callEdgeFunction("data-write", { 
+    operation: "update", 
+    table: "investor_password",
+    id,
+    data: access
+  }, true);
+  return result.data;
+}
+
+export async function listAuthLockouts() {
+  const result = await callEdgeFunction("data-read", { 
+    operation: "list", 
+    table: "auth_lockout" 
+  }, true);
+  return result.data;
+}
+
+export async function deleteAuthLockout(id) {
+  await callEdgeFunction("data-write", { 
+    operation: "delete", 
+    table: "auth_lockout",
+    id
+  }, true);
+}
@@ -0,0 +1,81 @@
+// ============================================
+// Account status and live-session checks
+// ============================================
+// Access tokens are stateless, so on their own a revoked or expired user
+// could keep calling data-read / data-write until the token runs out.
+// Every request re-reads the session and its user instead, which ends live
+// sessions as soon as access is revoked or reaches its expiry date.
+
+import { normalizeRole, type Role } from "./permissions.ts";
+import type { SessionClaims } from "./session.ts";
+
+export type AccessStatus = "active" | "pending" | "expired" | "revoked";
+
+export interface AccessWindow {
+  revoked_at: string | null;
+  valid_from: string | null;
+  expires_at: string | null;
+}
+
+export function getAccessStatus(
+  user: AccessWindow,
+  now: Date = new Date(),
+): AccessStatus {
+  if (user.revoked_at) return "revoked";
+  if (user.valid_from && new Date(user.valid_from) > now) return "pending";
+  if (user.expires_at && new Date(user.expires_at) <= now) return "expired";
+  return "active";
+}
+
+// Shown on the login screen; revoked users just see "Invalid password"
+export const ACCESS_STATUS_MESSAGES: Record<AccessStatus, string> = {
+  active: "",
+  pending: "Your access has not started yet",
+  expired: "Your access has expired",
+  revoked: "Invalid password",
+};
+
+/**
+ * Check that the token's session is still open and its user still has
+ * access. Returns the user's current role (which wins over the role in
+ * the token), or null if the session must end.
+ */
+export async function loadLiveSession(
+  supabase: any,
+  claims: SessionClaims,
+): Promise<{ role: Role } | null> {
+  const { data, error } = await supabase
+    .from("investor_session")
+    .select(
+      "revoked_at, expires_at, user:investor_password(role, revoked_at, valid_from, expires_at)",
+    )
+    .eq("id", claims.sid)
+    .eq("user_id", claims.sub)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load session: ${error.message}`);
+  }
+
+  const now = new Date();
+  if (!data || !data.user) return null;
+  if (data.revoked_at || new Date(data.expires_at) <= now) return null;
+  if (getAccessStatus(data.user, now) !== "active") return null;
+
+  return { role: normalizeRole(data.user.role) };
+}
+
+/**
+ * End every open session for a user (on revocation)
+ */
+export async function revokeSessions(supabase: any, userId: string) {
+  const { error } = await supabase
+    .from("investor_session")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .is("revoked_at", null);
+
+  if (error) {
+    throw new Error(`Failed to revoke sessions: ${error.message}`);
+  }
+}
@@ -0,0 +1,109 @@
+// ============================================
+// Role-based access model
+// ============================================
+// Every investor_password row has a role. Each role maps to the tables it may
+// read and write through data-read / data-write. The same matrix is returned
+// to the client by admin-auth so the dashboard can gate its sections.
+
+export type Role = "viewer" | "board_member" | "editor" | "owner";
+
+export const ROLES: Role[] = ["viewer", "board_member", "editor", "owner"];
+
+// Tables exposed through data-read / data-write
+export const DATA_TABLES = [
+  "cash_position",
+  "monthly_burn",
+  "customer",
+  "customer_event",
+  "employee_count",
+  "pipeline_client",
+  "quarter_goal",
+  "pipeline_note",
+  "runway_scenario",
+  "operating_plan",
+  "pipeline_stage_probability",
+  "pipeline_segment",
+  "pipeline_stage",
+];
+
+// Tables used to administer investor access (owners only). Owners unlock
+// throttled sources and accounts by deleting their auth_lockout row.
+export const ACCESS_TABLES = ["visibility_rule", "auth_lockout"];
+
+// Login history and sessions written by admin-auth (owners read, nobody writes)
+export const AUDIT_TABLES = ["login_event", "investor_session"];
+
+export const ALL_TABLES = [...DATA_TABLES, ...ACCESS_TABLES, ...AUDIT_TABLES];
+
+// Investor accounts. Owners may update an account's access window through
+// data-write, but the raw rows (which hold password hashes) are never
+// readable; data-read's listUsers returns a safe subset of columns.
+export const USER_TABLE = "investor_password";
+
+// Cash and burn detail is restricted to board-level users and above.
+// Read-only roles only see runway scenarios that were shared with them.
+const FINANCIAL_TABLES = [
+  "cash_position",
+  "monthly_burn",
+  "runway_scenario",
+  "operating_plan",
+];
+
+// Tables whose rows are visible to read-only roles only when shared = true
+export const SHARED_ONLY_TABLES = ["runway_scenario"];
+
+export interface RolePermissions {
+  read: string[];
+  write: string[];
+  // Owners can manage other users' access (user admin, audit views)
+  manageAccess: boolean;
+}
+
+const ROLE_PERMISSIONS: Record<Role, RolePermissions> = {
+  viewer: {
+    read: DATA_TABLES.filter((table) => !FINANCIAL_TABLES.includes(table)),
+    write: [],
+    manageAccess: false,
+  },
+  board_member: {
+    read: DATA_TABLES,
+    write: [],
+    manageAccess: false,
+  },
+  editor: {
+    read: DATA_TABLES,
+    write: DATA_TABLES,
+    manageAccess: false,
+  },
+  owner: {
+    read: ALL_TABLES,
+    write: [...DATA_TABLES, ...ACCESS_TABLES, USER_TABLE],
+    manageAccess: true,
+  },
+};
+
+/**
+ * Coerce a stored role to a known role. Unknown values get the least
+ * privileged role rather than failing open.
+ */
+export function normalizeRole(value: unknown): Role {
+  return ROLES.includes(value as Role) ? (value as Role) : "viewer";
+}
+
+export function getPermissions(role: string): RolePermissions {
+  return ROLE_PERMISSIONS[normalizeRole(role)];
+}
+
+export function canRead(role: string, table: string): boolean {
+  return getPermissions(role).read.includes(table);
+}
+
+export function canWrite(role: string, table: string): boolean {
+  return getPermissions(role).write.includes(table);
+}
+
+// Management accounts (editors and owners) can change company data and may
+// enrol a TOTP second factor
+export function isManagement(role: string): boolean {
+  return getPermissions(role).write.length > 0;
+}
@@ -0,0 +1,167 @@
+// ============================================
+// Signed session tokens (HS256 JWTs)
+// ============================================
+// admin-auth issues a short-lived access token plus a longer-lived refresh
+// token after a successful password check. data-read and data-write only
+// need to verify the HMAC signature, so no password hashing happens on
+// regular API calls.
+
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+export const REFRESH_TOKEN_TTL_SECONDS = 12 * 60 * 60; // 12 hours
+// Time allowed between the password and the TOTP code
+export const MFA_TOKEN_TTL_SECONDS = 5 * 60; // 5 minutes
+
+export type TokenType = "access" | "refresh" | "mfa";
+
+export interface SessionClaims {
+  sub: string; // investor_password.id
+  sid: string; // investor_session.id (empty for mfa tokens)
+  name: string | null;
+  role: string;
+  typ: TokenType;
+  iat: number;
+  exp: number;
+}
+
+export interface SessionUser {
+  id: string;
+  sessionId: string;
+  name: string | null;
+  role: string;
+}
+
+const encoder = new TextEncoder();
+
+function base64UrlEncode(bytes: Uint8Array): string {
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function base64UrlDecode(value: string): Uint8Array {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+}
+
+let cachedKey: CryptoKey | null = null;
+
+async function getSigningKey(): Promise<CryptoKey> {
+  if (cachedKey) return cachedKey;
+
+  const secret = Deno.env.get("SESSION_SECRET");
+  if (!secret || secret.length < 32) {
+    throw new Error("SESSION_SECRET must be set to at least 32 characters");
+  }
+
+  cachedKey = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"],
+  );
+  return cachedKey;
+}
+
+async function signToken(
+  user: SessionUser,
+  typ: TokenType,
+  ttlSeconds: number,
+): Promise<string> {
+  const now = Math.floor(Date.now() / 1000);
+  const claims: SessionClaims = {
+    sub: user.id,
+    sid: user.sessionId,
+    name: user.name,
+    role: user.role,
+    typ,
+    iat: now,
+    exp: now + ttlSeconds,
+  };
+
+  const header = base64UrlEncode(
+    encoder.encode(JSON.stringify({ alg: "HS256", typ: "JWT" })),
+  );
+  const payload = base64UrlEncode(encoder.encode(JSON.stringify(claims)));
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    await getSigningKey(),
+    encoder.encode(`${header}.${payload}`),
+  );
+
+  return `${header}.${payload}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+/**
+ * Verify a token's signature, expiry and type.
+ * Returns the claims, or null if the token is invalid or expired.
+ */
+export async function verifyToken(
+  token: string,
+  expectedType: TokenType,
+): Promise<SessionClaims | null> {
+  try {
+    const parts = token.split(".");
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    // crypto.subtle.verify compares in constant time
+    const isValid = await crypto.subtle.verify(
+      "HMAC",
+      await getSigningKey(),
+      base64UrlDecode(signature),
+      encoder.encode(`${header}.${payload}`),
+    );
+    if (!isValid) return null;
+
+    const claims = JSON.parse(
+      new TextDecoder().decode(base64UrlDecode(payload)),
+    ) as SessionClaims;
+
+    if (claims.typ !== expectedType) return null;
+    if (typeof claims.exp !== "number") return null;
+    if (claims.exp <= Math.floor(Date.now() / 1000)) return null;
+    if (!claims.sub || !claims.role) return null;
+    // Only mfa tokens are issued before a session exists
+    if (!claims.sid && claims.typ !== "mfa") return null;
+
+    return claims;
+  } catch (error) {
+    console.error("Error verifying session token:", error);
+    return null;
+  }
+}
+
+/**
+ * Issue a fresh access/refresh token pair for a user
+ */
+export async function issueSession(user: SessionUser) {
+  const accessToken = await signToken(user, "access", ACCESS_TOKEN_TTL_SECONDS);
+  const refreshToken = await signToken(
+    user,
+    "refresh",
+    REFRESH_TOKEN_TTL_SECONDS,
+  );
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresAt: Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000,
+  };
+}
+
+/**
+ * Issue the short-lived token that proves the password step passed.
+ * It is only accepted by admin-auth together with a TOTP or recovery code.
+ */
+export async function issueMfaToken(user: Omit<SessionUser, "sessionId">) {
+  return await signToken(
+    { ...user, sessionId: "" },
+    "mfa",
+    MFA_TOKEN_TTL_SECONDS,
+  );
+}
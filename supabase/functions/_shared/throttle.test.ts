@@ -0,0 +1,160 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  ACCOUNT_LOCKOUT,
+  getClientIp,
+  getLockout,
+  hitRateLimit,
+  recordAuthFailure,
+} from "./throttle.ts";
+
+const env = vi.hoisted(() => {
+  const env: Record<string, string> = {};
+  (globalThis as any).Deno = { env: { get: (name: string) => env[name] } };
+  return env;
+});
+
+const request = (forwardedFor?: string) =>
+  new Request("http://localhost/admin-auth", {
+    headers: forwardedFor ? { "x-forwarded-for": forwardedFor } : {},
+  });
+
+describe("getClientIp", () => {
+  afterEach(() => {
+    delete env.TRUSTED_PROXY_HOPS;
+  });
+
+  it("ignores a spoofed left-most entry", () => {
+    expect(getClientIp(request("6.6.6.6, 203.0.113.9"))).toBe("203.0.113.9");
+  });
+
+  it("counts TRUSTED_PROXY_HOPS entries from the right", () => {
+    env.TRUSTED_PROXY_HOPS = "2";
+    expect(getClientIp(request("6.6.6.6, 203.0.113.9, 10.0.0.1"))).toBe(
+      "203.0.113.9",
+    );
+  });
+
+  it("takes the left-most entry when there are fewer than the hop count", () => {
+    env.TRUSTED_PROXY_HOPS = "3";
+    expect(getClientIp(request("203.0.113.9, 10.0.0.1"))).toBe("203.0.113.9");
+  });
+
+  it("treats an invalid hop count as 1", () => {
+    for (const hops of ["0", "-2", "abc"]) {
+      env.TRUSTED_PROXY_HOPS = hops;
+      expect(getClientIp(request("6.6.6.6, 203.0.113.9"))).toBe("203.0.113.9");
+    }
+  });
+
+  it("is unknown without the header", () => {
+    expect(getClientIp(request())).toBe("unknown");
+    expect(getClientIp(request(" , "))).toBe("unknown");
+  });
+});
+
+describe("lockouts", () => {
+  const now = new Date("2026-05-15T12:00:00Z");
+  const inSeconds = (seconds: number) =>
+    new Date(now.getTime() + seconds * 1000).toISOString();
+
+  // auth_lockout rows and the record_auth_failure / hit_rate_limit results
+  const fakeClient = (result: { data: any; error?: any }) => {
+    const calls: { name: string; params: any }[] = [];
+    const query: any = {
+      select: () => query,
+      in: () => query,
+      gt: () => query,
+      then: (resolve: (value: any) => void) =>
+        resolve({ error: null, ...result }),
+    };
+    return {
+      calls,
+      from: () => query,
+      rpc: async (name: string, params: any) => {
+        calls.push({ name, params });
+        return { error: null, ...result };
+      },
+    };
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(now);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("waits for the last of the locked keys", async () => {
+    const supabase = fakeClient({
+      data: [{ locked_until: inSeconds(30) }, { locked_until: inSeconds(90) }],
+    });
+    expect(await getLockout(supabase, ["ip:a", "account:b"])).toBe(90);
+  });
+
+  it("isn't locked out without a live lock", async () => {
+    expect(await getLockout(fakeClient({ data: [] }), ["ip:a"])).toBe(0);
+  });
+
+  it("fails closed when the lockout can't be checked", async () => {
+    await expect(
+      getLockout(fakeClient({ data: null, error: { message: "down" } }), [
+        "ip:a",
+      ]),
+    ).rejects.toThrow("Failed to check lockout");
+  });
+
+  it("passes the policy to the database and returns the new lock", async () => {
+    const supabase = fakeClient({ data: inSeconds(60) });
+    const lockedFor = await recordAuthFailure(
+      supabase,
+      "account:b",
+      ACCOUNT_LOCKOUT,
+      { userId: "b", ip: "203.0.113.9" },
+    );
+
+    expect(lockedFor).toBe(60);
+    expect(supabase.calls).toEqual([
+      {
+        name: "record_auth_failure",
+        params: {
+          p_key: "account:b",
+          p_user_id: "b",
+          p_ip: "203.0.113.9",
+          p_free_attempts: ACCOUNT_LOCKOUT.freeAttempts,
+          p_base_seconds: ACCOUNT_LOCKOUT.baseLockSeconds,
+          p_max_seconds: ACCOUNT_LOCKOUT.maxLockSeconds,
+          p_reset_seconds: ACCOUNT_LOCKOUT.resetAfterSeconds,
+        },
+      },
+    ]);
+  });
+
+  it("isn't locked while free attempts are left", async () => {
+    const lockedFor = await recordAuthFailure(
+      fakeClient({ data: null }),
+      "ip:a",
+      ACCOUNT_LOCKOUT,
+      { ip: "a" },
+    );
+    expect(lockedFor).toBe(0);
+  });
+
+  it("returns the rate limit window and fails open", async () => {
+    expect(await hitRateLimit(fakeClient({ data: 42 }), "k", 30, 60)).toBe(42);
+
+    const consoleError = vi
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    expect(
+      await hitRateLimit(
+        fakeClient({ data: null, error: { message: "down" } }),
+        "k",
+        30,
+        60,
+      ),
+    ).toBe(0);
+    consoleError.mockRestore();
+  });
+});
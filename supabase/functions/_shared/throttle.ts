@@ -0,0 +1,136 @@
+// ============================================
+// Durable rate limiting and brute-force lockout
+// ============================================
+// State lives in the rate_limit and auth_lockout tables (see schema.sql) so
+// limits survive cold starts and apply across every function instance. The
+// counters are updated by SQL functions, which keeps each check atomic.
+
+// Failed logins and codes: a few free attempts, then exponential backoff
+export interface LockoutPolicy {
+  freeAttempts: number;
+  baseLockSeconds: number;
+  maxLockSeconds: number;
+  // Failures are forgotten after this long without a new one
+  resetAfterSeconds: number;
+}
+
+export const IP_LOCKOUT: LockoutPolicy = {
+  freeAttempts: 5,
+  baseLockSeconds: 30,
+  maxLockSeconds: 60 * 60,
+  resetAfterSeconds: 24 * 60 * 60,
+};
+
+// Stricter: once the password is known only the 6-digit code is left
+export const ACCOUNT_LOCKOUT: LockoutPolicy = {
+  freeAttempts: 3,
+  baseLockSeconds: 60,
+  maxLockSeconds: 60 * 60,
+  resetAfterSeconds: 24 * 60 * 60,
+};
+
+export const ipKey = (ip: string) => `ip:${ip}`;
+export const accountKey = (userId: string) => `account:${userId}`;
+
+/**
+ * The caller's IP address.
+ * Clients can send any x-forwarded-for they like; only the entries appended
+ * by our own proxies can be trusted, so we count TRUSTED_PROXY_HOPS entries
+ * from the right (default 1: the address the platform's edge saw).
+ */
+export function getClientIp(req: Request): string {
+  const hops = Math.max(
+    1,
+    parseInt(Deno.env.get("TRUSTED_PROXY_HOPS") || "1", 10) || 1,
+  );
+  const forwarded = (req.headers.get("x-forwarded-for") || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  return forwarded[forwarded.length - hops] || forwarded[0] || "unknown";
+}
+
+/**
+ * Count a request against a fixed window.
+ * Returns 0 if it is allowed, otherwise the seconds until the window resets.
+ */
+export async function hitRateLimit(
+  supabase: any,
+  key: string,
+  limit: number,
+  windowSeconds: number,
+): Promise<number> {
+  const { data, error } = await supabase.rpc("hit_rate_limit", {
+    p_key: key,
+    p_limit: limit,
+    p_window_seconds: windowSeconds,
+  });
+
+  if (error) {
+    // Fail open: the database being unreachable fails the request anyway
+    console.error("Rate limit check failed:", error);
+    return 0;
+  }
+  return data || 0;
+}
+
+/**
+ * Seconds until every given key is unlocked (0 if none is locked)
+ */
+export async function getLockout(
+  supabase: any,
+  keys: string[],
+): Promise<number> {
+  const { data, error } = await supabase
+    .from("auth_lockout")
+    .select("locked_until")
+    .in("key", keys)
+    .gt("locked_until", new Date().toISOString());
+
+  if (error) {
+    throw new Error(`Failed to check lockout: ${error.message}`);
+  }
+
+  return secondsUntil(
+    (data || []).map((row: { locked_until: string }) => row.locked_until),
+  );
+}
+
+/**
+ * Record a failed attempt. Returns the seconds the key is now locked for
+ * (0 while it still has free attempts).
+ */
+export async function recordAuthFailure(
+  supabase: any,
+  key: string,
+  policy: LockoutPolicy,
+  details: { userId?: string | null; ip: string },
+): Promise<number> {
+  const { data, error } = await supabase.rpc("record_auth_failure", {
+    p_key: key,
+    p_user_id: details.userId || null,
+    p_ip: details.ip,
+    p_free_attempts: policy.freeAttempts,
+    p_base_seconds: policy.baseLockSeconds,
+    p_max_seconds: policy.maxLockSeconds,
+    p_reset_seconds: policy.resetAfterSeconds,
+  });
+
+  if (error) {
+    throw new Error(`Failed to record failed attempt: ${error.message}`);
+  }
+  return secondsUntil(data ? [data] : []);
+}
+
+export async function clearAuthFailures(supabase: any, key: string) {
+  const { error } = await supabase.from("auth_lockout").delete().eq("key", key);
+  if (error) {
+    console.error("Failed to clear failed attempts:", error);
+  }
+}
+
+function secondsUntil(timestamps: string[]): number {
+  const latest = Math.max(0, ...timestamps.map((t) => new Date(t).getTime()));
+  return Math.max(0, Math.ceil((latest - Date.now()) / 1000));
+}
@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import {
+  base32Encode,
+  timeStep,
+  totp,
+  verifyTotp,
+  TOTP_PERIOD_SECONDS,
+} from "./totp.ts";
+import type { TotpAlgorithm } from "./totp.ts";
+
+const ascii = (value: string) => new TextEncoder().encode(value);
+
+// RFC 6238 appendix B: each algorithm's seed is "1234567890" repeated to its
+// key length
+const SEEDS: Record<TotpAlgorithm, Uint8Array> = {
+  "SHA-1": ascii("12345678901234567890"),
+  "SHA-256": ascii("12345678901234567890123456789012"),
+  "SHA-512": ascii(
+    "1234567890123456789012345678901234567890123456789012345678901234",
+  ),
+};
+
+// [unix time, SHA-1, SHA-256, SHA-512], 8 digits
+const VECTORS: [number, string, string, string][] = [
+  [59, "94287082", "46119246", "90693936"],
+  [1111111109, "07081804", "68084774", "25091201"],
+  [1111111111, "14050471", "67062674", "99943326"],
+  [1234567890, "89005924", "91819424", "93441116"],
+  [2000000000, "69279037", "90698825", "38618901"],
+  [20000000000, "65353130", "77737706", "47863826"],
+];
+
+const ALGORITHMS: TotpAlgorithm[] = ["SHA-1", "SHA-256", "SHA-512"];
+
+describe("totp", () => {
+  for (const [time, ...codes] of VECTORS) {
+    ALGORITHMS.forEach((algorithm, i) => {
+      it(`matches RFC 6238 for ${algorithm} at T=${time}`, async () => {
+        expect(await totp(SEEDS[algorithm], time * 1000, 8, algorithm)).toBe(
+          codes[i],
+        );
+      });
+    });
+  }
+});
+
+describe("verifyTotp", () => {
+  const key = SEEDS["SHA-1"];
+  const secret = base32Encode(key);
+  const now = 1111111109 * 1000;
+  const step = timeStep(now);
+  const codeAt = (steps: number) =>
+    totp(key, now + steps * TOTP_PERIOD_SECONDS * 1000);
+
+  it("accepts the current code and returns its step", async () => {
+    expect(await verifyTotp(secret, await codeAt(0), null, now)).toBe(step);
+  });
+
+  it("allows one step of clock drift either way", async () => {
+    expect(await verifyTotp(secret, await codeAt(-1), null, now)).toBe(
+      step - 1,
+    );
+    expect(await verifyTotp(secret, await codeAt(1), null, now)).toBe(step + 1);
+  });
+
+  it("rejects codes more than one step away", async () => {
+    expect(await verifyTotp(secret, await codeAt(-2), null, now)).toBeNull();
+    expect(await verifyTotp(secret, await codeAt(2), null, now)).toBeNull();
+  });
+
+  it("rejects a code that was already used", async () => {
+    const code = await codeAt(0);
+    const used = await verifyTotp(secret, code, null, now);
+    expect(await verifyTotp(secret, code, used, now)).toBeNull();
+  });
+
+  it("rejects an earlier step's code once a later one was used", async () => {
+    expect(await verifyTotp(secret, await codeAt(-1), step, now)).toBeNull();
+  });
+
+  it("rejects codes that aren't six digits", async () => {
+    const code = await codeAt(0);
+    expect(await verifyTotp(secret, code.slice(1), null, now)).toBeNull();
+    expect(await verifyTotp(secret, `${code}0`, null, now)).toBeNull();
+    expect(await verifyTotp(secret, "abcdef", null, now)).toBeNull();
+  });
+});
@@ -0,0 +1,198 @@
+// ============================================
+// TOTP (RFC 6238) and recovery codes
+// ============================================
+// Pure Web Crypto, no network access: codes are derived from the shared
+// secret and the current 30-second time step only. Authenticator apps use
+// HMAC-SHA1 with 6 digits; the other algorithms exist for the RFC test
+// vectors.
+
+export const TOTP_PERIOD_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+export const TOTP_SECRET_BYTES = 20; // 160 bits, as recommended by RFC 4226
+
+// Accept codes one step either side of now to allow for clock drift
+const DRIFT_STEPS = 1;
+
+export const RECOVERY_CODE_COUNT = 10;
+
+export type TotpAlgorithm = "SHA-1" | "SHA-256" | "SHA-512";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export function base32Encode(bytes: Uint8Array): string {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+export function base32Decode(value: string): Uint8Array {
+  const clean = value.toUpperCase().replace(/[\s=-]/g, "");
+  const bytes: number[] = [];
+  let bits = 0;
+  let buffer = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    buffer = (buffer << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return new Uint8Array(bytes);
+}
+
+export function generateTotpSecret(): string {
+  return base32Encode(
+    crypto.getRandomValues(new Uint8Array(TOTP_SECRET_BYTES)),
+  );
+}
+
+/**
+ * HOTP (RFC 4226) value for a counter, zero-padded to `digits`
+ */
+export async function hotp(
+  key: Uint8Array,
+  counter: number,
+  digits: number = TOTP_DIGITS,
+  algorithm: TotpAlgorithm = "SHA-1",
+): Promise<string> {
+  // 8-byte big-endian counter; time steps fit comfortably in 53 bits
+  const message = new Uint8Array(8);
+  let remaining = counter;
+  for (let i = 7; i >= 0; i--) {
+    message[i] = remaining % 256;
+    remaining = Math.floor(remaining / 256);
+  }
+
+  const cryptoKey = await crypto.subtle.importKey(
+    "raw",
+    key,
+    { name: "HMAC", hash: algorithm },
+    false,
+    ["sign"],
+  );
+  const mac = new Uint8Array(
+    await crypto.subtle.sign("HMAC", cryptoKey, message),
+  );
+
+  // Dynamic truncation
+  const offset = mac[mac.length - 1] & 0x0f;
+  const binary =
+    ((mac[offset] & 0x7f) << 24) |
+    (mac[offset + 1] << 16) |
+    (mac[offset + 2] << 8) |
+    mac[offset + 3];
+
+  return (binary % 10 ** digits).toString().padStart(digits, "0");
+}
+
+export function timeStep(timeMs: number = Date.now()): number {
+  return Math.floor(timeMs / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * TOTP value at a point in time
+ */
+export async function totp(
+  key: Uint8Array,
+  timeMs: number = Date.now(),
+  digits: number = TOTP_DIGITS,
+  algorithm: TotpAlgorithm = "SHA-1",
+): Promise<string> {
+  return await hotp(key, timeStep(timeMs), digits, algorithm);
+}
+
+/**
+ * Check a 6-digit code against a base32 secret.
+ * Returns the matching time step, or null. Steps at or before
+ * `lastUsedStep` are rejected so a code can't be replayed.
+ */
+export async function verifyTotp(
+  secret: string,
+  code: string,
+  lastUsedStep: number | null = null,
+  timeMs: number = Date.now(),
+): Promise<number | null> {
+  const normalized = code.replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const current = timeStep(timeMs);
+
+  for (
+    let step = current - DRIFT_STEPS;
+    step <= current + DRIFT_STEPS;
+    step++
+  ) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    if ((await hotp(key, step)) === normalized) return step;
+  }
+
+  return null;
+}
+
+/**
+ * otpauth:// URI understood by authenticator apps
+ */
+export function otpauthUrl(secret: string, account: string, issuer: string) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// ============================================
+// Recovery codes
+// ============================================
+// One-time codes like "k7f2-9xqm-c4ta". They are random (60 bits), so a
+// plain SHA-256 is enough to store them; only the hashes are kept.
+
+// 32 characters (no i, l, o or 1) so each random byte maps without bias
+const RECOVERY_ALPHABET = "abcdefghjkmnpqrstuvwxyz023456789";
+
+export function generateRecoveryCodes(
+  count: number = RECOVERY_CODE_COUNT,
+): string[] {
+  return Array.from({ length: count }, () => {
+    const bytes = crypto.getRandomValues(new Uint8Array(12));
+    const chars = Array.from(bytes, (b) => RECOVERY_ALPHABET[b & 31]).join("");
+    return `${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+  });
+}
+
+export function normalizeRecoveryCode(code: string): string {
+  return code.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+export async function hashRecoveryCode(code: string): Promise<string> {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(normalizeRecoveryCode(code)),
+  );
+  return Array.from(new Uint8Array(digest), (b) =>
+    b.toString(16).padStart(2, "0"),
+  ).join("");
+}
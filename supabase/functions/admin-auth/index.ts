@@ -1,54 +1,39 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
-
-// PBKDF2 password verification function
-async function verifyPassword(
-  password: string,
-  storedHash: string,
-): Promise<boolean> {
-  try {
-    const parts = storedHash.split("$");
-    if (parts.length !== 3) return false;
-
-    const [iterationsStr, saltBase64, hashBase64] = parts;
-    const iterations = parseInt(iterationsStr, 10);
-    if (isNaN(iterations)) return false;
-
-    const salt = Uint8Array.from(atob(saltBase64), (c) => c.charCodeAt(0));
-    const storedHashBytes = Uint8Array.from(atob(hashBase64), (c) =>
-      c.charCodeAt(0),
-    );
-
-    const passwordBuffer = new TextEncoder().encode(password);
-    const key = await crypto.subtle.importKey(
-      "raw",
-      passwordBuffer,
-      { name: "PBKDF2" },
-      false,
-      ["deriveBits"],
-    );
-
-    const hashBuffer = await crypto.subtle.deriveBits(
-      { name: "PBKDF2", salt: salt, iterations: iterations, hash: "SHA-256" },
-      key,
-      32 * 8,
-    );
-
-    const hashBytes = new Uint8Array(hashBuffer);
-    if (hashBytes.length !== storedHashBytes.length) return false;
-
-    // Constant-time comparison
-    let diff = 0;
-    for (let i = 0; i < hashBytes.length; i++) {
-      diff |= hashBytes[i] ^ storedHashBytes[i];
-    }
-
-    return diff === 0;
-  } catch (error) {
-    console.error("Error verifying password:", error);
-    return false;
-  }
-}
+import {
+  issueMfaToken,
+  issueSession,
+  REFRESH_TOKEN_TTL_SECONDS,
+  verifyToken,
+} from "../_shared/session.ts";
+import {
+  getPermissions,
+  isManagement,
+  normalizeRole,
+} from "../_shared/permissions.ts";
+import {
+  ACCESS_STATUS_MESSAGES,
+  getAccessStatus,
+  loadLiveSession,
+} from "../_shared/access.ts";
+import {
+  ACCOUNT_LOCKOUT,
+  accountKey,
+  clearAuthFailures,
+  getClientIp,
+  getLockout,
+  hitRateLimit,
+  IP_LOCKOUT,
+  ipKey,
+  recordAuthFailure,
+} from "../_shared/throttle.ts";
+import {
+  checkSecondFactor,
+  handleMfaAction,
+  LOCKED_OUT_MESSAGE,
+  MFA_COLUMNS,
+} from "./mfa.ts";
+import { findUserByPassword } from "./password.ts";
 
 // Helper function to get CORS headers
 function getCorsHeaders(origin: string | null): HeadersInit {
@@ -82,28 +67,111 @@ function getCorsHeaders(origin: string | null): HeadersInit {
   return {
     "Access-Control-Allow-Origin": allowOrigin,
     "Access-Control-Allow-Headers":
-      "authorization, x-client-info, apikey, content-type",
+      "authorization, x-client-info, apikey, content-type, x-session-token",
     "Access-Control-Allow-Methods": "POST, OPTIONS",
     "Access-Control-Max-Age": "86400",
   };
 }
 
-// Rate limiting (in-memory, per function instance)
-const rateLimits = new Map<string, { count: number; resetTime: number }>();
-function checkRateLimit(
-  key: string,
-  maxRequests: number,
-  windowMs: number,
-): boolean {
-  const now = Date.now();
-  const entry = rateLimits.get(key);
-  if (!entry || now > entry.resetTime) {
-    rateLimits.set(key, { count: 1, resetTime: now + windowMs });
-    return true;
+// Record a login attempt for the management audit view.
+// Never fails the login itself if the insert fails.
+async function recordLoginEvent(
+  supabase: any,
+  event: {
+    user_id?: string | null;
+    user_name?: string | null;
+    outcome: "success" | "failure" | "rate_limited";
+    ip: string;
+    user_agent: string | null;
+  },
+) {
+  const { error } = await supabase.from("login_event").insert(event);
+  if (error) {
+    console.error("Failed to record login event:", error);
+  }
+}
+
+// Open a session row (listed in the management view) and record the login
+async function openSession(
+  supabase: any,
+  user: { id: string; name: string | null },
+  ip: string,
+  userAgent: string | null,
+): Promise<string> {
+  const { data: sessionRow, error } = await supabase
+    .from("investor_session")
+    .insert({
+      user_id: user.id,
+      ip,
+      user_agent: userAgent,
+      expires_at: new Date(
+        Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000,
+      ).toISOString(),
+    })
+    .select("id")
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create session: ${error.message}`);
   }
-  if (entry.count >= maxRequests) return false;
-  entry.count++;
-  return true;
+
+  await recordLoginEvent(supabase, {
+    user_id: user.id,
+    user_name: user.name,
+    outcome: "success",
+    ip,
+    user_agent: userAgent,
+  });
+
+  return sessionRow.id;
+}
+
+// Build the success payload returned for both login and refresh
+async function sessionResponse(
+  user: { id: string; name: string | null; role: string | null },
+  sessionId: string,
+  corsHeaders: HeadersInit,
+): Promise<Response> {
+  const role = normalizeRole(user.role);
+  const session = await issueSession({
+    id: user.id,
+    sessionId,
+    name: user.name,
+    role,
+  });
+
+  return new Response(
+    JSON.stringify({
+      authenticated: true,
+      role,
+      permissions: getPermissions(role),
+      userName: user.name,
+      ...session,
+    }),
+    {
+      status: 200,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    },
+  );
+}
+
+// 429 with the wait time, which the login form shows as a countdown
+function throttledResponse(
+  error: string,
+  retryAfter: number,
+  corsHeaders: HeadersInit,
+): Response {
+  return new Response(
+    JSON.stringify({ error, authenticated: false, retryAfter }),
+    {
+      status: 429,
+      headers: {
+        ...corsHeaders,
+        "Content-Type": "application/json",
+        "Retry-After": String(retryAfter),
+      },
+    },
+  );
 }
 
 serve(async (req) => {
@@ -119,27 +187,252 @@ serve(async (req) => {
   }
 
   try {
-    // Rate limiting by IP (10 attempts per 5 minutes)
-    const ip =
-      req.headers.get("x-forwarded-for") ||
-      req.headers.get("x-real-ip") ||
-      "unknown";
-    if (!checkRateLimit(ip, 10, 5 * 60 * 1000)) {
-      return new Response(
-        JSON.stringify({
-          error: "Too many requests. Please try again later.",
-          authenticated: false,
-        }),
-        {
-          status: 429,
+    // Create Supabase client with service role key
+    const supabaseUrl = Deno.env.get("SUPABASE_URL");
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+
+    if (!supabaseUrl || !supabaseServiceKey) {
+      throw new Error("Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY");
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Rate limiting by IP (30 requests per 5 minutes, shared by all
+    // instances). Failed attempts are throttled separately below.
+    const ip = getClientIp(req);
+    const userAgent = req.headers.get("user-agent");
+    const retryAfter = await hitRateLimit(
+      supabase,
+      `admin-auth:${ip}`,
+      30,
+      5 * 60,
+    );
+    if (retryAfter > 0) {
+      await recordLoginEvent(supabase, {
+        outcome: "rate_limited",
+        ip,
+        user_agent: userAgent,
+      });
+      return throttledResponse(
+        "Too many requests. Please try again later.",
+        retryAfter,
+        corsHeaders,
+      );
+    }
+
+    const { password, refreshToken, mfaToken, code, action } = await req
+      .json()
+      .catch(() => ({}));
+
+    // Logout: end the refresh token's session so it can't be refreshed any
+    // more and no longer shows as active in the login activity
+    if (action === "logout") {
+      const claims =
+        typeof refreshToken === "string"
+          ? await verifyToken(refreshToken, "refresh")
+          : null;
+
+      if (claims) {
+        const { error } = await supabase
+          .from("investor_session")
+          .update({ revoked_at: new Date().toISOString() })
+          .eq("id", claims.sid)
+          .eq("user_id", claims.sub)
+          .is("revoked_at", null);
+        if (error) {
+          throw new Error(`Failed to end session: ${error.message}`);
+        }
+      }
+
+      return new Response(JSON.stringify({ success: true }), {
+        status: 200,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // Two-factor enrolment for the logged-in management user
+    if (action !== undefined) {
+      const sessionToken = req.headers.get("x-session-token");
+      const claims = sessionToken
+        ? await verifyToken(sessionToken, "access")
+        : null;
+      const liveSession = claims
+        ? await loadLiveSession(supabase, claims)
+        : null;
+
+      if (!liveSession) {
+        return new Response(JSON.stringify({ error: "Session expired" }), {
+          status: 401,
           headers: { ...corsHeaders, "Content-Type": "application/json" },
-        },
+        });
+      }
+      if (!isManagement(liveSession.role)) {
+        return new Response(
+          JSON.stringify({ error: "Insufficient permissions" }),
+          {
+            status: 403,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          },
+        );
+      }
+
+      const result = await handleMfaAction(
+        supabase,
+        claims!.sub,
+        String(action),
+        code,
+        ip,
       );
+      if (result.status === 429) {
+        return throttledResponse(
+          LOCKED_OUT_MESSAGE,
+          Number(result.body.retryAfter),
+          corsHeaders,
+        );
+      }
+      return new Response(JSON.stringify(result.body), {
+        status: result.status,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
     }
 
-    // Input validation
-    const { password } = await req.json().catch(() => ({}));
+    // Refresh flow: exchange a valid refresh token for a new session.
+    // The user row is re-read so role changes, revocation and expiry take
+    // effect, and the session row is extended so management can see it as
+    // active.
+    if (refreshToken !== undefined) {
+      const claims =
+        typeof refreshToken === "string"
+          ? await verifyToken(refreshToken, "refresh")
+          : null;
+
+      const { data: account } = claims
+        ? await supabase
+            .from("investor_password")
+            .select("id, name, role, revoked_at, valid_from, expires_at")
+            .eq("id", claims.sub)
+            .maybeSingle()
+        : { data: null };
 
+      const user =
+        account && getAccessStatus(account) === "active" ? account : null;
+
+      const { data: sessionRow } = user
+        ? await supabase
+            .from("investor_session")
+            .update({
+              last_seen_at: new Date().toISOString(),
+              expires_at: new Date(
+                Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000,
+              ).toISOString(),
+            })
+            .eq("id", claims!.sid)
+            .eq("user_id", user.id)
+            .is("revoked_at", null)
+            .select("id")
+            .maybeSingle()
+        : { data: null };
+
+      if (!user || !sessionRow) {
+        return new Response(
+          JSON.stringify({ error: "Session expired", authenticated: false }),
+          {
+            status: 401,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          },
+        );
+      }
+
+      return await sessionResponse(user, sessionRow.id, corsHeaders);
+    }
+
+    // Second step: exchange the mfa token from the password step plus a
+    // TOTP or recovery code for a session
+    if (mfaToken !== undefined) {
+      const claims =
+        typeof mfaToken === "string"
+          ? await verifyToken(mfaToken, "mfa")
+          : null;
+
+      const { data: account } = claims
+        ? await supabase
+            .from("investor_password")
+            .select(`${MFA_COLUMNS}, role, revoked_at, valid_from, expires_at`)
+            .eq("id", claims.sub)
+            .maybeSingle()
+        : { data: null };
+
+      if (
+        !account ||
+        getAccessStatus(account) !== "active" ||
+        !account.totp_enabled_at
+      ) {
+        return new Response(
+          JSON.stringify({ error: "Session expired", authenticated: false }),
+          {
+            status: 401,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          },
+        );
+      }
+
+      // Codes are guessable in bulk, so they are throttled per account as
+      // well as per IP
+      const lockedFor = await getLockout(supabase, [
+        ipKey(ip),
+        accountKey(account.id),
+      ]);
+      if (lockedFor > 0) {
+        await recordLoginEvent(supabase, {
+          user_id: account.id,
+          user_name: account.name,
+          outcome: "rate_limited",
+          ip,
+          user_agent: userAgent,
+        });
+        return throttledResponse(LOCKED_OUT_MESSAGE, lockedFor, corsHeaders);
+      }
+
+      if (!(await checkSecondFactor(supabase, account, code))) {
+        await recordLoginEvent(supabase, {
+          user_id: account.id,
+          user_name: account.name,
+          outcome: "failure",
+          ip,
+          user_agent: userAgent,
+        });
+        const details = { userId: account.id, ip };
+        const lockedNow = Math.max(
+          await recordAuthFailure(supabase, ipKey(ip), IP_LOCKOUT, details),
+          await recordAuthFailure(
+            supabase,
+            accountKey(account.id),
+            ACCOUNT_LOCKOUT,
+            details,
+          ),
+        );
+        if (lockedNow > 0) {
+          return throttledResponse(LOCKED_OUT_MESSAGE, lockedNow, corsHeaders);
+        }
+        return new Response(
+          JSON.stringify({
+            error: "Invalid code",
+            authenticated: false,
+            mfaRequired: true,
+          }),
+          {
+            status: 401,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          },
+        );
+      }
+
+      await clearAuthFailures(supabase, accountKey(account.id));
+      const sessionId = await openSession(supabase, account, ip, userAgent);
+      return await sessionResponse(account, sessionId, corsHeaders);
+    }
+
+    // Input validation
     if (
       !password ||
       typeof password !== "string" ||
@@ -158,22 +451,27 @@ serve(async (req) => {
       );
     }
 
-    // Create Supabase client with service role key
-    const supabaseUrl = Deno.env.get("SUPABASE_URL");
-    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
-
-    if (!supabaseUrl || !supabaseServiceKey) {
-      throw new Error("Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY");
+    // Sources with repeated failures are locked out with exponential backoff
+    const ipLockedFor = await getLockout(supabase, [ipKey(ip)]);
+    if (ipLockedFor > 0) {
+      await recordLoginEvent(supabase, {
+        outcome: "rate_limited",
+        ip,
+        user_agent: userAgent,
+      });
+      return throttledResponse(LOCKED_OUT_MESSAGE, ipLockedFor, corsHeaders);
     }
 
-    const supabase = createClient(supabaseUrl, supabaseServiceKey);
-
-    // Get all password records (we need to check each hash)
-    const { data: passwords, error } = await supabase
-      .from("investor_password")
-      .select("id, name, is_artemis_management, password_hash");
-
-    if (error) {
+    // Resolve the user from the password (one indexed lookup + one PBKDF2
+    // check once every account has a password_lookup)
+    let matchedUser;
+    try {
+      matchedUser = await findUserByPassword(
+        supabase,
+        password,
+        "id, name, role, revoked_at, valid_from, expires_at, totp_enabled_at",
+      );
+    } catch (error) {
       console.error("Database error:", error);
       return new Response(
         JSON.stringify({
@@ -187,20 +485,21 @@ serve(async (req) => {
       );
     }
 
-    // Try to verify password against each stored hash
-    let matchedUser = null;
-
-    for (const user of passwords || []) {
-      if (user.password_hash) {
-        const isValid = await verifyPassword(password, user.password_hash);
-        if (isValid) {
-          matchedUser = user;
-          break;
-        }
-      }
-    }
-
     if (!matchedUser) {
+      await recordLoginEvent(supabase, {
+        outcome: "failure",
+        ip,
+        user_agent: userAgent,
+      });
+      const lockedNow = await recordAuthFailure(
+        supabase,
+        ipKey(ip),
+        IP_LOCKOUT,
+        { ip },
+      );
+      if (lockedNow > 0) {
+        return throttledResponse(LOCKED_OUT_MESSAGE, lockedNow, corsHeaders);
+      }
       return new Response(
         JSON.stringify({ error: "Invalid password", authenticated: false }),
         {
@@ -210,18 +509,71 @@ serve(async (req) => {
       );
     }
 
-    // Return success
-    return new Response(
-      JSON.stringify({
-        authenticated: true,
-        isArtemisManagement: matchedUser.is_artemis_management || false,
-        userName: matchedUser.name,
-      }),
-      {
-        status: 200,
-        headers: { ...corsHeaders, "Content-Type": "application/json" },
-      },
-    );
+    // An account locked by failed codes stays locked even with the password
+    const accountLockedFor = await getLockout(supabase, [
+      accountKey(matchedUser.id),
+    ]);
+    if (accountLockedFor > 0) {
+      await recordLoginEvent(supabase, {
+        user_id: matchedUser.id,
+        user_name: matchedUser.name,
+        outcome: "rate_limited",
+        ip,
+        user_agent: userAgent,
+      });
+      return throttledResponse(
+        LOCKED_OUT_MESSAGE,
+        accountLockedFor,
+        corsHeaders,
+      );
+    }
+
+    // Time-boxed access: the password is right but outside its window
+    const accessStatus = getAccessStatus(matchedUser);
+    if (accessStatus !== "active") {
+      await recordLoginEvent(supabase, {
+        user_id: matchedUser.id,
+        user_name: matchedUser.name,
+        outcome: "failure",
+        ip,
+        user_agent: userAgent,
+      });
+      return new Response(
+        JSON.stringify({
+          error: ACCESS_STATUS_MESSAGES[accessStatus],
+          authenticated: false,
+        }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    // Enrolled accounts need a TOTP or recovery code before a session opens
+    if (matchedUser.totp_enabled_at) {
+      const pendingToken = await issueMfaToken({
+        id: matchedUser.id,
+        name: matchedUser.name,
+        role: normalizeRole(matchedUser.role),
+      });
+      return new Response(
+        JSON.stringify({
+          authenticated: false,
+          mfaRequired: true,
+          mfaToken: pendingToken,
+        }),
+        {
+          status: 200,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    // Return success with a fresh session
+    await clearAuthFailures(supabase, accountKey(matchedUser.id));
+    const sessionId = await openSession(supabase, matchedUser, ip, userAgent);
+    return await sessionResponse(matchedUser, sessionId, corsHeaders);
   } catch (error) {
     console.error("Error in admin-auth function:", error);
     return new Response(
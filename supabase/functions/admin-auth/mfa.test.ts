@@ -0,0 +1,131 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { handleMfaAction } from "./mfa.ts";
+import { ACCOUNT_LOCKOUT } from "../_shared/throttle.ts";
+
+// mfa.ts reads its issuer from the Deno environment when it loads
+vi.hoisted(() => {
+  (globalThis as any).Deno = { env: { get: () => undefined } };
+});
+
+const USER_ID = "user-1";
+const IP = "203.0.113.7";
+
+// A management user with two-factor enabled, whose codes never match
+let lockedUntil: string | null;
+let failureLockedUntil: string | null;
+let calls: string[];
+let failures: Record<string, unknown>[];
+
+const supabase = {
+  rpc: async (name: string, params: Record<string, unknown>) => {
+    calls.push(`rpc ${name}`);
+    failures.push(params);
+    return { data: failureLockedUntil, error: null };
+  },
+  from: (table: string) => {
+    const query: any = {
+      select: () => query,
+      eq: () => query,
+      in: () => query,
+      gt: () => query,
+      is: () => query,
+      or: () => query,
+      update: () => {
+        calls.push(`update ${table}`);
+        return query;
+      },
+      delete: () => {
+        calls.push(`delete ${table}`);
+        return query;
+      },
+      insert: () => {
+        calls.push(`insert ${table}`);
+        return query;
+      },
+      single: async () => ({
+        data: {
+          id: USER_ID,
+          name: "Owner",
+          totp_secret: "JBSWY3DPEHPK3PXP",
+          totp_enabled_at: "2026-01-01T00:00:00Z",
+          totp_last_step: null,
+        },
+        error: null,
+      }),
+      maybeSingle: async () => ({ data: null, error: null }),
+      then: (resolve: (value: any) => void) =>
+        resolve({
+          data:
+            table === "auth_lockout" && lockedUntil
+              ? [{ locked_until: lockedUntil }]
+              : [],
+          error: null,
+        }),
+    };
+    return query;
+  },
+};
+
+const inAMinute = () => new Date(Date.now() + 60 * 1000).toISOString();
+
+beforeEach(() => {
+  lockedUntil = null;
+  failureLockedUntil = null;
+  calls = [];
+  failures = [];
+});
+
+describe.each(["totpDisable", "totpRecoveryCodes"])(
+  "handleMfaAction: %s",
+  (action) => {
+    it("records a wrong code against the IP and the account", async () => {
+      const result = await handleMfaAction(
+        supabase,
+        USER_ID,
+        action,
+        "000000",
+        IP,
+      );
+
+      expect(result.status).toBe(400);
+      expect(failures).toEqual([
+        expect.objectContaining({ p_key: `ip:${IP}`, p_user_id: USER_ID }),
+        expect.objectContaining({
+          p_key: `account:${USER_ID}`,
+          p_free_attempts: ACCOUNT_LOCKOUT.freeAttempts,
+          p_base_seconds: ACCOUNT_LOCKOUT.baseLockSeconds,
+        }),
+      ]);
+    });
+
+    it("locks out once the free attempts are used up", async () => {
+      failureLockedUntil = inAMinute();
+
+      const result = await handleMfaAction(
+        supabase,
+        USER_ID,
+        action,
+        "000000",
+        IP,
+      );
+
+      expect(result.status).toBe(429);
+      expect(result.body.retryAfter).toBeGreaterThan(0);
+    });
+
+    it("doesn't check the code while locked out", async () => {
+      lockedUntil = inAMinute();
+
+      const result = await handleMfaAction(
+        supabase,
+        USER_ID,
+        action,
+        "000000",
+        IP,
+      );
+
+      expect(result.status).toBe(429);
+      expect(calls).toEqual([]);
+    });
+  },
+);
@@ -0,0 +1,254 @@
+// ============================================
+// TOTP second factor for management accounts
+// ============================================
+// Enrolment is opt-in: a management user starts it from the dashboard,
+// scans the secret into an authenticator app and confirms with a first code.
+// From then on the password alone only yields an mfa token, which admin-auth
+// exchanges for a session together with a TOTP or recovery code.
+
+import {
+  generateRecoveryCodes,
+  generateTotpSecret,
+  hashRecoveryCode,
+  otpauthUrl,
+  verifyTotp,
+} from "../_shared/totp.ts";
+import {
+  ACCOUNT_LOCKOUT,
+  accountKey,
+  clearAuthFailures,
+  getLockout,
+  IP_LOCKOUT,
+  ipKey,
+  recordAuthFailure,
+} from "../_shared/throttle.ts";
+
+const TOTP_ISSUER = Deno.env.get("TOTP_ISSUER") || "Investor Dashboard";
+
+export const LOCKED_OUT_MESSAGE =
+  "Too many failed attempts. Please try again later.";
+
+export const MFA_COLUMNS =
+  "id, name, totp_secret, totp_enabled_at, totp_last_step";
+
+export interface MfaUser {
+  id: string;
+  name: string | null;
+  totp_secret: string | null;
+  totp_enabled_at: string | null;
+  totp_last_step: number | null;
+}
+
+/**
+ * Check a TOTP or recovery code for a user with two-factor enabled.
+ * Used codes are recorded so neither kind can be replayed.
+ */
+export async function checkSecondFactor(
+  supabase: any,
+  user: MfaUser,
+  code: unknown,
+): Promise<boolean> {
+  if (!user.totp_secret || typeof code !== "string" || code.length > 32) {
+    return false;
+  }
+
+  const step = await verifyTotp(user.totp_secret, code, user.totp_last_step);
+  if (step !== null) {
+    // Conditional update so two requests can't both use the same code
+    const { data } = await supabase
+      .from("investor_password")
+      .update({ totp_last_step: step })
+      .eq("id", user.id)
+      .or(`totp_last_step.is.null,totp_last_step.lt.${step}`)
+      .select("id")
+      .maybeSingle();
+    return !!data;
+  }
+
+  const { data } = await supabase
+    .from("totp_recovery_code")
+    .update({ used_at: new Date().toISOString() })
+    .eq("user_id", user.id)
+    .eq("code_hash", await hashRecoveryCode(code))
+    .is("used_at", null)
+    .select("id")
+    .maybeSingle();
+  return !!data;
+}
+
+// Replace a user's recovery codes and return the new plaintext codes
+async function resetRecoveryCodes(
+  supabase: any,
+  userId: string,
+): Promise<string[]> {
+  const codes = generateRecoveryCodes();
+
+  const { error: deleteError } = await supabase
+    .from("totp_recovery_code")
+    .delete()
+    .eq("user_id", userId);
+  if (deleteError) {
+    throw new Error(`Failed to clear recovery codes: ${deleteError.message}`);
+  }
+
+  const rows = await Promise.all(
+    codes.map(async (code) => ({
+      user_id: userId,
+      code_hash: await hashRecoveryCode(code),
+    })),
+  );
+  const { error } = await supabase.from("totp_recovery_code").insert(rows);
+  if (error) {
+    throw new Error(`Failed to store recovery codes: ${error.message}`);
+  }
+
+  return codes;
+}
+
+function lockedOut(retryAfter: number) {
+  return { status: 429, body: { error: LOCKED_OUT_MESSAGE, retryAfter } };
+}
+
+async function updateUser(supabase: any, userId: string, values: object) {
+  const { error } = await supabase
+    .from("investor_password")
+    .update(values)
+    .eq("id", userId);
+  if (error) {
+    throw new Error(`Failed to update two-factor settings: ${error.message}`);
+  }
+}
+
+/**
+ * Handle an enrolment action for the logged-in management user.
+ * Returns the HTTP status and JSON body.
+ */
+export async function handleMfaAction(
+  supabase: any,
+  userId: string,
+  action: string,
+  code: unknown,
+  ip: string,
+): Promise<{ status: number; body: Record<string, unknown> }> {
+  const { data: user, error } = await supabase
+    .from("investor_password")
+    .select(MFA_COLUMNS)
+    .eq("id", userId)
+    .single();
+
+  if (error || !user) {
+    throw new Error(`Failed to load user: ${error?.message}`);
+  }
+
+  const enabled = !!user.totp_enabled_at;
+
+  switch (action) {
+    case "totpStatus": {
+      const { count } = await supabase
+        .from("totp_recovery_code")
+        .select("id", { count: "exact", head: true })
+        .eq("user_id", userId)
+        .is("used_at", null);
+      return {
+        status: 200,
+        body: { enabled, recoveryCodesRemaining: enabled ? count || 0 : 0 },
+      };
+    }
+
+    // Step 1: generate a secret. It isn't enforced until confirmed.
+    case "totpEnroll": {
+      if (enabled) {
+        return {
+          status: 409,
+          body: { error: "Two-factor authentication is already enabled" },
+        };
+      }
+      const secret = generateTotpSecret();
+      await updateUser(supabase, userId, {
+        totp_secret: secret,
+        totp_last_step: null,
+      });
+      return {
+        status: 200,
+        body: {
+          secret,
+          otpauthUrl: otpauthUrl(secret, user.name || userId, TOTP_ISSUER),
+        },
+      };
+    }
+
+    // Step 2: prove the authenticator app has the secret, then enforce it
+    case "totpConfirm": {
+      if (enabled || !user.totp_secret) {
+        return { status: 409, body: { error: "No enrolment in progress" } };
+      }
+      const step =
+        typeof code === "string"
+          ? await verifyTotp(user.totp_secret, code)
+          : null;
+      if (step === null) {
+        return { status: 400, body: { error: "Invalid code" } };
+      }
+      await updateUser(supabase, userId, {
+        totp_enabled_at: new Date().toISOString(),
+        totp_last_step: step,
+      });
+      const recoveryCodes = await resetRecoveryCodes(supabase, userId);
+      return { status: 200, body: { enabled: true, recoveryCodes } };
+    }
+
+    case "totpRecoveryCodes":
+    case "totpDisable": {
+      if (!enabled) {
+        return {
+          status: 409,
+          body: { error: "Two-factor authentication is not enabled" },
+        };
+      }
+
+      // Throttled like the login code step, or a stolen session could
+      // guess its way to disabling two-factor
+      const lockedFor = await getLockout(supabase, [
+        ipKey(ip),
+        accountKey(userId),
+      ]);
+      if (lockedFor > 0) {
+        return lockedOut(lockedFor);
+      }
+
+      if (!(await checkSecondFactor(supabase, user, code))) {
+        const details = { userId, ip };
+        const lockedNow = Math.max(
+          await recordAuthFailure(supabase, ipKey(ip), IP_LOCKOUT, details),
+          await recordAuthFailure(
+            supabase,
+            accountKey(userId),
+            ACCOUNT_LOCKOUT,
+            details,
+          ),
+        );
+        if (lockedNow > 0) {
+          return lockedOut(lockedNow);
+        }
+        return { status: 400, body: { error: "Invalid code" } };
+      }
+      await clearAuthFailures(supabase, accountKey(userId));
+
+      if (action === "totpRecoveryCodes") {
+        const recoveryCodes = await resetRecoveryCodes(supabase, userId);
+        return { status: 200, body: { enabled: true, recoveryCodes } };
+      }
+
+      await updateUser(supabase, userId, {
+        totp_secret: null,
+        totp_enabled_at: null,
+        totp_last_step: null,
+      });
+      await supabase.from("totp_recovery_code").delete().eq("user_id", userId);
+      return { status: 200, body: { enabled: false } };
+    }
+
+    default:
+      return { status: 400, body: { error: "Invalid action" } };
+  }
+}
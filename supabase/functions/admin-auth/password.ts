@@ -0,0 +1,149 @@
+// ============================================
+// Password verification and lookup
+// ============================================
+// Logins only send a password, so the user has to be found from it. Scanning
+// every account with 100k-iteration PBKDF2 costs O(users) per login; instead
+// each account stores password_lookup = HMAC-SHA256(PASSWORD_LOOKUP_SECRET,
+// password), which finds the single candidate row to run PBKDF2 against.
+// The HMAC key is a server-side secret, so the lookup column alone is no
+// easier to attack than the PBKDF2 hashes. scripts/hash-password.js computes
+// the same value for the CLI.
+
+// PBKDF2 password verification function
+export async function verifyPassword(
+  password: string,
+  storedHash: string,
+): Promise<boolean> {
+  try {
+    const parts = storedHash.split("$");
+    if (parts.length !== 3) return false;
+
+    const [iterationsStr, saltBase64, hashBase64] = parts;
+    const iterations = parseInt(iterationsStr, 10);
+    if (isNaN(iterations)) return false;
+
+    const salt = Uint8Array.from(atob(saltBase64), (c) => c.charCodeAt(0));
+    const storedHashBytes = Uint8Array.from(atob(hashBase64), (c) =>
+      c.charCodeAt(0),
+    );
+
+    const passwordBuffer = new TextEncoder().encode(password);
+    const key = await crypto.subtle.importKey(
+      "raw",
+      passwordBuffer,
+      { name: "PBKDF2" },
+      false,
+      ["deriveBits"],
+    );
+
+    const hashBuffer = await crypto.subtle.deriveBits(
+      { name: "PBKDF2", salt: salt, iterations: iterations, hash: "SHA-256" },
+      key,
+      32 * 8,
+    );
+
+    const hashBytes = new Uint8Array(hashBuffer);
+    if (hashBytes.length !== storedHashBytes.length) return false;
+
+    // Constant-time comparison
+    let diff = 0;
+    for (let i = 0; i < hashBytes.length; i++) {
+      diff |= hashBytes[i] ^ storedHashBytes[i];
+    }
+
+    return diff === 0;
+  } catch (error) {
+    console.error("Error verifying password:", error);
+    return false;
+  }
+}
+
+let cachedLookupKey: CryptoKey | null = null;
+
+/**
+ * Keyed hash used to find an account by password.
+ * Returns null if PASSWORD_LOOKUP_SECRET isn't configured.
+ */
+export async function passwordLookup(password: string): Promise<string | null> {
+  const secret = Deno.env.get("PASSWORD_LOOKUP_SECRET");
+  if (!secret) return null;
+
+  if (!cachedLookupKey) {
+    cachedLookupKey = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(secret),
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign"],
+    );
+  }
+
+  const mac = await crypto.subtle.sign(
+    "HMAC",
+    cachedLookupKey,
+    new TextEncoder().encode(password),
+  );
+  return Array.from(new Uint8Array(mac), (b) =>
+    b.toString(16).padStart(2, "0"),
+  ).join("");
+}
+
+/**
+ * Find the active (not revoked) account with this password, or null.
+ * Accounts created before password_lookup existed are found by the old scan
+ * and get their lookup filled in, so the scan shrinks to nothing over time.
+ * Throws on database errors.
+ */
+export async function findUserByPassword(
+  supabase: any,
+  password: string,
+  columns: string,
+): Promise<any | null> {
+  const lookup = await passwordLookup(password);
+  const selectColumns = `${columns}, password_hash`;
+
+  if (lookup) {
+    const { data: candidate, error } = await supabase
+      .from("investor_password")
+      .select(selectColumns)
+      .eq("password_lookup", lookup)
+      .is("revoked_at", null)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (candidate?.password_hash) {
+      return (await verifyPassword(password, candidate.password_hash))
+        ? candidate
+        : null;
+    }
+  }
+
+  // Fallback scan over accounts without a lookup yet (all accounts when the
+  // secret isn't configured)
+  let query = supabase
+    .from("investor_password")
+    .select(selectColumns)
+    .is("revoked_at", null)
+    .not("password_hash", "is", null);
+  if (lookup) query = query.is("password_lookup", null);
+
+  const { data: legacyUsers, error } = await query;
+  if (error) throw new Error(error.message);
+
+  for (const user of legacyUsers || []) {
+    if (await verifyPassword(password, user.password_hash)) {
+      if (lookup) {
+        const { error: backfillError } = await supabase
+          .from("investor_password")
+          .update({ password_lookup: lookup })
+          .eq("id", user.id);
+        if (backfillError) {
+          console.error("Failed to store password lookup:", backfillError);
+        }
+      }
+      return user;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,147 @@
+import { describe, expect, it } from "vitest";
+import { arrGrowth, arrHistory, revenueRetention } from "./arr.ts";
+import type { ArrEvent } from "./arr.ts";
+
+const event = (
+  customer_id: string,
+  arr: number,
+  recorded_at: string,
+): ArrEvent => ({ customer_id, arr, recorded_at });
+
+const now = new Date("2026-04-15T12:00:00Z");
+
+const events = [
+  event("c1", 100000, "2026-01-10T00:00:00Z"),
+  event("c2", 50000, "2026-02-05T00:00:00Z"),
+  event("c1", 150000, "2026-03-02T00:00:00Z"),
+  event("c2", 0, "2026-03-20T00:00:00Z"),
+  event("c3", 20000, "2026-03-25T00:00:00Z"),
+  event("c3", 10000, "2026-04-02T00:00:00Z"),
+  // After now, so not counted yet
+  event("c3", 90000, "2026-04-20T00:00:00Z"),
+];
+
+describe("arrHistory", () => {
+  it("rebuilds month-end ARR and splits each month's movement", () => {
+    expect(arrHistory(events, now, 4)).toEqual([
+      {
+        month: "2026-01-01",
+        arr: 100000,
+        newArr: 100000,
+        expansion: 0,
+        contraction: 0,
+        churned: 0,
+      },
+      {
+        month: "2026-02-01",
+        arr: 150000,
+        newArr: 50000,
+        expansion: 0,
+        contraction: 0,
+        churned: 0,
+      },
+      {
+        month: "2026-03-01",
+        arr: 170000,
+        newArr: 20000,
+        expansion: 50000,
+        contraction: 0,
+        churned: 50000,
+      },
+      {
+        month: "2026-04-01",
+        arr: 160000,
+        newArr: 0,
+        expansion: 0,
+        contraction: 10000,
+        churned: 0,
+      },
+    ]);
+  });
+
+  it("counts ARR held before the first month as the starting point", () => {
+    const [first] = arrHistory(events, now, 2);
+    expect(first).toMatchObject({ month: "2026-03-01", arr: 170000 });
+    expect(first.newArr).toBe(20000);
+  });
+});
+
+describe("arrGrowth", () => {
+  it("compares the latest month with the one before and a year before", () => {
+    const history = arrHistory(
+      [
+        event("c1", 100000, "2025-04-10T00:00:00Z"),
+        event("c1", 160000, "2026-03-10T00:00:00Z"),
+        event("c1", 200000, "2026-04-10T00:00:00Z"),
+      ],
+      now,
+    );
+
+    expect(history).toHaveLength(13);
+    expect(arrGrowth(history)).toEqual({
+      monthOverMonth: 25,
+      yearOverYear: 100,
+    });
+  });
+
+  it("has no growth rate from a month without ARR", () => {
+    expect(arrGrowth(arrHistory(events, now, 4))).toEqual({
+      monthOverMonth: (-10000 / 170000) * 100,
+      yearOverYear: null,
+    });
+    expect(arrGrowth([])).toEqual({ monthOverMonth: null, yearOverYear: null });
+  });
+});
+
+describe("revenueRetention", () => {
+  const yearOfEvents = [
+    event("c1", 100000, "2025-01-10T00:00:00Z"),
+    event("c2", 100000, "2025-02-10T00:00:00Z"),
+    // Expands, churns, and a customer added since the start
+    event("c1", 150000, "2025-09-01T00:00:00Z"),
+    event("c2", 0, "2025-10-01T00:00:00Z"),
+    event("c3", 500000, "2025-11-01T00:00:00Z"),
+  ];
+
+  it("counts expansion in net retention and caps it in gross", () => {
+    expect(revenueRetention(yearOfEvents, now)).toEqual({
+      netRevenueRetention: 75,
+      grossRevenueRetention: 50,
+      startingArr: 200000,
+      startingCustomers: 2,
+    });
+  });
+
+  it("has no retention without customers a year ago", () => {
+    expect(
+      revenueRetention([event("c3", 500000, "2025-11-01T00:00:00Z")], now),
+    ).toMatchObject({
+      netRevenueRetention: null,
+      grossRevenueRetention: null,
+      startingCustomers: 0,
+    });
+  });
+});
+
+// Ending a pilot writes a 0 row at pilot_ended_at (see effective_arr in
+// schema.sql), so it churns like any other customer
+describe("ended pilots", () => {
+  const pilotEvents = [
+    event("p1", 30000, "2025-02-01T00:00:00Z"),
+    event("p1", 0, "2026-02-10T00:00:00Z"),
+  ];
+
+  it("count as 0 ARR from the month they end", () => {
+    const history = arrHistory(pilotEvents, now, 4);
+    expect(history.map((month) => month.arr)).toEqual([30000, 0, 0, 0]);
+    expect(history[1].churned).toBe(30000);
+  });
+
+  it("count as lost revenue in retention", () => {
+    expect(revenueRetention(pilotEvents, now)).toMatchObject({
+      netRevenueRetention: 0,
+      grossRevenueRetention: 0,
+      startingArr: 30000,
+    });
+  });
+});
@@ -0,0 +1,159 @@
+// ============================================
+// ARR history and growth
+// ============================================
+// customer_arr_history has a row for every change to a customer's ARR (see the
+// record_customer_arr trigger). A customer's ARR at any point in time is its
+// latest row before then, so month-end ARR and the movement between months can
+// be rebuilt after the customer row itself has been edited or deleted.
+
+import { monthIndex } from "./burn.ts";
+
+// Calendar months on the ARR chart; 13 so the oldest is a year before the
+// current month
+export const ARR_HISTORY_MONTHS = 13;
+
+export interface ArrEvent {
+  customer_id: string;
+  arr: number;
+  recorded_at: string;
+}
+
+export interface ArrMonth {
+  month: string; // first of the month, YYYY-MM-DD
+  arr: number; // at the end of the month (or now for the current one)
+  newArr: number; // customers going from 0 to some ARR
+  expansion: number;
+  contraction: number;
+  churned: number; // customers going from some ARR to 0
+}
+
+export interface Retention {
+  // Percent of the ARR held by customers a year ago that they hold now,
+  // with expansion (net) or capped at what they had (gross)
+  netRevenueRetention: number | null;
+  grossRevenueRetention: number | null;
+  startingArr: number;
+  startingCustomers: number;
+}
+
+export interface ArrGrowth {
+  // Percent change, null when the earlier month had no ARR
+  monthOverMonth: number | null;
+  yearOverYear: number | null;
+}
+
+const monthStart = (index: number) =>
+  new Date(Date.UTC(Math.floor(index / 12), index % 12, 1));
+
+// Each customer's ARR as of `before`
+function arrByCustomer(events: ArrEvent[], before: Date): Map<string, number> {
+  const latest = new Map<string, ArrEvent>();
+  for (const event of events) {
+    const recordedAt = new Date(event.recorded_at);
+    if (recordedAt >= before) continue;
+    const existing = latest.get(event.customer_id);
+    if (!existing || recordedAt >= new Date(existing.recorded_at)) {
+      latest.set(event.customer_id, event);
+    }
+  }
+  return new Map(
+    [...latest].map(([id, event]) => [id, Math.max(0, event.arr || 0)]),
+  );
+}
+
+// Total ARR as of `at`, e.g. at the end of a quarter
+export function arrAt(events: ArrEvent[], at: Date): number {
+  let total = 0;
+  for (const arr of arrByCustomer(events, at).values()) total += arr;
+  return total;
+}
+
+/**
+ * Month-end ARR for the last `months` calendar months up to `now`, oldest
+ * first, with the movement since the previous month split by customer.
+ */
+export function arrHistory(
+  events: ArrEvent[],
+  now: Date = new Date(),
+  months = ARR_HISTORY_MONTHS,
+): ArrMonth[] {
+  const current = monthIndex(now);
+  let previous = arrByCustomer(events, monthStart(current - months + 1));
+  const history: ArrMonth[] = [];
+
+  for (let index = current - months + 1; index <= current; index++) {
+    const end = index === current ? now : monthStart(index + 1);
+    const arr = arrByCustomer(events, end);
+    const month: ArrMonth = {
+      month: monthStart(index).toISOString().slice(0, 10),
+      arr: 0,
+      newArr: 0,
+      expansion: 0,
+      contraction: 0,
+      churned: 0,
+    };
+
+    for (const id of new Set([...previous.keys(), ...arr.keys()])) {
+      const before = previous.get(id) || 0;
+      const after = arr.get(id) || 0;
+      month.arr += after;
+      if (before === 0 && after > 0) month.newArr += after;
+      else if (before > 0 && after === 0) month.churned += before;
+      else if (after > before) month.expansion += after - before;
+      else if (after < before) month.contraction += before - after;
+    }
+
+    history.push(month);
+    previous = arr;
+  }
+
+  return history;
+}
+
+const percentChange = (from: number | undefined, to: number) =>
+  from ? ((to - from) / from) * 100 : null;
+
+export function arrGrowth(history: ArrMonth[]): ArrGrowth {
+  const latest = history[history.length - 1];
+  if (!latest) return { monthOverMonth: null, yearOverYear: null };
+  return {
+    monthOverMonth: percentChange(history[history.length - 2]?.arr, latest.arr),
+    yearOverYear: percentChange(history[history.length - 13]?.arr, latest.arr),
+  };
+}
+
+/**
+ * Trailing twelve-month retention of the customers that had ARR a year before
+ * `now`. Customers added since don't count; churned ones count as 0.
+ */
+export function revenueRetention(
+  events: ArrEvent[],
+  now: Date = new Date(),
+): Retention {
+  const yearAgo = new Date(now);
+  yearAgo.setUTCFullYear(yearAgo.getUTCFullYear() - 1);
+  const before = arrByCustomer(events, yearAgo);
+  const after = arrByCustomer(events, now);
+
+  let startingArr = 0;
+  let startingCustomers = 0;
+  let retained = 0;
+  let grossRetained = 0;
+  for (const [id, arr] of before) {
+    if (arr === 0) continue;
+    const current = after.get(id) || 0;
+    startingArr += arr;
+    startingCustomers++;
+    retained += current;
+    grossRetained += Math.min(current, arr);
+  }
+
+  return {
+    netRevenueRetention: startingArr ? (retained / startingArr) * 100 : null,
+    grossRevenueRetention: startingArr
+      ? (grossRetained / startingArr) * 100
+      : null,
+    startingArr,
+    startingCustomers,
+  };
+}
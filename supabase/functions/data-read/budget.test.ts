@@ -0,0 +1,103 @@
+import { describe, expect, it } from "vitest";
+import { budgetVsActual } from "./budget.ts";
+
+const now = new Date("2026-05-15T12:00:00Z");
+
+const plan = [
+  // Out of order on purpose
+  {
+    month: "2026-05-01",
+    fiscal_year: 2026,
+    budgeted_burn: 110000,
+    planned_headcount: 12,
+  },
+  {
+    month: "2026-04-01",
+    fiscal_year: 2026,
+    budgeted_burn: 100000,
+    planned_headcount: 10,
+  },
+  {
+    month: "2026-06-01",
+    fiscal_year: 2026,
+    budgeted_burn: 120000,
+    planned_headcount: 14,
+  },
+];
+
+const burns = [
+  { amount: 90000, month: "2026-04-01" },
+  { amount: 95000, month: "2026-04-30" },
+  { amount: 130000, month: "2026-05-01" },
+];
+
+const headcounts = [
+  { count: 9, date: "2026-03-20", is_full_time: true },
+  { count: 11, date: "2026-04-10", is_full_time: true },
+  { count: 5, date: "2026-04-20", is_full_time: false },
+  { count: 12, date: "2026-05-02", is_full_time: true },
+];
+
+describe("budgetVsActual", () => {
+  const months = budgetVsActual(plan, burns, headcounts, now);
+
+  it("pairs each planned month with its actuals, oldest first", () => {
+    expect(months.map((month) => month.month)).toEqual([
+      "2026-04-01",
+      "2026-05-01",
+      "2026-06-01",
+    ]);
+    expect(months[0]).toEqual({
+      month: "2026-04-01",
+      fiscalYear: 2026,
+      budgetedBurn: 100000,
+      // The month's latest burn entry
+      actualBurn: 95000,
+      burnVariance: -5000,
+      plannedHeadcount: 10,
+      // Full-time headcount as of the end of the month
+      actualHeadcount: 11,
+      headcountVariance: 1,
+    });
+  });
+
+  it("shows over budget as a positive variance", () => {
+    expect(months[1]).toMatchObject({
+      actualBurn: 130000,
+      burnVariance: 20000,
+      actualHeadcount: 12,
+      headcountVariance: 0,
+    });
+  });
+
+  it("has no actuals for months that haven't started", () => {
+    expect(months[2]).toMatchObject({
+      budgetedBurn: 120000,
+      actualBurn: null,
+      burnVariance: null,
+      actualHeadcount: null,
+      headcountVariance: null,
+    });
+  });
+
+  it("has no variance without a budget or an actual", () => {
+    const [month] = budgetVsActual(
+      [
+        {
+          month: "2026-04-01",
+          fiscal_year: 2026,
+          budgeted_burn: null,
+          planned_headcount: 10,
+        },
+      ],
+      [],
+      [],
+      now,
+    );
+    expect(month).toMatchObject({
+      burnVariance: null,
+      actualHeadcount: null,
+      headcountVariance: null,
+    });
+  });
+});
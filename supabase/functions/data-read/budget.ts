@@ -0,0 +1,89 @@
+// ============================================
+// Budget vs actual
+// ============================================
+// operating_plan holds one row per month of a fiscal year with the budgeted
+// gross burn and planned full-time headcount. getKPIs pairs each planned month
+// with the actuals from monthly_burn and employee_count.
+
+import {
+  type BurnEntry,
+  latestPerMonth,
+  monthIndex,
+  parseDate,
+} from "./burn.ts";
+
+export interface PlanEntry {
+  month: string;
+  fiscal_year: number;
+  budgeted_burn: number | null;
+  planned_headcount: number | null;
+}
+
+interface HeadcountEntry {
+  count: number;
+  date: string;
+  is_full_time: boolean;
+}
+
+export interface BudgetMonth {
+  month: string; // first of the month, YYYY-MM-DD
+  fiscalYear: number;
+  budgetedBurn: number | null;
+  actualBurn: number | null;
+  // actual - budget: positive means over budget
+  burnVariance: number | null;
+  plannedHeadcount: number | null;
+  actualHeadcount: number | null;
+  headcountVariance: number | null;
+}
+
+const variance = (actual: number | null, planned: number | null) =>
+  actual === null || planned === null ? null : actual - planned;
+
+/**
+ * One row per planned month, oldest first. Months that haven't started yet
+ * have no actuals.
+ */
+export function budgetVsActual(
+  plan: PlanEntry[],
+  burns: BurnEntry[],
+  headcounts: HeadcountEntry[],
+  now: Date = new Date(),
+): BudgetMonth[] {
+  const burnByMonth = latestPerMonth(burns);
+  const fullTime = headcounts
+    .filter((entry) => entry.is_full_time)
+    .map((entry) => ({ count: entry.count, date: parseDate(entry.date) }))
+    .sort((a, b) => b.date.getTime() - a.date.getTime());
+  const currentMonth = monthIndex(now);
+
+  return [...plan]
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .map((entry) => {
+      const start = parseDate(entry.month);
+      const index = monthIndex(start);
+      const started = index <= currentMonth;
+      const nextMonth = new Date(
+        Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1),
+      );
+
+      const actualBurn = started
+        ? (burnByMonth.get(index)?.amount ?? null)
+        : null;
+      // Headcount as of the end of the month (or today for the current one)
+      const actualHeadcount = started
+        ? (fullTime.find((count) => count.date < nextMonth)?.count ?? null)
+        : null;
+
+      return {
+        month: entry.month,
+        fiscalYear: entry.fiscal_year,
+        budgetedBurn: entry.budgeted_burn,
+        actualBurn,
+        burnVariance: variance(actualBurn, entry.budgeted_burn),
+        plannedHeadcount: entry.planned_headcount,
+        actualHeadcount,
+        headcountVariance: variance(actualHeadcount, entry.planned_headcount),
+      };
+    });
+}
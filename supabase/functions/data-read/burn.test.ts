@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { burnTrend, netBurn, recentMonths } from "./burn.ts";
+
+describe("netBurn", () => {
+  it("subtracts the revenue collected from the gross burn", () => {
+    expect(netBurn({ amount: 120000, month: "2026-01-01" })).toBe(120000);
+    expect(
+      netBurn({
+        amount: 120000,
+        month: "2026-01-01",
+        revenue_collected: 30000,
+      }),
+    ).toBe(90000);
+    // Collecting more than was spent is a negative burn
+    expect(
+      netBurn({
+        amount: 20000,
+        month: "2026-01-01",
+        revenue_collected: 30000,
+      }),
+    ).toBe(-10000);
+  });
+});
+
+describe("recentMonths", () => {
+  it("keeps the latest entry per month within the window, oldest first", () => {
+    const months = recentMonths(
+      [
+        { amount: 3, month: "2026-03-01" },
+        { amount: 1, month: "2025-10-01" },
+        { amount: 21, month: "2026-01-01" },
+        { amount: 22, month: "2026-01-20" },
+      ],
+      3,
+    );
+    // February has no entry and isn't counted as zero
+    expect(months.map((burn) => burn.amount)).toEqual([22, 3]);
+  });
+
+  it("is empty without entries", () => {
+    expect(recentMonths([], 3)).toEqual([]);
+  });
+});
+
+describe("burnTrend", () => {
+  it("splits each month into gross, revenue, net and the breakdown", () => {
+    expect(
+      burnTrend([
+        {
+          id: "b1",
+          amount: 150000,
+          month: "2026-01-01",
+          revenue_collected: 40000,
+          payroll: 100000,
+          infrastructure: 20000,
+          general_admin: null,
+          notes: "",
+        },
+        { amount: 100000, month: "2026-02-01" },
+      ]),
+    ).toEqual([
+      {
+        id: "b1",
+        month: "2026-01-01",
+        grossBurn: 150000,
+        revenueCollected: 40000,
+        netBurn: 110000,
+        payroll: 100000,
+        infrastructure: 20000,
+        generalAdmin: null,
+        notes: null,
+      },
+      {
+        id: null,
+        month: "2026-02-01",
+        grossBurn: 100000,
+        revenueCollected: null,
+        netBurn: 100000,
+        payroll: null,
+        infrastructure: null,
+        generalAdmin: null,
+        notes: null,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,84 @@
+// ============================================
+// Monthly burn: gross vs net and the trend
+// ============================================
+// monthly_burn.amount is the gross burn. Net burn subtracts the revenue
+// collected that month; the payroll / infrastructure / G&A breakdown is
+// optional and may not add up to the gross amount.
+
+// Calendar months shown on the Monthly Burn chart
+export const BURN_TREND_MONTHS = 12;
+
+export interface BurnEntry {
+  id?: string;
+  amount: number;
+  month: string;
+  notes?: string | null;
+  revenue_collected?: number | null;
+  payroll?: number | null;
+  infrastructure?: number | null;
+  general_admin?: number | null;
+}
+
+export interface BurnMonth {
+  id: string | null;
+  month: string; // YYYY-MM-DD as entered
+  grossBurn: number;
+  revenueCollected: number | null;
+  netBurn: number;
+  payroll: number | null;
+  infrastructure: number | null;
+  generalAdmin: number | null;
+  notes: string | null;
+}
+
+// Dates are plain YYYY-MM-DD, so do the arithmetic in UTC
+export const parseDate = (value: string) =>
+  new Date(`${value.slice(0, 10)}T00:00:00Z`);
+export const monthIndex = (date: Date) =>
+  date.getUTCFullYear() * 12 + date.getUTCMonth();
+
+export const netBurn = (burn: BurnEntry) =>
+  burn.amount - (burn.revenue_collected || 0);
+
+// The latest entry of each calendar month, keyed by monthIndex
+export function latestPerMonth(burns: BurnEntry[]): Map<number, BurnEntry> {
+  const byMonth = new Map<number, BurnEntry>();
+  for (const burn of burns) {
+    const index = monthIndex(parseDate(burn.month));
+    const existing = byMonth.get(index);
+    if (!existing || parseDate(burn.month) > parseDate(existing.month)) {
+      byMonth.set(index, burn);
+    }
+  }
+  return byMonth;
+}
+
+/**
+ * The latest entry of each calendar month within the `months` months ending
+ * at the most recent entry, oldest first. Months without an entry are left
+ * out rather than counted as zero.
+ */
+export function recentMonths(burns: BurnEntry[], months: number): BurnEntry[] {
+  const byMonth = latestPerMonth(burns);
+  if (byMonth.size === 0) return [];
+
+  const latest = Math.max(...byMonth.keys());
+  return [...byMonth.entries()]
+    .filter(([index]) => index > latest - months)
+    .sort(([a], [b]) => a - b)
+    .map(([, burn]) => burn);
+}
+
+export function burnTrend(burns: BurnEntry[]): BurnMonth[] {
+  return recentMonths(burns, BURN_TREND_MONTHS).map((burn) => ({
+    id: burn.id || null,
+    month: burn.month,
+    grossBurn: burn.amount,
+    revenueCollected: burn.revenue_collected ?? null,
+    netBurn: netBurn(burn),
+    payroll: burn.payroll ?? null,
+    infrastructure: burn.infrastructure ?? null,
+    generalAdmin: burn.general_admin ?? null,
+    notes: burn.notes || null,
+  }));
+}
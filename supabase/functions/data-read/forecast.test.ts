@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import { pipelineForecast, stageProbabilities } from "./forecast.ts";
+import type { ForecastClient } from "./forecast.ts";
+
+const STAGES = ["meeting", "scoping", "pilot"];
+const SEGMENTS = ["smb", "mid_market"];
+const now = new Date("2026-05-15T12:00:00Z"); // Q2 2026
+
+const client = (
+  segment: string,
+  stage: string,
+  estimated_contract_size: number,
+  expected_close_date: string | null,
+): ForecastClient => ({
+  segment,
+  stage,
+  estimated_contract_size,
+  expected_close_date,
+});
+
+describe("stageProbabilities", () => {
+  it("weighs a stage without a probability row at 0%", () => {
+    expect(
+      stageProbabilities(
+        [
+          { stage: "meeting", probability: 10 },
+          { stage: "pilot", probability: 50 },
+          { stage: "removed", probability: 90 },
+        ],
+        STAGES,
+      ),
+    ).toEqual({ meeting: 10, scoping: 0, pilot: 50 });
+  });
+});
+
+describe("pipelineForecast", () => {
+  const probabilities = { meeting: 10, scoping: 0, pilot: 50 };
+  const forecast = pipelineForecast(
+    [
+      client("smb", "pilot", 100000, "2026-06-10"),
+      client("mid_market", "pilot", 200000, "2026-08-01"),
+      // Close date has passed but the deal is still open
+      client("smb", "meeting", 50000, "2026-03-01"),
+      client("smb", "scoping", 80000, null),
+      // After the last forecast quarter
+      client("mid_market", "pilot", 40000, "2027-09-01"),
+      // Segment that's no longer configured
+      client("enterprise", "meeting", 10000, null),
+    ],
+    probabilities,
+    SEGMENTS,
+    now,
+  );
+
+  it("weights each deal by its stage's win probability", () => {
+    expect(forecast.weightedTotal).toBe(176000);
+    expect(forecast.weightedBySegment).toEqual({
+      smb: 55000,
+      mid_market: 120000,
+    });
+  });
+
+  it("buckets deals by quarter, starting with the current one", () => {
+    expect(forecast.quarters).toEqual([
+      {
+        year: 2026,
+        quarter: 2,
+        count: 2,
+        totalValue: 150000,
+        weightedValue: 55000,
+      },
+      {
+        year: 2026,
+        quarter: 3,
+        count: 1,
+        totalValue: 200000,
+        weightedValue: 100000,
+      },
+      { year: 2026, quarter: 4, count: 0, totalValue: 0, weightedValue: 0 },
+      { year: 2027, quarter: 1, count: 0, totalValue: 0, weightedValue: 0 },
+    ]);
+  });
+
+  it("keeps deals without a close date apart", () => {
+    expect(forecast.unscheduled).toEqual({ count: 2, weightedValue: 1000 });
+  });
+});
@@ -0,0 +1,120 @@
+// ============================================
+// Weighted pipeline and quarterly bookings forecast
+// ============================================
+// Each pipeline client's estimated_contract_size is weighted by the win
+// probability of its stage (pipeline_stage_probability). Clients with an
+// expected_close_date are bucketed into calendar quarters; a close date that
+// has already passed counts toward the current quarter, since the deal is
+// still open.
+
+import { parseDate } from "./burn.ts";
+
+export const FORECAST_QUARTERS = 4;
+
+export interface StageProbability {
+  stage: string;
+  probability: number;
+}
+
+export interface ForecastClient {
+  segment: string;
+  stage: string;
+  estimated_contract_size: number | null;
+  expected_close_date: string | null;
+}
+
+export interface ForecastQuarter {
+  year: number;
+  quarter: number;
+  count: number;
+  totalValue: number;
+  weightedValue: number;
+}
+
+export interface PipelineForecast {
+  // Win probability (percent) per stage
+  probabilities: Record<string, number>;
+  weightedTotal: number;
+  weightedBySegment: Record<string, number>;
+  // The current quarter first
+  quarters: ForecastQuarter[];
+  // Open deals without an expected close date
+  unscheduled: { count: number; weightedValue: number };
+}
+
+// A stage without a pipeline_stage_probability row (e.g. one just added)
+// weighs nothing until an editor sets it
+export function stageProbabilities(
+  rows: StageProbability[],
+  stages: string[],
+): Record<string, number> {
+  const configured = new Map(rows.map((row) => [row.stage, row.probability]));
+  return Object.fromEntries(
+    stages.map((stage) => [stage, configured.get(stage) ?? 0]),
+  );
+}
+
+const weightedValue = (
+  client: ForecastClient,
+  probabilities: Record<string, number>,
+) =>
+  ((client.estimated_contract_size || 0) * (probabilities[client.stage] || 0)) /
+  100;
+
+export function pipelineForecast(
+  clients: ForecastClient[],
+  probabilities: Record<string, number>,
+  segments: string[],
+  now: Date,
+  quarterCount = FORECAST_QUARTERS,
+): PipelineForecast {
+  const currentQuarter =
+    now.getUTCFullYear() * 4 + Math.floor(now.getUTCMonth() / 3);
+  const quarters: ForecastQuarter[] = Array.from(
+    { length: quarterCount },
+    (_, i) => ({
+      year: Math.floor((currentQuarter + i) / 4),
+      quarter: ((currentQuarter + i) % 4) + 1,
+      count: 0,
+      totalValue: 0,
+      weightedValue: 0,
+    }),
+  );
+  const weightedBySegment: Record<string, number> = Object.fromEntries(
+    segments.map((segment) => [segment, 0]),
+  );
+  const unscheduled = { count: 0, weightedValue: 0 };
+  let weightedTotal = 0;
+
+  for (const client of clients) {
+    const weighted = weightedValue(client, probabilities);
+    weightedTotal += weighted;
+    if (client.segment in weightedBySegment) {
+      weightedBySegment[client.segment] += weighted;
+    }
+
+    if (!client.expected_close_date) {
+      unscheduled.count++;
+      unscheduled.weightedValue += weighted;
+      continue;
+    }
+    const close = parseDate(client.expected_close_date);
+    const index =
+      close.getUTCFullYear() * 4 +
+      Math.floor(close.getUTCMonth() / 3) -
+      currentQuarter;
+    const bucket = quarters[Math.max(index, 0)];
+    if (!bucket) continue;
+    bucket.count++;
+    bucket.totalValue += client.estimated_contract_size || 0;
+    bucket.weightedValue += weighted;
+  }
+
+  return {
+    probabilities,
+    weightedTotal,
+    weightedBySegment,
+    quarters,
+    unscheduled,
+  };
+}
@@ -0,0 +1,366 @@
+// ============================================
+// Quarter goal progress
+// ============================================
+// ARR, customers and pipeline_value goals are worked out here rather than
+// taken from current_value (custom goals keep the current_value editors
+// enter). While a quarter is open they track the live figures:
+//   ARR            - total ARR of active customers, as on the ARR card
+//   customers      - active customers
+//   pipeline_value - bookings won so far in the quarter plus the weighted
+//                    value of open deals expected to close in it
+// Once the quarter is over each gets a final_value worked out as of the
+// quarter end, so it doesn't drift with later changes:
+//   ARR            - total ARR at quarter end, from customer_arr_history
+//   customers      - customers started and not churned or ended by then
+//   pipeline_value - value of the deals won during the quarter; by the end
+//                    the quarter's weighted forecast has either closed or
+//                    slipped into the next one
+// Reading goals writes nothing. The goal-snapshots function runs on a
+// schedule (see README) and calls recordGoalSnapshots, which stores final
+// values and snapshots progress in quarter_goal_snapshot: one row per week,
+// dated the week's last day and overwritten until the week is over, plus the
+// final value on the quarter's last day.
+
+import { parseDate } from "./burn.ts";
+import { arrAt } from "./arr.ts";
+import type { ArrEvent } from "./arr.ts";
+import { pipelineForecast, stageProbabilities } from "./forecast.ts";
+import type { ForecastClient } from "./forecast.ts";
+
+export const AUTO_METRICS = ["ARR", "customers", "pipeline_value"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface GoalCustomer {
+  arr: number | null;
+  start_date: string | null;
+  created_at: string | null;
+  churned_at: string | null;
+  pilot_ended_at: string | null;
+}
+
+export interface GoalDeal extends ForecastClient {
+  outcome: string | null;
+  closed_at: string | null;
+}
+
+export interface GoalSources {
+  arrEvents: ArrEvent[];
+  customers: GoalCustomer[];
+  deals: GoalDeal[];
+  // Win probability (percent) per stage
+  probabilities: Record<string, number>;
+}
+
+export interface GoalSnapshot {
+  takenOn: string; // YYYY-MM-DD
+  value: number;
+}
+
+export interface GoalProgress {
+  // final_value once the quarter is over (worked out on the fly until the
+  // snapshot job stores it)
+  currentValue: number;
+  // Value going into the quarter: where a straight line to the target starts
+  startValue: number;
+  // Where that line is today; null outside the quarter
+  expectedValue: number | null;
+  // currentValue as a percent of target_value, not capped
+  progress: number | null;
+  closed: boolean;
+  // Oldest first
+  snapshots: GoalSnapshot[];
+}
+
+// First instant of the quarter and of the one after it, in UTC
+export function quarterBounds(
+  quarter: number,
+  year: number,
+): { start: Date; end: Date } {
+  return {
+    start: new Date(Date.UTC(year, (quarter - 1) * 3, 1)),
+    end: new Date(Date.UTC(year, quarter * 3, 1)),
+  };
+}
+
+export const goalProgressPercent = (
+  value: number | null,
+  target: number | null,
+) => (value === null || !target ? null : (value / target) * 100);
+
+const isoDate = (date: Date) => date.toISOString().slice(0, 10);
+
+const before = (value: string | null, end: Date) =>
+  !!value && parseDate(value) < end;
+
+const activeCustomers = (customers: GoalCustomer[]) =>
+  customers.filter((c) => !c.churned_at && !c.pilot_ended_at);
+
+const customersAt = (customers: GoalCustomer[], at: Date) =>
+  customers.filter(
+    (c) =>
+      before(c.start_date || c.created_at, at) &&
+      !before(c.churned_at, at) &&
+      !before(c.pilot_ended_at, at),
+  ).length;
+
+// Value of the deals won from start up to (not including) end
+const wonBetween = (deals: GoalDeal[], start: Date, end: Date) =>
+  deals
+    .filter(
+      (d) =>
+        d.outcome === "won" &&
+        before(d.closed_at, end) &&
+        !before(d.closed_at, start),
+    )
+    .reduce((sum, d) => sum + (d.estimated_contract_size || 0), 0);
+
+export function goalValueAt(
+  metricType: string,
+  quarter: number,
+  year: number,
+  sources: GoalSources,
+): number {
+  const { start, end } = quarterBounds(quarter, year);
+
+  if (metricType === "ARR") return arrAt(sources.arrEvents, end);
+  if (metricType === "customers") return customersAt(sources.customers, end);
+  return wonBetween(sources.deals, start, end);
+}
+
+// An open (current or future) quarter's goal against today's figures
+function liveGoalValue(goal: any, sources: GoalSources, now: Date): number {
+  if (goal.metric_type === "ARR") {
+    return activeCustomers(sources.customers).reduce(
+      (sum, c) => sum + (c.arr || 0),
+      0,
+    );
+  }
+  if (goal.metric_type === "customers") {
+    return activeCustomers(sources.customers).length;
+  }
+
+  // Won today counts: closed_at is a date, so it sorts before now
+  const { start } = quarterBounds(goal.quarter, goal.year);
+  const won = wonBetween(sources.deals, start, now);
+
+  const offset =
+    goal.year * 4 +
+    goal.quarter -
+    1 -
+    (now.getUTCFullYear() * 4 + Math.floor(now.getUTCMonth() / 3));
+  const forecast = pipelineForecast(
+    sources.deals.filter((d) => !d.outcome),
+    sources.probabilities,
+    [],
+    now,
+    offset + 1,
+  );
+  return won + (forecast.quarters[offset]?.weightedValue || 0);
+}
+
+export function goalProgress(
+  goal: any,
+  sources: GoalSources,
+  now: Date,
+): GoalProgress {
+  const { start, end } = quarterBounds(goal.quarter, goal.year);
+  const closed = end <= now;
+  const currentValue = !AUTO_METRICS.includes(goal.metric_type)
+    ? goal.current_value || 0
+    : closed
+      ? (goal.final_value ??
+        goalValueAt(goal.metric_type, goal.quarter, goal.year, sources))
+      : liveGoalValue(goal, sources, now);
+
+  // ARR and customers carry over from the quarter before; bookings and
+  // custom goals start from nothing
+  const startValue =
+    goal.metric_type === "ARR"
+      ? arrAt(sources.arrEvents, start)
+      : goal.metric_type === "customers"
+        ? customersAt(sources.customers, start)
+        : 0;
+  const elapsed =
+    (now.getTime() - start.getTime()) / (end.getTime() - start.getTime());
+
+  return {
+    currentValue,
+    startValue,
+    expectedValue:
+      elapsed >= 0 && elapsed < 1
+        ? startValue + (goal.target_value - startValue) * elapsed
+        : null,
+    progress: goalProgressPercent(currentValue, goal.target_value),
+    closed,
+    snapshots: [],
+  };
+}
+
+export async function loadGoalSources(supabase: any): Promise<GoalSources> {
+  const [
+    { data: arrEvents },
+    { data: customers },
+    { data: deals },
+    { data: stages },
+    { data: probabilityRows },
+  ] = await Promise.all([
+    supabase
+      .from("customer_arr_history")
+      .select("customer_id, arr, recorded_at"),
+    supabase
+      .from("customer")
+      .select("arr, start_date, created_at, churned_at, pilot_ended_at"),
+    supabase
+      .from("pipeline_client")
+      .select(
+        "segment, stage, estimated_contract_size, expected_close_date, outcome, closed_at",
+      ),
+    supabase.from("pipeline_stage").select("key"),
+    supabase.from("pipeline_stage_probability").select("stage, probability"),
+  ]);
+
+  return {
+    arrEvents: arrEvents || [],
+    customers: customers || [],
+    deals: deals || [],
+    probabilities: stageProbabilities(
+      probabilityRows || [],
+      (stages || []).map((s: { key: string }) => s.key),
+    ),
+  };
+}
+
+/**
+ * Store final_value on every auto-calculated goal whose quarter has ended and
+ * that doesn't have one yet, with a matching snapshot on the quarter's last
+ * day.
+ */
+async function finalizeQuarterGoals(
+  supabase: any,
+  sources: GoalSources,
+  now: Date,
+): Promise<void> {
+  const { data: pending } = await supabase
+    .from("quarter_goal")
+    .select("id, quarter, year, metric_type")
+    .is("finalized_at", null)
+    .in("metric_type", AUTO_METRICS);
+
+  const closed = (pending || []).filter(
+    (goal: any) => quarterBounds(goal.quarter, goal.year).end <= now,
+  );
+  for (const goal of closed) {
+    const { end } = quarterBounds(goal.quarter, goal.year);
+    const finalValue = goalValueAt(
+      goal.metric_type,
+      goal.quarter,
+      goal.year,
+      sources,
+    );
+    const { error } = await supabase
+      .from("quarter_goal")
+      .update({ final_value: finalValue, finalized_at: now.toISOString() })
+      .eq("id", goal.id);
+    if (error) {
+      console.error("Error finalizing quarter goal:", error);
+      continue;
+    }
+    await supabase.from("quarter_goal_snapshot").upsert(
+      {
+        goal_id: goal.id,
+        taken_on: isoDate(new Date(end.getTime() - DAY_MS)),
+        value: finalValue,
+        recorded_at: now.toISOString(),
+      },
+      { onConflict: "goal_id,taken_on" },
+    );
+  }
+}
+
+// This week's snapshot date: the coming Sunday, or the quarter's last day if
+// that's sooner
+function snapshotDate(now: Date, quarterEnd: Date): string {
+  const today = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate(),
+  );
+  const sunday = today + ((7 - now.getUTCDay()) % 7) * DAY_MS;
+  return isoDate(new Date(Math.min(sunday, quarterEnd.getTime() - DAY_MS)));
+}
+
+/**
+ * Every quarter's goals, oldest quarter first, with their progress and
+ * snapshots
+ */
+export async function loadQuarterGoals(
+  supabase: any,
+  now: Date = new Date(),
+): Promise<any[]> {
+  const [{ data: goals, error }, sources, { data: snapshots }] =
+    await Promise.all([
+      supabase
+        .from("quarter_goal")
+        .select("*")
+        .order("year", { ascending: true })
+        .order("quarter", { ascending: true })
+        .order("order", { ascending: true }),
+      loadGoalSources(supabase),
+      supabase
+        .from("quarter_goal_snapshot")
+        .select("goal_id, taken_on, value")
+        .order("taken_on", { ascending: true }),
+    ]);
+  if (error) throw error;
+
+  const byGoal = new Map<string, GoalSnapshot[]>();
+  for (const row of snapshots || []) {
+    const list = byGoal.get(row.goal_id) || [];
+    list.push({ takenOn: row.taken_on, value: row.value });
+    byGoal.set(row.goal_id, list);
+  }
+
+  return (goals || []).map((goal: any) => ({
+    ...goal,
+    ...goalProgress(goal, sources, now),
+    snapshots: byGoal.get(goal.id) || [],
+  }));
+}
+
+/**
+ * Finalize the goals of quarters that have ended and snapshot the current
+ * quarter's progress. Run by the goal-snapshots function with the service
+ * role, so the values don't depend on what any user can read.
+ */
+export async function recordGoalSnapshots(
+  supabase: any,
+  now: Date = new Date(),
+): Promise<void> {
+  const sources = await loadGoalSources(supabase);
+  await finalizeQuarterGoals(supabase, sources, now);
+
+  const { data: goals, error } = await supabase
+    .from("quarter_goal")
+    .select("*");
+  if (error) throw error;
+
+  const current = (goals || []).filter((goal: any) => {
+    const { start, end } = quarterBounds(goal.quarter, goal.year);
+    return start <= now && now < end;
+  });
+  if (current.length === 0) return;
+
+  const { error: snapshotError } = await supabase
+    .from("quarter_goal_snapshot")
+    .upsert(
+      current.map((goal: any) => ({
+        goal_id: goal.id,
+        taken_on: snapshotDate(now, quarterBounds(goal.quarter, goal.year).end),
+        value: goalProgress(goal, sources, now).currentValue,
+        recorded_at: now.toISOString(),
+      })),
+      { onConflict: "goal_id,taken_on" },
+    );
+  if (snapshotError) throw snapshotError;
+}
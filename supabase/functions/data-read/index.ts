@@ -1,53 +1,30 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
-
-// PBKDF2 password verification
-async function verifyPassword(
-  password: string,
-  storedHash: string,
-): Promise<boolean> {
-  try {
-    const parts = storedHash.split("$");
-    if (parts.length !== 3) return false;
-
-    const [iterationsStr, saltBase64, hashBase64] = parts;
-    const iterations = parseInt(iterationsStr, 10);
-    if (isNaN(iterations)) return false;
-
-    const salt = Uint8Array.from(atob(saltBase64), (c) => c.charCodeAt(0));
-    const storedHashBytes = Uint8Array.from(atob(hashBase64), (c) =>
-      c.charCodeAt(0),
-    );
-
-    const passwordBuffer = new TextEncoder().encode(password);
-    const key = await crypto.subtle.importKey(
-      "raw",
-      passwordBuffer,
-      { name: "PBKDF2" },
-      false,
-      ["deriveBits"],
-    );
-
-    const hashBuffer = await crypto.subtle.deriveBits(
-      { name: "PBKDF2", salt: salt, iterations: iterations, hash: "SHA-256" },
-      key,
-      32 * 8,
-    );
-
-    const hashBytes = new Uint8Array(hashBuffer);
-    if (hashBytes.length !== storedHashBytes.length) return false;
-
-    let diff = 0;
-    for (let i = 0; i < hashBytes.length; i++) {
-      diff |= hashBytes[i] ^ storedHashBytes[i];
-    }
-
-    return diff === 0;
-  } catch (error) {
-    console.error("Error verifying password:", error);
-    return false;
-  }
-}
+import { verifyToken } from "../_shared/session.ts";
+import { getClientIp, hitRateLimit } from "../_shared/throttle.ts";
+import { loadLiveSession } from "../_shared/access.ts";
+import {
+  ALL_TABLES,
+  SHARED_ONLY_TABLES,
+  canRead,
+  canWrite,
+  getPermissions,
+} from "../_shared/permissions.ts";
+import {
+  applyVisibilityRules,
+  loadVisibilityRules,
+  redactGoals,
+  tablesRestrictedBy,
+} from "./visibility.ts";
+import { calculateRunway } from "./runway.ts";
+import { burnTrend, netBurn } from "./burn.ts";
+import { budgetVsActual } from "./budget.ts";
+import { arrGrowth, arrHistory, revenueRetention } from "./arr.ts";
+import { pilotFunnel } from "./pilots.ts";
+import { salesVelocity, stageEnteredAt } from "./pipeline.ts";
+import { pipelineForecast, stageProbabilities } from "./forecast.ts";
+import { winLossReport } from "./outcomes.ts";
+import { loadQuarterGoals } from "./goals.ts";
 
 // CORS headers
 function getCorsHeaders(origin: string | null): HeadersInit {
@@ -62,54 +39,12 @@ function getCorsHeaders(origin: string | null): HeadersInit {
   return {
     "Access-Control-Allow-Origin": allowOrigin,
     "Access-Control-Allow-Headers":
-      "authorization, x-client-info, apikey, content-type, x-admin-password",
+      "authorization, x-client-info, apikey, content-type, x-session-token",
     "Access-Control-Allow-Methods": "POST, OPTIONS",
     "Access-Control-Max-Age": "86400",
   };
 }
 
-// Rate limiting
-const rateLimits = new Map<string, { count: number; resetTime: number }>();
-function checkRateLimit(
-  key: string,
-  maxRequests: number,
-  windowMs: number,
-): boolean {
-  const now = Date.now();
-  const entry = rateLimits.get(key);
-  if (!entry || now > entry.resetTime) {
-    rateLimits.set(key, { count: 1, resetTime: now + windowMs });
-    return true;
-  }
-  if (entry.count >= maxRequests) return false;
-  entry.count++;
-  return true;
-}
-
-// Authenticate admin password
-async function authenticateAdmin(
-  password: string,
-  supabase: any,
-): Promise<boolean> {
-  const { data: passwords, error } = await supabase
-    .from("investor_password")
-    .select("password_hash");
-
-  if (error) {
-    console.error("Database error during auth:", error);
-    return false;
-  }
-
-  for (const user of passwords || []) {
-    if (user.password_hash) {
-      const isValid = await verifyPassword(password, user.password_hash);
-      if (isValid) return true;
-    }
-  }
-
-  return false;
-}
-
 serve(async (req) => {
   const origin = req.headers.get("origin");
   const corsHeaders = getCorsHeaders(origin);
@@ -123,21 +58,9 @@ serve(async (req) => {
   }
 
   try {
-    // Rate limiting (60 requests per minute)
-    const ip =
-      req.headers.get("x-forwarded-for") ||
-      req.headers.get("x-real-ip") ||
-      "unknown";
-    if (!checkRateLimit(ip, 60, 60 * 1000)) {
-      return new Response(JSON.stringify({ error: "Too many requests" }), {
-        status: 429,
-        headers: { ...corsHeaders, "Content-Type": "application/json" },
-      });
-    }
-
-    // Get admin password from header
-    const adminPassword = req.headers.get("x-admin-password");
-    if (!adminPassword) {
+    // Verify the session token issued by admin-auth
+    const sessionToken = req.headers.get("x-session-token");
+    if (!sessionToken) {
       return new Response(
         JSON.stringify({ error: "Authentication required" }),
         {
@@ -147,6 +70,14 @@ serve(async (req) => {
       );
     }
 
+    const session = await verifyToken(sessionToken, "access");
+    if (!session) {
+      return new Response(JSON.stringify({ error: "Session expired" }), {
+        status: 401,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
     // Create Supabase client with service role key
     const supabaseUrl = Deno.env.get("SUPABASE_URL");
     const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
@@ -157,20 +88,45 @@ serve(async (req) => {
 
     const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
-    // Authenticate admin
-    const isAuthenticated = await authenticateAdmin(adminPassword, supabase);
-    if (!isAuthenticated) {
-      return new Response(JSON.stringify({ error: "Invalid credentials" }), {
+    // Rate limiting (60 requests per minute)
+    const ip = getClientIp(req);
+    const retryAfter = await hitRateLimit(supabase, `data-read:${ip}`, 60, 60);
+    if (retryAfter > 0) {
+      return new Response(
+        JSON.stringify({ error: "Too many requests", retryAfter }),
+        {
+          status: 429,
+          headers: {
+            ...corsHeaders,
+            "Content-Type": "application/json",
+            "Retry-After": String(retryAfter),
+          },
+        },
+      );
+    }
+
+    // Revocation and expiry end the session now, not when the token expires.
+    // The stored role also wins over the one in the token.
+    const liveSession = await loadLiveSession(supabase, session);
+    if (!liveSession) {
+      return new Response(JSON.stringify({ error: "Session expired" }), {
         status: 401,
         headers: { ...corsHeaders, "Content-Type": "application/json" },
       });
     }
+    session.role = liveSession.role;
 
     // Parse request body
     const { operation, table, id, filters } = await req.json();
 
     // Validate operation
-    const allowedOperations = ["getKPIs", "list", "get"];
+    const allowedOperations = [
+      "getKPIs",
+      "getQuarterGoals",
+      "list",
+      "get",
+      "listUsers",
+    ];
     if (!allowedOperations.includes(operation)) {
       return new Response(JSON.stringify({ error: "Invalid operation" }), {
         status: 400,
@@ -179,54 +135,126 @@ serve(async (req) => {
     }
 
     // Whitelist allowed tables
-    const allowedTables = [
-      "cash_position",
-      "monthly_burn",
-      "customer",
-      "employee_count",
-      "pipeline_client",
-      "quarter_goal",
-      "pipeline_note",
-    ];
+    const allowedTables = ALL_TABLES;
+
+    // Per-investor redaction rules; raw reads of redacted tables are refused
+    const visibilityRules = await loadVisibilityRules(supabase, session.sub);
+    const restrictedTables = tablesRestrictedBy(visibilityRules);
+
+    // Read-only roles only see rows of these tables that were shared with them
+    const sharedOnly = (t: string) =>
+      SHARED_ONLY_TABLES.includes(t) && !canWrite(session.role, t);
 
     // Handle getKPIs operation (aggregated data)
     if (operation === "getKPIs") {
-      const { data: cashPositions } = await supabase
-        .from("cash_position")
-        .select("*")
-        .order("date", { ascending: false })
-        .limit(1);
-
-      const { data: monthlyBurns } = await supabase
-        .from("monthly_burn")
-        .select("*")
-        .order("month", { ascending: false })
-        .limit(1);
-
-      const { data: customers } = await supabase.from("customer").select("*");
-
-      const { data: employeeCounts } = await supabase
-        .from("employee_count")
-        .select("*")
-        .order("date", { ascending: false });
-
-      const { data: pipelineClients } = await supabase
-        .from("pipeline_client")
-        .select("*");
-
-      const { data: pipelineNotes } = await supabase
-        .from("pipeline_note")
-        .select("*")
-        .order("order", { ascending: true });
-
-      const customerCount = customers?.length || 0;
-      const totalARR =
-        customers?.reduce((sum, customer) => sum + (customer.arr || 0), 0) || 0;
-      const totalContractValue =
-        customers?.reduce(
-          (sum, customer) => sum + (customer.contract_value || 0),
-          0,
-        ) || 0;
+      // Sections the caller's role can't read are left out of the response
+      const readable = (t: string) => canRead(session.role, t);
+      const noRows = { data: null };
+
+      // Full history for the cash chart; the first row is the current position
+      const { data: cashPositions } = readable("cash_position")
+        ? await supabase
+            .from("cash_position")
+            .select("id, amount, date, notes")
+            .order("date", { ascending: false })
+        : noRows;
+
+      // Enough recent entries for the 12-month trend and the runway average
+      const { data: monthlyBurns } = readable("monthly_burn")
+        ? await supabase
+            .from("monthly_burn")
+            .select("*")
+            .order("month", { ascending: false })
+            .limit(36)
+        : noRows;
+
+      const { data: customers } = readable("customer")
+        ? await supabase.from("customer").select("*")
+        : noRows;
+
+      // Every ARR change, to rebuild month-end ARR after customers are edited
+      const { data: arrEvents } = readable("customer")
+        ? await supabase
+            .from("customer_arr_history")
+            .select("customer_id, arr, recorded_at")
+        : noRows;
+
+      const { data: employeeCounts } = readable("employee_count")
+        ? await supabase
+            .from("employee_count")
+            .select("*")
+            .order("date", { ascending: false })
+        : noRows;
+
+      const { data: pipelineClients } = readable("pipeline_client")
+        ? await supabase.from("pipeline_client").select("*")
+        : noRows;
+
+      const { data: stageHistory } = readable("pipeline_client")
+        ? await supabase
+            .from("pipeline_stage_history")
+            .select("pipeline_client_id, segment, stage, entered_at")
+        : noRows;
+      const stageEntered = stageEnteredAt(stageHistory || []);
+
+      const { data: segmentRows } = readable("pipeline_segment")
+        ? await supabase
+            .from("pipeline_segment")
+            .select("key, label, color")
+            .order("order", { ascending: true })
+        : noRows;
+
+      const { data: stageRows } = readable("pipeline_stage")
+        ? await supabase
+            .from("pipeline_stage")
+            .select("key, label, color")
+            .order("order", { ascending: true })
+        : noRows;
+
+      const { data: probabilityRows } = readable("pipeline_stage_probability")
+        ? await supabase
+            .from("pipeline_stage_probability")
+            .select("stage, probability")
+        : noRows;
+
+      // Budget vs actual needs every burn entry from the first planned month
+      const { data: operatingPlan } = readable("operating_plan")
+        ? await supabase
+            .from("operating_plan")
+            .select("month, fiscal_year, budgeted_burn, planned_headcount")
+        : noRows;
+      const firstPlanMonth = operatingPlan
+        ?.map((entry: { month: string }) => entry.month)
+        .sort()[0];
+      const { data: plannedBurns } =
+        firstPlanMonth && readable("monthly_burn")
+          ? await supabase
+              .from("monthly_burn")
+              .select("amount, month")
+              .gte("month", firstPlanMonth)
+          : noRows;
+
+      const { data: pipelineNotes } = readable("pipeline_note")
+        ? await supabase
+            .from("pipeline_note")
+            .select("*")
+            .order("order", { ascending: true })
+        : noRows;
+
+      // Churned customers and ended pilots stay on the list but no longer count
+      const activeCustomers = (customers || []).filter(
+        (c) => !c.churned_at && !c.pilot_ended_at,
+      );
+      const customerCount = activeCustomers.length;
+      const arrMonths = arrHistory(arrEvents || []);
+      const totalARR = activeCustomers.reduce(
+        (sum, customer) => sum + (customer.arr || 0),
+        0,
+      );
+      const totalContractValue = activeCustomers.reduce(
+        (sum, customer) => sum + (customer.contract_value || 0),
+        0,
+      );
 
       const latestFullTimeCount =
         employeeCounts
@@ -246,9 +274,14 @@ serve(async (req) => {
         id: p.id,
         name: p.name,
         segment: p.segment,
-        stage: p.stage || "initial_meeting",
+        stage: p.stage,
         estimatedContractSize: p.estimated_contract_size || 0,
         engagementStartDate: p.engagement_start_date,
+        expectedCloseDate: p.expected_close_date,
+        outcome: p.outcome || null,
+        closedAt: p.closed_at || null,
+        lossReason: p.loss_reason || null,
+        customerId: p.customer_id || null,
         status: p.status,
         notes: p.notes,
         daysSinceEngagement: p.engagement_start_date
@@ -258,20 +291,52 @@ serve(async (req) => {
                 (1000 * 60 * 60 * 24),
             )
           : 0,
+        daysInStage: stageEntered.has(p.id)
+          ? Math.floor(
+              (new Date().getTime() -
+                new Date(stageEntered.get(p.id)!).getTime()) /
+                (1000 * 60 * 60 * 24),
+            )
+          : null,
       });
 
-      const formattedClients = (pipelineClients || []).map(
-        formatPipelineClient,
+      // Closed deals (won or lost) drop out of the open pipeline
+      const openClients = (pipelineClients || []).filter(
+        (p: any) => !p.outcome,
+      );
+      const closedClients = (pipelineClients || []).filter(
+        (p: any) => p.outcome,
+      );
+      const formattedClients = openClients.map(formatPipelineClient);
+
+      // Group pipeline by segment and stage, in their configured order
+      const pipelineSegments = segmentRows || [];
+      const pipelineStages = stageRows || [];
+      const segments = pipelineSegments.map((s: { key: string }) => s.key);
+      const stages = pipelineStages.map((s: { key: string }) => s.key);
+
+      const probabilities = stageProbabilities(probabilityRows || [], stages);
+      const forecast = pipelineForecast(
+        openClients,
+        probabilities,
+        segments,
+        new Date(),
+      );
+
+      // A deal closed at a stage counts as having left it
+      const pipelineVelocity = salesVelocity(
+        stageHistory || [],
+        openClients,
+        stages,
+        segments,
+        new Set(
+          closedClients
+            .filter((p: any) => p.outcome === "won")
+            .map((p: any) => p.id),
+        ),
       );
 
-      // Group pipeline by segment and stage
-      const segments = ["smb", "mid_market", "large_cap"];
-      const stages = [
-        "initial_meeting",
-        "pilot_scoping",
-        "pilot",
-        "contracting",
-      ];
+      const winLoss = winLossReport(closedClients, stages, segments);
 
       const pipelineMatrix: any = {};
       segments.forEach((segment) => {
@@ -280,25 +345,53 @@ serve(async (req) => {
           const clients = formattedClients.filter(
             (p) => p.segment === segment && p.stage === stage,
           );
+          const totalValue = clients.reduce(
+            (sum, c) => sum + (c.estimatedContractSize || 0),
+            0,
+          );
           pipelineMatrix[segment][stage] = {
             count: clients.length,
             clients: clients,
-            totalValue: clients.reduce(
-              (sum, c) => sum + (c.estimatedContractSize || 0),
-              0,
-            ),
+            totalValue,
+            weightedValue: (totalValue * probabilities[stage]) / 100,
           };
         });
       });
 
-      return new Response(
-        JSON.stringify({
-          cashPosition: cashPositions?.[0]?.amount || 0,
+      const kpis = applyVisibilityRules(
+        {
+          cashPosition: readable("cash_position")
+            ? cashPositions?.[0]?.amount || 0
+            : null,
           cashPositionDate: cashPositions?.[0]?.date || null,
-          monthlyBurn: monthlyBurns?.[0]?.amount || 0,
+          cashHistory: cashPositions || [],
+          monthlyBurn: readable("monthly_burn")
+            ? monthlyBurns?.[0]?.amount || 0
+            : null,
           monthlyBurnMonth: monthlyBurns?.[0]?.month || null,
+          monthlyRevenueCollected: monthlyBurns?.[0]?.revenue_collected ?? null,
+          monthlyNetBurn: monthlyBurns?.[0] ? netBurn(monthlyBurns[0]) : null,
+          burnHistory: burnTrend(monthlyBurns || []),
+          budgetVsActual: budgetVsActual(
+            operatingPlan || [],
+            plannedBurns || [],
+            employeeCounts || [],
+          ),
+          // Needs both inputs; viewers can read neither
+          runway:
+            readable("cash_position") && readable("monthly_burn")
+              ? calculateRunway(cashPositions?.[0] || null, monthlyBurns || [])
+              : null,
           customerCount,
+          pilotFunnel: readable("customer")
+            ? pilotFunnel(customers || [])
+            : null,
           totalARR,
+          arrHistory: arrMonths,
+          arrGrowth: arrGrowth(arrMonths),
+          retention: readable("customer")
+            ? revenueRetention(arrEvents || [])
+            : null,
           totalContractValue,
           fullTimeEmployeeCount: latestFullTimeCount,
           contractorCount: latestContractorCount,
@@ -310,11 +403,55 @@ serve(async (req) => {
             arr: c.arr || 0,
             start_date: c.start_date,
             status: c.status,
+            contract_term_months: c.contract_term_months ?? null,
+            renewal_date: c.renewal_date || null,
+            churned_at: c.churned_at || null,
+            churn_reason: c.churn_reason || null,
+            segment: c.segment || null,
+            pilot_started_at: c.pilot_started_at || null,
+            pilot_converted_at: c.pilot_converted_at || null,
+            pilot_ended_at: c.pilot_ended_at || null,
           })),
+          pipelineSegments,
+          pipelineStages,
           pipelineClients: formattedClients,
           pipelineMatrix: pipelineMatrix,
+          pipelineVelocity,
+          pipelineForecast: forecast,
+          closedDeals: closedClients
+            .map(formatPipelineClient)
+            .sort((a: any, b: any) =>
+              (b.closedAt || "").localeCompare(a.closedAt || ""),
+            ),
+          pipelineWinLoss: winLoss,
           pipelineNotes: pipelineNotes || [],
-        }),
+        },
+        visibilityRules,
+      );
+
+      return new Response(JSON.stringify(kpis), {
+        status: 200,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // Handle getQuarterGoals operation: every quarter's goals with their
+    // progress worked out server-side (see goals.ts)
+    if (operation === "getQuarterGoals") {
+      if (!canRead(session.role, "quarter_goal")) {
+        return new Response(
+          JSON.stringify({ error: "Insufficient permissions" }),
+          {
+            status: 403,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          },
+        );
+      }
+
+      const goals = await loadQuarterGoals(supabase);
+
+      return new Response(
+        JSON.stringify({ data: redactGoals(goals, visibilityRules) }),
         {
           status: 200,
           headers: { ...corsHeaders, "Content-Type": "application/json" },
@@ -322,6 +459,43 @@ serve(async (req) => {
       );
     }
 
+    // Handle listUsers operation (access management, owners only).
+    // Never selects password_hash.
+    if (operation === "listUsers") {
+      if (!getPermissions(session.role).manageAccess) {
+        return new Response(
+          JSON.stringify({ error: "Insufficient permissions" }),
+          {
+            status: 403,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          },
+        );
+      }
+
+      const { data, error } = await supabase
+        .from("investor_password")
+        .select(
+          "id, name, role, created_at, revoked_at, valid_from, expires_at",
+        )
+        .order("name", { ascending: true });
+
+      if (error) {
+        console.error("Database error:", error);
+        return new Response(
+          JSON.stringify({ error: "Database operation failed" }),
+          {
+            status: 500,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          },
+        );
+      }
+
+      return new Response(JSON.stringify({ data }), {
+        status: 200,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
     // Handle list operation
     if (operation === "list") {
       if (!table || !allowedTables.includes(table)) {
@@ -331,6 +505,16 @@ serve(async (req) => {
         });
       }
 
+      if (!canRead(session.role, table) || restrictedTables.includes(table)) {
+        return new Response(
+          JSON.stringify({ error: "Insufficient permissions" }),
+          {
+            status: 403,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          },
+        );
+      }
+
       let query = supabase.from(table).select("*");
 
       // Apply filters
@@ -340,6 +524,10 @@ serve(async (req) => {
         });
       }
 
+      if (sharedOnly(table)) {
+        query = query.eq("shared", true);
+      }
+
       // Apply default ordering
       if (table === "cash_position") {
         query = query.order("date", { ascending: false });
@@ -353,8 +541,31 @@ serve(async (req) => {
         filters?.year
       ) {
         query = query.order("order", { ascending: true });
-      } else if (table === "pipeline_note") {
+      } else if (table === "quarter_goal") {
+        query = query
+          .order("year", { ascending: true })
+          .order("quarter", { ascending: true })
+          .order("order", { ascending: true });
+      } else if (
+        table === "pipeline_note" ||
+        table === "pipeline_segment" ||
+        table === "pipeline_stage"
+      ) {
         query = query.order("order", { ascending: true });
+      } else if (table === "login_event") {
+        query = query.order("created_at", { ascending: false }).limit(500);
+      } else if (table === "investor_session") {
+        query = query.order("last_seen_at", { ascending: false }).limit(500);
+      } else if (table === "auth_lockout") {
+        query = query.order("last_failure_at", { ascending: false }).limit(500);
+      } else if (table === "customer_event") {
+        query = query
+          .order("event_date", { ascending: false })
+          .order("created_at", { ascending: false });
+      } else if (table === "operating_plan") {
+        query = query.order("month", { ascending: true });
+      } else if (table === "runway_scenario") {
+        query = query.order("updated_at", { ascending: false });
       }
 
       const { data, error } = await query;
@@ -370,7 +581,10 @@ serve(async (req) => {
         );
       }
 
-      return new Response(JSON.stringify({ data }), {
+      const rows =
+        table === "quarter_goal" ? redactGoals(data, visibilityRules) : data;
+
+      return new Response(JSON.stringify({ data: rows }), {
         status: 200,
         headers: { ...corsHeaders, "Content-Type": "application/json" },
       });
@@ -388,11 +602,22 @@ serve(async (req) => {
         );
       }
 
-      const { data, error } = await supabase
-        .from(table)
-        .select("*")
-        .eq("id", id)
-        .single();
+      if (!canRead(session.role, table) || restrictedTables.includes(table)) {
+        return new Response(
+          JSON.stringify({ error: "Insufficient permissions" }),
+          {
+            status: 403,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          },
+        );
+      }
+
+      let query = supabase.from(table).select("*").eq("id", id);
+      if (sharedOnly(table)) {
+        query = query.eq("shared", true);
+      }
+
+      const { data, error } = await query.single();
 
       if (error) {
         console.error("Database error:", error);
@@ -402,7 +627,12 @@ serve(async (req) => {
         });
       }
 
-      return new Response(JSON.stringify({ data }), {
+      const row =
+        table === "quarter_goal"
+          ? redactGoals([data], visibilityRules)[0]
+          : data;
+
+      return new Response(JSON.stringify({ data: row }), {
         status: 200,
         headers: { ...corsHeaders, "Content-Type": "application/json" },
       });
@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { winLossReport } from "./outcomes.ts";
+import type { ClosedDeal } from "./outcomes.ts";
+
+const STAGES = ["meeting", "pilot", "contracting"];
+const SEGMENTS = ["smb", "mid_market"];
+
+const deal = (fields: Partial<ClosedDeal>): ClosedDeal => ({
+  segment: "smb",
+  stage: "contracting",
+  outcome: "won",
+  estimated_contract_size: null,
+  loss_reason: null,
+  ...fields,
+});
+
+const deals = [
+  deal({ estimated_contract_size: 100000 }),
+  deal({ segment: "mid_market", estimated_contract_size: 300000 }),
+  deal({
+    outcome: "lost",
+    stage: "pilot",
+    estimated_contract_size: 50000,
+    loss_reason: "Price",
+  }),
+  deal({
+    segment: "mid_market",
+    outcome: "lost",
+    stage: "pilot",
+    loss_reason: " price ",
+  }),
+  deal({ outcome: "lost", stage: "meeting", loss_reason: "Timing" }),
+  deal({ outcome: "lost", stage: "meeting" }),
+];
+
+describe("winLossReport", () => {
+  const report = winLossReport(deals, STAGES, SEGMENTS);
+
+  it("works out the win rate and won/lost value", () => {
+    expect(report.all).toMatchObject({
+      won: 2,
+      lost: 4,
+      winRate: (2 / 6) * 100,
+      wonValue: 400000,
+      lostValue: 50000,
+    });
+  });
+
+  it("counts lost deals by the stage they were lost at", () => {
+    expect(report.all.lostByStage).toEqual({
+      meeting: 2,
+      pilot: 2,
+      contracting: 0,
+    });
+  });
+
+  it("groups loss reasons case-insensitively, most common first", () => {
+    expect(report.all.lossReasons).toEqual([
+      { reason: "Price", count: 2 },
+      { reason: "Timing", count: 1 },
+      { reason: "No reason given", count: 1 },
+    ]);
+  });
+
+  it("reports each segment on its own", () => {
+    expect(report.bySegment.mid_market).toMatchObject({
+      won: 1,
+      lost: 1,
+      winRate: 50,
+      lossReasons: [{ reason: "price", count: 1 }],
+    });
+    expect(report.bySegment.smb.won).toBe(1);
+  });
+
+  it("has no win rate without closed deals", () => {
+    expect(winLossReport([], STAGES, SEGMENTS).all).toMatchObject({
+      won: 0,
+      lost: 0,
+      winRate: null,
+      lossReasons: [],
+    });
+  });
+});
@@ -0,0 +1,90 @@
+// ============================================
+// Win/loss report for closed pipeline deals
+// ============================================
+// A pipeline client is closed once it has an outcome ("won" or "lost"); it
+// keeps the stage it closed at. Loss reasons are free text, so they're
+// grouped case-insensitively and reported with the first spelling seen.
+
+export interface ClosedDeal {
+  segment: string;
+  stage: string;
+  outcome: "won" | "lost";
+  estimated_contract_size: number | null;
+  loss_reason: string | null;
+}
+
+export interface LossReason {
+  reason: string;
+  count: number;
+}
+
+export interface WinLossStats {
+  won: number;
+  lost: number;
+  // won / (won + lost), as a percent
+  winRate: number | null;
+  wonValue: number;
+  lostValue: number;
+  // Lost deals by the stage they were lost at
+  lostByStage: Record<string, number>;
+  // Most common first
+  lossReasons: LossReason[];
+}
+
+export interface WinLossReport {
+  bySegment: Record<string, WinLossStats>;
+  all: WinLossStats;
+}
+
+function lossReasons(deals: ClosedDeal[]): LossReason[] {
+  const reasons = new Map<string, LossReason>();
+  for (const deal of deals) {
+    const reason = deal.loss_reason?.trim() || "No reason given";
+    const key = reason.toLowerCase();
+    const entry = reasons.get(key) || { reason, count: 0 };
+    entry.count++;
+    reasons.set(key, entry);
+  }
+  return [...reasons.values()].sort((a, b) => b.count - a.count);
+}
+
+function winLossStats(deals: ClosedDeal[], stages: string[]): WinLossStats {
+  const won = deals.filter((d) => d.outcome === "won");
+  const lost = deals.filter((d) => d.outcome === "lost");
+  const value = (rows: ClosedDeal[]) =>
+    rows.reduce((sum, d) => sum + (d.estimated_contract_size || 0), 0);
+
+  return {
+    won: won.length,
+    lost: lost.length,
+    winRate: deals.length ? (won.length / deals.length) * 100 : null,
+    wonValue: value(won),
+    lostValue: value(lost),
+    lostByStage: Object.fromEntries(
+      stages.map((stage) => [
+        stage,
+        lost.filter((d) => d.stage === stage).length,
+      ]),
+    ),
+    lossReasons: lossReasons(lost),
+  };
+}
+
+export function winLossReport(
+  deals: ClosedDeal[],
+  stages: string[],
+  segments: string[],
+): WinLossReport {
+  return {
+    bySegment: Object.fromEntries(
+      segments.map((segment) => [
+        segment,
+        winLossStats(
+          deals.filter((d) => d.segment === segment),
+          stages,
+        ),
+      ]),
+    ),
+    all: winLossStats(deals, stages),
+  };
+}
@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import { pilotFunnel } from "./pilots.ts";
+import type { PilotCustomer } from "./pilots.ts";
+
+const customer = (fields: Partial<PilotCustomer>): PilotCustomer => ({
+  is_pilot: false,
+  start_date: null,
+  segment: "smb",
+  pilot_started_at: null,
+  pilot_converted_at: null,
+  pilot_ended_at: null,
+  ...fields,
+});
+
+const customers = [
+  // Converted after 30 and 90 days
+  customer({
+    pilot_started_at: "2026-01-01",
+    pilot_converted_at: "2026-01-31",
+  }),
+  customer({
+    segment: "mid_market",
+    pilot_started_at: "2026-01-01",
+    pilot_converted_at: "2026-04-01",
+  }),
+  // Ended without converting
+  customer({ pilot_started_at: "2026-02-01", pilot_ended_at: "2026-03-01" }),
+  // Still running, one only flagged as a pilot
+  customer({ pilot_started_at: "2026-03-01" }),
+  customer({ is_pilot: true, segment: null }),
+  // Never a pilot
+  customer({ start_date: "2025-06-01" }),
+];
+
+describe("pilotFunnel", () => {
+  it("only counts decided pilots in the conversion rate", () => {
+    expect(pilotFunnel(customers)).toMatchObject({
+      started: 5,
+      running: 2,
+      converted: 2,
+      ended: 1,
+      conversionRate: (2 / 3) * 100,
+      medianDaysToConvert: 60,
+    });
+  });
+
+  it("splits the funnel by segment", () => {
+    const { bySegment } = pilotFunnel(customers);
+
+    expect(Object.keys(bySegment).sort()).toEqual([
+      "mid_market",
+      "smb",
+      "unknown",
+    ]);
+    expect(bySegment.smb).toMatchObject({
+      started: 3,
+      converted: 1,
+      ended: 1,
+      conversionRate: 50,
+      medianDaysToConvert: 30,
+    });
+    expect(bySegment.unknown).toMatchObject({
+      started: 1,
+      running: 1,
+      conversionRate: null,
+    });
+  });
+
+  it("measures time to convert from the start date when the pilot start is missing", () => {
+    expect(
+      pilotFunnel([
+        customer({
+          start_date: "2026-01-01",
+          pilot_converted_at: "2026-01-15",
+        }),
+      ]).medianDaysToConvert,
+    ).toBe(14);
+  });
+});
@@ -0,0 +1,90 @@
+// ============================================
+// Pilot-to-paid funnel
+// ============================================
+// A customer counts as a pilot once it has a pilot_started_at (or is still
+// flagged is_pilot). Each pilot is converted, ended without converting, or
+// still running. The conversion rate only counts decided pilots, so a batch
+// of new pilots doesn't drag it down.
+
+import { parseDate } from "./burn.ts";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface PilotCustomer {
+  is_pilot: boolean;
+  start_date: string | null;
+  segment: string | null;
+  pilot_started_at: string | null;
+  pilot_converted_at: string | null;
+  pilot_ended_at: string | null;
+}
+
+export interface PilotStats {
+  started: number;
+  running: number;
+  converted: number;
+  ended: number;
+  // converted / (converted + ended), as a percent
+  conversionRate: number | null;
+  medianDaysToConvert: number | null;
+}
+
+export interface PilotFunnel extends PilotStats {
+  // Same stats per customer segment; "unknown" when the size isn't set
+  bySegment: Record<string, PilotStats>;
+}
+
+function median(values: number[]): number | null {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function pilotStats(pilots: PilotCustomer[]): PilotStats {
+  const converted = pilots.filter((p) => p.pilot_converted_at);
+  const ended = pilots.filter((p) => !p.pilot_converted_at && p.pilot_ended_at);
+  const decided = converted.length + ended.length;
+
+  const daysToConvert = converted
+    .map((p) => {
+      const started = p.pilot_started_at || p.start_date;
+      if (!started) return null;
+      return Math.round(
+        (parseDate(p.pilot_converted_at!).getTime() -
+          parseDate(started).getTime()) /
+          DAY_MS,
+      );
+    })
+    .filter((days): days is number => days !== null && days >= 0);
+
+  return {
+    started: pilots.length,
+    running: pilots.length - decided,
+    converted: converted.length,
+    ended: ended.length,
+    conversionRate: decided ? (converted.length / decided) * 100 : null,
+    medianDaysToConvert: median(daysToConvert),
+  };
+}
+
+export function pilotFunnel(customers: PilotCustomer[]): PilotFunnel {
+  const pilots = customers.filter(
+    (c) => c.pilot_started_at || c.pilot_converted_at || c.is_pilot,
+  );
+
+  const segments = new Map<string, PilotCustomer[]>();
+  for (const pilot of pilots) {
+    const segment = pilot.segment || "unknown";
+    segments.set(segment, [...(segments.get(segment) || []), pilot]);
+  }
+
+  return {
+    ...pilotStats(pilots),
+    bySegment: Object.fromEntries(
+      [...segments].map(([segment, rows]) => [segment, pilotStats(rows)]),
+    ),
+  };
+}
@@ -0,0 +1,107 @@
+import { describe, expect, it } from "vitest";
+import { salesVelocity, stageEnteredAt } from "./pipeline.ts";
+import type { StageEntry } from "./pipeline.ts";
+
+const STAGES = ["meeting", "scoping", "pilot", "contracting"];
+const SEGMENTS = ["smb", "mid_market"];
+
+const entry = (
+  pipeline_client_id: string,
+  segment: string,
+  stage: string,
+  date: string,
+): StageEntry => ({
+  pipeline_client_id,
+  segment,
+  stage,
+  entered_at: `${date}T00:00:00Z`,
+});
+
+const history = [
+  // All the way through in 59 days
+  entry("a", "smb", "meeting", "2026-01-01"),
+  entry("a", "smb", "scoping", "2026-01-11"),
+  entry("a", "smb", "pilot", "2026-01-31"),
+  entry("a", "smb", "contracting", "2026-03-01"),
+  // Still in scoping
+  entry("b", "smb", "meeting", "2026-01-01"),
+  entry("b", "smb", "scoping", "2026-01-21"),
+  // Lost (or deleted) in its first meeting
+  entry("c", "mid_market", "meeting", "2026-01-01"),
+  // Skipped scoping and still in pilot
+  entry("d", "mid_market", "meeting", "2026-01-01"),
+  entry("d", "mid_market", "pilot", "2026-02-01"),
+  // Moved segment during the meeting stage, now in scoping
+  entry("e", "smb", "meeting", "2026-01-01"),
+  entry("e", "mid_market", "meeting", "2026-01-05"),
+  entry("e", "mid_market", "scoping", "2026-01-15"),
+];
+
+const openClients = [
+  { id: "b", stage: "scoping" },
+  { id: "d", stage: "pilot" },
+  { id: "e", stage: "scoping" },
+];
+
+describe("salesVelocity", () => {
+  const velocity = salesVelocity(history, openClients, STAGES, SEGMENTS);
+
+  it("averages time in stage over clients that have left it", () => {
+    const { stages } = velocity.all;
+    // a 10, b 20, d 31, e 10 (from its segment move); c never left
+    expect(stages.meeting.averageDays).toBe(17.75);
+    expect(stages.scoping.averageDays).toBe(20);
+    expect(stages.pilot.averageDays).toBe(29);
+    expect(stages.contracting.averageDays).toBeNull();
+  });
+
+  it("converts clients that moved on, including past skipped stages", () => {
+    const { stages } = velocity.all;
+    expect(stages.meeting).toMatchObject({ entered: 5, conversionRate: 80 });
+    // b and e are still in scoping, so only a has decided
+    expect(stages.scoping).toMatchObject({ entered: 3, conversionRate: 100 });
+    expect(stages.pilot).toMatchObject({ entered: 2, conversionRate: 100 });
+    // Nothing comes after the last stage
+    expect(stages.contracting.conversionRate).toBeNull();
+  });
+
+  it("measures the cycle to the last stage", () => {
+    expect(velocity.all).toMatchObject({
+      averageCycleDays: 59,
+      completedCycles: 1,
+    });
+  });
+
+  it("attributes each client to its latest segment", () => {
+    expect(velocity.smb.stages.meeting).toMatchObject({
+      entered: 2,
+      averageDays: 15,
+      conversionRate: 100,
+    });
+    expect(velocity.mid_market.stages.meeting.entered).toBe(3);
+    expect(velocity.mid_market.stages.meeting.conversionRate).toBeCloseTo(
+      (2 / 3) * 100,
+    );
+    expect(velocity.mid_market.completedCycles).toBe(0);
+  });
+
+  it("counts a won deal as having moved past its last stage", () => {
+    const closed = [entry("w", "smb", "scoping", "2026-01-01")];
+    const lost = salesVelocity(closed, [], STAGES, SEGMENTS);
+    const won = salesVelocity(closed, [], STAGES, SEGMENTS, new Set(["w"]));
+
+    expect(lost.all.stages.scoping.conversionRate).toBe(0);
+    expect(won.all.stages.scoping.conversionRate).toBe(100);
+  });
+});
+
+describe("stageEnteredAt", () => {
+  it("ignores segment moves within the current stage", () => {
+    const enteredAt = stageEnteredAt([
+      entry("f", "smb", "meeting", "2026-01-01"),
+      entry("f", "smb", "scoping", "2026-01-10"),
+      entry("f", "mid_market", "scoping", "2026-01-20"),
+    ]);
+    expect(enteredAt.get("f")).toBe("2026-01-10T00:00:00Z");
+  });
+});
@@ -0,0 +1,180 @@
+// ============================================
+// Sales velocity from the pipeline stage history
+// ============================================
+// pipeline_stage_history has a row every time a client enters a stage (see the
+// record_pipeline_stage trigger). A client is attributed to its latest
+// segment. Stages are compared by their position in the `stages` list, so a
+// client that skips a stage still counts as having moved past it. A deal
+// closed as won has moved past every stage it was in; one closed as lost
+// left its last stage without moving on.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface StageEntry {
+  pipeline_client_id: string;
+  segment: string;
+  stage: string;
+  entered_at: string;
+}
+
+export interface OpenClient {
+  id: string;
+  stage: string;
+}
+
+export interface StageVelocity {
+  entered: number;
+  // Average days spent in the stage, over clients that have left it
+  averageDays: number | null;
+  // Percent of clients that left the stage by moving further on. Clients
+  // still in the stage aren't counted; deleted ones count as lost.
+  conversionRate: number | null;
+}
+
+export interface SegmentVelocity {
+  stages: Record<string, StageVelocity>;
+  // Days from entering the pipeline to reaching the last stage
+  averageCycleDays: number | null;
+  completedCycles: number;
+}
+
+const average = (values: number[]) =>
+  values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+// Each client's stage entries, oldest first
+function entriesByClient(history: StageEntry[]): Map<string, StageEntry[]> {
+  const byClient = new Map<string, StageEntry[]>();
+  for (const entry of history) {
+    const entries = byClient.get(entry.pipeline_client_id) || [];
+    entries.push(entry);
+    byClient.set(entry.pipeline_client_id, entries);
+  }
+  for (const entries of byClient.values()) {
+    entries.sort(
+      (a, b) =>
+        new Date(a.entered_at).getTime() - new Date(b.entered_at).getTime(),
+    );
+  }
+  return byClient;
+}
+
+/**
+ * When each client entered its latest stage, keyed by client id
+ */
+export function stageEnteredAt(history: StageEntry[]): Map<string, string> {
+  const enteredAt = new Map<string, string>();
+  for (const [id, entries] of entriesByClient(history)) {
+    const current = entries[entries.length - 1];
+    // Walk back over segment moves within the same stage
+    let first = current;
+    for (let i = entries.length - 2; i >= 0; i--) {
+      if (entries[i].stage !== current.stage) break;
+      first = entries[i];
+    }
+    enteredAt.set(id, first.entered_at);
+  }
+  return enteredAt;
+}
+
+/**
+ * Time in stage, stage conversion and cycle length per segment, plus "all"
+ * across segments.
+ */
+export function salesVelocity(
+  history: StageEntry[],
+  openClients: OpenClient[],
+  stages: string[],
+  segments: string[],
+  wonIds: Set<string> = new Set(),
+): Record<string, SegmentVelocity> {
+  const openStage = new Map(openClients.map((c) => [c.id, c.stage]));
+  const lastStage = stages[stages.length - 1];
+
+  const stays: Record<string, Record<string, number[]>> = {};
+  const entered: Record<string, Record<string, number>> = {};
+  const advanced: Record<string, Record<string, number>> = {};
+  const stillIn: Record<string, Record<string, number>> = {};
+  const cycles: Record<string, number[]> = {};
+  for (const segment of [...segments, "all"]) {
+    stays[segment] = {};
+    entered[segment] = {};
+    advanced[segment] = {};
+    stillIn[segment] = {};
+    cycles[segment] = [];
+    for (const stage of stages) {
+      stays[segment][stage] = [];
+      entered[segment][stage] = 0;
+      advanced[segment][stage] = 0;
+      stillIn[segment][stage] = 0;
+    }
+  }
+
+  for (const [id, entries] of entriesByClient(history)) {
+    const segment = entries[entries.length - 1].segment;
+    const keys = segments.includes(segment) ? [segment, "all"] : ["all"];
+    const position = (entry: StageEntry) => stages.indexOf(entry.stage);
+    const furthest = Math.max(...entries.map(position));
+    const start = new Date(entries[0].entered_at).getTime();
+
+    const seen = new Set<string>();
+    entries.forEach((entry, i) => {
+      if (!stages.includes(entry.stage)) return;
+      const next = entries[i + 1];
+      // A segment move isn't leaving the stage
+      if (next && next.stage === entry.stage) return;
+      const end = next ? new Date(next.entered_at).getTime() : null;
+      for (const key of keys) {
+        if (end !== null) {
+          stays[key][entry.stage].push(
+            (end - new Date(entry.entered_at).getTime()) / DAY_MS,
+          );
+        }
+      }
+      seen.add(entry.stage);
+    });
+
+    for (const stage of seen) {
+      for (const key of keys) {
+        entered[key][stage]++;
+        if (furthest > stages.indexOf(stage) || wonIds.has(id)) {
+          advanced[key][stage]++;
+        } else if (openStage.get(id) === stage) stillIn[key][stage]++;
+      }
+    }
+
+    const reachedLast = entries.find((entry) => entry.stage === lastStage);
+    if (reachedLast) {
+      for (const key of keys) {
+        cycles[key].push(
+          (new Date(reachedLast.entered_at).getTime() - start) / DAY_MS,
+        );
+      }
+    }
+  }
+
+  return Object.fromEntries(
+    [...segments, "all"].map((segment) => [
+      segment,
+      {
+        stages: Object.fromEntries(
+          stages.map((stage) => {
+            const decided = entered[segment][stage] - stillIn[segment][stage];
+            return [
+              stage,
+              {
+                entered: entered[segment][stage],
+                averageDays: average(stays[segment][stage]),
+                conversionRate:
+                  stage === lastStage || decided === 0
+                    ? null
+                    : (advanced[segment][stage] / decided) * 100,
+              },
+            ];
+          }),
+        ),
+        averageCycleDays: average(cycles[segment]),
+        completedCycles: cycles[segment].length,
+      },
+    ]),
+  );
+}
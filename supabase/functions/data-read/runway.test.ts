@@ -0,0 +1,100 @@
+import { describe, expect, it } from "vitest";
+import { calculateRunway, STALE_CASH_DAYS } from "./runway.ts";
+
+const now = new Date("2026-02-01T12:00:00Z");
+
+// 100k a month for the three months up to the cash date
+const burns = [
+  { amount: 100000, month: "2025-11-01" },
+  { amount: 100000, month: "2025-12-01" },
+  { amount: 100000, month: "2026-01-01" },
+];
+
+describe("calculateRunway", () => {
+  it("projects the month cash reaches zero from the cash date", () => {
+    const runway = calculateRunway(
+      { amount: 300000, date: "2026-01-31" },
+      burns,
+      now,
+    );
+
+    expect(runway.status).toBe("ok");
+    expect(runway.months).toBe(3);
+    expect(runway.averageMonthlyBurn).toBe(100000);
+    // 3 average months of 365.25 / 12 days = 91.3 days
+    expect(runway.zeroCashDate).toBe("2026-05-02");
+  });
+
+  it("averages only the latest entry of each of the last three months", () => {
+    const runway = calculateRunway(
+      { amount: 300000, date: "2026-01-31" },
+      [
+        { amount: 900000, month: "2025-09-01" },
+        { amount: 50000, month: "2025-12-01" },
+        { amount: 200000, month: "2025-12-15" },
+        { amount: 100000, month: "2026-01-01" },
+      ],
+      now,
+    );
+
+    expect(runway.burnMonths).toBe(2);
+    expect(runway.averageMonthlyBurn).toBe(150000);
+    expect(runway.months).toBe(2);
+  });
+
+  it("has no data without a cash position or burn entries", () => {
+    expect(calculateRunway(null, burns, now)).toMatchObject({
+      status: "no_data",
+      months: null,
+      zeroCashDate: null,
+      cashAgeDays: null,
+      stale: false,
+    });
+    expect(
+      calculateRunway({ amount: 300000, date: "2026-01-31" }, [], now),
+    ).toMatchObject({ status: "no_data", months: null, burnMonths: 0 });
+  });
+
+  it("is out of cash at a zero or negative balance", () => {
+    for (const amount of [0, -5000]) {
+      expect(
+        calculateRunway({ amount, date: "2026-01-31" }, burns, now),
+      ).toMatchObject({
+        status: "out_of_cash",
+        months: 0,
+        zeroCashDate: "2026-01-31",
+      });
+    }
+  });
+
+  it("isn't burning when the average burn is zero or less", () => {
+    expect(
+      calculateRunway(
+        { amount: 300000, date: "2026-01-31" },
+        [{ amount: 0, month: "2026-01-01" }],
+        now,
+      ),
+    ).toMatchObject({
+      status: "not_burning",
+      months: null,
+      zeroCashDate: null,
+    });
+  });
+
+  it(`flags cash older than ${STALE_CASH_DAYS} days but still projects it`, () => {
+    const fresh = calculateRunway(
+      { amount: 300000, date: "2025-12-18" },
+      burns,
+      now,
+    );
+    expect(fresh).toMatchObject({ cashAgeDays: 45, stale: false });
+
+    const stale = calculateRunway(
+      { amount: 300000, date: "2025-12-17" },
+      burns,
+      now,
+    );
+    expect(stale).toMatchObject({ cashAgeDays: 46, stale: true, status: "ok" });
+    expect(stale.zeroCashDate).toBe("2026-03-18");
+  });
+});
@@ -0,0 +1,110 @@
+// ============================================
+// Runway: months of cash left at the recent burn rate
+// ============================================
+// Computed in getKPIs from the latest cash_position and a trailing average of
+// net burn (gross burn minus revenue collected). Every edge case gets an
+// explicit status so the dashboard never has to render Infinity or NaN.
+
+import { type BurnEntry, netBurn, parseDate, recentMonths } from "./burn.ts";
+
+// Calendar months averaged, ending at the latest monthly_burn entry
+export const BURN_WINDOW_MONTHS = 3;
+
+// Cash older than this is flagged; runway is still projected from it
+export const STALE_CASH_DAYS = 45;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 365.25 / 12;
+
+export type RunwayStatus =
+  | "ok"
+  // Average net burn is zero or negative, so cash isn't running out
+  | "not_burning"
+  // The latest cash position is zero or negative
+  | "out_of_cash"
+  // No cash position or no monthly burn entries yet
+  | "no_data";
+
+export interface Runway {
+  status: RunwayStatus;
+  // Months from cashDate until cash reaches zero (one decimal)
+  months: number | null;
+  zeroCashDate: string | null; // YYYY-MM-DD
+  averageMonthlyBurn: number | null;
+  burnMonths: number; // months that went into the average
+  cashDate: string | null;
+  cashAgeDays: number | null;
+  stale: boolean;
+}
+
+interface CashEntry {
+  amount: number;
+  date: string;
+}
+
+const toDateString = (date: Date) => date.toISOString().slice(0, 10);
+
+// Average net burn over the trailing window
+export function trailingAverageBurn(burns: BurnEntry[]): {
+  average: number | null;
+  months: number;
+} {
+  const inWindow = recentMonths(burns, BURN_WINDOW_MONTHS).map(netBurn);
+  if (inWindow.length === 0) return { average: null, months: 0 };
+
+  return {
+    average:
+      inWindow.reduce((sum, amount) => sum + amount, 0) / inWindow.length,
+    months: inWindow.length,
+  };
+}
+
+export function calculateRunway(
+  cash: CashEntry | null,
+  burns: BurnEntry[],
+  now: Date = new Date(),
+): Runway {
+  const { average, months: burnMonths } = trailingAverageBurn(burns);
+  const cashDate = cash ? parseDate(cash.date) : null;
+  const cashAgeDays = cashDate
+    ? Math.max(0, Math.floor((now.getTime() - cashDate.getTime()) / DAY_MS))
+    : null;
+
+  const runway: Runway = {
+    status: "no_data",
+    months: null,
+    zeroCashDate: null,
+    averageMonthlyBurn: average,
+    burnMonths,
+    cashDate: cashDate ? toDateString(cashDate) : null,
+    cashAgeDays,
+    stale: cashAgeDays !== null && cashAgeDays > STALE_CASH_DAYS,
+  };
+
+  if (!cash || !cashDate || average === null) return runway;
+
+  if (cash.amount <= 0) {
+    return {
+      ...runway,
+      status: "out_of_cash",
+      months: 0,
+      zeroCashDate: runway.cashDate,
+    };
+  }
+
+  if (average <= 0) {
+    return { ...runway, status: "not_burning" };
+  }
+
+  const months = cash.amount / average;
+  const zeroCashDate = new Date(
+    cashDate.getTime() + months * DAYS_PER_MONTH * DAY_MS,
+  );
+
+  return {
+    ...runway,
+    status: "ok",
+    months: Math.round(months * 10) / 10,
+    zeroCashDate: toDateString(zeroCashDate),
+  };
+}
@@ -0,0 +1,121 @@
+import { describe, expect, it } from "vitest";
+import { applyVisibilityRules, tablesRestrictedBy } from "./visibility.ts";
+
+// The parts of a getKPIs payload the arr rule touches
+const kpis = () => ({
+  totalARR: 360000,
+  totalContractValue: 420000,
+  arrHistory: [],
+  arrGrowth: null,
+  retention: null,
+  customers: [
+    { id: "c1", name: "Acme", arr: 240000, contract_value: 260000 },
+    { id: "c2", name: "Globex", arr: 120000, contract_value: 160000 },
+  ],
+  closedDeals: [
+    { id: "d1", outcome: "won", estimatedContractSize: 240000 },
+    { id: "d2", outcome: "lost", estimatedContractSize: 90000 },
+  ],
+});
+
+const customerValues = (result: any) =>
+  result.customers.map((c: any) => [c.arr, c.contract_value]);
+const dealValues = (result: any) =>
+  result.closedDeals.map((deal: any) => deal.estimatedContractSize);
+
+describe("applyVisibilityRules: arr", () => {
+  it("hides each customer's ARR and contract value and won deal values", () => {
+    const result = applyVisibilityRules(kpis(), [
+      { section: "arr", action: "hide", bucket_size: null },
+    ]);
+
+    expect(result.totalARR).toBeNull();
+    expect(customerValues(result)).toEqual([
+      [null, null],
+      [null, null],
+    ]);
+    expect(dealValues(result)).toEqual([null, 90000]);
+    expect(result.redactions).toEqual({ arr: "hide" });
+  });
+
+  it("buckets them with the rule's bucket size", () => {
+    const result = applyVisibilityRules(kpis(), [
+      { section: "arr", action: "bucket", bucket_size: 100000 },
+    ]);
+
+    expect(result.totalARR).toBe(400000);
+    expect(customerValues(result)).toEqual([
+      [200000, 300000],
+      [100000, 200000],
+    ]);
+    expect(dealValues(result)).toEqual([200000, 90000]);
+  });
+});
+
+// The parts of a getKPIs payload the pipeline_clients rule touches
+const pipelineKpis = () => {
+  const stats = () => ({
+    won: 1,
+    lost: 1,
+    winRate: 50,
+    wonValue: 240000,
+    lostValue: 90000,
+    lostByStage: { pilot: 1 },
+    lossReasons: [{ reason: "Went with Initech instead", count: 1 }],
+  });
+  return {
+    pipelineClients: [],
+    closedDeals: [
+      {
+        id: "d2",
+        name: "Globex",
+        outcome: "lost",
+        estimatedContractSize: 90000,
+        lossReason: "Went with Initech instead",
+      },
+    ],
+    pipelineMatrix: {},
+    pipelineVelocity: null,
+    pipelineForecast: null,
+    pipelineWinLoss: { all: stats(), bySegment: { smb: stats() } },
+  };
+};
+
+describe("applyVisibilityRules: pipeline_clients", () => {
+  it.each(["anonymize", "hide"])(
+    "doesn't leak loss reasons under %s",
+    (action) => {
+      const result = applyVisibilityRules(pipelineKpis(), [
+        {
+          section: "pipeline_clients",
+          action: action as any,
+          bucket_size: null,
+        },
+      ]);
+
+      expect(JSON.stringify(result)).not.toContain("Initech");
+    },
+  );
+
+  it("keeps the win/loss counts when anonymized", () => {
+    const result = applyVisibilityRules(pipelineKpis(), [
+      { section: "pipeline_clients", action: "anonymize", bucket_size: null },
+    ]);
+
+    expect(result.pipelineWinLoss.all).toMatchObject({ won: 1, lost: 1 });
+    expect(result.pipelineWinLoss.bySegment.smb.lossReasons).toEqual([]);
+  });
+});
+
+describe("tablesRestrictedBy", () => {
+  it.each(["burn", "headcount"])(
+    "blocks the operating plan under a %s rule",
+    (section) => {
+      expect(
+        tablesRestrictedBy([
+          { section: section as any, action: "bucket", bucket_size: null },
+        ]),
+      ).toContain("operating_plan");
+    },
+  );
+});
@@ -0,0 +1,426 @@
+// ============================================
+// Per-investor visibility and redaction rules
+// ============================================
+// Rules live in the visibility_rule table and are applied to the getKPIs
+// response before it leaves the server, so a redacted investor never receives
+// the underlying values.
+
+import type { Runway } from "./runway.ts";
+import { arrGrowth } from "./arr.ts";
+import { goalProgressPercent } from "./goals.ts";
+
+export type VisibilitySection =
+  | "cash"
+  | "burn"
+  | "arr"
+  | "headcount"
+  | "customer_list"
+  | "pipeline_clients"
+  | "pipeline_notes";
+
+export type VisibilityAction = "hide" | "anonymize" | "bucket";
+
+export interface VisibilityRule {
+  section: VisibilitySection;
+  action: VisibilityAction;
+  bucket_size: number | null;
+}
+
+// Raw tables that back each section. A user with any rule on a section can't
+// read the backing tables through list/get, which would bypass the redaction.
+// customer_event carries ARR changes and churn reasons, a won
+// pipeline_client carries its customer's name, and operating_plan holds the
+// exact budgeted burn and planned headcount.
+const SECTION_TABLES: Record<VisibilitySection, string[]> = {
+  cash: ["cash_position"],
+  burn: ["monthly_burn", "operating_plan"],
+  arr: ["customer", "customer_event"],
+  headcount: ["employee_count", "operating_plan"],
+  customer_list: ["customer", "customer_event", "pipeline_client"],
+  pipeline_clients: ["pipeline_client"],
+  pipeline_notes: ["pipeline_note"],
+};
+
+const DEFAULT_BUCKET_SIZE = 100000;
+
+export async function loadVisibilityRules(
+  supabase: any,
+  userId: string,
+): Promise<VisibilityRule[]> {
+  const { data, error } = await supabase
+    .from("visibility_rule")
+    .select("section, action, bucket_size")
+    .eq("user_id", userId);
+
+  if (error) {
+    // Fail closed: without the rules we can't know what to redact
+    throw new Error(`Failed to load visibility rules: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+export function tablesRestrictedBy(rules: VisibilityRule[]): string[] {
+  return [...new Set(rules.flatMap((rule) => SECTION_TABLES[rule.section]))];
+}
+
+// Runway times the exact burn would give the exact cash back, so bucketed
+// investors only see whole months and the month cash runs out
+function coarsenRunway(runway: Runway | null): Runway | null {
+  if (!runway) return runway;
+  return {
+    ...runway,
+    months: runway.months === null ? null : Math.round(runway.months),
+    zeroCashDate: runway.zeroCashDate
+      ? `${runway.zeroCashDate.slice(0, 7)}-01`
+      : null,
+  };
+}
+
+// "Customer A" ... "Customer Z", "Customer AA", ...
+function anonymousLabel(prefix: string, index: number): string {
+  let label = "";
+  let n = index;
+  do {
+    label = String.fromCharCode(65 + (n % 26)) + label;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return `${prefix} ${label}`;
+}
+
+// Labels are assigned in id order, which is random, so they don't leak
+// alphabetical or chronological ordering of the real names
+function anonymousLabels(
+  rows: { id: string }[],
+  prefix: string,
+): Map<string, string> {
+  const sortedIds = rows.map((row) => row.id).sort();
+  return new Map(sortedIds.map((id, i) => [id, anonymousLabel(prefix, i)]));
+}
+
+function bucket(value: number | null, size: number): number | null {
+  if (value === null || value === undefined) return value;
+  return Math.round(value / size) * size;
+}
+
+/**
+ * Apply a user's rules to the getKPIs payload (mutates and returns it).
+ * The applied actions are listed in `redactions` so the UI can label them.
+ */
+export function applyVisibilityRules(kpis: any, rules: VisibilityRule[]) {
+  const redactions: Record<string, VisibilityAction> = {};
+
+  for (const rule of rules) {
+    const size =
+      rule.bucket_size && rule.bucket_size > 0
+        ? rule.bucket_size
+        : DEFAULT_BUCKET_SIZE;
+
+    switch (rule.section) {
+      case "cash":
+        if (rule.action === "hide") {
+          kpis.cashPosition = null;
+          kpis.cashPositionDate = null;
+          kpis.cashHistory = [];
+          kpis.runway = null;
+        } else if (rule.action === "bucket") {
+          kpis.cashPosition = bucket(kpis.cashPosition, size);
+          kpis.runway = coarsenRunway(kpis.runway);
+          // Notes often quote the exact balance
+          kpis.cashHistory = kpis.cashHistory.map((entry: any) => ({
+            ...entry,
+            amount: bucket(entry.amount, size),
+            notes: null,
+          }));
+        } else continue;
+        break;
+
+      case "burn":
+        if (rule.action === "hide") {
+          kpis.monthlyBurn = null;
+          kpis.monthlyBurnMonth = null;
+          kpis.monthlyRevenueCollected = null;
+          kpis.monthlyNetBurn = null;
+          kpis.burnHistory = [];
+          kpis.runway = null;
+          kpis.budgetVsActual = kpis.budgetVsActual.map((month: any) => ({
+            ...month,
+            budgetedBurn: null,
+            actualBurn: null,
+            burnVariance: null,
+          }));
+        } else if (rule.action === "bucket") {
+          kpis.monthlyBurn = bucket(kpis.monthlyBurn, size);
+          kpis.monthlyRevenueCollected = bucket(
+            kpis.monthlyRevenueCollected,
+            size,
+          );
+          kpis.monthlyNetBurn = bucket(kpis.monthlyNetBurn, size);
+          kpis.burnHistory = kpis.burnHistory.map((month: any) => ({
+            ...month,
+            grossBurn: bucket(month.grossBurn, size),
+            revenueCollected: bucket(month.revenueCollected, size),
+            netBurn: bucket(month.netBurn, size),
+            payroll: bucket(month.payroll, size),
+            infrastructure: bucket(month.infrastructure, size),
+            generalAdmin: bucket(month.generalAdmin, size),
+            notes: null,
+          }));
+          kpis.budgetVsActual = kpis.budgetVsActual.map((month: any) => ({
+            ...month,
+            budgetedBurn: bucket(month.budgetedBurn, size),
+            actualBurn: bucket(month.actualBurn, size),
+            burnVariance: bucket(month.burnVariance, size),
+          }));
+          kpis.runway = coarsenRunway(kpis.runway);
+          if (kpis.runway) {
+            kpis.runway.averageMonthlyBurn = bucket(
+              kpis.runway.averageMonthlyBurn,
+              size,
+            );
+          }
+        } else continue;
+        break;
+
+      case "arr": {
+        if (rule.action === "hide") {
+          kpis.totalARR = null;
+          kpis.totalContractValue = null;
+          kpis.arrHistory = [];
+          kpis.arrGrowth = null;
+          kpis.retention = null;
+        } else if (rule.action === "bucket") {
+          kpis.totalARR = bucket(kpis.totalARR, size);
+          kpis.totalContractValue = bucket(kpis.totalContractValue, size);
+          kpis.arrHistory = kpis.arrHistory.map((month: any) => ({
+            ...month,
+            arr: bucket(month.arr, size),
+            newArr: bucket(month.newArr, size),
+            expansion: bucket(month.expansion, size),
+            contraction: bucket(month.contraction, size),
+            churned: bucket(month.churned, size),
+          }));
+          // Exact growth rates would give the exact ARR back
+          kpis.arrGrowth = arrGrowth(kpis.arrHistory);
+          if (kpis.retention) {
+            kpis.retention.startingArr = bucket(
+              kpis.retention.startingArr,
+              size,
+            );
+          }
+        } else continue;
+        // Each customer's ARR and each won deal's value would add back up to
+        // the total
+        const redactValue = (value: number | null) =>
+          rule.action === "hide" ? null : bucket(value, size);
+        kpis.customers = kpis.customers.map((c: any) => ({
+          ...c,
+          arr: redactValue(c.arr),
+          contract_value: redactValue(c.contract_value),
+        }));
+        kpis.closedDeals = kpis.closedDeals.map((deal: any) =>
+          deal.outcome === "won"
+            ? {
+                ...deal,
+                estimatedContractSize: redactValue(deal.estimatedContractSize),
+              }
+            : deal,
+        );
+        break;
+      }
+
+      case "headcount":
+        if (rule.action === "hide") {
+          kpis.fullTimeEmployeeCount = null;
+          kpis.contractorCount = null;
+          kpis.budgetVsActual = kpis.budgetVsActual.map((month: any) => ({
+            ...month,
+            plannedHeadcount: null,
+            actualHeadcount: null,
+            headcountVariance: null,
+          }));
+        } else if (rule.action === "bucket") {
+          // Headcount buckets default to 5 people, not dollars
+          const people = rule.bucket_size && rule.bucket_size > 0 ? size : 5;
+          kpis.fullTimeEmployeeCount = bucket(
+            kpis.fullTimeEmployeeCount,
+            people,
+          );
+          kpis.contractorCount = bucket(kpis.contractorCount, people);
+          kpis.budgetVsActual = kpis.budgetVsActual.map((month: any) => ({
+            ...month,
+            plannedHeadcount: bucket(month.plannedHeadcount, people),
+            actualHeadcount: bucket(month.actualHeadcount, people),
+            headcountVariance: bucket(month.headcountVariance, people),
+          }));
+        } else continue;
+        break;
+
+      case "customer_list":
+        // A won deal carries its customer's name
+        if (rule.action === "hide") {
+          kpis.customers = [];
+          kpis.closedDeals = kpis.closedDeals.filter(
+            (deal: any) => deal.outcome !== "won",
+          );
+        } else if (rule.action === "anonymize") {
+          const labels = anonymousLabels(kpis.customers, "Customer");
+          kpis.customers = kpis.customers.map((c: any) => ({
+            ...c,
+            name: labels.get(c.id),
+            status: null,
+            churn_reason: null,
+          }));
+          kpis.closedDeals = kpis.closedDeals.map((deal: any) =>
+            deal.outcome === "won"
+              ? { ...deal, name: labels.get(deal.customerId) || "Customer" }
+              : deal,
+          );
+        } else if (rule.action === "bucket") {
+          kpis.customers = kpis.customers.map((c: any) => ({
+            ...c,
+            arr: bucket(c.arr, size),
+            contract_value: bucket(c.contract_value, size),
+          }));
+        }
+        break;
+
+      case "pipeline_clients": {
+        let redactClient: (client: any) => any;
+        if (rule.action === "hide") {
+          redactClient = () => null;
+        } else if (rule.action === "anonymize") {
+          const labels = anonymousLabels(
+            [...kpis.pipelineClients, ...kpis.closedDeals],
+            "Prospect",
+          );
+          redactClient = (client) => ({
+            ...client,
+            name: labels.get(client.id),
+            status: null,
+            notes: null,
+            lossReason: null,
+          });
+        } else {
+          redactClient = (client) => ({
+            ...client,
+            estimatedContractSize: bucket(client.estimatedContractSize, size),
+          });
+        }
+
+        const redactList = (clients: any[]) =>
+          clients.map(redactClient).filter((client) => client !== null);
+
+        kpis.pipelineClients = redactList(kpis.pipelineClients);
+        kpis.closedDeals = redactList(kpis.closedDeals);
+        // Stage counts would still show how many prospects there are
+        if (rule.action === "hide") {
+          kpis.pipelineVelocity = null;
+          kpis.pipelineForecast = null;
+          kpis.pipelineWinLoss = null;
+        } else if (rule.action === "bucket" && kpis.pipelineForecast) {
+          const forecast = kpis.pipelineForecast;
+          forecast.weightedTotal = bucket(forecast.weightedTotal, size);
+          for (const segment of Object.keys(forecast.weightedBySegment)) {
+            forecast.weightedBySegment[segment] = bucket(
+              forecast.weightedBySegment[segment],
+              size,
+            );
+          }
+          for (const quarter of forecast.quarters) {
+            quarter.totalValue = bucket(quarter.totalValue, size);
+            quarter.weightedValue = bucket(quarter.weightedValue, size);
+          }
+          forecast.unscheduled.weightedValue = bucket(
+            forecast.unscheduled.weightedValue,
+            size,
+          );
+        }
+        if (rule.action !== "hide" && kpis.pipelineWinLoss) {
+          const report = kpis.pipelineWinLoss;
+          const segments = Object.values(report.bySegment) as any[];
+          for (const stats of [report.all, ...segments]) {
+            if (rule.action === "bucket") {
+              stats.wonValue = bucket(stats.wonValue, size);
+              stats.lostValue = bucket(stats.lostValue, size);
+            } else {
+              // Loss reasons are free text and often name the prospect
+              stats.lossReasons = [];
+            }
+          }
+        }
+        for (const segment of Object.values(kpis.pipelineMatrix) as any[]) {
+          for (const cell of Object.values(segment) as any[]) {
+            cell.clients = redactList(cell.clients);
+            if (rule.action === "bucket") {
+              cell.totalValue = bucket(cell.totalValue, size);
+              cell.weightedValue = bucket(cell.weightedValue, size);
+            }
+          }
+        }
+        break;
+      }
+
+      case "pipeline_notes":
+        if (rule.action !== "hide") continue;
+        kpis.pipelineNotes = [];
+        break;
+
+      default:
+        continue;
+    }
+
+    redactions[rule.section] = rule.action;
+  }
+
+  kpis.redactions = redactions;
+  return kpis;
+}
+
+// Goal metric each section's rules cover
+const GOAL_SECTIONS: Partial<Record<VisibilitySection, string>> = {
+  arr: "ARR",
+  pipeline_clients: "pipeline_value",
+};
+
+/**
+ * Apply a user's rules to quarter goal values (final_value from list/get, and
+ * the progress getQuarterGoals adds) the same way they apply to the KPIs
+ * those goals track.
+ */
+export function redactGoals(goals: any[], rules: VisibilityRule[]) {
+  return goals.map((goal) => {
+    let redact: (value: number | null) => number | null = (value) => value;
+    for (const rule of rules) {
+      if (GOAL_SECTIONS[rule.section] !== goal.metric_type) continue;
+      if (rule.action === "hide") {
+        redact = () => null;
+      } else if (rule.action === "bucket") {
+        const size =
+          rule.bucket_size && rule.bucket_size > 0
+            ? rule.bucket_size
+            : DEFAULT_BUCKET_SIZE;
+        redact = (value) => bucket(value, size);
+      }
+    }
+
+    const redacted = { ...goal, final_value: redact(goal.final_value) };
+    if (goal.snapshots) {
+      redacted.currentValue = redact(goal.currentValue);
+      redacted.startValue = redact(goal.startValue);
+      redacted.expectedValue = redact(goal.expectedValue);
+      redacted.snapshots = goal.snapshots
+        .map((snapshot: any) => ({
+          ...snapshot,
+          value: redact(snapshot.value),
+        }))
+        .filter((snapshot: any) => snapshot.value !== null);
+      // Exact progress would give the exact value back
+      redacted.progress = goalProgressPercent(
+        redacted.currentValue,
+        goal.target_value,
+      );
+    }
+    return redacted;
+  });
+}
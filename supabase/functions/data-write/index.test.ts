@@ -0,0 +1,196 @@
+import { beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import { ALL_TABLES, USER_TABLE } from "../_shared/permissions.ts";
+
+// data-write runs on Deno: stand in for its environment, the std HTTP server
+// (to get hold of the handler) and the Supabase client (a live session for
+// whichever role the test sets, and a record of any write that gets through)
+const state = vi.hoisted(() => {
+  const env: Record<string, string> = {
+    SESSION_SECRET: "test-session-secret-0123456789abcdef",
+    SUPABASE_URL: "http://127.0.0.1:54321",
+    SUPABASE_SERVICE_ROLE_KEY: "service-role-key",
+  };
+  (globalThis as any).Deno = { env: { get: (name: string) => env[name] } };
+
+  return {
+    handler: null as ((req: Request) => Promise<Response>) | null,
+    role: "viewer",
+    writes: [] as string[],
+    updated: null as Record<string, unknown> | null,
+    scenarioCreator: "user-1",
+  };
+});
+
+vi.mock("https://deno.land/std@0.168.0/http/server.ts", () => ({
+  serve: (handler: (req: Request) => Promise<Response>) => {
+    state.handler = handler;
+  },
+}));
+
+vi.mock("https://esm.sh/@supabase/supabase-js@2", () => ({
+  createClient: () => ({
+    rpc: async () => ({ data: 0, error: null }),
+    from: (table: string) => {
+      const query: any = {
+        select: () => query,
+        eq: () => query,
+        insert: () => {
+          state.writes.push(`insert ${table}`);
+          return query;
+        },
+        update: (values: Record<string, unknown>) => {
+          state.writes.push(`update ${table}`);
+          state.updated = values;
+          return query;
+        },
+        delete: () => {
+          state.writes.push(`delete ${table}`);
+          return query;
+        },
+        single: async () => ({ data: { id: "row-1" }, error: null }),
+        maybeSingle: async () => ({
+          data:
+            table === "runway_scenario"
+              ? { created_by: state.scenarioCreator }
+              : {
+                  revoked_at: null,
+                  expires_at: new Date(
+                    Date.now() + 60 * 60 * 1000,
+                  ).toISOString(),
+                  user: {
+                    role: state.role,
+                    revoked_at: null,
+                    valid_from: null,
+                    expires_at: null,
+                  },
+                },
+          error: null,
+        }),
+        then: (resolve: (value: any) => void) =>
+          resolve({ data: null, error: null }),
+      };
+      return query;
+    },
+  }),
+}));
+
+const { issueSession } = await import("../_shared/session.ts");
+
+async function write(role: string, body: Record<string, unknown>) {
+  state.role = role;
+  const { accessToken } = await issueSession({
+    id: "user-1",
+    sessionId: "session-1",
+    name: "Test",
+    role,
+  });
+  return state.handler!(
+    new Request("http://localhost/data-write", {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "x-session-token": accessToken,
+      },
+      body: JSON.stringify(body),
+    }),
+  );
+}
+
+const TABLES = [...ALL_TABLES, USER_TABLE];
+const OPERATIONS = [
+  { operation: "create", data: { name: "x" } },
+  { operation: "update", id: "row-1", data: { name: "x" } },
+  { operation: "delete", id: "row-1" },
+];
+
+describe("data-write", () => {
+  beforeAll(async () => {
+    await import("./index.ts");
+  });
+
+  beforeEach(() => {
+    state.writes = [];
+    state.updated = null;
+    state.scenarioCreator = "user-1";
+  });
+
+  describe.each(["viewer", "board_member"])("as a %s", (role) => {
+    it.each(TABLES)("refuses every write to %s", async (table) => {
+      for (const request of OPERATIONS) {
+        const response = await write(role, { ...request, table });
+        expect(response.status).toBe(403);
+        expect(await response.json()).toEqual({
+          error: "Insufficient permissions",
+        });
+      }
+      expect(state.writes).toEqual([]);
+    });
+  });
+
+  it("lets an editor write company data", async () => {
+    const response = await write("editor", {
+      operation: "create",
+      table: "cash_position",
+      data: { amount: 1000, date: "2026-01-31" },
+    });
+    expect(response.status).toBe(200);
+    expect(state.writes).toEqual(["insert cash_position"]);
+  });
+
+  it.each(["pipeline_segment", "pipeline_stage"])(
+    "never changes a %s key",
+    async (table) => {
+      const response = await write("editor", {
+        operation: "update",
+        table,
+        id: "row-1",
+        data: { key: "renamed", label: "Renamed" },
+      });
+      expect(response.status).toBe(200);
+      expect(state.updated).toEqual({ label: "Renamed" });
+    },
+  );
+
+  describe("runway scenarios", () => {
+    const SCENARIO_WRITES = [
+      { operation: "update", id: "row-1", data: { name: "x" } },
+      { operation: "delete", id: "row-1" },
+    ];
+
+    it("only let an editor change the ones they created", async () => {
+      state.scenarioCreator = "user-2";
+      for (const request of SCENARIO_WRITES) {
+        const response = await write("editor", {
+          ...request,
+          table: "runway_scenario",
+        });
+        expect(response.status).toBe(403);
+      }
+      expect(state.writes).toEqual([]);
+
+      state.scenarioCreator = "user-1";
+      for (const request of SCENARIO_WRITES) {
+        const response = await write("editor", {
+          ...request,
+          table: "runway_scenario",
+        });
+        expect(response.status).toBe(200);
+      }
+    });
+
+    it("let an owner change anyone's", async () => {
+      state.scenarioCreator = "user-2";
+      for (const request of SCENARIO_WRITES) {
+        const response = await write("owner", {
+          ...request,
+          table: "runway_scenario",
+        });
+        expect(response.status).toBe(200);
+      }
+      expect(state.writes).toEqual([
+        "update runway_scenario",
+        "delete runway_scenario",
+      ]);
+    });
+  });
+});
@@ -1,53 +1,9 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
-
-// PBKDF2 password verification
-async function verifyPassword(
-  password: string,
-  storedHash: string,
-): Promise<boolean> {
-  try {
-    const parts = storedHash.split("$");
-    if (parts.length !== 3) return false;
-
-    const [iterationsStr, saltBase64, hashBase64] = parts;
-    const iterations = parseInt(iterationsStr, 10);
-    if (isNaN(iterations)) return false;
-
-    const salt = Uint8Array.from(atob(saltBase64), (c) => c.charCodeAt(0));
-    const storedHashBytes = Uint8Array.from(atob(hashBase64), (c) =>
-      c.charCodeAt(0),
-    );
-
-    const passwordBuffer = new TextEncoder().encode(password);
-    const key = await crypto.subtle.importKey(
-      "raw",
-      passwordBuffer,
-      { name: "PBKDF2" },
-      false,
-      ["deriveBits"],
-    );
-
-    const hashBuffer = await crypto.subtle.deriveBits(
-      { name: "PBKDF2", salt: salt, iterations: iterations, hash: "SHA-256" },
-      key,
-      32 * 8,
-    );
-
-    const hashBytes = new Uint8Array(hashBuffer);
-    if (hashBytes.length !== storedHashBytes.length) return false;
-
-    let diff = 0;
-    for (let i = 0; i < hashBytes.length; i++) {
-      diff |= hashBytes[i] ^ storedHashBytes[i];
-    }
-
-    return diff === 0;
-  } catch (error) {
-    console.error("Error verifying password:", error);
-    return false;
-  }
-}
+import { verifyToken } from "../_shared/session.ts";
+import { getClientIp, hitRateLimit } from "../_shared/throttle.ts";
+import { loadLiveSession, revokeSessions } from "../_shared/access.ts";
+import { canWrite, ALL_TABLES, USER_TABLE } from "../_shared/permissions.ts";
 
 // CORS headers
 function getCorsHeaders(origin: string | null): HeadersInit {
@@ -62,54 +18,12 @@ function getCorsHeaders(origin: string | null): HeadersInit {
   return {
     "Access-Control-Allow-Origin": allowOrigin,
     "Access-Control-Allow-Headers":
-      "authorization, x-client-info, apikey, content-type, x-admin-password",
+      "authorization, x-client-info, apikey, content-type, x-session-token",
     "Access-Control-Allow-Methods": "POST, OPTIONS",
     "Access-Control-Max-Age": "86400",
   };
 }
 
-// Rate limiting
-const rateLimits = new Map<string, { count: number; resetTime: number }>();
-function checkRateLimit(
-  key: string,
-  maxRequests: number,
-  windowMs: number,
-): boolean {
-  const now = Date.now();
-  const entry = rateLimits.get(key);
-  if (!entry || now > entry.resetTime) {
-    rateLimits.set(key, { count: 1, resetTime: now + windowMs });
-    return true;
-  }
-  if (entry.count >= maxRequests) return false;
-  entry.count++;
-  return true;
-}
-
-// Authenticate admin password
-async function authenticateAdmin(
-  password: string,
-  supabase: any,
-): Promise<boolean> {
-  const { data: passwords, error } = await supabase
-    .from("investor_password")
-    .select("password_hash");
-
-  if (error) {
-    console.error("Database error during auth:", error);
-    return false;
-  }
-
-  for (const user of passwords || []) {
-    if (user.password_hash) {
-      const isValid = await verifyPassword(password, user.password_hash);
-      if (isValid) return true;
-    }
-  }
-
-  return false;
-}
-
 serve(async (req) => {
   const origin = req.headers.get("origin");
   const corsHeaders = getCorsHeaders(origin);
@@ -123,21 +37,9 @@ serve(async (req) => {
   }
 
   try {
-    // Rate limiting (30 write operations per minute)
-    const ip =
-      req.headers.get("x-forwarded-for") ||
-      req.headers.get("x-real-ip") ||
-      "unknown";
-    if (!checkRateLimit(ip, 30, 60 * 1000)) {
-      return new Response(JSON.stringify({ error: "Too many requests" }), {
-        status: 429,
-        headers: { ...corsHeaders, "Content-Type": "application/json" },
-      });
-    }
-
-    // Get admin password from header
-    const adminPassword = req.headers.get("x-admin-password");
-    if (!adminPassword) {
+    // Verify the session token issued by admin-auth
+    const sessionToken = req.headers.get("x-session-token");
+    if (!sessionToken) {
       return new Response(
         JSON.stringify({ error: "Authentication required" }),
         {
@@ -147,6 +49,14 @@ serve(async (req) => {
       );
     }
 
+    const session = await verifyToken(sessionToken, "access");
+    if (!session) {
+      return new Response(JSON.stringify({ error: "Session expired" }), {
+        status: 401,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
     // Create Supabase client with service role key
     const supabaseUrl = Deno.env.get("SUPABASE_URL");
     const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
@@ -157,14 +67,33 @@ serve(async (req) => {
 
     const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
-    // Authenticate admin
-    const isAuthenticated = await authenticateAdmin(adminPassword, supabase);
-    if (!isAuthenticated) {
-      return new Response(JSON.stringify({ error: "Invalid credentials" }), {
+    // Rate limiting (30 write operations per minute)
+    const ip = getClientIp(req);
+    const retryAfter = await hitRateLimit(supabase, `data-write:${ip}`, 30, 60);
+    if (retryAfter > 0) {
+      return new Response(
+        JSON.stringify({ error: "Too many requests", retryAfter }),
+        {
+          status: 429,
+          headers: {
+            ...corsHeaders,
+            "Content-Type": "application/json",
+            "Retry-After": String(retryAfter),
+          },
+        },
+      );
+    }
+
+    // Revocation and expiry end the session now, not when the token expires.
+    // The stored role also wins over the one in the token.
+    const liveSession = await loadLiveSession(supabase, session);
+    if (!liveSession) {
+      return new Response(JSON.stringify({ error: "Session expired" }), {
         status: 401,
         headers: { ...corsHeaders, "Content-Type": "application/json" },
       });
     }
+    session.role = liveSession.role;
 
     // Parse request body
     const { operation, table, id, data } = await req.json();
@@ -179,15 +108,7 @@ serve(async (req) => {
     }
 
     // Whitelist allowed tables
-    const allowedTables = [
-      "cash_position",
-      "monthly_burn",
-      "customer",
-      "employee_count",
-      "pipeline_client",
-      "quarter_goal",
-      "pipeline_note",
-    ];
+    const allowedTables = [...ALL_TABLES, USER_TABLE];
 
     if (!table || !allowedTables.includes(table)) {
       return new Response(JSON.stringify({ error: "Invalid table" }), {
@@ -196,10 +117,31 @@ serve(async (req) => {
       });
     }
 
+    // Enforce the role's write permissions (viewers and board members are
+    // read-only)
+    if (!canWrite(session.role, table)) {
+      return new Response(
+        JSON.stringify({ error: "Insufficient permissions" }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        },
+      );
+    }
+
     // Field whitelist for each table
     const allowedFields: Record<string, string[]> = {
       cash_position: ["id", "amount", "date", "notes"],
-      monthly_burn: ["id", "amount", "month", "notes"],
+      monthly_burn: [
+        "id",
+        "amount",
+        "month",
+        "notes",
+        "revenue_collected",
+        "payroll",
+        "infrastructure",
+        "general_admin",
+      ],
       customer: [
         "id",
         "name",
@@ -208,6 +150,22 @@ serve(async (req) => {
         "arr",
         "start_date",
         "status",
+        "contract_term_months",
+        "renewal_date",
+        "churned_at",
+        "churn_reason",
+        "segment",
+        "pilot_started_at",
+        "pilot_converted_at",
+        "pilot_ended_at",
+      ],
+      customer_event: [
+        "id",
+        "customer_id",
+        "event_type",
+        "event_date",
+        "arr_change",
+        "notes",
       ],
       employee_count: ["id", "count", "date", "is_full_time"],
       pipeline_client: [
@@ -217,6 +175,10 @@ serve(async (req) => {
         "stage",
         "estimated_contract_size",
         "engagement_start_date",
+        "expected_close_date",
+        "outcome",
+        "closed_at",
+        "loss_reason",
         "status",
         "notes",
       ],
@@ -231,8 +193,73 @@ serve(async (req) => {
         "order",
       ],
       pipeline_note: ["id", "content", "order"],
+      runway_scenario: ["id", "name", "assumptions", "shared"],
+      operating_plan: [
+        "id",
+        "fiscal_year",
+        "month",
+        "budgeted_burn",
+        "planned_headcount",
+      ],
+      pipeline_stage_probability: ["id", "stage", "probability"],
+      pipeline_segment: ["id", "key", "label", "order", "color"],
+      pipeline_stage: ["id", "key", "label", "order", "color"],
+      visibility_rule: ["id", "user_id", "section", "action", "bucket_size"],
+      investor_password: ["valid_from", "expires_at", "revoked_at"],
     };
 
+    // Fields that can be set on create but never changed. Stage history
+    // stores segment and stage keys, so renaming a key would orphan it.
+    const createOnlyFields: Record<string, string[]> = {
+      pipeline_segment: ["key"],
+      pipeline_stage: ["key"],
+    };
+
+    // Accounts are added and removed with scripts/manage-users.js. Here an
+    // owner can only change another account's access window or revoke it.
+    if (table === USER_TABLE) {
+      const error =
+        operation !== "update"
+          ? "Use the user management CLI to add or remove users"
+          : id === session.sub
+            ? "You can't change your own access"
+            : null;
+      if (error) {
+        return new Response(JSON.stringify({ error }), {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+    }
+
+    // Editors share the scenario list, so they can only change or delete
+    // the scenarios they created. Owners can tidy up anyone's.
+    if (
+      table === "runway_scenario" &&
+      operation !== "create" &&
+      session.role !== "owner"
+    ) {
+      const { data: scenario, error } = await supabase
+        .from(table)
+        .select("created_by")
+        .eq("id", id)
+        .maybeSingle();
+      if (error) {
+        throw new Error(`Failed to load scenario: ${error.message}`);
+      }
+      if (scenario && scenario.created_by !== session.sub) {
+        return new Response(
+          JSON.stringify({
+            error: "Only the scenario's creator or an owner can change it",
+          }),
+          {
+            status: 403,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          },
+        );
+      }
+    }
+
     // Handle CREATE operation
     if (operation === "create") {
       if (!data) {
@@ -263,6 +290,10 @@ serve(async (req) => {
         );
       }
 
+      if (table === "runway_scenario") {
+        whitelistedData.created_by = session.sub;
+      }
+
       const { data: result, error } = await supabase
         .from(table)
         .insert(whitelistedData)
@@ -295,12 +326,14 @@ serve(async (req) => {
         });
       }
 
-      // Filter data to only allowed fields (exclude id from update data)
+      // Filter data to only allowed fields (exclude id and create-only
+      // fields from update data)
       const whitelistedData: Record<string, any> = {};
       const tableFields = allowedFields[table] || [];
+      const fixedFields = ["id", ...(createOnlyFields[table] || [])];
 
       for (const field of tableFields) {
-        if (field !== "id" && data[field] !== undefined) {
+        if (!fixedFields.includes(field) && data[field] !== undefined) {
           whitelistedData[field] = data[field];
         }
       }
@@ -315,11 +348,23 @@ serve(async (req) => {
         );
       }
 
+      if (
+        table === "runway_scenario" ||
+        table === "pipeline_stage_probability"
+      ) {
+        whitelistedData.updated_at = new Date().toISOString();
+      }
+
       const { data: result, error } = await supabase
         .from(table)
         .update(whitelistedData)
         .eq("id", id)
-        .select()
+        // Never echo password hashes back
+        .select(
+          table === USER_TABLE
+            ? "id, name, role, revoked_at, valid_from, expires_at"
+            : "*",
+        )
         .single();
 
       if (error) {
@@ -333,6 +378,11 @@ serve(async (req) => {
         );
       }
 
+      // Revoking an account ends its live sessions too
+      if (table === USER_TABLE && whitelistedData.revoked_at) {
+        await revokeSessions(supabase, id);
+      }
+
       return new Response(JSON.stringify({ data: result }), {
         status: 200,
         headers: { ...corsHeaders, "Content-Type": "application/json" },
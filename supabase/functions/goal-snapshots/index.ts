@@ -0,0 +1,67 @@
+// ============================================
+// Scheduled quarter goal snapshots
+// ============================================
+// Called by a pg_cron job (see README), not by the dashboard. Stores the final
+// values of quarters that have ended and this week's snapshot of the current
+// quarter's goals (see goals.ts). Callers must send GOAL_SNAPSHOT_SECRET in
+// the x-cron-secret header.
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { recordGoalSnapshots } from "../data-read/goals.ts";
+
+const encoder = new TextEncoder();
+
+// Constant-time comparison so the secret can't be guessed byte by byte
+function secretMatches(given: string, expected: string): boolean {
+  const a = encoder.encode(given);
+  const b = encoder.encode(expected);
+  if (a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+serve(async (req) => {
+  const headers = { "Content-Type": "application/json" };
+
+  if (req.method !== "POST") {
+    return new Response(JSON.stringify({ error: "Method not allowed" }), {
+      status: 405,
+      headers,
+    });
+  }
+
+  try {
+    const secret = Deno.env.get("GOAL_SNAPSHOT_SECRET");
+    if (!secret) {
+      throw new Error("Missing GOAL_SNAPSHOT_SECRET");
+    }
+    if (!secretMatches(req.headers.get("x-cron-secret") || "", secret)) {
+      return new Response(JSON.stringify({ error: "Unauthorized" }), {
+        status: 401,
+        headers,
+      });
+    }
+
+    const supabaseUrl = Deno.env.get("SUPABASE_URL");
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+    if (!supabaseUrl || !supabaseServiceKey) {
+      throw new Error("Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY");
+    }
+
+    await recordGoalSnapshots(createClient(supabaseUrl, supabaseServiceKey));
+
+    return new Response(JSON.stringify({ success: true }), {
+      status: 200,
+      headers,
+    });
+  } catch (error) {
+    console.error("Error in goal-snapshots function:", error);
+    return new Response(JSON.stringify({ error: "Internal server error" }), {
+      status: 500,
+      headers,
+    });
+  }
+});
@@ -6,10 +6,19 @@
 
 -- Drop existing tables if they exist (use with caution in production)
 -- Uncomment the following lines if you need to recreate tables:
+-- DROP TABLE IF EXISTS quarter_goal_snapshot CASCADE;
+-- DROP TABLE IF EXISTS pipeline_stage_probability CASCADE;
+-- DROP TABLE IF EXISTS pipeline_stage_history CASCADE;
+-- DROP TABLE IF EXISTS customer_event CASCADE;
+-- DROP TABLE IF EXISTS customer_arr_history CASCADE;
+-- DROP TABLE IF EXISTS operating_plan CASCADE;
+-- DROP TABLE IF EXISTS runway_scenario CASCADE;
 -- DROP TABLE IF EXISTS quarter_goal CASCADE;
 -- DROP TABLE IF EXISTS pipeline_client CASCADE;
 -- DROP TABLE IF EXISTS employee_count CASCADE;
 -- DROP TABLE IF EXISTS customer CASCADE;
+-- DROP TABLE IF EXISTS pipeline_stage CASCADE;
+-- DROP TABLE IF EXISTS pipeline_segment CASCADE;
 -- DROP TABLE IF EXISTS monthly_burn CASCADE;
 -- DROP TABLE IF EXISTS cash_position CASCADE;
 -- DROP TABLE IF EXISTS investor_password CASCADE;
@@ -22,8 +31,17 @@
 -- Stores passwords for investor authentication
 CREATE TABLE IF NOT EXISTS investor_password (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  password TEXT NOT NULL,
+  password TEXT,
   is_artemis_management BOOLEAN NOT NULL DEFAULT false,
+  role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'board_member', 'editor', 'owner')),
+  password_hash TEXT,
+  password_lookup TEXT,
+  revoked_at TIMESTAMPTZ,
+  valid_from TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  totp_secret TEXT,
+  totp_enabled_at TIMESTAMPTZ,
+  totp_last_step BIGINT,
   name TEXT,
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -42,9 +60,38 @@ CREATE TABLE IF NOT EXISTS cash_position (
 -- Tracks monthly burn rate
 CREATE TABLE IF NOT EXISTS monthly_burn (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  amount FLOAT NOT NULL,
+  amount FLOAT NOT NULL, -- gross burn
   month DATE NOT NULL,
   notes TEXT,
+  revenue_collected FLOAT,
+  payroll FLOAT,
+  infrastructure FLOAT,
+  general_admin FLOAT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Pipeline Segment Table
+-- Customer size segments used by the pipeline and customer.segment, shown
+-- in "order". key is what rows store; label and color can change freely.
+-- A segment still in use by a pipeline client can't be deleted.
+CREATE TABLE IF NOT EXISTS pipeline_segment (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  key TEXT NOT NULL UNIQUE CHECK (key ~ '^[a-z][a-z0-9_]*$'),
+  label TEXT NOT NULL,
+  "order" INTEGER NOT NULL DEFAULT 0,
+  color TEXT CHECK (color IS NULL OR color ~ '^#[0-9a-fA-F]{6}$'),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Pipeline Stage Table
+-- Sales pipeline stages in "order"; the last one is the stage sales cycles
+-- are measured to. Same key/label/color rules as pipeline_segment.
+CREATE TABLE IF NOT EXISTS pipeline_stage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  key TEXT NOT NULL UNIQUE CHECK (key ~ '^[a-z][a-z0-9_]*$'),
+  label TEXT NOT NULL,
+  "order" INTEGER NOT NULL DEFAULT 0,
+  color TEXT CHECK (color IS NULL OR color ~ '^#[0-9a-fA-F]{6}$'),
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
@@ -58,6 +105,14 @@ CREATE TABLE IF NOT EXISTS customer (
   arr FLOAT,
   start_date DATE,
   status TEXT,
+  contract_term_months INTEGER CHECK (contract_term_months IS NULL OR contract_term_months > 0),
+  renewal_date DATE,
+  churned_at DATE,
+  churn_reason TEXT,
+  segment TEXT REFERENCES pipeline_segment(key) ON UPDATE CASCADE ON DELETE SET NULL,
+  pilot_started_at DATE,
+  pilot_converted_at DATE,
+  pilot_ended_at DATE,
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
@@ -76,10 +131,15 @@ CREATE TABLE IF NOT EXISTS employee_count (
 CREATE TABLE IF NOT EXISTS pipeline_client (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   name TEXT NOT NULL,
-  segment TEXT NOT NULL CHECK (segment IN ('smb', 'mid_market', 'large_cap')),
-  stage TEXT NOT NULL CHECK (stage IN ('initial_meeting', 'pilot_scoping', 'pilot', 'contracting')),
+  segment TEXT NOT NULL REFERENCES pipeline_segment(key) ON UPDATE CASCADE,
+  stage TEXT NOT NULL REFERENCES pipeline_stage(key) ON UPDATE CASCADE,
   estimated_contract_size FLOAT,
   engagement_start_date DATE NOT NULL,
+  expected_close_date DATE,
+  outcome TEXT CHECK (outcome IS NULL OR outcome IN ('won', 'lost')),
+  closed_at DATE,
+  loss_reason TEXT,
+  customer_id UUID REFERENCES customer(id) ON DELETE SET NULL,
   status TEXT,
   notes TEXT,
   created_at TIMESTAMPTZ DEFAULT NOW()
@@ -96,13 +156,653 @@ CREATE TABLE IF NOT EXISTS quarter_goal (
   year INTEGER NOT NULL,
   metric_type TEXT CHECK (metric_type IN ('ARR', 'customers', 'pipeline_value', 'custom')),
   "order" INTEGER,
+  final_value FLOAT,
+  finalized_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Visibility Rule Table
+-- Per-investor redaction rules applied server-side to getKPIs
+--   section: which part of the dashboard the rule covers
+--   action:  hide      - remove the values entirely
+--            anonymize - replace names with "Customer A", "Prospect B", ...
+--            bucket    - round values to the nearest bucket_size
+CREATE TABLE IF NOT EXISTS visibility_rule (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES investor_password(id) ON DELETE CASCADE,
+  section TEXT NOT NULL CHECK (section IN ('cash', 'burn', 'arr', 'headcount', 'customer_list', 'pipeline_clients', 'pipeline_notes')),
+  action TEXT NOT NULL CHECK (action IN ('hide', 'anonymize', 'bucket')),
+  bucket_size FLOAT CHECK (bucket_size IS NULL OR bucket_size > 0),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, section)
+);
+
+-- Login Event Table
+-- Audit log of every login attempt handled by admin-auth
+CREATE TABLE IF NOT EXISTS login_event (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES investor_password(id) ON DELETE SET NULL,
+  user_name TEXT,
+  outcome TEXT NOT NULL CHECK (outcome IN ('success', 'failure', 'rate_limited')),
+  ip TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Investor Session Table
+-- One row per login; extended on every token refresh
+CREATE TABLE IF NOT EXISTS investor_session (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES investor_password(id) ON DELETE CASCADE,
+  ip TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ
+);
+
+-- TOTP Recovery Code Table
+-- One-time codes for management users who lose their authenticator.
+-- Only SHA-256 hashes are stored.
+CREATE TABLE IF NOT EXISTS totp_recovery_code (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES investor_password(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Rate Limit Table
+-- Fixed-window request counters shared by all edge function instances
+CREATE TABLE IF NOT EXISTS rate_limit (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL DEFAULT 0,
+  window_start TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Auth Lockout Table
+-- Failed login / code attempts per source IP ('ip:<address>') and per
+-- account ('account:<user id>'), with exponential backoff
+CREATE TABLE IF NOT EXISTS auth_lockout (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  key TEXT NOT NULL UNIQUE,
+  user_id UUID REFERENCES investor_password(id) ON DELETE CASCADE,
+  ip TEXT,
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failure_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ
+);
+
+-- Operating Plan Table
+-- Budgeted gross burn and planned full-time headcount per month of a fiscal
+-- year, compared against monthly_burn and employee_count in getKPIs.
+-- month is the first day of the month.
+CREATE TABLE IF NOT EXISTS operating_plan (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  fiscal_year INTEGER NOT NULL,
+  month DATE NOT NULL UNIQUE CHECK (EXTRACT(DAY FROM month) = 1),
+  budgeted_burn FLOAT,
+  planned_headcount INTEGER CHECK (planned_headcount IS NULL OR planned_headcount >= 0),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Customer ARR History Table
+-- One row per change to a customer's ARR, written by the customer_arr_history
+-- trigger (deleting a customer records ARR 0). getKPIs rebuilds month-end ARR
+-- and the new / expansion / contraction / churn split from these rows.
+-- customer_id has no foreign key so history survives the customer row.
+CREATE TABLE IF NOT EXISTS customer_arr_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL,
+  arr FLOAT NOT NULL DEFAULT 0,
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Customer Event Table
+-- Lifecycle log per customer. The record_customer_event trigger adds new
+-- customers, upsells, downgrades, pilot-to-paid conversions, ended pilots,
+-- renewals, churn and reactivations as the customer row changes; editors can
+-- add entries by hand.
+CREATE TABLE IF NOT EXISTS customer_event (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL REFERENCES customer(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL CHECK (event_type IN ('new', 'upsell', 'downgrade', 'pilot_conversion', 'pilot_ended', 'renewal', 'churn', 'reactivation')),
+  event_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  arr_change FLOAT,
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Pipeline Stage History Table
+-- One row each time a pipeline client enters a stage (or moves segment),
+-- written by the pipeline_stage_history trigger. getKPIs derives time in
+-- stage, stage conversion and cycle length from it. No foreign key, so the
+-- history of deleted clients still counts.
+CREATE TABLE IF NOT EXISTS pipeline_stage_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  pipeline_client_id UUID NOT NULL,
+  segment TEXT NOT NULL,
+  stage TEXT NOT NULL,
+  entered_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Pipeline Stage Probability Table
+-- Win probability (percent) for each pipeline stage. getKPIs weights each
+-- client's estimated_contract_size by its stage's probability for the
+-- weighted pipeline and the quarterly bookings forecast.
+CREATE TABLE IF NOT EXISTS pipeline_stage_probability (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  stage TEXT NOT NULL UNIQUE REFERENCES pipeline_stage(key) ON UPDATE CASCADE ON DELETE CASCADE,
+  probability FLOAT NOT NULL CHECK (probability >= 0 AND probability <= 100),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Runway Scenario Table
+-- Named "what if" runway models. The dashboard projects cash from the current
+-- KPIs plus these assumptions (planned hires, ARR growth, fundraise).
+-- Editors and owners manage them; board members see shared ones read-only.
+CREATE TABLE IF NOT EXISTS runway_scenario (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  assumptions JSONB NOT NULL DEFAULT '{}'::jsonb CHECK (jsonb_typeof(assumptions) = 'object'),
+  shared BOOLEAN NOT NULL DEFAULT false,
+  created_by UUID REFERENCES investor_password(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Quarter Goal Snapshot Table
+-- Progress of each goal over its quarter, written by the scheduled
+-- goal-snapshots function: one row per week (dated the week's last day and
+-- updated as the week goes on) and one for the quarter end with the goal's
+-- final value.
+CREATE TABLE IF NOT EXISTS quarter_goal_snapshot (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  goal_id UUID NOT NULL REFERENCES quarter_goal(id) ON DELETE CASCADE,
+  taken_on DATE NOT NULL,
+  value FLOAT NOT NULL,
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (goal_id, taken_on)
+);
+
+-- ============================================
+-- Migrations (safe to re-run on existing databases)
+-- ============================================
+
+-- Roles replace the is_artemis_management flag:
+--   viewer       - headline KPIs, customers, pipeline and goals (read-only)
+--   board_member - everything a viewer sees plus cash and burn detail
+--   editor       - read and write all dashboard data
+--   owner        - editor plus user and access management
+ALTER TABLE investor_password ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'viewer'
+  CHECK (role IN ('viewer', 'board_member', 'editor', 'owner'));
+
+-- Existing management accounts become owners
+UPDATE investor_password SET role = 'owner'
+WHERE is_artemis_management = true AND role = 'viewer';
+
+-- Passwords are stored as PBKDF2 hashes (see scripts/manage-users.js);
+-- the legacy plaintext column is no longer required
+ALTER TABLE investor_password ADD COLUMN IF NOT EXISTS password_hash TEXT;
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'investor_password' AND column_name = 'password'
+  ) THEN
+    ALTER TABLE investor_password ALTER COLUMN password DROP NOT NULL;
+  END IF;
+END $$;
+
+-- HMAC of the password under PASSWORD_LOOKUP_SECRET, so admin-auth can find
+-- the account with one indexed lookup instead of PBKDF2 against every hash.
+-- Filled in by the CLI, or by admin-auth at the account's next login.
+ALTER TABLE investor_password ADD COLUMN IF NOT EXISTS password_lookup TEXT;
+
+-- Disabled users keep their row (for audit) but can no longer log in
+ALTER TABLE investor_password ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ;
+
+-- Time-boxed access (e.g. prospective investors during a raise).
+-- NULL means no lower / upper bound.
+ALTER TABLE investor_password ADD COLUMN IF NOT EXISTS valid_from TIMESTAMPTZ;
+ALTER TABLE investor_password ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+
+-- Optional TOTP second factor for management accounts. totp_secret is set
+-- when enrolment starts; it is only enforced once totp_enabled_at is set.
+-- totp_last_step stops a code from being used twice.
+ALTER TABLE investor_password ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE investor_password ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ;
+ALTER TABLE investor_password ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+-- Burn split: amount stays the gross burn, net burn is amount minus
+-- revenue_collected. The category breakdown of amount is optional; whatever
+-- it doesn't cover shows as "Other".
+ALTER TABLE monthly_burn ADD COLUMN IF NOT EXISTS revenue_collected FLOAT;
+ALTER TABLE monthly_burn ADD COLUMN IF NOT EXISTS payroll FLOAT;
+ALTER TABLE monthly_burn ADD COLUMN IF NOT EXISTS infrastructure FLOAT;
+ALTER TABLE monthly_burn ADD COLUMN IF NOT EXISTS general_admin FLOAT;
+
+-- Customer lifecycle: contract term, renewal and churn. A churned customer
+-- keeps its last ARR on the row but counts as 0 ARR from churned_at.
+ALTER TABLE customer ADD COLUMN IF NOT EXISTS contract_term_months INTEGER
+  CHECK (contract_term_months IS NULL OR contract_term_months > 0);
+ALTER TABLE customer ADD COLUMN IF NOT EXISTS renewal_date DATE;
+ALTER TABLE customer ADD COLUMN IF NOT EXISTS churned_at DATE;
+ALTER TABLE customer ADD COLUMN IF NOT EXISTS churn_reason TEXT;
+
+-- Pilot funnel: when a pilot started, and when it converted to paid or ended
+-- without converting. segment uses the pipeline's size segments (the foreign
+-- key is added below, once pipeline_segment is seeded).
+ALTER TABLE customer ADD COLUMN IF NOT EXISTS segment TEXT;
+ALTER TABLE customer ADD COLUMN IF NOT EXISTS pilot_started_at DATE;
+ALTER TABLE customer ADD COLUMN IF NOT EXISTS pilot_converted_at DATE;
+ALTER TABLE customer ADD COLUMN IF NOT EXISTS pilot_ended_at DATE;
+
+UPDATE customer SET pilot_started_at = COALESCE(start_date, created_at::DATE)
+WHERE is_pilot AND pilot_started_at IS NULL;
+
+-- Conversions logged before the dates existed
+UPDATE customer c SET pilot_converted_at = e.event_date
+FROM customer_event e
+WHERE e.customer_id = c.id AND e.event_type = 'pilot_conversion'
+  AND c.pilot_converted_at IS NULL;
+
+ALTER TABLE customer_event DROP CONSTRAINT IF EXISTS customer_event_event_type_check;
+ALTER TABLE customer_event ADD CONSTRAINT customer_event_event_type_check
+  CHECK (event_type IN ('new', 'upsell', 'downgrade', 'pilot_conversion', 'pilot_ended', 'renewal', 'churn', 'reactivation'));
+
+-- Seed stage history for pipeline clients that predate it: their current
+-- stage, entered on the engagement start date
+INSERT INTO pipeline_stage_history (pipeline_client_id, segment, stage, entered_at)
+SELECT p.id, p.segment, p.stage, COALESCE(p.engagement_start_date::TIMESTAMPTZ, p.created_at, NOW())
+FROM pipeline_client p
+WHERE NOT EXISTS (
+  SELECT 1 FROM pipeline_stage_history h WHERE h.pipeline_client_id = p.id
+);
+
+-- Pipeline segments and stages, seeded with the ones that used to be fixed.
+-- Management edits them from the Sales Pipeline card.
+INSERT INTO pipeline_segment (key, label, "order", color) VALUES
+  ('smb', 'SMB', 1, '#0d9488'),
+  ('mid_market', 'Mid Market', 2, '#0284c7'),
+  ('large_cap', 'Large Cap', 3, '#7c3aed')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO pipeline_stage (key, label, "order", color) VALUES
+  ('initial_meeting', 'Initial Meeting', 1, '#71717a'),
+  ('pilot_scoping', 'Pilot Scoping', 2, '#0ea5e9'),
+  ('pilot', 'Pilot', 3, '#f59e0b'),
+  ('contracting', 'Contracting', 4, '#10b981')
+ON CONFLICT (key) DO NOTHING;
+
+-- Weighted pipeline forecast: when each deal is expected to close, and a
+-- starting set of stage win probabilities for editors to adjust
+ALTER TABLE pipeline_client ADD COLUMN IF NOT EXISTS expected_close_date DATE;
+
+INSERT INTO pipeline_stage_probability (stage, probability) VALUES
+  ('initial_meeting', 10),
+  ('pilot_scoping', 25),
+  ('pilot', 50),
+  ('contracting', 80)
+ON CONFLICT (stage) DO NOTHING;
+
+-- Deal outcomes: a closed client keeps the stage it closed at. Winning a
+-- deal creates its customer (see close_pipeline_client).
+ALTER TABLE pipeline_client ADD COLUMN IF NOT EXISTS outcome TEXT
+  CHECK (outcome IS NULL OR outcome IN ('won', 'lost'));
+ALTER TABLE pipeline_client ADD COLUMN IF NOT EXISTS closed_at DATE;
+ALTER TABLE pipeline_client ADD COLUMN IF NOT EXISTS loss_reason TEXT;
+ALTER TABLE pipeline_client ADD COLUMN IF NOT EXISTS customer_id UUID
+  REFERENCES customer(id) ON DELETE SET NULL;
+
+-- Configurable segments and stages: swap the CHECK constraints that listed
+-- them for foreign keys (the seeded rows are above)
+ALTER TABLE pipeline_client DROP CONSTRAINT IF EXISTS pipeline_client_segment_check;
+ALTER TABLE pipeline_client DROP CONSTRAINT IF EXISTS pipeline_client_stage_check;
+ALTER TABLE customer DROP CONSTRAINT IF EXISTS customer_segment_check;
+ALTER TABLE pipeline_stage_probability DROP CONSTRAINT IF EXISTS pipeline_stage_probability_stage_check;
+
+ALTER TABLE pipeline_client DROP CONSTRAINT IF EXISTS pipeline_client_segment_fkey;
+ALTER TABLE pipeline_client ADD CONSTRAINT pipeline_client_segment_fkey
+  FOREIGN KEY (segment) REFERENCES pipeline_segment(key) ON UPDATE CASCADE;
+ALTER TABLE pipeline_client DROP CONSTRAINT IF EXISTS pipeline_client_stage_fkey;
+ALTER TABLE pipeline_client ADD CONSTRAINT pipeline_client_stage_fkey
+  FOREIGN KEY (stage) REFERENCES pipeline_stage(key) ON UPDATE CASCADE;
+ALTER TABLE customer DROP CONSTRAINT IF EXISTS customer_segment_fkey;
+ALTER TABLE customer ADD CONSTRAINT customer_segment_fkey
+  FOREIGN KEY (segment) REFERENCES pipeline_segment(key) ON UPDATE CASCADE ON DELETE SET NULL;
+ALTER TABLE pipeline_stage_probability DROP CONSTRAINT IF EXISTS pipeline_stage_probability_stage_fkey;
+ALTER TABLE pipeline_stage_probability ADD CONSTRAINT pipeline_stage_probability_stage_fkey
+  FOREIGN KEY (stage) REFERENCES pipeline_stage(key) ON UPDATE CASCADE ON DELETE CASCADE;
+
+-- Goal history: ARR, customers and pipeline_value goals are frozen at their
+-- quarter's end. The goal-snapshots function fills these in once the
+-- quarter is over.
+ALTER TABLE quarter_goal ADD COLUMN IF NOT EXISTS final_value FLOAT;
+ALTER TABLE quarter_goal ADD COLUMN IF NOT EXISTS finalized_at TIMESTAMPTZ;
+
+-- Seed ARR history for customers that predate it, dated from their start
+-- date (or when the row was created)
+INSERT INTO customer_arr_history (customer_id, arr, recorded_at)
+SELECT c.id, CASE WHEN c.churned_at IS NULL THEN COALESCE(c.arr, 0) ELSE 0 END,
+  COALESCE(c.start_date::TIMESTAMPTZ, c.created_at, NOW())
+FROM customer c
+WHERE NOT EXISTS (
+  SELECT 1 FROM customer_arr_history h WHERE h.customer_id = c.id
+);
+
+-- Ended pilots count as 0 ARR (see effective_arr). Close out the history of
+-- pilots that ended before that, on their end date or just after the latest
+-- row if that is later
+INSERT INTO customer_arr_history (customer_id, arr, recorded_at)
+SELECT c.id, 0,
+  GREATEST(c.pilot_ended_at::TIMESTAMPTZ, latest.recorded_at + INTERVAL '1 second')
+FROM customer c
+CROSS JOIN LATERAL (
+  SELECT h.arr, h.recorded_at FROM customer_arr_history h
+  WHERE h.customer_id = c.id
+  ORDER BY h.recorded_at DESC
+  LIMIT 1
+) latest
+WHERE c.pilot_ended_at IS NOT NULL AND latest.arr <> 0;
+
+-- ============================================
+-- Functions
+-- ============================================
+-- Called by the edge functions (service role) over RPC so each check is a
+-- single atomic statement.
+
+-- Count a request against a fixed window. Returns 0 when allowed, otherwise
+-- the seconds until the window resets.
+CREATE OR REPLACE FUNCTION hit_rate_limit(p_key TEXT, p_limit INTEGER, p_window_seconds INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_window INTERVAL := make_interval(secs => p_window_seconds);
+  v_row rate_limit;
+BEGIN
+  INSERT INTO rate_limit AS r (key, count, window_start)
+  VALUES (p_key, 1, NOW())
+  ON CONFLICT (key) DO UPDATE SET
+    count = CASE WHEN r.window_start + v_window <= NOW() THEN 1 ELSE r.count + 1 END,
+    window_start = CASE WHEN r.window_start + v_window <= NOW() THEN NOW() ELSE r.window_start END
+  RETURNING * INTO v_row;
+
+  IF v_row.count > p_limit THEN
+    RETURN GREATEST(1, CEIL(EXTRACT(EPOCH FROM (v_row.window_start + v_window - NOW())))::INTEGER);
+  END IF;
+  RETURN 0;
+END;
+$$;
+
+-- Record a failed attempt. After p_free_attempts failures the key is locked
+-- for p_base_seconds, doubling with each further failure up to p_max_seconds.
+-- Failures older than p_reset_seconds are forgotten. Returns locked_until.
+CREATE OR REPLACE FUNCTION record_auth_failure(
+  p_key TEXT,
+  p_user_id UUID,
+  p_ip TEXT,
+  p_free_attempts INTEGER,
+  p_base_seconds INTEGER,
+  p_max_seconds INTEGER,
+  p_reset_seconds INTEGER
+)
+RETURNS TIMESTAMPTZ
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_failures INTEGER;
+  v_locked_until TIMESTAMPTZ;
+BEGIN
+  INSERT INTO auth_lockout AS l (key, user_id, ip, failures, last_failure_at)
+  VALUES (p_key, p_user_id, p_ip, 1, NOW())
+  ON CONFLICT (key) DO UPDATE SET
+    failures = CASE
+      WHEN l.last_failure_at + make_interval(secs => p_reset_seconds) <= NOW() THEN 1
+      ELSE l.failures + 1
+    END,
+    user_id = COALESCE(EXCLUDED.user_id, l.user_id),
+    ip = EXCLUDED.ip,
+    last_failure_at = NOW()
+  RETURNING failures INTO v_failures;
+
+  IF v_failures > p_free_attempts THEN
+    v_locked_until := NOW() + make_interval(secs => LEAST(
+      p_max_seconds,
+      p_base_seconds * POWER(2, LEAST(v_failures - p_free_attempts - 1, 20))
+    ));
+    UPDATE auth_lockout SET locked_until = v_locked_until WHERE key = p_key;
+  END IF;
+
+  RETURN v_locked_until;
+END;
+$$;
+
+-- Only the service role may call these; anyone else could lock users out
+REVOKE EXECUTE ON FUNCTION hit_rate_limit(TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION record_auth_failure(TEXT, UUID, TEXT, INTEGER, INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- A customer's ARR for reporting: 0 once churned or once the pilot ended,
+-- matching the customers getKPIs counts as active
+CREATE OR REPLACE FUNCTION effective_arr(p_customer customer)
+RETURNS FLOAT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN p_customer.churned_at IS NULL AND p_customer.pilot_ended_at IS NULL
+      THEN COALESCE(p_customer.arr, 0)
+    ELSE 0
+  END;
+$$;
+
+-- Record every change to a customer's ARR. Runs as the table owner so it
+-- can write the history table whoever changed the customer.
+CREATE OR REPLACE FUNCTION record_customer_arr()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    INSERT INTO customer_arr_history (customer_id, arr) VALUES (OLD.id, 0);
+    RETURN OLD;
+  END IF;
+
+  IF TG_OP = 'INSERT' OR effective_arr(OLD) IS DISTINCT FROM effective_arr(NEW) THEN
+    INSERT INTO customer_arr_history (customer_id, arr) VALUES (NEW.id, effective_arr(NEW));
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS customer_arr_history ON customer;
+CREATE TRIGGER customer_arr_history
+  AFTER INSERT OR UPDATE OR DELETE ON customer
+  FOR EACH ROW EXECUTE FUNCTION record_customer_arr();
+
+-- Record every stage (or segment) a pipeline client enters. A new client
+-- enters its first stage on its engagement start date.
+CREATE OR REPLACE FUNCTION record_pipeline_stage()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO pipeline_stage_history (pipeline_client_id, segment, stage, entered_at)
+    VALUES (NEW.id, NEW.segment, NEW.stage, LEAST(NOW(), COALESCE(NEW.engagement_start_date::TIMESTAMPTZ, NOW())));
+  ELSIF NEW.stage IS DISTINCT FROM OLD.stage OR NEW.segment IS DISTINCT FROM OLD.segment THEN
+    INSERT INTO pipeline_stage_history (pipeline_client_id, segment, stage)
+    VALUES (NEW.id, NEW.segment, NEW.stage);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS pipeline_stage_history ON pipeline_client;
+CREATE TRIGGER pipeline_stage_history
+  AFTER INSERT OR UPDATE ON pipeline_client
+  FOR EACH ROW EXECUTE FUNCTION record_pipeline_stage();
+
+-- Stamp the close date on a closed deal (and clear it when the deal is
+-- reopened). The first time a deal is won, create its customer from the
+-- client's name, segment and estimated contract size; editors review the
+-- new customer afterwards. Reopening keeps customer_id so winning again
+-- doesn't create a second customer.
+CREATE OR REPLACE FUNCTION close_pipeline_client()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.outcome IS NULL THEN
+    NEW.closed_at := NULL;
+    NEW.loss_reason := NULL;
+    RETURN NEW;
+  END IF;
+
+  NEW.closed_at := COALESCE(NEW.closed_at, CURRENT_DATE);
+  IF NEW.outcome = 'won' THEN
+    NEW.loss_reason := NULL;
+    IF NEW.customer_id IS NULL THEN
+      INSERT INTO customer (name, is_pilot, contract_value, arr, start_date, segment)
+      VALUES (NEW.name, false, NEW.estimated_contract_size, NEW.estimated_contract_size,
+        NEW.closed_at, NEW.segment)
+      RETURNING id INTO NEW.customer_id;
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS pipeline_client_close ON pipeline_client;
+CREATE TRIGGER pipeline_client_close
+  BEFORE INSERT OR UPDATE ON pipeline_client
+  FOR EACH ROW EXECUTE FUNCTION close_pipeline_client();
+
+-- Fill in pilot dates the customer modal didn't: a new pilot starts on the
+-- customer's start date, and clearing is_pilot converts it today
+CREATE OR REPLACE FUNCTION stamp_customer_pilot_dates()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.is_pilot AND NEW.pilot_started_at IS NULL THEN
+    NEW.pilot_started_at := COALESCE(NEW.start_date, CURRENT_DATE);
+  END IF;
+
+  IF TG_OP = 'UPDATE' AND OLD.is_pilot AND NOT NEW.is_pilot
+    AND NEW.pilot_converted_at IS NULL AND NEW.pilot_ended_at IS NULL THEN
+    NEW.pilot_converted_at := CURRENT_DATE;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS customer_pilot_dates ON customer;
+CREATE TRIGGER customer_pilot_dates
+  BEFORE INSERT OR UPDATE ON customer
+  FOR EACH ROW EXECUTE FUNCTION stamp_customer_pilot_dates();
+
+-- Log lifecycle changes to a customer in customer_event. ARR changes while
+-- the customer is active are upsells or downgrades; churning, ending a pilot
+-- and reactivating carry the ARR lost or regained.
+CREATE OR REPLACE FUNCTION record_customer_event()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO customer_event (customer_id, event_type, event_date, arr_change)
+    VALUES (NEW.id, 'new', COALESCE(NEW.start_date, CURRENT_DATE), effective_arr(NEW));
+    RETURN NEW;
+  END IF;
+
+  IF OLD.churned_at IS NULL AND NEW.churned_at IS NOT NULL THEN
+    INSERT INTO customer_event (customer_id, event_type, event_date, arr_change, notes)
+    VALUES (NEW.id, 'churn', NEW.churned_at, -effective_arr(OLD), NEW.churn_reason);
+  ELSIF OLD.churned_at IS NOT NULL AND NEW.churned_at IS NULL THEN
+    INSERT INTO customer_event (customer_id, event_type, arr_change)
+    VALUES (NEW.id, 'reactivation', effective_arr(NEW));
+  ELSIF OLD.pilot_ended_at IS NULL AND NEW.pilot_ended_at IS NOT NULL THEN
+    INSERT INTO customer_event (customer_id, event_type, event_date, arr_change)
+    VALUES (NEW.id, 'pilot_ended', NEW.pilot_ended_at, -effective_arr(OLD));
+  ELSIF OLD.pilot_ended_at IS NOT NULL AND NEW.pilot_ended_at IS NULL THEN
+    INSERT INTO customer_event (customer_id, event_type, arr_change)
+    VALUES (NEW.id, 'reactivation', effective_arr(NEW));
+  ELSIF effective_arr(NEW) > effective_arr(OLD) THEN
+    INSERT INTO customer_event (customer_id, event_type, arr_change)
+    VALUES (NEW.id, 'upsell', effective_arr(NEW) - effective_arr(OLD));
+  ELSIF effective_arr(NEW) < effective_arr(OLD) THEN
+    INSERT INTO customer_event (customer_id, event_type, arr_change)
+    VALUES (NEW.id, 'downgrade', effective_arr(NEW) - effective_arr(OLD));
+  END IF;
+
+  -- Once per customer: backfilling pilot_converted_at from an existing
+  -- conversion event mustn't log it twice
+  IF OLD.pilot_converted_at IS NULL AND NEW.pilot_converted_at IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM customer_event
+      WHERE customer_id = NEW.id AND event_type = 'pilot_conversion'
+    ) THEN
+    INSERT INTO customer_event (customer_id, event_type, event_date)
+    VALUES (NEW.id, 'pilot_conversion', NEW.pilot_converted_at);
+  END IF;
+
+  IF NEW.renewal_date > OLD.renewal_date THEN
+    INSERT INTO customer_event (customer_id, event_type, event_date)
+    VALUES (NEW.id, 'renewal', LEAST(OLD.renewal_date, CURRENT_DATE));
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS customer_event_log ON customer;
+CREATE TRIGGER customer_event_log
+  AFTER INSERT OR UPDATE ON customer
+  FOR EACH ROW EXECUTE FUNCTION record_customer_event();
+
+-- A goal moved to another quarter or metric gets its final value worked out
+-- again, and its progress snapshots (which tracked the old one) are dropped
+CREATE OR REPLACE FUNCTION reset_quarter_goal_final()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.quarter IS DISTINCT FROM OLD.quarter
+    OR NEW.year IS DISTINCT FROM OLD.year
+    OR NEW.metric_type IS DISTINCT FROM OLD.metric_type THEN
+    NEW.final_value := NULL;
+    NEW.finalized_at := NULL;
+    DELETE FROM quarter_goal_snapshot WHERE goal_id = NEW.id;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS quarter_goal_reset_final ON quarter_goal;
+CREATE TRIGGER quarter_goal_reset_final
+  BEFORE UPDATE ON quarter_goal
+  FOR EACH ROW EXECUTE FUNCTION reset_quarter_goal_final();
+
 -- ============================================
 -- Indexes
 -- ============================================
 
+-- Investor Password indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_investor_password_lookup ON investor_password(password_lookup);
+
 -- Cash Position indexes
 CREATE INDEX IF NOT EXISTS idx_cash_position_date ON cash_position(date DESC);
 CREATE INDEX IF NOT EXISTS idx_cash_position_created_at ON cash_position(created_at DESC);
@@ -124,9 +824,53 @@ CREATE INDEX IF NOT EXISTS idx_pipeline_client_engagement_date ON pipeline_clien
 CREATE INDEX IF NOT EXISTS idx_quarter_goal_quarter_year ON quarter_goal(quarter, year);
 CREATE INDEX IF NOT EXISTS idx_quarter_goal_metric_type ON quarter_goal(metric_type);
 
+-- Visibility Rule indexes
+CREATE INDEX IF NOT EXISTS idx_visibility_rule_user ON visibility_rule(user_id);
+
+-- Login Event indexes
+CREATE INDEX IF NOT EXISTS idx_login_event_created_at ON login_event(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_event_user ON login_event(user_id, created_at DESC);
+
+-- Investor Session indexes
+CREATE INDEX IF NOT EXISTS idx_investor_session_user ON investor_session(user_id);
+CREATE INDEX IF NOT EXISTS idx_investor_session_last_seen ON investor_session(last_seen_at DESC);
+
+-- Auth Lockout indexes
+CREATE INDEX IF NOT EXISTS idx_auth_lockout_locked_until ON auth_lockout(locked_until DESC);
+
+-- TOTP Recovery Code indexes
+CREATE INDEX IF NOT EXISTS idx_totp_recovery_code_user ON totp_recovery_code(user_id, code_hash);
+
+-- Operating Plan indexes
+CREATE INDEX IF NOT EXISTS idx_operating_plan_fiscal_year ON operating_plan(fiscal_year, month);
+
+-- Customer ARR History indexes
+CREATE INDEX IF NOT EXISTS idx_customer_arr_history_recorded_at ON customer_arr_history(recorded_at);
+CREATE INDEX IF NOT EXISTS idx_customer_arr_history_customer ON customer_arr_history(customer_id, recorded_at DESC);
+
+-- Customer Event indexes
+CREATE INDEX IF NOT EXISTS idx_customer_event_customer ON customer_event(customer_id, event_date DESC);
+
+-- Pipeline Stage History indexes
+CREATE INDEX IF NOT EXISTS idx_pipeline_stage_history_client ON pipeline_stage_history(pipeline_client_id, entered_at);
+
+-- Pipeline client close date index (bookings forecast)
+CREATE INDEX IF NOT EXISTS idx_pipeline_client_expected_close ON pipeline_client(expected_close_date) WHERE expected_close_date IS NOT NULL;
+
+-- Pipeline client outcome index (win/loss report)
+CREATE INDEX IF NOT EXISTS idx_pipeline_client_outcome ON pipeline_client(outcome, closed_at) WHERE outcome IS NOT NULL;
+
+-- Quarter Goal Snapshot indexes
+CREATE INDEX IF NOT EXISTS idx_quarter_goal_snapshot_goal ON quarter_goal_snapshot(goal_id, taken_on);
+
+-- Runway Scenario indexes
+CREATE INDEX IF NOT EXISTS idx_runway_scenario_shared ON runway_scenario(shared, updated_at DESC);
+
 -- Customer indexes
 CREATE INDEX IF NOT EXISTS idx_customer_is_pilot ON customer(is_pilot);
 CREATE INDEX IF NOT EXISTS idx_customer_status ON customer(status);
+CREATE INDEX IF NOT EXISTS idx_customer_renewal_date ON customer(renewal_date) WHERE churned_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_customer_pilot_started_at ON customer(pilot_started_at) WHERE pilot_started_at IS NOT NULL;
 
 -- ============================================
 -- Row Level Security (RLS)
@@ -140,15 +884,31 @@ ALTER TABLE customer ENABLE ROW LEVEL SECURITY;
 ALTER TABLE employee_count ENABLE ROW LEVEL SECURITY;
 ALTER TABLE pipeline_client ENABLE ROW LEVEL SECURITY;
 ALTER TABLE quarter_goal ENABLE ROW LEVEL SECURITY;
+ALTER TABLE visibility_rule ENABLE ROW LEVEL SECURITY;
+ALTER TABLE login_event ENABLE ROW LEVEL SECURITY;
+ALTER TABLE investor_session ENABLE ROW LEVEL SECURITY;
+ALTER TABLE totp_recovery_code ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rate_limit ENABLE ROW LEVEL SECURITY;
+ALTER TABLE auth_lockout ENABLE ROW LEVEL SECURITY;
+ALTER TABLE runway_scenario ENABLE ROW LEVEL SECURITY;
+ALTER TABLE operating_plan ENABLE ROW LEVEL SECURITY;
+ALTER TABLE customer_arr_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE customer_event ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pipeline_stage_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pipeline_stage_probability ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pipeline_segment ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pipeline_stage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE quarter_goal_snapshot ENABLE ROW LEVEL SECURITY;
 
 -- ============================================
--- RLS Policies (Development)
+-- RLS Policies
 -- ============================================
--- WARNING: These policies allow all operations for authenticated users.
--- In production, replace these with proper policies that check authentication
--- status from your admin-auth function.
+-- No table has a policy, so the anon key shipped in the frontend bundle can
+-- neither read nor write anything through the REST API. All access goes
+-- through the edge functions, which use the service role (it bypasses RLS)
+-- and check the session and role themselves.
 
--- Drop existing policies if they exist
+-- Drop the permissive policies earlier versions of this schema created
 DROP POLICY IF EXISTS "Allow all for authenticated" ON investor_password;
 DROP POLICY IF EXISTS "Allow all for authenticated" ON cash_position;
 DROP POLICY IF EXISTS "Allow all for authenticated" ON monthly_burn;
@@ -156,38 +916,20 @@ DROP POLICY IF EXISTS "Allow all for authenticated" ON customer;
 DROP POLICY IF EXISTS "Allow all for authenticated" ON employee_count;
 DROP POLICY IF EXISTS "Allow all for authenticated" ON pipeline_client;
 DROP POLICY IF EXISTS "Allow all for authenticated" ON quarter_goal;
-
--- Create permissive policies for development
--- TODO: Replace with proper authentication checks in production
-CREATE POLICY "Allow all for authenticated" ON investor_password 
-  FOR ALL USING (true);
-
-CREATE POLICY "Allow all for authenticated" ON cash_position 
-  FOR ALL USING (true);
-
-CREATE POLICY "Allow all for authenticated" ON monthly_burn 
-  FOR ALL USING (true);
-
-CREATE POLICY "Allow all for authenticated" ON customer 
-  FOR ALL USING (true);
-
-CREATE POLICY "Allow all for authenticated" ON employee_count 
-  FOR ALL USING (true);
-
-CREATE POLICY "Allow all for authenticated" ON pipeline_client 
-  FOR ALL USING (true);
-
-CREATE POLICY "Allow all for authenticated" ON quarter_goal 
-  FOR ALL USING (true);
+DROP POLICY IF EXISTS "Allow all for authenticated" ON runway_scenario;
+DROP POLICY IF EXISTS "Allow all for authenticated" ON operating_plan;
+DROP POLICY IF EXISTS "Allow all for authenticated" ON customer_event;
+DROP POLICY IF EXISTS "Allow all for authenticated" ON pipeline_stage_probability;
+DROP POLICY IF EXISTS "Allow all for authenticated" ON pipeline_segment;
+DROP POLICY IF EXISTS "Allow all for authenticated" ON pipeline_stage;
 
 -- ============================================
 -- Sample Data (Optional)
 -- ============================================
 -- Uncomment to insert test data:
 
--- Insert a test investor password
--- INSERT INTO investor_password (password, is_artemis_management, name)
--- VALUES ('test_password', true, 'Test User');
+-- Create users with the management CLI rather than inserting rows by hand:
+--   node --env-file=.env scripts/manage-users.js add "Test User" --role owner
 
 -- ============================================
 -- Verification Queries
@@ -205,4 +947,13 @@ CREATE POLICY "Allow all for authenticated" ON quarter_goal
 -- SELECT COUNT(*) FROM employee_count;
 -- SELECT COUNT(*) FROM pipeline_client;
 -- SELECT COUNT(*) FROM quarter_goal;
+-- SELECT COUNT(*) FROM runway_scenario;
+-- SELECT COUNT(*) FROM operating_plan;
+-- SELECT COUNT(*) FROM customer_arr_history;
+-- SELECT COUNT(*) FROM customer_event;
+-- SELECT COUNT(*) FROM pipeline_stage_history;
+-- SELECT COUNT(*) FROM pipeline_stage_probability;
+-- SELECT COUNT(*) FROM pipeline_segment;
+-- SELECT COUNT(*) FROM pipeline_stage;
+-- SELECT COUNT(*) FROM quarter_goal_snapshot;
 